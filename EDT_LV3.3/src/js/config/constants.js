@@ -6,6 +6,9 @@
 
 export const LISTE_JOURS = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
 
+// Jours pouvant être déclarés travaillés (ordre d'affichage)
+export const JOURS_SEMAINE = [...LISTE_JOURS, 'Dimanche'];
+
 export const BREAK_CRENEAU = '10h15';
 
 export const DEFAULT_CRENEAUX = {
@@ -16,8 +19,79 @@ export const DEFAULT_CRENEAUX = {
     '17h30': { fin: '19h00', duree: 1.5 }
 };
 
+// Jours travaillés et créneaux ouverts par jour (un jour absent de creneauxParJour ouvre tous les créneaux)
+// joursSansTP : jours où aucun TP n'est placé, même si deux créneaux couplés y sont ouverts
+export const DEFAULT_JOURS_CONFIG = {
+    jours: [...LISTE_JOURS],
+    creneauxParJour: {
+        Samedi: ['8h30', '10h15']
+    },
+    joursSansTP: ['Samedi']
+};
+
+// Calendrier universitaire : dates des semestres (ISO AAAA-MM-JJ), vacances, examens
+// et exceptions ponctuelles par session (séance annulée ou déplacée pour une date donnée)
+export const DEFAULT_CALENDRIER = {
+    semestres: {
+        "Session d'automne": { debut: '', fin: '' },
+        "Session de printemps": { debut: '', fin: '' }
+    },
+    vacances: [],
+    examens: [],
+    exceptions: {}
+};
+
 export const LISTE_TYPES_SEANCE = ['Cours', 'TD', 'TP'];
 
+// Périodicité d'une séance : chaque semaine, une semaine sur deux (A/B) ou semaines choisies
+export const PERIODICITES = {
+    hebdo: 'Hebdomadaire',
+    A: 'Semaine A',
+    B: 'Semaine B',
+    custom: 'Semaines choisies'
+};
+
+// Cibles d'une occupation externe importée d'un agenda .ics
+export const OCCUPATION_CIBLES = {
+    enseignant: 'Enseignant',
+    salle: 'Salle'
+};
+
+// Grades des enseignants (profil enseignant)
+export const GRADES_ENSEIGNANTS = {
+    PES: "Professeur de l'enseignement supérieur (PES)",
+    PH: 'Professeur habilité (PH)',
+    PA: 'Professeur assistant (PA)',
+    VAC: 'Vacataire'
+};
+
+// Statuts (type de contrat) des enseignants
+export const STATUTS_ENSEIGNANTS = {
+    permanent: 'Permanent',
+    contractuel: 'Contractuel',
+    vacataire: 'Vacataire'
+};
+
+// Service annuel dû par défaut selon le statut (null = VHM annuel du département) et plafond
+// de charge annuel propre au statut (null = plafond commun de la session). Le service saisi
+// dans le profil de l'enseignant reste prioritaire.
+export const SERVICE_PAR_STATUT = {
+    permanent: { service: null, plafond: null },
+    contractuel: { service: null, plafond: null },
+    vacataire: { service: 0, plafond: 64 }
+};
+
+// Semaines de cours d'un semestre tant que le calendrier n'est pas daté (TP : 12 × 3h = 36h)
+export const NB_SEMAINES_SEMESTRE = 12;
+
+// Fuseau horaire des exports .ics (TZID). Le VTIMEZONE joint décrit l'heure légale (UTC+1) ;
+// les agendas qui connaissent ce fuseau appliquent leurs propres règles (changement du ramadan).
+export const ICAL_TIMEZONE = {
+    tzid: 'Africa/Casablanca',
+    offset: '+0100',
+    abbreviation: '+01'
+};
+
 export const CRENEAUX_COUPLES_SUIVANT = { 
     '8h30': '10h15', 
     '14h00': '15h45' 
@@ -29,6 +103,33 @@ export const DEFAULT_VOLUME_HTP = {
     'TP': 36 
 };
 
+// Équivalences horaires : coefficient appliqué aux heures brutes par statut d'enseignant et type de séance
+// (ex. 1h Cours = 1.5h éq. TD, 1h TP = 0.75h éq. TD). Tous à 1 : volumes en heures brutes (hTP)
+// Forfait : coefficient des forfaits et volumes supplémentaires, saisis en heures brutes
+export const DEFAULT_EQUIVALENCES_HORAIRES = {
+    permanent: { Cours: 1, TD: 1, TP: 1, Forfait: 1 },
+    contractuel: { Cours: 1, TD: 1, TP: 1, Forfait: 1 },
+    vacataire: { Cours: 1, TD: 1, TP: 1, Forfait: 1 }
+};
+
+// Colonnes des règles d'équivalence : types de séance puis forfaits
+export const TYPES_EQUIVALENCE = [...LISTE_TYPES_SEANCE, 'Forfait'];
+
+// Catalogue des natures de forfait avec leur volume horaire par défaut (h)
+export const DEFAULT_FORFAIT_CATALOGUE = [
+    { nature: 'Chef de département', heures: 64 },
+    { nature: 'Coordonnateur de filière', heures: 32 },
+    { nature: 'Coordination de module', heures: 8 },
+    { nature: 'Encadrement PFE', heures: 10 },
+    { nature: 'Collège', heures: 16 },
+    { nature: 'Master', heures: 32 },
+    { nature: 'Autres', heures: 0 }
+];
+
+// Colonnes du fichier Excel des forfaits (export et import)
+export const FORFAITS_EXCEL_HEADERS = ['Enseignant', 'Nature', 'Volume (h)', 'Session', 'Année', 'Description'];
+export const FORFAIT_CATALOGUE_EXCEL_HEADERS = ['Nature', 'Volume par défaut (h)'];
+
 export const SEANCE_COLORS = {
     Cours: { bg: [255, 221, 221], border: [204, 0, 0] },
     TD: { bg: [221, 255, 221], border: [0, 153, 0] },
@@ -47,15 +148,116 @@ export const STORAGE_KEYS = {
     CRENEAUX: 'edt_physique_creneaux',
     VOLUMES_AUTOMNE: 'edt_physique_volumes_automne',
     AUTO_SALLES: 'edt_auto_salles_by_filiere',
+    SALLES_CAPACITE: 'edt_physique_salles_capacite',
+    EFFECTIFS: 'edt_physique_effectifs',
+    SALLES_EQUIPEMENTS: 'edt_physique_salles_equipements',
+    JOURS_CONFIG: 'edt_physique_jours_config',
+    CALENDRIER: 'edt_physique_calendrier',
+    OCCUPATIONS_EXTERNES: 'edt_physique_occupations_externes',
+    ENSEIGNANT_PROFILS: 'edt_physique_enseignant_profils',
+    EQUIVALENCES_HORAIRES: 'edt_physique_equivalences_horaires',
+    FORFAIT_CATALOGUE: 'edt_physique_forfait_catalogue',
     HEADER_ANNEE: 'edt_header_annee',
     HEADER_SESSION: 'edt_header_session',
     HEADER_DEPT: 'edt_header_departement',
     FORFAITS: 'edt_physique_forfaits',
     TOLERANCE_MAX_WORKLOAD: 'edt_physique_toleranceMaxWorkload',
-    UI_STATE: 'edt_physique_ui'
+    UI_STATE: 'edt_physique_ui',
+    SNAPSHOTS: 'edt_physique_snapshots',
+    // Clés globales (non rattachées à un projet)
+    PROJECTS: 'edt_projects',
+    ACTIVE_PROJECT: 'edt_active_project'
+};
+
+// Version du schéma des fichiers de sauvegarde (voir SchemaMigrationService)
+export const PROJECT_SCHEMA_VERSION = 12;
+
+// Tolérance par défaut (heures) au-delà de la charge moyenne
+export const DEFAULT_TOLERANCE_MAX_WORKLOAD = 16;
+
+export const READ_ONLY_PROJECT_MESSAGE = 'Ce projet est archivé et ouvert en lecture seule. Désarchivez-le pour le modifier.';
+
+// Clés de configuration recopiées lors du clonage d'une année vers une nouvelle
+export const PROJECT_CONFIG_KEYS = [
+    STORAGE_KEYS.ENSEIGNANTS,
+    STORAGE_KEYS.MATIERE_GROUPES,
+    STORAGE_KEYS.SALLES_INFO,
+    STORAGE_KEYS.FILIERES,
+    STORAGE_KEYS.CRENEAUX,
+    STORAGE_KEYS.AUTO_SALLES,
+    STORAGE_KEYS.SALLES_CAPACITE,
+    STORAGE_KEYS.EFFECTIFS,
+    STORAGE_KEYS.SALLES_EQUIPEMENTS,
+    STORAGE_KEYS.JOURS_CONFIG,
+    // STORAGE_KEYS.CALENDRIER non recopié : ses dates (semestres, vacances, examens, exceptions)
+    // sont propres à l'année ; le nouveau projet démarre avec DEFAULT_CALENDRIER
+    STORAGE_KEYS.ENSEIGNANT_PROFILS,
+    STORAGE_KEYS.EQUIVALENCES_HORAIRES,
+    STORAGE_KEYS.FORFAIT_CATALOGUE
+];
+
+// Catalogue des équipements de salle (identifiant -> libellé)
+export const EQUIPEMENTS_SALLE = {
+    'banc-optique': "Banc d'optique",
+    'sorbonne': 'Sorbonne (hotte aspirante)',
+    'paillasse-chimie': 'Paillasses de chimie',
+    'paillasse-electrique': 'Paillasses électriques',
+    'ordinateurs': 'Postes informatiques',
+    'videoprojecteur': 'Vidéoprojecteur'
 };
 
 export const MAX_AUTO_PLANNING_ITERATIONS = 100;
+
+export const PLANNING_ENGINES = {
+    GREEDY: 'greedy',
+    SOLVER: 'solver'
+};
+
+// Diagnostic de placement : niveau d'un couple (jour, créneau) pour une séance non placée
+export const DIAGNOSTIC_NIVEAUX = {
+    LIBRE: 'libre',     // aucun obstacle
+    SOUPLE: 'souple',   // placement possible, mais sans enseignant sous le plafond de charge
+    BLOQUE: 'bloque',   // contrainte dure (conflit, séance parallèle, couplage TP, jour sans TP)
+    FERME: 'ferme'      // créneau non ouvert ce jour-là
+};
+
+export const DIAGNOSTIC_CATEGORIES = {
+    ferme: 'Créneau fermé',
+    parallele: 'Séance parallèle',
+    couplage: 'Couplage TP',
+    sansTP: 'Jour sans TP',
+    conflit: 'Conflit',
+    charge: 'Charge maximale'
+};
+
+export const SOLVER_MAX_NODES = 5000;
+export const SOLVER_TIME_LIMIT_MS = 8000;
+
+// Pondérations de l'objectif (plus le score est bas, meilleur est l'EDT)
+export const SOLVER_WEIGHTS = {
+    unplaced: 1000,     // séance non placée
+    lateSlot: 3,        // créneau hors des 4 premiers (ex: 17h30)
+    jourReduit: 2,      // séance un jour à créneaux restreints (ex: samedi matin, voir joursConfig)
+    sameDayLoad: 1      // par séance déjà présente le même jour pour la même filière
+};
+
+// Nombre maximal de réaffectations proposées par l'équilibrage des charges enseignants
+export const BALANCING_MAX_MOVES = 200;
+
+// Statuts de la grille de disponibilité des enseignants (souhaits.indisponibilites)
+export const DISPONIBILITE_STATUTS = {
+    INDISPONIBLE: 'indisponible',   // contrainte dure : aucune séance possible
+    NON_SOUHAITE: 'non_souhaite'    // contrainte souple : pénalité d'attribution
+};
+
+export const PENALITE_CRENEAU_NON_SOUHAITE = 80;
+
+// Nombre maximal d'étapes conservées dans l'historique annuler/rétablir
+export const HISTORY_MAX_ENTRIES = 50;
+
+// Identifiant réservé désignant l'EDT en cours dans la comparaison d'instantanés
+export const CURRENT_SNAPSHOT_ID = 'current';
+
 export const VHM_TOLERANCE = 20;
 export const DEBOUNCE_DELAY = 500;
 
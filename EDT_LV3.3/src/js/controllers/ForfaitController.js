@@ -1,5 +1,6 @@
 /**
- * Contrôleur pour la gestion des forfaits
+ * Contrôleur pour la gestion des forfaits et de leur catalogue de natures
+ * Chaque forfait est rattaché à une session et à une année universitaire explicites.
  * @author Ibrahim Mrani - UCD
  */
 
@@ -7,6 +8,10 @@ import StateManager from './StateManager.js';
 import LogService from '../services/LogService.js';
 import NotificationManager from '../ui/NotificationManager.js';
 import DialogManager from '../ui/DialogManager.js';
+import { DEFAULT_FORFAIT_CATALOGUE, READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+import { deepClone } from '../utils/helpers.js';
+import { safeText } from '../utils/sanitizers.js';
+import { getStorageSessionKey, normalizeSessionLabel } from '../utils/session.js';
 
 class ForfaitController {
     /**
@@ -28,51 +33,211 @@ class ForfaitController {
         return StateManager.state.forfaits;
     }
 
+    /**
+     * Récupère le catalogue des natures de forfait
+     * @returns {Array<Object>} [{ nature, heures }]
+     */
+    static getCatalogue() {
+        if (!Array.isArray(StateManager.state.forfaitCatalogue)) {
+            StateManager.state.forfaitCatalogue = deepClone(DEFAULT_FORFAIT_CATALOGUE);
+        }
+        return StateManager.state.forfaitCatalogue;
+    }
+
+    /**
+     * Récupère une nature du catalogue
+     * @param {string} nature - La nature
+     * @returns {Object|undefined} { nature, heures }
+     */
+    static getCatalogueEntry(nature) {
+        return this.getCatalogue().find(c => c.nature === nature);
+    }
+
+    /**
+     * Ajoute une nature au catalogue ou met à jour son volume par défaut
+     * @param {string} nature - La nature
+     * @param {number} heures - Le volume horaire par défaut
+     * @returns {boolean} Succès
+     */
+    static saveCatalogueEntry(nature, heures) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return false;
+        }
+
+        const libelle = String(nature || '').trim();
+        const volume = parseFloat(heures);
+
+        if (!libelle || isNaN(volume) || volume < 0) {
+            DialogManager.error('Indiquez une nature et un volume horaire positif.');
+            return false;
+        }
+
+        const entry = this.getCatalogueEntry(libelle);
+        if (entry) {
+            entry.heures = volume;
+        } else {
+            this.getCatalogue().push({ nature: libelle, heures: volume });
+        }
+
+        StateManager.saveState();
+        LogService.success(`✅ Catalogue des forfaits : "${libelle}" (${volume}h par défaut)`);
+        StateManager.notify('forfaitCatalogue:changed', { nature: libelle });
+        return true;
+    }
+
+    /**
+     * Retire une nature du catalogue (les forfaits déjà attribués sont conservés)
+     * @param {string} nature - La nature
+     */
+    static removeCatalogueEntry(nature) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const catalogue = this.getCatalogue();
+        const index = catalogue.findIndex(c => c.nature === nature);
+        if (index === -1) return;
+
+        const utilises = this.getAllForfaits().filter(f => f.nature === nature).length;
+
+        DialogManager.confirm(
+            'Retirer du catalogue',
+            `Retirer la nature "<strong>${safeText(nature)}</strong>" du catalogue ?` +
+            (utilises > 0 ? `<br><br>Les ${utilises} forfait(s) déjà attribué(s) sont conservés.` : ''),
+            () => {
+                catalogue.splice(index, 1);
+                StateManager.saveState();
+                LogService.info(`Catalogue des forfaits : "${nature}" retiré`);
+                StateManager.notify('forfaitCatalogue:changed', { nature });
+            }
+        );
+    }
+
+    /**
+     * Complète la session et l'année d'un forfait (par défaut : celles du projet)
+     * @param {string} session - La session saisie ("Automne", "Session de printemps"...)
+     * @param {string} annee - L'année saisie
+     * @returns {Object} { session, annee }
+     */
+    static resolvePeriod(session, annee) {
+        const header = StateManager.state.header || {};
+        const label = normalizeSessionLabel(session) !== 'unknown' ? session : (header.session || 'autumn');
+        return {
+            session: getStorageSessionKey(label),
+            annee: String(annee || header.annee || '').trim()
+        };
+    }
+
+    /**
+     * Recherche un forfait de même enseignant, nature, session et année
+     * @param {Object} criteres - { enseignant, nature, session, annee }
+     * @param {string|null} excludeId - ID à ignorer (forfait en cours de modification)
+     * @returns {Object|undefined} Le forfait en doublon
+     */
+    static findDuplicate({ enseignant, nature, session, annee }, excludeId = null) {
+        return this.getAllForfaits().find(f =>
+            f.id !== excludeId &&
+            f.enseignant === enseignant &&
+            f.nature === nature &&
+            normalizeSessionLabel(f.session || 'autumn') === normalizeSessionLabel(session) &&
+            (f.annee || StateManager.state.header?.annee) === annee
+        );
+    }
+
+    /**
+     * Valide les données communes d'un forfait (nature du catalogue, volume, période)
+     * Le volume horaire vide prend la valeur par défaut du catalogue.
+     * @param {Object} forfaitData - { nature, volumeHoraire, session, annee }
+     * @returns {Object|null} { nature, volumeHoraire, session, annee } ou null si invalide
+     */
+    static validateForfaitData(forfaitData) {
+        const { nature, volumeHoraire, session, annee } = forfaitData;
+        const entry = this.getCatalogueEntry(nature);
+
+        if (!nature || !entry) {
+            DialogManager.error('Choisissez une nature de forfait du catalogue.');
+            return null;
+        }
+
+        const volume = (volumeHoraire === undefined || volumeHoraire === null || volumeHoraire === '')
+            ? Number(entry.heures) || 0
+            : parseFloat(volumeHoraire);
+
+        if (isNaN(volume) || volume < 0) {
+            DialogManager.error('Veuillez remplir tous les champs obligatoires correctement.');
+            return null;
+        }
+
+        return { nature, volumeHoraire: volume, ...this.resolvePeriod(session, annee) };
+    }
+
+    /**
+     * Crée un forfait (sans l'ajouter au state)
+     * @param {string} enseignant - L'enseignant
+     * @param {Object} data - Données validées (voir validateForfaitData)
+     * @param {string} description - La description
+     * @returns {Object} Le forfait
+     */
+    static createForfait(enseignant, data, description = '') {
+        return {
+            id: this.generateId(),
+            enseignant,
+            nature: data.nature,
+            volumeHoraire: data.volumeHoraire,
+            session: data.session,
+            annee: data.annee,
+            description: description || '',
+            dateAjout: new Date().toISOString().split('T')[0]
+        };
+    }
+
     /**
      * Ajoute un nouveau forfait
-     * @param {Object} forfaitData - Données du forfait
+     * @param {Object} forfaitData - Données du forfait { enseignant, nature, volumeHoraire, session, annee, description }
      * @returns {Object|null} Le forfait ajouté ou null en cas d'erreur
      */
     static addForfait(forfaitData) {
-        const { enseignant, nature, volumeHoraire, description } = forfaitData;
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return null;
+        }
+
+        const { enseignant, description } = forfaitData;
 
         // Validation
-        if (!enseignant || !nature || volumeHoraire === undefined || volumeHoraire < 0) {
+        if (!enseignant) {
             DialogManager.error('Veuillez remplir tous les champs obligatoires correctement.');
             return null;
         }
 
+        const data = this.validateForfaitData(forfaitData);
+        if (!data) return null;
+
         // Vérifier que l'enseignant existe
         if (!StateManager.state.enseignants.includes(enseignant)) {
             DialogManager.error('L\'enseignant sélectionné n\'existe pas.');
             return null;
         }
 
-        // Vérifier les doublons (même enseignant + même nature)
+        // Vérifier les doublons (même enseignant + même nature sur la même session et la même année)
         const forfaits = this.getAllForfaits();
-        const doublon = forfaits.find(f =>
-            f.enseignant === enseignant && f.nature === nature
-        );
+        const doublon = this.findDuplicate({ enseignant, ...data });
 
         if (doublon) {
             DialogManager.warning(
-                `Un forfait de type "<strong>${nature}</strong>" existe déjà pour <strong>${enseignant}</strong>.<br><br>Voulez-vous le mettre à jour ?`,
+                `Un forfait de type "<strong>${safeText(data.nature)}</strong>" existe déjà pour <strong>${safeText(enseignant)}</strong> (${safeText(data.session)} ${safeText(data.annee)}).<br><br>Voulez-vous le mettre à jour ?`,
                 () => {
-                    this.updateForfait(doublon.id, { volumeHoraire, description });
+                    this.updateForfait(doublon.id, { volumeHoraire: data.volumeHoraire, description });
                 }
             );
             return null;
         }
 
         // Créer le forfait
-        const forfait = {
-            id: this.generateId(),
-            enseignant,
-            nature,
-            volumeHoraire: parseFloat(volumeHoraire),
-            description: description || '',
-            dateAjout: new Date().toISOString().split('T')[0]
-        };
+        const forfait = this.createForfait(enseignant, data, description);
+        const { nature, volumeHoraire } = forfait;
 
         // Ajouter au state
         forfaits.push(forfait);
@@ -108,6 +273,11 @@ class ForfaitController {
      * @returns {boolean} Succès de la mise à jour
      */
     static updateForfait(id, updates) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return false;
+        }
+
         const forfaits = this.getAllForfaits();
         const index = forfaits.findIndex(f => f.id === id);
 
@@ -131,20 +301,24 @@ class ForfaitController {
             forfait.description = updates.description;
         }
 
-        if (updates.nature !== undefined) {
-            // Vérifier les doublons avec la nouvelle nature
-            const doublon = forfaits.find(f =>
-                f.id !== id &&
-                f.enseignant === forfait.enseignant &&
-                f.nature === updates.nature
+        if (updates.nature !== undefined || updates.session !== undefined || updates.annee !== undefined) {
+            const nature = updates.nature !== undefined ? updates.nature : forfait.nature;
+            const period = this.resolvePeriod(
+                updates.session !== undefined ? updates.session : forfait.session,
+                updates.annee !== undefined ? updates.annee : forfait.annee
             );
 
+            // Vérifier les doublons avec la nouvelle nature / période
+            const doublon = this.findDuplicate({ enseignant: forfait.enseignant, nature, ...period }, id);
+
             if (doublon) {
-                DialogManager.error(`Un forfait de type "${updates.nature}" existe déjà pour cet enseignant.`);
+                DialogManager.error(`Un forfait de type "${nature}" existe déjà pour cet enseignant (${period.session} ${period.annee}).`);
                 return false;
             }
 
-            forfait.nature = updates.nature;
+            forfait.nature = nature;
+            forfait.session = period.session;
+            forfait.annee = period.annee;
         }
 
         // Sauvegarder via StateManager
@@ -168,11 +342,76 @@ class ForfaitController {
         return true;
     }
 
+    /**
+     * Attribue un même forfait à plusieurs enseignants
+     * Les enseignants qui ont déjà ce forfait sur la période sont ignorés.
+     * @param {Array<string>} enseignants - Les enseignants
+     * @param {Object} forfaitData - { nature, volumeHoraire, session, annee, description }
+     * @returns {Object|null} { added: Array<Object>, skipped: Array<string> } ou null en cas d'erreur
+     */
+    static assignForfait(enseignants, forfaitData) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return null;
+        }
+
+        const noms = [...new Set(enseignants || [])].filter(nom => StateManager.state.enseignants.includes(nom));
+        if (noms.length === 0) {
+            DialogManager.error('Sélectionnez au moins un enseignant.');
+            return null;
+        }
+
+        const data = this.validateForfaitData(forfaitData);
+        if (!data) return null;
+
+        const forfaits = this.getAllForfaits();
+        const added = [];
+        const skipped = [];
+
+        noms.forEach(enseignant => {
+            if (this.findDuplicate({ enseignant, ...data })) {
+                skipped.push(enseignant);
+                return;
+            }
+            const forfait = this.createForfait(enseignant, data, forfaitData.description);
+            forfaits.push(forfait);
+            added.push(forfait);
+        });
+
+        if (added.length > 0) {
+            try {
+                StateManager.saveState();
+            } catch (err) {
+                LogService.error('Erreur lors de la sauvegarde du state après attribution de forfaits : ' + (err && err.message));
+                DialogManager.error('Impossible de sauvegarder les forfaits. Vérifiez la console pour plus d\'infos.');
+                forfaits.splice(forfaits.length - added.length, added.length);
+                return null;
+            }
+
+            LogService.success(`✅ Forfait "${data.nature}" attribué à ${added.length} enseignant(s) (${data.volumeHoraire}h, ${data.session} ${data.annee})`);
+            StateManager.notify('forfait:added', { forfaits: added });
+            try {
+                window.dispatchEvent(new CustomEvent('app:stateUpdated', { detail: { source: 'forfait', action: 'added', forfaits: added } }));
+            } catch (e) { /* noop */ }
+        }
+
+        if (skipped.length > 0) {
+            LogService.warning(`Forfait "${data.nature}" déjà attribué sur la période : ${skipped.join(', ')}`);
+        }
+
+        return { added, skipped };
+    }
+
     /**
      * Supprime un forfait
      * @param {string} id - ID du forfait
      */
     static deleteForfait(id) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
         const forfaits = this.getAllForfaits();
         const index = forfaits.findIndex(f => f.id === id);
 
@@ -185,7 +424,7 @@ class ForfaitController {
 
         DialogManager.confirm(
             'Supprimer le Forfait',
-            `Voulez-vous vraiment supprimer le forfait "<strong>${forfait.nature}</strong>" de <strong>${forfait.enseignant}</strong> (${forfait.volumeHoraire}h) ?`,
+            `Voulez-vous vraiment supprimer le forfait "<strong>${safeText(forfait.nature)}</strong>" de <strong>${safeText(forfait.enseignant)}</strong> (${forfait.volumeHoraire}h) ?`,
             () => {
                 forfaits.splice(index, 1);
                 try {
@@ -277,6 +516,8 @@ class ForfaitController {
             'Collège': 'forfait-badge-college',
             'Master': 'forfait-badge-master',
             'Coordonnateur de filière': 'forfait-badge-coordonnateur',
+            'Coordination de module': 'forfait-badge-module',
+            'Encadrement PFE': 'forfait-badge-pfe',
             'Autres': 'forfait-badge-autres'
         };
 
@@ -6,10 +6,11 @@
 
 import StateManager from './StateManager.js';
 import ConflictService from '../services/ConflictService.js';
+import CapacityService from '../services/CapacityService.js';
 import LogService from '../services/LogService.js';
 import DialogManager from '../ui/DialogManager.js';
 import NotificationManager from '../ui/NotificationManager.js';
-import { getSortedCreneauxKeys } from '../utils/helpers.js';
+import { getSortedCreneauxKeys, getSessionTimeRange, getCreneauRange, rangesOverlap, getJoursOuvres, countCreneauxOuverts } from '../utils/helpers.js';
 
 class RoomController {
     /**
@@ -19,8 +20,7 @@ class RoomController {
     static getAllRoomsWithStats() {
         const salles = Object.keys(StateManager.state.sallesInfo);
         const seances = StateManager.getSeances();
-        const creneaux = Object.keys(StateManager.state.creneaux);
-        const jours = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+        const totalSlots = countCreneauxOuverts();
 
         return salles.map(nom => {
             const type = StateManager.state.sallesInfo[nom];
@@ -28,12 +28,12 @@ class RoomController {
 
             // Créneaux occupés (uniques)
             const usedSlots = new Set(salleSeances.map(s => `${s.jour}-${s.creneau}`)).size;
-            const totalSlots = jours.length * creneaux.length;
-            const occupancyRate = Math.round((usedSlots / totalSlots) * 100);
+            const occupancyRate = totalSlots > 0 ? Math.round((usedSlots / totalSlots) * 100) : 0;
 
             return {
                 nom,
                 type,
+                capacite: CapacityService.getRoomCapacity(nom),
                 stats: {
                     totalSeances: salleSeances.length,
                     usedSlots,
@@ -93,7 +93,7 @@ class RoomController {
                 const seance = seances.find(s =>
                     s.salle === salle &&
                     s.jour === jour &&
-                    s.creneau === creneau
+                    rangesOverlap(getSessionTimeRange(s), getCreneauRange(creneau))
                 );
 
                 occupees.push({
@@ -125,7 +125,7 @@ class RoomController {
         const seances = StateManager.getSeances();
         const creneaux = getSortedCreneauxKeys();
         // const creneaux = Object.keys(StateManager.state.creneaux).sort();
-        const jours = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+        const jours = getJoursOuvres();
 
         const grid = {};
 
@@ -135,7 +135,7 @@ class RoomController {
                 const seance = seances.find(s =>
                     s.salle === salle &&
                     s.jour === jour &&
-                    s.creneau === creneau
+                    rangesOverlap(getSessionTimeRange(s), getCreneauRange(creneau))
                 );
 
                 grid[jour][creneau] = seance ? {
@@ -199,6 +199,8 @@ class RoomController {
             `Voulez-vous vraiment supprimer la salle <strong>${nom}</strong> ?`,
             () => {
                 delete StateManager.state.sallesInfo[nom];
+                CapacityService.setRoomCapacity(nom, 0);
+                delete StateManager.state.sallesEquipements?.[nom];
                 StateManager.saveState();
 
                 LogService.success(`✅ Salle "${nom}" supprimée`);
@@ -9,7 +9,7 @@ import ConflictService from '../services/ConflictService.js';
 import ValidationService from '../services/ValidationService.js';
 import LogService from '../services/LogService.js';
 import DialogManager from '../ui/DialogManager.js';
-import { CRENEAUX_COUPLES_SUIVANT } from '../config/constants.js';
+import { CRENEAUX_COUPLES_SUIVANT, READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
 
 class SessionController {
     /**
@@ -21,6 +21,11 @@ class SessionController {
     createSession(formData, options = {}) {
         const { allowNoRoom = false, excludeIds = [] } = options;
 
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return { success: false, session: null, conflicts: [] };
+        }
+
         // 1. Validation des données
         const validation = ValidationService.validateSeanceData(formData, allowNoRoom);
         
@@ -54,21 +59,27 @@ class SessionController {
             return { success: false, session: null, conflicts };
         }
 
-        // 4. Ajouter la session
-        StateManager.addSeance(session);
+        // 4. Ajouter la session (les deux parties d'un TP forment une seule étape d'historique)
+        StateManager.beginHistoryGroup(`Ajout ${formData.matiere} (${formData.type})`);
+        try {
+            StateManager.addSeance(session);
 
-        // 5. Si TP, créer la deuxième partie
-        if (formData.type === 'TP') {
-            const paired = CRENEAUX_COUPLES_SUIVANT[formData.creneau];
-            
-            if (paired) {
-                const secondPart = session.clone();
-                secondPart.id = StateManager.state.nextSessionId;
-                secondPart.creneau = paired;
-                secondPart.hTP_Affecte = 0;
-                
-                StateManager.addSeance(secondPart);
+            // 5. Si TP sur créneau standard, créer la deuxième partie
+            // (un TP à durée libre occupe sa plage horaire en une seule séance)
+            if (formData.type === 'TP' && !session.hasCustomTimes()) {
+                const paired = CRENEAUX_COUPLES_SUIVANT[formData.creneau];
+
+                if (paired) {
+                    const secondPart = session.clone();
+                    secondPart.id = StateManager.state.nextSessionId;
+                    secondPart.creneau = paired;
+                    secondPart.hTP_Affecte = 0;
+
+                    StateManager.addSeance(secondPart);
+                }
             }
+        } finally {
+            StateManager.endHistoryGroup();
         }
 
         LogService.success(
@@ -84,6 +95,11 @@ class SessionController {
      * @returns {Object} { success: boolean, deletedCount: number }
      */
     deleteSession(id) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return { success: false, deletedCount: 0 };
+        }
+
         const seance = StateManager.findSeanceById(id);
         if (!seance) {
             return { success: false, deletedCount: 0 };
@@ -93,48 +109,24 @@ class SessionController {
         let idsToDelete = [id];
 
         // Gestion des TP couplés
-        if (seance.type === 'TP' && seance.hTP_Affecte > 0 && CRENEAUX_COUPLES_SUIVANT.hasOwnProperty(seance.creneau)) {
-            // C'est la première partie d'un TP, chercher la deuxième
-            const nextCreneau = CRENEAUX_COUPLES_SUIVANT[seance.creneau];
-            const coupledSession = allSeances.find(s =>
-                s.jour === seance.jour &&
-                s.creneau === nextCreneau &&
-                s.uniqueStudentEntity === seance.uniqueStudentEntity &&
-                s.type === seance.type
-            );
-
-            if (coupledSession) {
-                idsToDelete.push(coupledSession.id);
-                LogService.info(`Suppression du créneau TP couplé de ${nextCreneau}.`);
-            }
-        } else if (seance.type === 'TP' && seance.hTP_Affecte === 0) {
-            // C'est la deuxième partie, chercher la première
-            const prevCreneau = Object.keys(CRENEAUX_COUPLES_SUIVANT).find(
-                k => CRENEAUX_COUPLES_SUIVANT[k] === seance.creneau
-            );
-
-            if (prevCreneau) {
-                const firstPartSession = allSeances.find(s =>
-                    s.jour === seance.jour &&
-                    s.creneau === prevCreneau &&
-                    s.uniqueStudentEntity === seance.uniqueStudentEntity &&
-                    s.type === seance.type
-                );
-
-                if (firstPartSession) {
-                    idsToDelete.push(firstPartSession.id);
-                    LogService.info(`Suppression de la première partie TP (${prevCreneau}).`);
-                }
-            }
+        const coupledSession = this.findCoupledTpSession(seance, allSeances);
+        if (coupledSession) {
+            idsToDelete.push(coupledSession.id);
+            LogService.info(`Suppression du créneau TP couplé de ${coupledSession.creneau}.`);
         }
 
         // Supprimer toutes les séances identifiées
         let deletedCount = 0;
-        idsToDelete.forEach(sessionId => {
-            if (StateManager.removeSeance(sessionId)) {
-                deletedCount++;
-            }
-        });
+        StateManager.beginHistoryGroup(`Suppression ${seance.matiere} (${seance.type})`);
+        try {
+            idsToDelete.forEach(sessionId => {
+                if (StateManager.removeSeance(sessionId)) {
+                    deletedCount++;
+                }
+            });
+        } finally {
+            StateManager.endHistoryGroup();
+        }
 
         LogService.success(`${deletedCount} séance(s) supprimée(s).`);
         
@@ -149,17 +141,40 @@ class SessionController {
      * @returns {Object} { success: boolean, session: Session|null }
      */
     updateSession(id, formData, options = {}) {
-        // Stratégie : supprimer puis recréer
-        const deleteResult = this.deleteSession(id);
-        
-        if (!deleteResult.success) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
             return { success: false, session: null };
         }
 
-        const createResult = this.createSession(formData, {
-            ...options,
-            excludeIds: [id]
-        });
+        const previous = StateManager.findSeanceById(id);
+        const previousIds = previous ? this.getTpParts(previous).map(s => s.id) : [id];
+
+        // Stratégie : supprimer puis recréer (une seule étape d'historique)
+        StateManager.beginHistoryGroup(`Modification ${formData.matiere || ''} (${formData.type || ''})`);
+        let createResult;
+        try {
+            const deleteResult = this.deleteSession(id);
+
+            if (!deleteResult.success) {
+                return { success: false, session: null };
+            }
+
+            createResult = this.createSession(formData, {
+                ...options,
+                excludeIds: [id]
+            });
+
+            // Les séances recréées reprennent les IDs d'origine, qui les identifient
+            // ailleurs (UID des exports iCalendar notamment)
+            if (createResult.success) {
+                const created = this.getTpParts(createResult.session);
+                created.forEach((seance, i) => {
+                    if (i < previousIds.length) seance.id = previousIds[i];
+                });
+            }
+        } finally {
+            StateManager.endHistoryGroup();
+        }
 
         if (createResult.success) {
             LogService.success(`Séance ID ${id} modifiée avec succès.`);
@@ -170,6 +185,230 @@ class SessionController {
         return createResult;
     }
 
+    /**
+     * Séance et éventuelle moitié couplée, première partie du TP en tête
+     * @param {Session} seance - La séance
+     * @returns {Array<Session>}
+     */
+    getTpParts(seance) {
+        const coupled = this.findCoupledTpSession(seance, StateManager.getSeances());
+        if (!coupled) return [seance];
+        return seance.hTP_Affecte > 0 ? [seance, coupled] : [coupled, seance];
+    }
+
+    /**
+     * Trouve l'autre moitié d'un TP couplé (créneau suivant ou précédent)
+     * @param {Session} seance - La séance TP
+     * @param {Array<Session>} allSeances - Toutes les séances
+     * @returns {Session|null} La séance couplée
+     */
+    findCoupledTpSession(seance, allSeances) {
+        if (seance.type !== 'TP' || seance.hasCustomTimes()) return null;
+
+        let coupledCreneau = null;
+        if (seance.hTP_Affecte > 0 && CRENEAUX_COUPLES_SUIVANT.hasOwnProperty(seance.creneau)) {
+            // Première partie : chercher la deuxième
+            coupledCreneau = CRENEAUX_COUPLES_SUIVANT[seance.creneau];
+        } else if (seance.hTP_Affecte === 0) {
+            // Deuxième partie : chercher la première
+            coupledCreneau = Object.keys(CRENEAUX_COUPLES_SUIVANT).find(
+                k => CRENEAUX_COUPLES_SUIVANT[k] === seance.creneau
+            );
+        }
+        if (!coupledCreneau) return null;
+
+        return allSeances.find(s =>
+            s.jour === seance.jour &&
+            s.creneau === coupledCreneau &&
+            s.uniqueStudentEntity === seance.uniqueStudentEntity &&
+            s.type === seance.type
+        ) || null;
+    }
+
+    /**
+     * Réattribue une séance d'un enseignant à un autre (même créneau)
+     * Les deux moitiés d'un TP couplé sont réattribuées ensemble.
+     * @param {number} id - L'ID de la séance
+     * @param {string} fromTeacher - L'enseignant actuel
+     * @param {string} toTeacher - Le nouvel enseignant
+     * @returns {Object} { success: boolean, conflicts: Array<string> }
+     */
+    reassignTeacher(id, fromTeacher, toTeacher) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return { success: false, conflicts: [] };
+        }
+
+        const seance = StateManager.findSeanceById(id);
+        if (!seance || !toTeacher || fromTeacher === toTeacher) {
+            return { success: false, conflicts: [] };
+        }
+
+        if (seance.enseignantsArray.includes(toTeacher)) {
+            DialogManager.error(`<strong>${toTeacher}</strong> est déjà affecté(e) à cette séance.`);
+            return { success: false, conflicts: [] };
+        }
+
+        const allSeances = StateManager.getSeances();
+        const coupled = this.findCoupledTpSession(seance, allSeances);
+        const targets = coupled ? [seance, coupled] : [seance];
+        const excludeIds = targets.map(s => s.id);
+
+        const conflicts = [];
+        targets.forEach(target => {
+            const hypothetical = this.withTeacherReplaced(target, fromTeacher, toTeacher);
+            conflicts.push(...ConflictService.checkTeacherConflicts(
+                hypothetical,
+                allSeances.filter(s => !excludeIds.includes(s.id))
+            ));
+        });
+        const uniqueConflicts = [...new Set(conflicts)];
+
+        if (uniqueConflicts.length > 0) {
+            const errorHtml = '<ul>' + uniqueConflicts.map(c => `<li>${c}</li>`).join('') + '</ul>';
+            DialogManager.error(`Réattribution impossible :<br>${errorHtml}`);
+            return { success: false, conflicts: uniqueConflicts };
+        }
+
+        StateManager.beginHistoryGroup(`Réattribution ${seance.matiere} (${seance.type}) → ${toTeacher}`);
+        try {
+            targets.forEach(target => {
+                const updated = this.withTeacherReplaced(target, fromTeacher, toTeacher);
+                StateManager.updateSeance(target.id, {
+                    enseignantsArray: updated.enseignantsArray,
+                    enseignant: updated.enseignant
+                });
+            });
+        } finally {
+            StateManager.endHistoryGroup();
+        }
+
+        LogService.success(`Séance ${seance.matiere} (${seance.type}) réattribuée de ${fromTeacher || '—'} à ${toTeacher}`);
+        return { success: true, conflicts: [] };
+    }
+
+    /**
+     * Conflits empêchant de placer une séance dans une salle à un créneau donné
+     * @param {Session} seance - La séance
+     * @param {string} jour - Le jour cible
+     * @param {string} creneau - Le créneau cible
+     * @param {string} salle - La salle cible
+     * @returns {Array<string>} Les conflits (vide si le placement est possible)
+     */
+    getRoomMoveConflicts(seance, jour, creneau, salle) {
+        const sallesInfo = StateManager.state.sallesInfo;
+        const allSeances = StateManager.getSeances();
+        const coupled = this.findCoupledTpSession(seance, allSeances);
+        const timeChanged = seance.jour !== jour || seance.creneau !== creneau;
+
+        if (coupled && timeChanged) {
+            return ["Les séances de TP ne peuvent changer que de salle (créneaux couplés)."];
+        }
+
+        if (!ValidationService.validateSalleCompatibility(seance.type, salle, sallesInfo)) {
+            return [`❌ CONFLIT SALLE TYPE: Un (${seance.type}) n'est pas compatible avec la salle **${salle}** (${sallesInfo[salle] || '?'}).`];
+        }
+
+        const excludeIds = [seance.id, coupled?.id].filter(Boolean);
+        const placed = seance.clone();
+        placed.moveTo(jour, creneau);
+        placed.salle = salle;
+
+        // Plage occupée dans la salle (les deux moitiés d'un TP couplé comprises)
+        const range = placed.getTimeRange();
+        if (coupled) {
+            const coupledRange = coupled.getTimeRange();
+            range.debut = Math.min(range.debut, coupledRange.debut);
+            range.fin = Math.max(range.fin, coupledRange.fin);
+        }
+
+        const conflicts = [];
+        if (ConflictService.isRoomOccupiedDuring(salle, jour, range, allSeances, excludeIds, placed)) {
+            conflicts.push(`❌ CONFLIT SALLE: La salle **${salle}** est déjà utilisée le ${jour} à ${creneau}.`);
+        }
+        conflicts.push(...ConflictService.checkEquipmentConflicts(placed));
+        conflicts.push(...ConflictService.checkCapacityConflicts(placed));
+
+        // Changement de créneau : enseignants, groupes, sections
+        if (timeChanged && conflicts.length === 0) {
+            conflicts.push(...ConflictService.checkAllConflicts(placed, allSeances, excludeIds, sallesInfo));
+        }
+
+        return [...new Set(conflicts)];
+    }
+
+    /**
+     * Déplace une séance vers une salle (et éventuellement un autre créneau)
+     * Les deux moitiés d'un TP couplé changent de salle ensemble.
+     * @param {number} id - L'ID de la séance
+     * @param {string} jour - Le jour cible
+     * @param {string} creneau - Le créneau cible
+     * @param {string} salle - La salle cible
+     * @returns {Object} { success: boolean, conflicts: Array<string> }
+     */
+    moveSessionToRoom(id, jour, creneau, salle) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return { success: false, conflicts: [] };
+        }
+
+        const seance = StateManager.findSeanceById(id);
+        if (!seance || !salle) {
+            return { success: false, conflicts: [] };
+        }
+        if (seance.jour === jour && seance.creneau === creneau && seance.salle === salle) {
+            return { success: false, conflicts: [] };
+        }
+
+        const conflicts = this.getRoomMoveConflicts(seance, jour, creneau, salle);
+        if (conflicts.length > 0) {
+            const errorHtml = '<ul>' + conflicts.map(c => `<li>${c}</li>`).join('') + '</ul>';
+            DialogManager.error(`Déplacement impossible :<br>${errorHtml}`);
+            return { success: false, conflicts };
+        }
+
+        const coupled = this.findCoupledTpSession(seance, StateManager.getSeances());
+
+        const moved = seance.clone();
+        moved.moveTo(jour, creneau);
+
+        StateManager.beginHistoryGroup(`Déplacement ${seance.matiere} (${seance.type}) → ${salle}`);
+        try {
+            StateManager.updateSeance(seance.id, {
+                jour,
+                creneau,
+                salle,
+                heureDebut: moved.heureDebut,
+                heureFin: moved.heureFin
+            });
+            if (coupled) {
+                StateManager.updateSeance(coupled.id, { salle });
+            }
+        } finally {
+            StateManager.endHistoryGroup();
+        }
+
+        LogService.success(`Séance ${seance.matiere} (${seance.type}) déplacée vers ${salle} — ${jour} ${creneau}`);
+        return { success: true, conflicts: [] };
+    }
+
+    /**
+     * Copie d'une séance où un enseignant est remplacé par un autre
+     * @param {Session} seance - La séance
+     * @param {string} fromTeacher - L'enseignant remplacé (vide : ajout)
+     * @param {string} toTeacher - Le nouvel enseignant
+     * @returns {Session} La copie modifiée
+     */
+    withTeacherReplaced(seance, fromTeacher, toTeacher) {
+        const copy = seance.clone();
+        const teachers = seance.enseignantsArray.filter(t => t && t !== fromTeacher);
+        const index = seance.enseignantsArray.indexOf(fromTeacher);
+        teachers.splice(index >= 0 ? index : teachers.length, 0, toTeacher);
+        copy.enseignantsArray = teachers;
+        copy.enseignant = teachers.join(' / ');
+        return copy;
+    }
+
     /**
      * Déplace une séance vers un nouveau créneau
      * @param {number} id - L'ID de la séance
@@ -178,13 +417,18 @@ class SessionController {
      * @returns {Object} { success: boolean }
      */
     moveSession(id, newJour, newCreneau) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return { success: false, message: 'Projet archivé' };
+        }
+
         const seance = StateManager.findSeanceById(id);
         if (!seance) {
             return { success: false, message: 'Séance introuvable' };
         }
 
-        // Interdire le déplacement des TP
-        if (seance.type === 'TP') {
+        // Interdire le déplacement des TP couplés (un TP à durée libre forme une seule séance)
+        if (seance.type === 'TP' && !seance.hasCustomTimes()) {
             DialogManager.error(
                 "Le glisser-déposer des séances de TP n'est pas pris en charge pour garantir la cohérence des créneaux couplés."
             );
@@ -198,8 +442,7 @@ class SessionController {
 
         // Vérifier les conflits
         const hypotheticalSession = seance.clone();
-        hypotheticalSession.jour = newJour;
-        hypotheticalSession.creneau = newCreneau;
+        hypotheticalSession.moveTo(newJour, newCreneau);
 
         const conflicts = ConflictService.checkAllConflicts(
             hypotheticalSession,
@@ -209,15 +452,18 @@ class SessionController {
         );
 
         if (conflicts.length > 0) {
-            // Gérer spécifiquement les conflits de salle
-            const roomConflicts = conflicts.filter(c => c.startsWith('❌ CONFLIT SALLE:'));
+            // Gérer spécifiquement les conflits de salle (occupée, trop petite ou mal équipée)
+            const roomConflicts = conflicts.filter(c =>
+                c.startsWith('❌ CONFLIT SALLE:') ||
+                c.startsWith('❌ CONFLIT CAPACITÉ:') ||
+                c.startsWith('❌ CONFLIT ÉQUIPEMENT:')
+            );
+            const equipementsRequis = ValidationService.getRequiredEquipment(seance.matiere, seance.type);
             
             if (roomConflicts.length > 0 && conflicts.length === roomConflicts.length) {
                 // Seulement conflit de salle, proposer alternative
-                const freeRooms = ConflictService.getFreeRooms(
-                    newJour,
-                    newCreneau,
-                    seance.type,
+                const freeRooms = ConflictService.getFreeRoomsForSession(
+                    hypotheticalSession,
                     StateManager.state.sallesInfo,
                     StateManager.getSeances(),
                     id
@@ -225,13 +471,18 @@ class SessionController {
 
                 if (freeRooms.length > 0) {
                     const suggestedRoom = freeRooms[0];
+                    const raison = roomConflicts.some(c => c.startsWith('❌ CONFLIT ÉQUIPEMENT:'))
+                        ? 'non équipée pour cette séance'
+                        : roomConflicts.some(c => c.startsWith('❌ CONFLIT CAPACITÉ:'))
+                            ? 'trop petite pour ce groupe'
+                            : 'déjà occupée';
                     
                     DialogManager.confirm(
                         'Conflit de Salle Détecté',
-                        `La salle <strong>${seance.salle}</strong> est déjà occupée.<br><br>Utiliser la salle <strong>${suggestedRoom}</strong> ?`,
+                        `La salle <strong>${seance.salle}</strong> est ${raison}.<br><br>Utiliser la salle <strong>${suggestedRoom}</strong> ?`,
                         () => {
-                            seance.jour = newJour;
-                            seance.creneau = newCreneau;
+                            StateManager.recordHistory(`Déplacement ${seance.matiere} (${seance.type})`);
+                            seance.moveTo(newJour, newCreneau);
                             seance.salle = suggestedRoom;
                             LogService.success(
                                 `Séance déplacée vers ${newJour} ${newCreneau} (Salle: ${suggestedRoom})`
@@ -242,6 +493,10 @@ class SessionController {
                     
                     return { success: false, message: 'En attente de confirmation' };
                 }
+
+                if (equipementsRequis.length > 0) {
+                    conflicts.push(`Aucune salle équipée (${ValidationService.formatEquipment(equipementsRequis)}) n'est libre le ${newJour} à ${newCreneau}.`);
+                }
             }
 
             // Autres conflits
@@ -251,8 +506,8 @@ class SessionController {
         }
 
         // Déplacement réussi
-        seance.jour = newJour;
-        seance.creneau = newCreneau;
+        StateManager.recordHistory(`Déplacement ${seance.matiere} (${seance.type})`);
+        seance.moveTo(newJour, newCreneau);
         LogService.success(`Séance déplacée vers ${newJour} ${newCreneau}`);
         StateManager.notify('seance:moved', { seance });
 
@@ -3,11 +3,22 @@
  * @author Ibrahim Mrani - UCD
  */
 
-import { DEFAULT_CRENEAUX } from '../config/constants.js';
+import { DEFAULT_CRENEAUX, DEFAULT_JOURS_CONFIG, DEFAULT_CALENDRIER, HISTORY_MAX_ENTRIES, DEFAULT_TOLERANCE_MAX_WORKLOAD, DEFAULT_EQUIVALENCES_HORAIRES, DEFAULT_FORFAIT_CATALOGUE } from '../config/constants.js';
 import Session from '../models/Session.js';
 import Teacher from '../models/Teacher.js';
 import Subject from '../models/Subject.js';
+import Room from '../models/Room.js';
 import StorageService from '../services/StorageService.js';
+import { deepClone } from '../utils/helpers.js';
+
+// Champs de l'état enregistrés dans le projet (les préférences d'interface `ui` en sont exclues)
+const PERSISTED_STATE_KEYS = [
+    'seances', 'nextSessionId', 'header', 'enseignants', 'sallesInfo', 'enseignantSouhaits',
+    'matiereGroupes', 'filieres', 'forfaits', 'toleranceMaxWorkload', 'enseignantVolumesSupplementaires',
+    'creneaux', 'joursConfig', 'calendrier', 'occupationsExternes', 'enseignantProfils',
+    'equivalencesHoraires', 'forfaitCatalogue', 'volumesAutomne', 'autoSallesParFiliere',
+    'sallesCapacite', 'effectifs', 'sallesEquipements'
+];
 
 class StateManager {
     constructor() {
@@ -21,14 +32,34 @@ class StateManager {
             matiereGroupes: {},
             filieres: [],
             creneaux: {},
+            // Jours travaillés et créneaux ouverts par jour (voir DEFAULT_JOURS_CONFIG)
+            joursConfig: { jours: [], creneauxParJour: {} },
+            // Calendrier daté (voir DEFAULT_CALENDRIER et CalendarService)
+            calendrier: deepClone(DEFAULT_CALENDRIER),
+            // Occupations hors département importées d'agendas .ics (session -> liste, voir ExternalOccupationService)
+            occupationsExternes: {},
             forfaits: [],
+            toleranceMaxWorkload: DEFAULT_TOLERANCE_MAX_WORKLOAD,
 
             // Souhaits et volumes
             enseignantSouhaits: {},
             enseignantVolumesSupplementaires: {},
+            // Profils des enseignants (nom -> { grade, email, statut, service, reductions }, voir Teacher)
+            enseignantProfils: {},
+            // Coefficients d'équivalence horaire (statut -> type -> coefficient, voir VolumeService)
+            equivalencesHoraires: deepClone(DEFAULT_EQUIVALENCES_HORAIRES),
+            // Catalogue des natures de forfait ([{ nature, heures }], voir ForfaitController)
+            forfaitCatalogue: deepClone(DEFAULT_FORFAIT_CATALOGUE),
             volumesAutomne: {},
             autoSallesParFiliere: {},
 
+            // Capacités des salles et effectifs (surcharges par section/groupe)
+            sallesCapacite: {},
+            effectifs: {},
+
+            // Équipements des salles (salle -> identifiants de EQUIPEMENTS_SALLE)
+            sallesEquipements: {},
+
             // En-tête
             header: {
                 annee: '',
@@ -36,6 +67,9 @@ class StateManager {
                 departement: ''
             },
 
+            // État UI persistant (onglets actifs)
+            ui: {},
+
             // État UI
             currentlyEditingSessionId: null,
             currentlySelectedCell: null,
@@ -48,10 +82,17 @@ class StateManager {
         };
 
         this.listeners = new Map();
+
+        // Historique annuler/rétablir (instantanés de l'EDT de la session active)
+        this.history = { undo: [], redo: [] };
+        this.historyGroup = null;
+
+        // Copie sérialisée des données telles qu'enregistrées (voir markPersisted)
+        this.persistedData = null;
     }
 
     /**
-     * Initialise l'état depuis le localStorage
+     * Initialise l'état depuis le stockage
      */
     loadState() {
         // Charger les données globales (robuste aux clés manquantes)
@@ -65,8 +106,22 @@ class StateManager {
         this.state.forfaits = Array.isArray(globalData.forfaits) ? globalData.forfaits : (this.state.forfaits || []);
         this.state.enseignantVolumesSupplementaires = globalData.volumesSupplementaires || (this.state.enseignantVolumesSupplementaires || {});
         this.state.creneaux = globalData.creneaux || (this.state.creneaux || { ...DEFAULT_CRENEAUX });
+        this.state.joursConfig = globalData.joursConfig || deepClone(DEFAULT_JOURS_CONFIG);
+        // Champs du calendrier complétés dès le chargement (un projet archivé ne doit pas changer à l'affichage)
+        this.state.calendrier = { ...deepClone(DEFAULT_CALENDRIER), ...(globalData.calendrier || {}) };
+        this.state.occupationsExternes = globalData.occupationsExternes || {};
+        this.state.enseignantProfils = globalData.enseignantProfils || {};
+        this.state.equivalencesHoraires = globalData.equivalencesHoraires || deepClone(DEFAULT_EQUIVALENCES_HORAIRES);
+        this.state.forfaitCatalogue = Array.isArray(globalData.forfaitCatalogue) ? globalData.forfaitCatalogue : deepClone(DEFAULT_FORFAIT_CATALOGUE);
         this.state.volumesAutomne = globalData.volumesAutomne || (this.state.volumesAutomne || {});
         this.state.autoSallesParFiliere = globalData.autoSallesParFiliere || (this.state.autoSallesParFiliere || {});
+        this.state.sallesCapacite = globalData.sallesCapacite || {};
+        this.state.effectifs = globalData.effectifs || {};
+        this.state.sallesEquipements = globalData.sallesEquipements || {};
+        this.state.toleranceMaxWorkload = Number.isFinite(Number(globalData.toleranceMaxWorkload))
+            ? Number(globalData.toleranceMaxWorkload)
+            : DEFAULT_TOLERANCE_MAX_WORKLOAD;
+        this.state.ui = globalData.ui || {};
 
         // Charger l'en-tête
         // this.state.header = StorageService.loadHeader();
@@ -76,13 +131,55 @@ class StateManager {
         const sessionData = StorageService.loadSessionData(this.state.header.session || '');
         this.state.seances = Array.isArray(sessionData.seances) ? sessionData.seances.map(s => new Session(s)) : [];
         this.state.nextSessionId = Number.isFinite(sessionData.nextId) ? sessionData.nextId : (this.state.nextSessionId || 1);
+
+        // Un nouvel état chargé invalide l'historique
+        this.clearHistory();
+        this.markPersisted();
+    }
+
+    /**
+     * Sérialise les données enregistrées dans le projet
+     * @returns {string}
+     */
+    serializePersistedData() {
+        return JSON.stringify(PERSISTED_STATE_KEYS.map(key => this.state[key]));
+    }
+
+    /**
+     * Mémorise les données courantes comme étant celles du stockage
+     */
+    markPersisted() {
+        this.persistedData = this.serializePersistedData();
     }
 
     /**
-     * Sauvegarde l'état dans le localStorage
+     * Annule les modifications faites en mémoire depuis le dernier enregistrement
+     * (les préférences d'interface sont conservées)
+     */
+    discardUnsavedChanges() {
+        const values = JSON.parse(this.persistedData);
+        PERSISTED_STATE_KEYS.forEach((key, i) => {
+            this.state[key] = values[i];
+        });
+        this.state.seances = this.state.seances.map(s => new Session(s));
+        this.clearHistory();
+    }
+
+    /**
+     * Sauvegarde l'état dans le stockage
+     * Point de passage obligé de toute modification : sur un projet archivé, rien n'est
+     * écrit et les modifications faites en mémoire sont annulées ('project:readonly-blocked').
      * @param {boolean} silent - Mode silencieux (sans log)
      */
     saveState(silent = false) {
+        if (this.isReadOnly()) {
+            if (this.persistedData !== null && this.serializePersistedData() !== this.persistedData) {
+                this.discardUnsavedChanges();
+                this.notify('project:readonly-blocked');
+            }
+            return;
+        }
+
         try {
             // Sauvegarder les données de session
             StorageService.saveSessionData(
@@ -104,10 +201,21 @@ class StateManager {
                 matiereGroupes: this.state.matiereGroupes,
                 filieres: this.state.filieres,
                 forfaits: this.state.forfaits,
+                toleranceMaxWorkload: this.state.toleranceMaxWorkload,
+                ui: this.state.ui,
                 volumesSupplementaires: this.state.enseignantVolumesSupplementaires,
                 creneaux: this.state.creneaux,
+                joursConfig: this.state.joursConfig,
+                calendrier: this.state.calendrier,
+                occupationsExternes: this.state.occupationsExternes,
+                enseignantProfils: this.state.enseignantProfils,
+                equivalencesHoraires: this.state.equivalencesHoraires,
+                forfaitCatalogue: this.state.forfaitCatalogue,
                 volumesAutomne: this.state.volumesAutomne,
-                autoSallesParFiliere: this.state.autoSallesParFiliere
+                autoSallesParFiliere: this.state.autoSallesParFiliere,
+                sallesCapacite: this.state.sallesCapacite,
+                effectifs: this.state.effectifs,
+                sallesEquipements: this.state.sallesEquipements
             });
         } catch (err) {
             console.error('StateManager.saveState: saveGlobalData failed', err);
@@ -122,6 +230,8 @@ class StateManager {
             throw err;
         }
 
+        this.markPersisted();
+
         // Notifier les listeners
         if (!silent) {
             this.notify('state:saved');
@@ -139,6 +249,14 @@ class StateManager {
         }
     }
 
+    /**
+     * Indique si le projet actif est une archive en lecture seule
+     * @returns {boolean}
+     */
+    isReadOnly() {
+        return StorageService.isReadOnly();
+    }
+
     /**
      * Change la session active
      * @param {string} newSession - La nouvelle session
@@ -153,6 +271,10 @@ class StateManager {
         this.state.seances = sessionData.seances.map(s => new Session(s));
         this.state.nextSessionId = sessionData.nextId;
 
+        // L'historique est propre à une session
+        this.clearHistory();
+        this.markPersisted();
+
         // Notifier les listeners
         this.notify('session:changed', { session: newSession });
     }
@@ -171,6 +293,7 @@ class StateManager {
      * @returns {Session} La séance ajoutée
      */
     addSeance(session) {
+        this.recordHistory(`Ajout ${session.matiere || ''} (${session.type || ''})`);
         session.id = this.state.nextSessionId++;
         this.state.seances.push(session);
         this.notify('seance:added', { seance: session });
@@ -186,7 +309,11 @@ class StateManager {
         const index = this.state.seances.findIndex(s => s.id === id);
         if (index === -1) return false;
 
+        const target = this.state.seances[index];
+        this.recordHistory(`Suppression ${target.matiere || ''} (${target.type || ''})`);
+
         const removed = this.state.seances.splice(index, 1)[0];
+        this.pruneCalendarExceptions();
         this.notify('seance:removed', { seance: removed });
         return true;
     }
@@ -201,6 +328,7 @@ class StateManager {
         const seance = this.state.seances.find(s => s.id === id);
         if (!seance) return null;
 
+        this.recordHistory(`Modification ${seance.matiere || ''} (${seance.type || ''})`);
         Object.assign(seance, updates);
         this.notify('seance:updated', { seance });
         return seance;
@@ -223,11 +351,27 @@ class StateManager {
         return this.state.enseignants.map(nom => {
             return new Teacher(nom, {
                 souhaits: this.state.enseignantSouhaits[nom],
-                volumesSupplementaires: this.state.enseignantVolumesSupplementaires[nom] || []
+                volumesSupplementaires: this.state.enseignantVolumesSupplementaires[nom] || [],
+                profil: this.state.enseignantProfils[nom]
             });
         });
     }
 
+    /**
+     * Obtient une salle sous forme d'objet Room (type, capacité, équipements)
+     * Une salle absente de la configuration n'a ni capacité ni équipement.
+     * @param {string} nom - Le nom de la salle
+     * @returns {Room} La salle
+     */
+    getRoom(nom) {
+        return new Room(
+            nom,
+            this.state.sallesInfo?.[nom],
+            this.state.sallesCapacite?.[nom],
+            this.state.sallesEquipements?.[nom]
+        );
+    }
+
     /**
      * Obtient les matières sous forme d'objets Subject
      * @returns {Array<Subject>} Les matières
@@ -296,6 +440,7 @@ class StateManager {
         this.state.enseignants.splice(index, 1);
         delete this.state.enseignantSouhaits[nom];
         delete this.state.enseignantVolumesSupplementaires[nom];
+        delete this.state.enseignantProfils[nom];
 
         this.notify('teacher:removed', { nom });
         return true;
@@ -389,6 +534,7 @@ class StateManager {
             nbSeancesAttendue: expectedTotal,
             vhtTotal,
             nbEnseignantsTP,
+            equipementsRequis: config.equipementsRequis || {},
             // Conserver métadonnées passées si présentes
             enseignants: config.enseignants || [],
             notes: config.notes || ''
@@ -415,8 +561,11 @@ class StateManager {
      * Réinitialise l'EDT de la session actuelle
      */
     resetCurrentSessionEDT() {
+        this.recordHistory('Réinitialisation de l\'EDT');
         this.state.seances = [];
         this.state.nextSessionId = 1;
+        // Les IDs repartent de 1 : les exceptions du calendrier ne désignent plus les mêmes séances
+        this.pruneCalendarExceptions();
         this.notify('edt:reset');
     }
 
@@ -424,11 +573,192 @@ class StateManager {
      * Réinitialise complètement le projet
      */
     resetProject() {
-        StorageService.clear();
+        StorageService.clearProject();
         this.loadState();
         this.notify('project:reset');
     }
 
+    /**
+     * Exceptions du calendrier (occurrences annulées ou déplacées) de la session active
+     * @returns {Array<Object>|null} Les exceptions, ou null si la session n'en a pas
+     */
+    getSessionCalendarExceptions() {
+        const list = this.state.calendrier?.exceptions?.[this.state.header.session];
+        return Array.isArray(list) ? list : null;
+    }
+
+    /**
+     * Retire les exceptions du calendrier dont la séance n'existe plus
+     * (les exceptions sont rattachées à l'ID de la séance)
+     */
+    pruneCalendarExceptions() {
+        const list = this.getSessionCalendarExceptions();
+        if (!list) return;
+
+        const ids = new Set(this.state.seances.map(s => s.id));
+        const kept = list.filter(e => ids.has(e.seanceId));
+        list.splice(0, list.length, ...kept);
+    }
+
+    /**
+     * Capture un instantané de l'EDT de la session active (séances et exceptions du calendrier)
+     * @returns {Object} { seances, nextSessionId, exceptions }
+     */
+    captureTimetableSnapshot() {
+        return {
+            seances: this.state.seances.map(s => (typeof s.toJSON === 'function' ? s.toJSON() : { ...s })),
+            nextSessionId: this.state.nextSessionId,
+            exceptions: (this.getSessionCalendarExceptions() || []).map(e => ({ ...e }))
+        };
+    }
+
+    /**
+     * Restaure un instantané de l'EDT
+     * @param {Object} snapshot - L'instantané { seances, nextSessionId, exceptions }
+     */
+    restoreTimetableSnapshot(snapshot) {
+        this.state.seances = snapshot.seances.map(s => new Session(s));
+        this.state.nextSessionId = snapshot.nextSessionId;
+
+        if (Array.isArray(snapshot.exceptions) && this.state.calendrier?.exceptions) {
+            this.state.calendrier.exceptions[this.state.header.session] = snapshot.exceptions.map(e => ({ ...e }));
+        }
+    }
+
+    /**
+     * Enregistre l'état courant de l'EDT avant une mutation
+     * Au sein d'un groupe, l'instantané pris à l'ouverture du groupe suffit.
+     * @param {string} label - Le libellé de l'action
+     */
+    recordHistory(label) {
+        if (this.historyGroup) return;
+        this.pushHistoryEntry(this.history.undo, { label, timestamp: Date.now(), snapshot: this.captureTimetableSnapshot() });
+        this.history.redo = [];
+        this.notify('history:changed');
+    }
+
+    /**
+     * Ajoute une entrée à une pile d'historique en respectant la taille maximale
+     * @param {Array} stack - La pile
+     * @param {Object} entry - L'entrée
+     */
+    pushHistoryEntry(stack, entry) {
+        stack.push(entry);
+        if (stack.length > HISTORY_MAX_ENTRIES) {
+            stack.shift();
+        }
+    }
+
+    /**
+     * Ouvre un groupe : toutes les mutations jusqu'à endHistoryGroup() forment une seule étape
+     * (les groupes imbriqués sont fusionnés dans le groupe le plus externe)
+     * @param {string} label - Le libellé de l'étape
+     */
+    beginHistoryGroup(label) {
+        if (this.historyGroup) {
+            this.historyGroup.depth++;
+            return;
+        }
+
+        this.historyGroup = {
+            label,
+            depth: 1,
+            snapshot: this.captureTimetableSnapshot()
+        };
+    }
+
+    /**
+     * Ferme le groupe courant et enregistre l'étape si l'EDT a changé
+     */
+    endHistoryGroup() {
+        const group = this.historyGroup;
+        if (!group) return;
+
+        group.depth--;
+        if (group.depth > 0) return;
+
+        this.historyGroup = null;
+
+        const before = JSON.stringify(group.snapshot);
+        const after = JSON.stringify(this.captureTimetableSnapshot());
+        if (before === after) return;
+
+        this.pushHistoryEntry(this.history.undo, { label: group.label, timestamp: Date.now(), snapshot: group.snapshot });
+        this.history.redo = [];
+        this.notify('history:changed');
+    }
+
+    /**
+     * Annule la dernière étape
+     * @returns {Object|null} L'entrée annulée
+     */
+    undo() {
+        if (this.isReadOnly() || this.historyGroup || this.history.undo.length === 0) return null;
+
+        const entry = this.history.undo.pop();
+        this.pushHistoryEntry(this.history.redo, { label: entry.label, timestamp: Date.now(), snapshot: this.captureTimetableSnapshot() });
+        this.restoreTimetableSnapshot(entry.snapshot);
+
+        this.saveState(true);
+        this.notify('history:undo', { entry });
+        this.notify('history:changed');
+        return entry;
+    }
+
+    /**
+     * Rétablit la dernière étape annulée
+     * @returns {Object|null} L'entrée rétablie
+     */
+    redo() {
+        if (this.isReadOnly() || this.historyGroup || this.history.redo.length === 0) return null;
+
+        const entry = this.history.redo.pop();
+        this.pushHistoryEntry(this.history.undo, { label: entry.label, timestamp: Date.now(), snapshot: this.captureTimetableSnapshot() });
+        this.restoreTimetableSnapshot(entry.snapshot);
+
+        this.saveState(true);
+        this.notify('history:redo', { entry });
+        this.notify('history:changed');
+        return entry;
+    }
+
+    /**
+     * Indique si une annulation est possible
+     * @returns {boolean}
+     */
+    canUndo() {
+        return !this.historyGroup && this.history.undo.length > 0;
+    }
+
+    /**
+     * Indique si un rétablissement est possible
+     * @returns {boolean}
+     */
+    canRedo() {
+        return !this.historyGroup && this.history.redo.length > 0;
+    }
+
+    /**
+     * Obtient les libellés de l'historique (du plus ancien au plus récent)
+     * @returns {Object} { undo: Array<{label, timestamp}>, redo: Array<{label, timestamp}> }
+     */
+    getHistory() {
+        const strip = e => ({ label: e.label, timestamp: e.timestamp });
+        return {
+            undo: this.history.undo.map(strip),
+            redo: this.history.redo.map(strip)
+        };
+    }
+
+    /**
+     * Vide l'historique
+     */
+    clearHistory() {
+        this.history = { undo: [], redo: [] };
+        this.historyGroup = null;
+        this.notify('history:changed');
+    }
+
     /**
      * S'abonne à un'événement
      * @param {string} event - Le nom de l'événement
@@ -85,9 +85,14 @@ class SubjectController {
         const seances = StateManager.getSeances();
         const seancesToRemove = seances.filter(s => s.matiere === nom);
 
-        seancesToRemove.forEach(seance => {
-            StateManager.removeSeance(seance.id);
-        });
+        StateManager.beginHistoryGroup(`Suppression des séances de ${nom}`);
+        try {
+            seancesToRemove.forEach(seance => {
+                StateManager.removeSeance(seance.id);
+            });
+        } finally {
+            StateManager.endHistoryGroup();
+        }
 
         // Supprimer la matière
         const success = StateManager.removeSubject(nom);
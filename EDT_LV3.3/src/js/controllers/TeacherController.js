@@ -9,6 +9,8 @@ import LogService from '../services/LogService.js';
 import DialogManager from '../ui/DialogManager.js';
 import NotificationManager from '../ui/NotificationManager.js';
 import VolumeService from '../services/VolumeService.js';
+import { GRADES_ENSEIGNANTS, STATUTS_ENSEIGNANTS, READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+import { safeText } from '../utils/sanitizers.js';
 
 class TeacherController {
     /**
@@ -117,6 +119,114 @@ class TeacherController {
         return true;
     }
 
+    /**
+     * Ouvre le formulaire du profil d'un enseignant (grade, contact, statut, service dû, décharges)
+     * @param {string} nom - Le nom de l'enseignant
+     */
+    editTeacherProfile(nom) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        if (!StateManager.state.enseignants.includes(nom)) {
+            DialogManager.error(`Enseignant "${nom}" introuvable.`);
+            return;
+        }
+
+        const { profil } = new Teacher(nom, { profil: StateManager.state.enseignantProfils[nom] });
+        const options = (labels, selected) => Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${safeText(label)}</option>`)
+            .join('');
+
+        // Décharges existantes + deux lignes vides pour en ajouter
+        const reductionRows = [...profil.reductions, { heures: '', motif: '' }, { heures: '', motif: '' }]
+            .map(r => `
+                <div class="form-row profile-reduction">
+                    <input type="number" min="0" step="0.5" class="profile-reduction-heures" value="${safeText(String(r.heures))}" placeholder="Heures">
+                    <input type="text" class="profile-reduction-motif" value="${safeText(r.motif || '')}" placeholder="Motif (ex: chef de département)">
+                </div>`).join('');
+
+        DialogManager.show({
+            title: `Profil de ${nom}`,
+            htmlMessage: `
+                <div class="form-group">
+                    <label for="profileGrade">Grade</label>
+                    <select id="profileGrade"><option value="">-- Non renseigné --</option>${options(GRADES_ENSEIGNANTS, profil.grade)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="profileEmail">Email</label>
+                    <input type="email" id="profileEmail" value="${safeText(profil.email)}" placeholder="prenom.nom@ucd.ac.ma">
+                </div>
+                <div class="form-group">
+                    <label for="profileStatut">Statut</label>
+                    <select id="profileStatut">${options(STATUTS_ENSEIGNANTS, profil.statut)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="profileService">Service statutaire annuel (hTP)</label>
+                    <input type="number" id="profileService" min="0" step="0.5"
+                        value="${Number.isFinite(profil.service) ? profil.service : ''}" placeholder="Vide = service par défaut du statut (VHM annuel pour un permanent)">
+                </div>
+                <div class="form-group">
+                    <label>Décharges de service (laisser les heures vides pour supprimer)</label>
+                    ${reductionRows}
+                </div>`,
+            allowHtml: true,
+            confirmText: 'Enregistrer',
+            cancelText: 'Annuler',
+            onConfirm: () => {
+                const heures = [...document.querySelectorAll('.profile-reduction-heures')].map(i => i.value);
+                const motifs = [...document.querySelectorAll('.profile-reduction-motif')].map(i => i.value);
+                const serviceValue = document.getElementById('profileService')?.value ?? '';
+
+                const nouveauProfil = {
+                    grade: document.getElementById('profileGrade')?.value || '',
+                    email: (document.getElementById('profileEmail')?.value || '').trim(),
+                    statut: document.getElementById('profileStatut')?.value || 'permanent',
+                    service: String(serviceValue).trim() === '' ? null : parseFloat(serviceValue),
+                    reductions: heures
+                        .map((h, i) => ({ heures: parseFloat(h), motif: (motifs[i] || '').trim() }))
+                        .filter(r => Number.isFinite(r.heures) && r.heures > 0)
+                };
+
+                // Laisser le dialogue courant se fermer avant un éventuel message d'erreur
+                setTimeout(() => this.updateProfile(nom, nouveauProfil), 0);
+            }
+        });
+    }
+
+    /**
+     * Met à jour le profil d'un enseignant
+     * @param {string} nom - Le nom de l'enseignant
+     * @param {Object} profil - { grade, email, statut, service, reductions }
+     * @returns {boolean} Succès de la mise à jour
+     */
+    updateProfile(nom, profil) {
+        if (!StateManager.state.enseignants.includes(nom)) {
+            DialogManager.error(`Enseignant "${nom}" introuvable.`);
+            return false;
+        }
+
+        if (profil.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profil.email)) {
+            DialogManager.error(`Adresse email invalide : "${safeText(profil.email)}".`);
+            return false;
+        }
+
+        if (profil.service !== null && (!Number.isFinite(profil.service) || profil.service < 0)) {
+            DialogManager.error('Le service statutaire doit être un nombre d\'heures positif.');
+            return false;
+        }
+
+        StateManager.state.enseignantProfils[nom] = new Teacher(nom, { profil }).profil;
+
+        LogService.success(`✅ Profil de "${nom}" mis à jour`);
+        NotificationManager.success('Profil mis à jour');
+        StateManager.saveState();
+        StateManager.notify('teacher:updated', { nom });
+
+        return true;
+    }
+
     /**
      * Ajoute un volume supplémentaire pour un enseignant
      * @param {string} nom - Le nom de l'enseignant
@@ -217,12 +327,14 @@ class TeacherController {
             const stats = this.getTeacherStats(nom);
             const souhaits = StateManager.state.enseignantSouhaits[nom];
             const volumesSupplementaires = StateManager.state.enseignantVolumesSupplementaires[nom] || [];
+            const { profil } = new Teacher(nom, { profil: StateManager.state.enseignantProfils[nom] });
 
             return {
                 nom,
                 stats,
                 souhaits,
-                volumesSupplementaires
+                volumesSupplementaires,
+                profil
             };
         });
     }
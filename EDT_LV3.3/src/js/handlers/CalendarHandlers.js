@@ -0,0 +1,237 @@
+/**
+ * Gestionnaire du calendrier daté (semestre, vacances, examens, exceptions d'occurrences)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import CalendarService from '../services/CalendarService.js';
+import LogService from '../services/LogService.js';
+import DialogManager from '../ui/DialogManager.js';
+import NotificationManager from '../ui/NotificationManager.js';
+import CalendarRenderer from '../ui/CalendarRenderer.js';
+import { getCreneauxForJour } from '../utils/helpers.js';
+import { safeText } from '../utils/sanitizers.js';
+import { READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+
+class CalendarHandlers {
+    /**
+     * Refuse la modification d'un projet archivé
+     * @returns {boolean} True si le projet est en lecture seule
+     */
+    isBlocked() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Sauvegarde le calendrier et rafraîchit les vues dépendantes
+     */
+    commit() {
+        StateManager.saveState();
+        CalendarRenderer.render();
+        StateManager.notify('calendar:changed');
+    }
+
+    /**
+     * Enregistre les dates du semestre de la session active
+     */
+    saveSemestre() {
+        if (this.isBlocked()) return;
+
+        const debut = document.getElementById('calendarSemestreDebut')?.value || '';
+        const fin = document.getElementById('calendarSemestreFin')?.value || '';
+        const result = CalendarService.setSemestre(null, debut, fin);
+        if (!result.success) {
+            DialogManager.error(result.error);
+            return;
+        }
+
+        LogService.success(`Semestre daté : ${CalendarService.countTeachingWeeks()} semaine(s) de cours.`);
+        this.commit();
+    }
+
+    /**
+     * Ajoute une période de vacances ou d'examens depuis le formulaire
+     */
+    addPeriode() {
+        if (this.isBlocked()) return;
+
+        const type = document.getElementById('calendarPeriodeType')?.value || 'vacances';
+        const result = CalendarService.addPeriode(type, {
+            debut: document.getElementById('calendarPeriodeDebut')?.value || '',
+            fin: document.getElementById('calendarPeriodeFin')?.value || '',
+            libelle: document.getElementById('calendarPeriodeLibelle')?.value || ''
+        });
+        if (!result.success) {
+            DialogManager.error(result.error);
+            return;
+        }
+
+        NotificationManager.success(type === 'examens' ? "Période d'examens ajoutée" : 'Vacances ajoutées', 2000);
+        this.commit();
+    }
+
+    /**
+     * Supprime une période
+     * @param {string} type - 'vacances' | 'examens'
+     * @param {number} index - L'index de la période
+     */
+    removePeriode(type, index) {
+        if (this.isBlocked()) return;
+
+        CalendarService.removePeriode(type, index);
+        this.commit();
+    }
+
+    /**
+     * Affiche une semaine
+     * @param {number} index - Le numéro de semaine
+     */
+    selectWeek(index) {
+        CalendarRenderer.setSelectedWeek(index);
+        StateManager.saveState(true);
+        CalendarRenderer.render();
+    }
+
+    /**
+     * Annule une occurrence (la semaine type n'est pas modifiée)
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date de l'occurrence
+     */
+    cancelOccurrence(seanceId, date) {
+        if (this.isBlocked()) return;
+
+        const seance = StateManager.findSeanceById(seanceId);
+        if (!seance) return;
+
+        DialogManager.show({
+            title: 'Annuler une occurrence',
+            htmlMessage: `
+                <p>Annuler <strong>${safeText(seance.matiere)} (${safeText(seance.type)})</strong>
+                du ${safeText(CalendarService.formatDateFR(date))} à ${safeText(seance.creneau)} ?</p>
+                <div class="form-group">
+                    <label for="occurrenceMotif">Motif</label>
+                    <input type="text" id="occurrenceMotif" placeholder="ex: enseignant en mission">
+                </div>`,
+            allowHtml: true,
+            confirmText: "Annuler l'occurrence",
+            cancelText: 'Fermer',
+            onConfirm: () => {
+                const motif = document.getElementById('occurrenceMotif')?.value || '';
+                StateManager.recordHistory(`Annulation ${seance.matiere} (${seance.type}) du ${CalendarService.formatDateFR(date)}`);
+                CalendarService.cancelOccurrence(seanceId, date, motif);
+                LogService.info(`Occurrence annulée : ${seance.matiere} (${seance.type}) du ${CalendarService.formatDateFR(date)}`);
+                this.commit();
+            }
+        });
+    }
+
+    /**
+     * Déplace une occurrence vers une autre date et un autre créneau
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date d'origine de l'occurrence
+     */
+    moveOccurrence(seanceId, date) {
+        if (this.isBlocked()) return;
+
+        const seance = StateManager.findSeanceById(seanceId);
+        if (!seance) return;
+
+        const current = CalendarService.findException(seanceId, date);
+        const defaultDate = current?.nouvelleDate || date;
+        const defaultCreneau = current?.nouveauCreneau || seance.creneau;
+        const creneaux = getCreneauxForJour(CalendarService.getJourForDate(defaultDate));
+
+        DialogManager.show({
+            title: 'Déplacer une occurrence',
+            htmlMessage: `
+                <p>Déplacer <strong>${safeText(seance.matiere)} (${safeText(seance.type)})</strong>
+                du ${safeText(CalendarService.formatDateFR(date))} à ${safeText(seance.creneau)}.</p>
+                <div class="form-group">
+                    <label for="occurrenceDate">Nouvelle date</label>
+                    <input type="date" id="occurrenceDate" value="${safeText(defaultDate)}">
+                </div>
+                <div class="form-group">
+                    <label for="occurrenceCreneau">Nouveau créneau</label>
+                    <input type="text" id="occurrenceCreneau" value="${safeText(defaultCreneau)}" list="occurrenceCreneaux">
+                    <datalist id="occurrenceCreneaux">${creneaux.map(c => `<option value="${safeText(c)}">`).join('')}</datalist>
+                </div>
+                <div class="form-group">
+                    <label for="occurrenceMotif">Motif</label>
+                    <input type="text" id="occurrenceMotif" value="${safeText(current?.motif || '')}" placeholder="ex: rattrapage">
+                </div>`,
+            allowHtml: true,
+            confirmText: 'Déplacer',
+            cancelText: 'Fermer',
+            onConfirm: () => {
+                const nouvelleDate = document.getElementById('occurrenceDate')?.value || '';
+                const nouveauCreneau = (document.getElementById('occurrenceCreneau')?.value || '').trim();
+                const motif = document.getElementById('occurrenceMotif')?.value || '';
+                // Laisser le dialogue courant se fermer avant d'en ouvrir un autre
+                setTimeout(() => this.applyMove(seance, date, nouvelleDate, nouveauCreneau, motif), 0);
+            }
+        });
+    }
+
+    /**
+     * Applique un report après vérification des conflits de la semaine d'arrivée
+     * @param {Session} seance - La séance
+     * @param {string} date - La date d'origine
+     * @param {string} nouvelleDate - La nouvelle date
+     * @param {string} nouveauCreneau - Le nouveau créneau
+     * @param {string} motif - Le motif
+     */
+    applyMove(seance, date, nouvelleDate, nouveauCreneau, motif) {
+        const apply = () => {
+            StateManager.beginHistoryGroup(`Report ${seance.matiere} (${seance.type}) du ${CalendarService.formatDateFR(date)}`);
+            let result;
+            try {
+                result = CalendarService.moveOccurrence(seance.id, date, nouvelleDate, nouveauCreneau, motif);
+            } finally {
+                StateManager.endHistoryGroup();
+            }
+            if (!result.success) {
+                DialogManager.error(result.error);
+                return;
+            }
+            LogService.info(`Occurrence déplacée : ${seance.matiere} (${seance.type}) du ${CalendarService.formatDateFR(date)} au ${CalendarService.formatDateFR(nouvelleDate)} ${nouveauCreneau}`);
+
+            // Suivre l'occurrence dans sa nouvelle semaine
+            const week = CalendarService.getWeeks().find(w => w.debut <= nouvelleDate && nouvelleDate <= w.fin);
+            if (week) CalendarRenderer.setSelectedWeek(week.index);
+            this.commit();
+        };
+
+        const conflicts = CalendarService.getMoveConflicts(seance, nouvelleDate, nouveauCreneau);
+        if (conflicts.length === 0) {
+            apply();
+            return;
+        }
+
+        DialogManager.confirm(
+            'Conflits détectés',
+            `Le ${safeText(CalendarService.formatDateFR(nouvelleDate))} à ${safeText(nouveauCreneau)} :<br>${conflicts.map(c => `- ${safeText(c)}`).join('<br>')}<br><br>Déplacer quand même ?`,
+            apply
+        );
+    }
+
+    /**
+     * Rétablit une occurrence annulée ou déplacée
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date d'origine de l'occurrence
+     */
+    restoreOccurrence(seanceId, date) {
+        if (this.isBlocked()) return;
+
+        const seance = StateManager.findSeanceById(seanceId);
+        StateManager.recordHistory(`Rétablissement ${seance?.matiere || ''} (${seance?.type || ''}) du ${CalendarService.formatDateFR(date)}`);
+        CalendarService.restoreOccurrence(seanceId, date);
+        this.commit();
+    }
+}
+
+// Export d'une instance singleton
+export default new CalendarHandlers();
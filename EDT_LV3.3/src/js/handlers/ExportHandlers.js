@@ -10,6 +10,11 @@ import SpinnerManager from '../ui/SpinnerManager.js';
 import NotificationManager from '../ui/NotificationManager.js';
 import TableRenderer from '../ui/TableRenderer.js';
 import StateManager from '../controllers/StateManager.js';
+import ICalendarService from '../services/ICalendarService.js';
+import ExternalOccupationService from '../services/ExternalOccupationService.js';
+import ServiceStatementService from '../services/ServiceStatementService.js';
+import { minutesToTime } from '../utils/helpers.js';
+import { safeText } from '../utils/sanitizers.js';
 // import { escapeHTML } from '../utils/sanitizers.js';
 
 class ExportHandlers {
@@ -67,6 +72,19 @@ class ExportHandlers {
         }
     }
 
+    /**
+     * Exporte les forfaits et le catalogue des natures en Excel
+     */
+    exportForfaits() {
+        const success = ExportService.exportForfaitsToExcel();
+
+        if (success) {
+            NotificationManager.success('Forfaits exportés avec succès');
+        } else {
+            NotificationManager.error('Erreur lors de l\'export des forfaits');
+        }
+    }
+
     /**
      * Exporte les volumes horaires en Excel
      */
@@ -227,6 +245,187 @@ class ExportHandlers {
         );
     }
 
+    /**
+     * Affiche le rapport consolidé des conflits de salles et d'enseignants
+     * entre ce département et les occupations externes chargées
+     */
+    showCrossDepartmentReport() {
+        const sources = ExternalOccupationService.getSources();
+        if (sources.length === 0) {
+            DialogManager.error("Aucune occupation externe chargée : importez d'abord le projet ou le fichier de réservation d'un autre département.");
+            return;
+        }
+
+        const conflicts = ExternalOccupationService.getCrossDepartmentConflicts();
+        if (conflicts.length === 0) {
+            DialogManager.success(`✅ Aucun conflit de salle ou d'enseignant avec les ${sources.length} source(s) chargée(s).`);
+            return;
+        }
+
+        const rows = conflicts.map(c => `
+                    <tr>
+                        <td>${c.ressource === 'salle' ? '🏫' : '👨‍🏫'} ${safeText(c.nom)}</td>
+                        <td>${safeText(c.jour)} ${minutesToTime(c.debut)}–${minutesToTime(c.fin)}</td>
+                        <td><strong>${safeText(c.origineA)}</strong><br><small>${safeText(c.libelleA)}</small></td>
+                        <td><strong>${safeText(c.origineB)}</strong><br><small>${safeText(c.libelleB)}</small></td>
+                    </tr>`).join('');
+
+        DialogManager.show({
+            title: `Conflits inter-départements (${conflicts.length})`,
+            htmlMessage: `
+                <div class="cross-department-report">
+                    <table>
+                        <thead><tr><th>Ressource</th><th>Moment</th><th>Occupation</th><th>En conflit avec</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`,
+            allowHtml: true,
+            confirmText: 'Exporter (Excel)',
+            cancelText: 'Fermer',
+            onConfirm: () => {
+                if (ExportService.exportCrossDepartmentConflictsToExcel()) {
+                    NotificationManager.success('Rapport exporté');
+                } else {
+                    NotificationManager.error('Erreur lors de l\'export du rapport');
+                }
+            }
+        });
+    }
+
+    /**
+     * Affiche la modale des états de service : récapitulatif des heures complémentaires
+     * du département et choix du format (PDF ou Excel)
+     */
+    showServiceStatementsDialog() {
+        const enseignants = StateManager.state.enseignants;
+        if (enseignants.length === 0) {
+            DialogManager.error('Aucun enseignant enregistré.');
+            return;
+        }
+
+        const { totals, unite, annualVHM } = ServiceStatementService.buildStatements();
+
+        const html = `
+            <div class="export-options">
+                <p>
+                    <strong>${totals.enseignants}</strong> enseignant(s) – service dû total : <strong>${totals.serviceDu} ${safeText(unite)}</strong>,
+                    service fait : <strong>${totals.serviceFait} ${safeText(unite)}</strong><br>
+                    Heures complémentaires : <strong>${totals.heuresComplementaires} ${safeText(unite)}</strong>
+                    (${totals.enseignantsEnHeuresComplementaires} enseignant(s))
+                </p>
+                <div class="form-group">
+                    <label for="serviceStatementsFormat">Format :</label>
+                    <select id="serviceStatementsFormat">
+                        <option value="pdf">PDF (une page signée par enseignant)</option>
+                        <option value="excel">Excel (une feuille par enseignant)</option>
+                    </select>
+                </div>
+                <p class="help-text">
+                    Service fait = enseignement des deux sessions, forfaits et volumes supplémentaires.
+                    Service dû = profil de l'enseignant, à défaut le VHM annuel (${annualVHM} ${safeText(unite)}).
+                    Les états sont à éditer une fois l'emploi du temps définitif.
+                </p>
+            </div>
+        `;
+
+        DialogManager.show({
+            title: 'États de service – heures complémentaires',
+            htmlMessage: html,
+            allowHtml: true,
+            confirmText: 'Exporter',
+            cancelText: 'Annuler',
+            onConfirm: () => {
+                this.exportServiceStatements(document.getElementById('serviceStatementsFormat')?.value || 'pdf');
+            }
+        });
+    }
+
+    /**
+     * Exporte les états de service
+     * @param {string} format - 'pdf' | 'excel'
+     */
+    exportServiceStatements(format) {
+        SpinnerManager.show();
+
+        try {
+            const success = format === 'excel'
+                ? ExportService.exportServiceStatementsToExcel()
+                : ExportService.exportServiceStatementsToPDF();
+
+            if (success) {
+                NotificationManager.success('États de service exportés avec succès');
+            } else {
+                NotificationManager.error('Erreur lors de l\'export des états de service');
+            }
+        } finally {
+            SpinnerManager.hide();
+        }
+    }
+
+    /**
+     * Affiche la modale d'export iCalendar (.ics) : un enseignant, une salle,
+     * une filière / section / groupe, ou tous les enseignants (archive ZIP)
+     */
+    showICSExportDialog() {
+        const targets = ICalendarService.getScopeTargets();
+        const renderGroup = (scope, label) => targets[scope].length === 0 ? '' : `
+                    <optgroup label="${label}">
+                        ${targets[scope].map(t => `<option value="${scope}::${safeText(t)}">${safeText(t)}</option>`).join('')}
+                    </optgroup>`;
+
+        const html = `
+            <div class="export-options">
+                <div class="form-group">
+                    <label for="icsTarget">Agenda à exporter :</label>
+                    <select id="icsTarget">
+                        <option value="tous::">Tous les enseignants (un fichier .ics par enseignant, ZIP)</option>
+                        ${renderGroup('enseignant', 'Enseignants')}
+                        ${renderGroup('salle', 'Salles')}
+                        ${renderGroup('groupe', 'Filières, sections et groupes')}
+                    </select>
+                </div>
+                <p class="help-text">
+                    Les occurrences sont datées d'après le calendrier du semestre (vacances et examens exclus,
+                    reports et annulations inclus). Réimporter le fichier met à jour les événements existants.
+                </p>
+            </div>
+        `;
+
+        DialogManager.show({
+            title: 'Export Agenda (.ics)',
+            htmlMessage: html,
+            allowHtml: true,
+            confirmText: 'Exporter',
+            cancelText: 'Annuler',
+            onConfirm: () => {
+                const value = document.getElementById('icsTarget')?.value || 'tous::';
+                const separator = value.indexOf('::');
+                this.exportICS(value.slice(0, separator), value.slice(separator + 2));
+            }
+        });
+    }
+
+    /**
+     * Exporte un agenda iCalendar
+     * @param {string} scope - 'tous' | 'enseignant' | 'salle' | 'groupe'
+     * @param {string} target - La cible (ignorée pour 'tous')
+     */
+    async exportICS(scope, target) {
+        if (scope !== 'tous') {
+            if (ExportService.exportToICS(scope, target)) {
+                NotificationManager.success('Agenda exporté avec succès');
+            }
+            return;
+        }
+
+        SpinnerManager.show();
+        try {
+            await ExportService.exportTeachersSchedulesToICS();
+        } finally {
+            SpinnerManager.hide();
+        }
+    }
+
 }
 
 // Export d'une instance singleton
@@ -7,6 +7,7 @@ import FormManager from '../ui/FormManager.js';
 import SessionController from '../controllers/SessionController.js';
 import StateManager from '../controllers/StateManager.js';
 import LogService from '../services/LogService.js';
+import CapacityService from '../services/CapacityService.js';
 import NotificationManager from '../ui/NotificationManager.js';
 import DialogManager from '../ui/DialogManager.js';
 import TableRenderer from '../ui/TableRenderer.js';
@@ -167,7 +168,8 @@ class FormHandlers {
         }
 
         StateManager.state.sallesInfo[data.nom] = data.type;
-        LogService.success(`✅ Salle "${data.nom}" (${data.type}) ajoutée`);
+        CapacityService.setRoomCapacity(data.nom, data.capacite);
+        LogService.success(`✅ Salle "${data.nom}" (${data.type}${data.capacite ? `, ${data.capacite} places` : ''}) ajoutée`);
         NotificationManager.success('Salle ajoutée');
         FormManager.resetSalleForm();
         StateManager.saveState();
@@ -196,10 +198,12 @@ class FormHandlers {
             return;
         }
 
-        StateManager.state.filieres.push({
+        const filiere = {
             nom: data.nom,
             session: data.session
-        });
+        };
+        if (data.effectif > 0) filiere.effectif = data.effectif;
+        StateManager.state.filieres.push(filiere);
 
         LogService.success(`✅ Filière "${data.nom}" (${data.session}) ajoutée`);
         NotificationManager.success('Filière ajoutée');
@@ -218,9 +222,10 @@ class FormHandlers {
     attribuerSeanceDirectement(jour, creneau) {
         const formData = FormManager.getSeanceFormData();
 
-        // Surcharger le jour et le créneau
+        // Surcharger le jour et le créneau (une durée libre démarre au début de la cellule)
         formData.jour = jour;
         formData.creneau = creneau;
+        formData.heureDebut = '';
 
         const result = SessionController.createSession(formData);
 
@@ -0,0 +1,121 @@
+/**
+ * Gestionnaire des actions d'historique (annuler / rétablir)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import LogService from '../services/LogService.js';
+import NotificationManager from '../ui/NotificationManager.js';
+import DialogManager from '../ui/DialogManager.js';
+import { READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+
+class HistoryHandlers {
+    /**
+     * Annule la dernière étape
+     */
+    undo() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const entry = StateManager.undo();
+
+        if (!entry) {
+            NotificationManager.info('Rien à annuler');
+            return;
+        }
+
+        LogService.info(`↶ Annulé : ${entry.label}`);
+        NotificationManager.success(`Annulé : ${entry.label}`);
+    }
+
+    /**
+     * Rétablit la dernière étape annulée
+     */
+    redo() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const entry = StateManager.redo();
+
+        if (!entry) {
+            NotificationManager.info('Rien à rétablir');
+            return;
+        }
+
+        LogService.info(`↷ Rétabli : ${entry.label}`);
+        NotificationManager.success(`Rétabli : ${entry.label}`);
+    }
+
+    /**
+     * Annule toutes les étapes jusqu'à l'index donné (inclus)
+     * @param {number} index - L'index dans la pile d'annulation
+     */
+    undoUntil(index) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        let count = 0;
+        while (StateManager.history.undo.length > index && StateManager.undo()) {
+            count++;
+        }
+
+        if (count > 0) {
+            LogService.info(`↶ ${count} étape(s) annulée(s)`);
+            NotificationManager.success(`${count} étape(s) annulée(s)`);
+        }
+    }
+
+    /**
+     * Rétablit toutes les étapes jusqu'à l'index donné (inclus)
+     * @param {number} index - L'index dans la pile de rétablissement
+     */
+    redoUntil(index) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        let count = 0;
+        while (StateManager.history.redo.length > index && StateManager.redo()) {
+            count++;
+        }
+
+        if (count > 0) {
+            LogService.info(`↷ ${count} étape(s) rétablie(s)`);
+            NotificationManager.success(`${count} étape(s) rétablie(s)`);
+        }
+    }
+
+    /**
+     * Gère les raccourcis clavier Ctrl+Z / Ctrl+Y (Ctrl+Maj+Z)
+     * Les raccourcis natifs sont conservés dans les champs de saisie.
+     * @param {KeyboardEvent} event - L'événement clavier
+     */
+    handleKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+}
+
+// Export d'une instance singleton
+export default new HistoryHandlers();
@@ -8,6 +8,12 @@ import LogService from '../services/LogService.js';
 import DialogManager from '../ui/DialogManager.js';
 import SpinnerManager from '../ui/SpinnerManager.js';
 import NotificationManager from '../ui/NotificationManager.js';
+import TableRenderer from '../ui/TableRenderer.js';
+import ExternalOccupationRenderer from '../ui/ExternalOccupationRenderer.js';
+import ExternalOccupationService from '../services/ExternalOccupationService.js';
+import StateManager from '../controllers/StateManager.js';
+import { READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+import { safeText } from '../utils/sanitizers.js';
 // import { escapeHTML } from '../utils/sanitizers.js';
 
 class ImportHandlers {
@@ -26,14 +32,15 @@ class ImportHandlers {
             SpinnerManager.hide();
 
             if (result.success) {
-                const { imported, skipped, errors } = result.stats;
+                const { imported, skipped, errors, availability } = result.stats;
                 
                 DialogManager.success(
                     `✅ Import réussi !<br><br>
                     <strong>Résultats :</strong><br>
                     - Souhaits importés : ${imported}<br>
                     - Lignes ignorées : ${skipped}<br>
-                    - Erreurs : ${errors}`
+                    - Erreurs : ${errors}` +
+                    (availability ? `<br>- Indisponibilités importées : ${availability.imported} (${availability.skipped} ignorées)` : '')
                 );
 
                 // Rafraîchir l'interface si nécessaire
@@ -86,6 +93,198 @@ class ImportHandlers {
         }
     }
 
+    /**
+     * Importe les forfaits
+     * @param {File} file - Le fichier Excel
+     */
+    async importForfaits(file) {
+        if (!file) return;
+
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        SpinnerManager.show();
+
+        try {
+            const result = await ImportService.importForfaitsFromExcel(file);
+
+            SpinnerManager.hide();
+
+            const { imported, updated, skipped, catalogue, unknownTeachers } = result.stats;
+
+            DialogManager.success(
+                `✅ Import réussi !<br><br>
+                <strong>Résultats :</strong><br>
+                - Forfaits créés : ${imported}<br>
+                - Forfaits mis à jour : ${updated}<br>
+                - Natures du catalogue ajoutées ou mises à jour : ${catalogue}<br>
+                - Lignes ignorées : ${skipped}` +
+                (unknownTeachers.length > 0 ? `<br><br>⚠️ Enseignants inconnus : ${unknownTeachers.map(n => safeText(n)).join(', ')}` : '')
+            );
+
+            window.EDTApp?.populateForfaitSelects();
+        } catch (error) {
+            SpinnerManager.hide();
+            LogService.error(`❌ Erreur import : ${error.message}`);
+            DialogManager.error(`Erreur : ${error.message}`);
+        }
+    }
+
+    /**
+     * Importe un agenda externe (.ics) pour l'enseignant ou la salle sélectionné
+     * @param {File} file - Le fichier .ics
+     */
+    async importExternalOccupations(file) {
+        if (!file) return;
+
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const value = document.getElementById('externalOccupationTarget')?.value || '';
+        const separator = value.indexOf('::');
+        if (separator < 0) {
+            DialogManager.error("Choisissez l'enseignant ou la salle concerné(e) par l'agenda.");
+            return;
+        }
+        const cible = value.slice(0, separator);
+        const nom = value.slice(separator + 2);
+
+        SpinnerManager.show();
+
+        try {
+            const result = await ImportService.importExternalOccupationsFromICS(file, cible, nom);
+
+            SpinnerManager.hide();
+
+            const { imported, merged, outOfSemestre, ignored } = result.stats;
+            DialogManager.success(
+                `✅ Agenda <em>${safeText(file.name)}</em> importé pour <strong>${safeText(nom)}</strong><br><br>
+                <strong>Résultats :</strong><br>
+                - Créneaux occupés : ${imported}<br>
+                - Événements regroupés sur un même créneau : ${merged}<br>
+                - Événements hors semestre : ${outOfSemestre}<br>
+                - Événements ignorés (annulés, libres ou journée entière) : ${ignored}<br><br>
+                <em>Les occupations apparaissent grisées dans l'EDT en filtrant sur cet enseignant ou cette salle.</em>`
+            );
+
+            ExternalOccupationRenderer.render();
+            TableRenderer.render();
+        } catch (error) {
+            SpinnerManager.hide();
+            LogService.error(`❌ Erreur import : ${error.message}`);
+            DialogManager.error(`Erreur : ${safeText(error.message)}`);
+        }
+    }
+
+    /**
+     * Charge l'occupation d'autres départements (projet exporté ou fichier de réservation partagé)
+     * @param {File} file - Le fichier JSON
+     */
+    async importDepartmentOccupations(file) {
+        if (!file) return;
+
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        SpinnerManager.show();
+
+        try {
+            const result = await ImportService.importDepartmentOccupations(file);
+
+            SpinnerManager.hide();
+
+            if (result.departements.length === 0) {
+                DialogManager.error('Aucune réservation d\'un autre département pour cette session.');
+                return;
+            }
+
+            const details = result.departements.map(d => `
+                <strong>${safeText(d.departement)}</strong> : ${d.seances} séance(s)${d.ignored ? `, ${d.ignored} ignorée(s)` : ''}<br>
+                - Salles partagées : ${d.sallesPartagees.length > 0 ? safeText(d.sallesPartagees.join(', ')) : 'aucune'}<br>
+                - Enseignants partagés : ${d.enseignantsPartages.length > 0 ? safeText(d.enseignantsPartages.join(', ')) : 'aucun'}
+                ${d.warning ? `<br>⚠️ ${safeText(d.warning)}` : ''}`).join('<br><br>');
+            const conflicts = ExternalOccupationService.getCrossDepartmentConflicts().length;
+
+            DialogManager.success(
+                `✅ Occupation chargée (lecture seule)<br><br>${details}<br><br>
+                ${conflicts > 0
+                    ? `⚠️ ${conflicts} conflit(s) inter-départements : voir le rapport consolidé.`
+                    : 'Aucun conflit inter-départements.'}`
+            );
+
+            ExternalOccupationRenderer.render();
+            TableRenderer.render();
+        } catch (error) {
+            SpinnerManager.hide();
+            LogService.error(`❌ Erreur import : ${error.message}`);
+            DialogManager.error(`Erreur : ${safeText(error.message)}`);
+        }
+    }
+
+    /**
+     * Déclenche le sélecteur de fichier pour le chargement d'un autre département
+     */
+    triggerDepartmentImport() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const input = document.getElementById('fileImportDepartment');
+        if (input) {
+            input.click();
+        }
+    }
+
+    /**
+     * Supprime les occupations d'un agenda importé
+     * @param {number} index - L'index dans la liste des imports
+     */
+    removeExternalOccupations(index) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const source = ExternalOccupationService.getSources()[index];
+        if (!source) return;
+
+        DialogManager.confirm(
+            'Supprimer des occupations externes',
+            source.departement
+                ? `Retirer la couche d'occupation de <strong>${safeText(source.departement)}</strong> ?`
+                : `Supprimer les occupations de <strong>${safeText(source.nom)}</strong> importées depuis <em>${safeText(source.source)}</em> ?`,
+            () => {
+                const removed = ExternalOccupationService.removeSource(source.cible, source.nom, source.source);
+                StateManager.saveState();
+                LogService.info(`Occupations externes supprimées : ${source.nom || source.departement} (${source.source}, ${removed} créneau(x))`);
+                ExternalOccupationRenderer.render();
+                TableRenderer.render();
+            }
+        );
+    }
+
+    /**
+     * Déclenche le sélecteur de fichier pour import d'agenda externe
+     */
+    triggerExternalOccupationsImport() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const input = document.getElementById('fileImportICS');
+        if (input) {
+            input.click();
+        }
+    }
+
     /**
      * Déclenche le sélecteur de fichier pour import souhaits
      */
@@ -106,6 +305,21 @@ class ImportHandlers {
         }
     }
 
+    /**
+     * Déclenche le sélecteur de fichier pour import forfaits
+     */
+    triggerForfaitsImport() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const input = document.getElementById('fileImportForfaits');
+        if (input) {
+            input.click();
+        }
+    }
+
     /**
      * Télécharge le template Excel pour les souhaits
      */
@@ -0,0 +1,83 @@
+/**
+ * Gestionnaire des projets pluriannuels (création, bascule, archivage)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import ProjectService from '../services/ProjectService.js';
+import DialogManager from '../ui/DialogManager.js';
+import NotificationManager from '../ui/NotificationManager.js';
+import ProjectRenderer from '../ui/ProjectRenderer.js';
+import { safeText } from '../utils/sanitizers.js';
+
+class ProjectHandlers {
+    /**
+     * Crée un projet pour une nouvelle année à partir du formulaire
+     */
+    createProject() {
+        const annee = document.getElementById('inputNewProjectAnnee')?.value.trim();
+        const departement = document.getElementById('selectNewProjectDept')?.value;
+        const cloneConfig = document.getElementById('checkCloneProjectConfig')?.checked ?? true;
+
+        if (!annee || !departement) {
+            DialogManager.error('Veuillez saisir l\'année universitaire et le département.');
+            return;
+        }
+
+        const result = ProjectService.createProject(annee, departement, { cloneConfig });
+
+        if (!result.success) {
+            DialogManager.error(result.message);
+            return;
+        }
+
+        const input = document.getElementById('inputNewProjectAnnee');
+        if (input) input.value = '';
+
+        ProjectRenderer.render();
+
+        DialogManager.confirm(
+            'Projet créé',
+            `Le projet <strong>${safeText(annee)} — ${safeText(departement)}</strong> a été créé${cloneConfig ? ' avec la configuration de l\'année courante (sans les séances)' : ''}.<br><br>Voulez-vous l'ouvrir maintenant ?`,
+            () => this.switchProject(result.project.id)
+        );
+    }
+
+    /**
+     * Ouvre un projet
+     * @param {string} projectId - L'identifiant du projet
+     */
+    switchProject(projectId) {
+        if (ProjectService.switchProject(projectId)) {
+            const project = ProjectService.getActiveProject();
+            NotificationManager.success(`Projet ${project.annee} ouvert${project.archived ? ' (lecture seule)' : ''}`);
+        }
+        ProjectRenderer.render();
+    }
+
+    /**
+     * Archive ou désarchive un projet
+     * @param {string} projectId - L'identifiant du projet
+     * @param {boolean} archived - Nouvel état
+     */
+    setArchived(projectId, archived) {
+        const apply = () => {
+            ProjectService.setArchived(projectId, archived);
+            NotificationManager.success(archived ? 'Projet archivé (lecture seule)' : 'Projet désarchivé');
+            ProjectRenderer.render();
+        };
+
+        if (!archived) {
+            apply();
+            return;
+        }
+
+        DialogManager.confirm(
+            'Archiver le projet',
+            'Le projet archivé restera consultable mais ne pourra plus être modifié tant qu\'il ne sera pas désarchivé. Continuer ?',
+            apply
+        );
+    }
+}
+
+// Export d'une instance singleton
+export default new ProjectHandlers();
@@ -0,0 +1,106 @@
+/**
+ * Gestionnaire du glisser-déposer de la grille salles × semaine
+ * @author Ibrahim Mrani - UCD
+ */
+
+import SessionController from '../controllers/SessionController.js';
+import StateManager from '../controllers/StateManager.js';
+import RoomManagementRenderer from '../ui/RoomManagementRenderer.js';
+
+class RoomGridHandlers {
+    constructor() {
+        this.draggedSessionId = null;
+    }
+
+    /**
+     * Début du glisser d'une séance
+     * @param {DragEvent} event - L'événement
+     * @param {number} sessionId - L'ID de la séance
+     */
+    handleDragStart(event, sessionId) {
+        this.draggedSessionId = sessionId;
+        try {
+            event.dataTransfer.setData('text/plain', sessionId);
+            event.dataTransfer.effectAllowed = 'move';
+        } catch (err) {
+            console.warn('dataTransfer non disponible', err);
+        }
+        setTimeout(() => {
+            if (event.target) event.target.style.opacity = '0.5';
+        }, 0);
+    }
+
+    /**
+     * Fin du glisser
+     * @param {DragEvent} event - L'événement
+     */
+    handleDragEnd(event) {
+        if (event.target) event.target.style.opacity = '1';
+        this.draggedSessionId = null;
+        this.clearDropFeedback();
+    }
+
+    /**
+     * Survol d'une cellule : occupation et compatibilité vérifiées en direct
+     * @param {DragEvent} event - L'événement
+     */
+    handleDragOver(event) {
+        event.preventDefault();
+        const cell = event.target.closest('td[data-salle]');
+        if (!cell || !this.draggedSessionId) return;
+
+        const seance = StateManager.findSeanceById(this.draggedSessionId);
+        if (!seance) return;
+
+        const { salle, jour, creneau } = cell.dataset;
+        const conflicts = SessionController.getRoomMoveConflicts(seance, jour, creneau, salle);
+        cell.classList.toggle('drop-target-active', conflicts.length === 0);
+        cell.classList.toggle('cellule-conflit', conflicts.length > 0);
+        cell.title = conflicts.map(c => c.replace(/\*\*/g, '')).join('\n');
+    }
+
+    /**
+     * Sortie d'une cellule
+     * @param {DragEvent} event - L'événement
+     */
+    handleDragLeave(event) {
+        const cell = event.target.closest('td[data-salle]');
+        if (cell) {
+            cell.classList.remove('drop-target-active', 'cellule-conflit');
+            cell.title = '';
+        }
+    }
+
+    /**
+     * Dépôt : déplace la séance dans la salle (et le créneau) de la cellule
+     * @param {DragEvent} event - L'événement
+     */
+    handleDrop(event) {
+        event.preventDefault();
+        const cell = event.target.closest('td[data-salle]');
+        const sessionId = this.draggedSessionId;
+        this.clearDropFeedback();
+        this.draggedSessionId = null;
+
+        if (!cell || !sessionId) return;
+
+        const { salle, jour, creneau } = cell.dataset;
+        const result = SessionController.moveSessionToRoom(sessionId, jour, creneau, salle);
+        if (result.success) {
+            RoomManagementRenderer.render();
+        }
+    }
+
+    /**
+     * Retire le retour visuel du glisser-déposer
+     */
+    clearDropFeedback() {
+        document.querySelectorAll('.room-week-cell.drop-target-active, .room-week-cell.cellule-conflit').forEach(cell => {
+            cell.classList.remove('drop-target-active', 'cellule-conflit');
+            cell.title = '';
+        });
+    }
+}
+
+// Export d'une instance singleton
+export default new RoomGridHandlers();
@@ -4,19 +4,27 @@
  */
 
 import SchedulingService from '../services/SchedulingService.js';
+import WorkloadBalancingService from '../services/WorkloadBalancingService.js';
 import StateManager from '../controllers/StateManager.js';
 import LogService from '../services/LogService.js';
 import DialogManager from '../ui/DialogManager.js';
 import SpinnerManager from '../ui/SpinnerManager.js';
 import NotificationManager from '../ui/NotificationManager.js';
 import TableRenderer from '../ui/TableRenderer.js';
-// import { escapeHTML } from '../utils/sanitizers.js';
+import PlacementDiagnosticRenderer from '../ui/PlacementDiagnosticRenderer.js';
+import { PLANNING_ENGINES, READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+import { safeText } from '../utils/sanitizers.js';
 
 class SchedulingHandlers {
     /**
      * Lance la génération automatique de toutes les séances
      */
     async generateAllSessions() {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
         const subjects = StateManager.getCurrentSessionSubjects();
 
         if (subjects.length === 0) {
@@ -33,18 +41,23 @@ class SchedulingHandlers {
             - Attribuer enseignants : ${options.assignTeachers ? 'Oui' : 'Non'}<br>
             - Attribuer salles : ${options.assignRooms ? 'Oui' : 'Non'}<br>
             - Respecter souhaits : ${options.respectWishes ? 'Oui' : 'Non'}<br>
-            - Éviter conflits : ${options.avoidConflicts ? 'Oui' : 'Non'}<br><br>
+            - Éviter conflits : ${options.avoidConflicts ? 'Oui' : 'Non'}<br>
+            - Moteur : ${options.engine === PLANNING_ENGINES.SOLVER ? 'Solveur de contraintes' : 'Glouton'}<br><br>
             <em>Cette opération peut prendre quelques secondes...</em>`,
             async () => {
                 SpinnerManager.show();
 
+                // Toute la génération forme une seule étape annulable
+                StateManager.beginHistoryGroup('Génération automatique');
+
                 try {
                     const result = await SchedulingService.autoGenerateAllSessions(options);
+                    StateManager.endHistoryGroup();
 
                     SpinnerManager.hide();
 
                     if (result.success) {
-                        const { created, failed, skipped, total } = result.stats;
+                        const { created, failed, skipped, total, score } = result.stats;
                         
                         DialogManager.success(
                             `✅ Génération terminée !<br><br>
@@ -52,15 +65,19 @@ class SchedulingHandlers {
                             - Séances créées : ${created}<br>
                             - Séances échouées : ${failed}<br>
                             - Séances existantes : ${skipped}<br>
-                            - Total théorique : ${total}`
+                            - Total théorique : ${total}<br>
+                            - Score objectif : ${score} <em>(plus bas = meilleur)</em>
+                            ${failed > 0 ? '<br><br>Le <strong>Diagnostic de placement</strong> détaille les contraintes qui bloquent chaque séance échouée.' : ''}`
                         );
 
                         StateManager.saveState();
                         TableRenderer.render();
+                        PlacementDiagnosticRenderer.render();
                     } else {
                         DialogManager.error('Erreur lors de la génération automatique.');
                     }
                 } catch (error) {
+                    StateManager.endHistoryGroup();
                     SpinnerManager.hide();
                     LogService.error(`❌ Erreur : ${error.message}`);
                     DialogManager.error(`Erreur lors de la génération : ${error.message}`);
@@ -74,6 +91,11 @@ class SchedulingHandlers {
      * @param {string} matiereNom - Le nom de la matière
      */
     async generateSessionsForSubject(matiereNom) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
         const subject = StateManager.getSubjects().find(s => s.nom === matiereNom);
 
         if (!subject) {
@@ -89,8 +111,11 @@ class SchedulingHandlers {
             async () => {
                 SpinnerManager.show();
 
+                StateManager.beginHistoryGroup(`Génération automatique : ${matiereNom}`);
+
                 try {
                     const result = await SchedulingService.autoGenerateSubjectSessions(subject, options);
+                    StateManager.endHistoryGroup();
 
                     SpinnerManager.hide();
 
@@ -100,12 +125,15 @@ class SchedulingHandlers {
                         NotificationManager.success(`${created} séance(s) créée(s) pour ${matiereNom}`);
                         StateManager.saveState();
                         TableRenderer.render();
+                        PlacementDiagnosticRenderer.render();
                     } else if (skipped === total) {
                         NotificationManager.info('Toutes les séances existent déjà');
                     } else {
-                        NotificationManager.warning(`${failed} séance(s) non créée(s)`);
+                        NotificationManager.warning(`${failed} séance(s) non créée(s) : voir le diagnostic de placement`);
+                        PlacementDiagnosticRenderer.render();
                     }
                 } catch (error) {
+                    StateManager.endHistoryGroup();
                     SpinnerManager.hide();
                     LogService.error(`❌ Erreur : ${error.message}`);
                     DialogManager.error(`Erreur : ${error.message}`);
@@ -114,6 +142,25 @@ class SchedulingHandlers {
         );
     }
 
+    /**
+     * Affiche la carte de diagnostic d'une séance non placée
+     * @param {string|number} index - L'index dans la liste des séances non placées ('' = aucune)
+     */
+    showPlacementDiagnostic(index) {
+        PlacementDiagnosticRenderer.selectSession(index === '' ? null : Number(index));
+        PlacementDiagnosticRenderer.render();
+    }
+
+    /**
+     * Affiche le détail des contraintes d'une cellule du diagnostic
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     */
+    showPlacementDiagnosticCell(jour, creneau) {
+        PlacementDiagnosticRenderer.selectCell(jour, creneau);
+        PlacementDiagnosticRenderer.render();
+    }
+
     /**
      * Récupère les options de planification depuis l'interface
      * @returns {Object} Les options
@@ -123,18 +170,95 @@ class SchedulingHandlers {
             assignTeachers: document.getElementById('optionAssignTeachers')?.checked ?? true,
             assignRooms: document.getElementById('optionAssignRooms')?.checked ?? true,
             respectWishes: document.getElementById('optionRespectWishes')?.checked ?? true,
-            avoidConflicts: document.getElementById('optionAvoidConflicts')?.checked ?? true
+            avoidConflicts: document.getElementById('optionAvoidConflicts')?.checked ?? true,
+            engine: document.getElementById('optionPlanningEngine')?.value || PLANNING_ENGINES.GREEDY
         };
     }
 
     /**
-     * Optimise l'emploi du temps existant
+     * Optimise l'emploi du temps existant : équilibrage des charges enseignants
+     * sur les séances déjà placées, avec tableau avant/après à accepter ou rejeter
      */
     async optimizeSchedule() {
-        DialogManager.info(
-            'Fonctionnalité en développement',
-            'L\'optimisation automatique sera disponible dans une prochaine version.'
-        );
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        SpinnerManager.show();
+
+        let proposal;
+        try {
+            proposal = WorkloadBalancingService.computeProposal();
+        } catch (error) {
+            LogService.error(`❌ Erreur : ${error.message}`);
+            DialogManager.error(`Erreur lors de l'équilibrage des charges : ${error.message}`);
+            return;
+        } finally {
+            SpinnerManager.hide();
+        }
+
+        if (proposal.moves.length === 0) {
+            NotificationManager.info('Charges déjà équilibrées : aucune réaffectation possible dans le respect des souhaits, refus, conflits et plafonds');
+            return;
+        }
+
+        this.showBalancingProposal(proposal);
+    }
+
+    /**
+     * Affiche la proposition d'équilibrage : volumes avant/après par enseignant et réaffectations
+     * @param {Object} proposal - La proposition (voir WorkloadBalancingService.computeProposal)
+     */
+    showBalancingProposal(proposal) {
+        const { moves, rows, stats } = proposal;
+
+        const volumeRows = rows.map(r => {
+            const delta = Math.round((r.apres - r.avant) * 100) / 100;
+            return `
+                    <tr class="${delta !== 0 ? 'balancing-changed' : ''}">
+                        <td>${safeText(r.nom)}</td>
+                        <td class="${r.avant > r.plafond ? 'balancing-over' : ''}">${r.avant}</td>
+                        <td class="${r.apres > r.plafond ? 'balancing-over' : ''}">${r.apres}</td>
+                        <td>${delta > 0 ? '+' : ''}${delta}</td>
+                        <td>${r.reference}</td>
+                        <td>${r.plafond}</td>
+                    </tr>`;
+        }).join('');
+
+        const moveItems = moves.map(m => `
+                    <li>${safeText(m.matiere)} (${safeText(m.type)}) ${safeText(m.groupe)} – ${safeText(m.jour)} ${safeText(m.creneau)} :
+                        ${safeText(m.from)} → <strong>${safeText(m.to)}</strong></li>`).join('');
+
+        DialogManager.show({
+            title: `Équilibrage des charges (${moves.length} réaffectation(s))`,
+            htmlMessage: `
+                <div class="balancing-report">
+                    <p>
+                        Écart-type des écarts au service : <strong>${stats.ecartTypeAvant} → ${stats.ecartTypeApres}</strong><br>
+                        Charge maximale : <strong>${stats.maxAvant} → ${stats.maxApres}</strong><br>
+                        Enseignants au-dessus du plafond : <strong>${stats.depassementsAvant} → ${stats.depassementsApres}</strong>
+                    </p>
+                    <table>
+                        <thead><tr><th>Enseignant</th><th>Avant</th><th>Après</th><th>Δ</th><th>Référence</th><th>Plafond</th></tr></thead>
+                        <tbody>${volumeRows}</tbody>
+                    </table>
+                    <h4>Réaffectations</h4>
+                    <ul>${moveItems}</ul>
+                </div>`,
+            allowHtml: true,
+            confirmText: 'Appliquer',
+            cancelText: 'Rejeter',
+            onConfirm: () => {
+                const updated = WorkloadBalancingService.applyProposal(proposal);
+                NotificationManager.success(`${moves.length} réaffectation(s) appliquée(s) sur ${updated} séance(s)`);
+                TableRenderer.render();
+                window.EDTApp?.renderAll();
+            },
+            onCancel: () => {
+                NotificationManager.info('Proposition d\'équilibrage rejetée');
+            }
+        });
     }
 
     /**
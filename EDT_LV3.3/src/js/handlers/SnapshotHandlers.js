@@ -0,0 +1,107 @@
+/**
+ * Gestionnaire des instantanés nommés de l'EDT
+ * @author Ibrahim Mrani - UCD
+ */
+
+import SnapshotService from '../services/SnapshotService.js';
+import DialogManager from '../ui/DialogManager.js';
+import NotificationManager from '../ui/NotificationManager.js';
+import SnapshotRenderer from '../ui/SnapshotRenderer.js';
+import StateManager from '../controllers/StateManager.js';
+import { safeText } from '../utils/sanitizers.js';
+import { READ_ONLY_PROJECT_MESSAGE } from '../config/constants.js';
+
+class SnapshotHandlers {
+    /**
+     * Crée un instantané à partir du nom saisi
+     */
+    async createSnapshot() {
+        const input = document.getElementById('inputSnapshotName');
+        const name = input?.value.trim();
+
+        if (!name) {
+            DialogManager.error('Veuillez saisir un nom pour l\'instantané.');
+            return;
+        }
+
+        const snapshot = await SnapshotService.createSnapshot(name);
+
+        if (!snapshot) {
+            DialogManager.error('Impossible d\'enregistrer l\'instantané : projet en lecture seule ou espace de stockage insuffisant.');
+            return;
+        }
+
+        if (input) input.value = '';
+        NotificationManager.success(`Instantané "${name}" créé`);
+        SnapshotRenderer.render();
+    }
+
+    /**
+     * Restaure un instantané après confirmation
+     * @param {string} id - L'identifiant de l'instantané
+     */
+    restoreSnapshot(id) {
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return;
+        }
+
+        const snapshot = SnapshotService.getSnapshot(id);
+        if (!snapshot) return;
+
+        DialogManager.confirm(
+            'Restaurer une version',
+            `Remplacer l'EDT actuel par <strong>${safeText(snapshot.name)}</strong> (${snapshot.seances.length} séances) ?<br><br>
+            <em>Cette action peut être annulée avec Ctrl+Z.</em>`,
+            () => {
+                if (SnapshotService.restoreSnapshot(id)) {
+                    NotificationManager.success(`Version "${snapshot.name}" restaurée`);
+                    SnapshotRenderer.clearDiff();
+                }
+            }
+        );
+    }
+
+    /**
+     * Supprime un instantané après confirmation
+     * @param {string} id - L'identifiant de l'instantané
+     */
+    deleteSnapshot(id) {
+        const snapshot = SnapshotService.getSnapshot(id);
+        if (!snapshot) return;
+
+        DialogManager.confirm(
+            'Supprimer l\'instantané',
+            `Supprimer définitivement <strong>${safeText(snapshot.name)}</strong> ?`,
+            async () => {
+                if (!(await SnapshotService.deleteSnapshot(id))) {
+                    DialogManager.error('Impossible de supprimer l\'instantané : projet en lecture seule ou espace de stockage insuffisant.');
+                    return;
+                }
+                NotificationManager.success('Instantané supprimé');
+                SnapshotRenderer.render();
+                SnapshotRenderer.clearDiff();
+            }
+        );
+    }
+
+    /**
+     * Compare les deux versions sélectionnées
+     */
+    compareSnapshots() {
+        const idA = document.getElementById('selectSnapshotA')?.value;
+        const idB = document.getElementById('selectSnapshotB')?.value;
+
+        if (!idA || !idB) return;
+
+        if (idA === idB) {
+            NotificationManager.warning('Sélectionnez deux versions différentes');
+            return;
+        }
+
+        SnapshotRenderer.renderDiff(SnapshotService.compareSnapshots(idA, idB));
+    }
+}
+
+// Export d'une instance singleton
+export default new SnapshotHandlers();
@@ -0,0 +1,174 @@
+/**
+ * Gestionnaire de la vue "Planning par enseignant" (sélection et glisser-déposer)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import SessionController from '../controllers/SessionController.js';
+import StateManager from '../controllers/StateManager.js';
+import ConflictService from '../services/ConflictService.js';
+import DialogManager from '../ui/DialogManager.js';
+import TeacherPlannerRenderer from '../ui/TeacherPlannerRenderer.js';
+
+class TeacherPlannerHandlers {
+    constructor() {
+        this.dragged = null; // { id, fromTeacher, jour, creneau }
+    }
+
+    /**
+     * Affiche ou masque la colonne d'un enseignant
+     * @param {string} teacher - L'enseignant
+     * @param {boolean} visible - Afficher la colonne
+     */
+    toggleTeacher(teacher, visible) {
+        const selected = TeacherPlannerRenderer.getSelectedTeachers().filter(t => t !== teacher);
+        if (visible) selected.push(teacher);
+
+        // Conserver l'ordre de la liste des enseignants
+        const order = StateManager.state.enseignants || [];
+        selected.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+
+        TeacherPlannerRenderer.setSelectedTeachers(selected);
+        StateManager.saveState(true);
+        TeacherPlannerRenderer.render();
+    }
+
+    /**
+     * Début du glisser d'une séance depuis la colonne d'un enseignant
+     * @param {DragEvent} event - L'événement
+     * @param {number} sessionId - L'ID de la séance
+     */
+    handleDragStart(event, sessionId) {
+        const cell = event.target.closest('td[data-teacher]');
+        if (!cell) return;
+
+        this.dragged = {
+            id: sessionId,
+            fromTeacher: cell.dataset.teacher,
+            jour: cell.dataset.jour,
+            creneau: cell.dataset.creneau
+        };
+
+        try {
+            event.dataTransfer.setData('text/plain', sessionId);
+            event.dataTransfer.effectAllowed = 'move';
+        } catch (err) {
+            console.warn('dataTransfer non disponible', err);
+        }
+        setTimeout(() => {
+            if (event.target) event.target.style.opacity = '0.5';
+        }, 0);
+    }
+
+    /**
+     * Fin du glisser
+     * @param {DragEvent} event - L'événement
+     */
+    handleDragEnd(event) {
+        if (event.target) event.target.style.opacity = '1';
+        this.dragged = null;
+        this.clearDropFeedback();
+    }
+
+    /**
+     * Survol d'une cellule : vérifie en direct les conflits de l'enseignant cible
+     * @param {DragEvent} event - L'événement
+     */
+    handleDragOver(event) {
+        event.preventDefault();
+        const cell = event.target.closest('td[data-teacher]');
+        if (!cell || !this.dragged) return;
+
+        const conflicts = this.getDropConflicts(cell);
+        cell.classList.toggle('drop-target-active', conflicts.length === 0);
+        cell.classList.toggle('cellule-conflit', conflicts.length > 0);
+        cell.title = conflicts.map(c => c.replace(/\*\*/g, '')).join('\n');
+    }
+
+    /**
+     * Sortie d'une cellule
+     * @param {DragEvent} event - L'événement
+     */
+    handleDragLeave(event) {
+        const cell = event.target.closest('td[data-teacher]');
+        if (cell) {
+            cell.classList.remove('drop-target-active', 'cellule-conflit');
+            cell.title = '';
+        }
+    }
+
+    /**
+     * Dépôt : réattribue la séance à l'enseignant de la colonne
+     * @param {DragEvent} event - L'événement
+     */
+    handleDrop(event) {
+        event.preventDefault();
+        const cell = event.target.closest('td[data-teacher]');
+        const dragged = this.dragged;
+        this.clearDropFeedback();
+        this.dragged = null;
+
+        if (!cell || !dragged) return;
+
+        const toTeacher = cell.dataset.teacher;
+        if (toTeacher === dragged.fromTeacher) return;
+
+        if (cell.dataset.jour !== dragged.jour || cell.dataset.creneau !== dragged.creneau) {
+            DialogManager.error(
+                'Dans cette vue, une séance ne peut être déposée que sur le <strong>même créneau</strong> d\'un autre enseignant.<br>' +
+                'Utilisez la grille principale pour changer de créneau.'
+            );
+            return;
+        }
+
+        const result = SessionController.reassignTeacher(dragged.id, dragged.fromTeacher, toTeacher);
+        if (result.success) {
+            TeacherPlannerRenderer.render();
+        }
+    }
+
+    /**
+     * Conflits que provoquerait le dépôt sur une cellule
+     * @param {HTMLElement} cell - La cellule cible
+     * @returns {Array<string>} Les conflits (vide si dépôt possible)
+     */
+    getDropConflicts(cell) {
+        const { id, fromTeacher, jour, creneau } = this.dragged;
+        const toTeacher = cell.dataset.teacher;
+
+        if (toTeacher === fromTeacher) return [];
+        if (cell.dataset.jour !== jour || cell.dataset.creneau !== creneau) {
+            return ['Créneau différent : seule la réattribution sur le même créneau est possible.'];
+        }
+
+        const seance = StateManager.findSeanceById(id);
+        if (!seance) return [];
+        if (seance.enseignantsArray.includes(toTeacher)) {
+            return [`${toTeacher} est déjà affecté(e) à cette séance.`];
+        }
+
+        const allSeances = StateManager.getSeances();
+        const coupled = SessionController.findCoupledTpSession(seance, allSeances);
+        const excludeIds = [id, coupled?.id].filter(Boolean);
+        const others = allSeances.filter(s => !excludeIds.includes(s.id));
+
+        return [seance, coupled].filter(Boolean).flatMap(target =>
+            ConflictService.checkTeacherConflicts(
+                SessionController.withTeacherReplaced(target, fromTeacher, toTeacher),
+                others
+            )
+        );
+    }
+
+    /**
+     * Retire le retour visuel du glisser-déposer
+     */
+    clearDropFeedback() {
+        document.querySelectorAll('.teacher-planner-cell.drop-target-active, .teacher-planner-cell.cellule-conflit').forEach(cell => {
+            cell.classList.remove('drop-target-active', 'cellule-conflit');
+            cell.title = '';
+        });
+    }
+}
+
+// Export d'une instance singleton
+export default new TeacherPlannerHandlers();
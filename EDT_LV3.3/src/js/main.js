@@ -7,7 +7,7 @@
  */
 
 // === IMPORTS ===
-import { initCreneaux } from './utils/helpers.js';
+import { initCreneaux, initJours } from './utils/helpers.js';
 import StateManager from './controllers/StateManager.js';
 import SessionController from './controllers/SessionController.js';
 import TeacherController from './controllers/TeacherController.js';
@@ -33,15 +33,32 @@ import FormHandlers from './handlers/FormHandlers.js';
 import SchedulingHandlers from './handlers/SchedulingHandlers.js';
 import ExportHandlers from './handlers/ExportHandlers.js';
 import ImportHandlers from './handlers/ImportHandlers.js';
+import HistoryHandlers from './handlers/HistoryHandlers.js';
+import HistoryRenderer from './ui/HistoryRenderer.js';
+import TeacherPlannerHandlers from './handlers/TeacherPlannerHandlers.js';
+import TeacherPlannerRenderer from './ui/TeacherPlannerRenderer.js';
+import SnapshotHandlers from './handlers/SnapshotHandlers.js';
+import SnapshotRenderer from './ui/SnapshotRenderer.js';
+import StorageUsageRenderer from './ui/StorageUsageRenderer.js';
+import ProjectService from './services/ProjectService.js';
+import ProjectHandlers from './handlers/ProjectHandlers.js';
+import ProjectRenderer from './ui/ProjectRenderer.js';
 import DashboardController from './controllers/DashboardController.js';
 import DashboardRenderer from './ui/DashboardRenderer.js';
 import DashboardHandlers from './handlers/DashboardHandlers.js';
 import AnalyticsService from './services/AnalyticsService.js';
 import RoomManagementRenderer from './ui/RoomManagementRenderer.js';
+import RoomGridHandlers from './handlers/RoomGridHandlers.js';
+import CalendarRenderer from './ui/CalendarRenderer.js';
+import ExternalOccupationRenderer from './ui/ExternalOccupationRenderer.js';
+import PlacementDiagnosticRenderer from './ui/PlacementDiagnosticRenderer.js';
+import CalendarHandlers from './handlers/CalendarHandlers.js';
 import TabPersistence from './utils/TabPersistence.js';
 import { extractTeachersFromMatiereEntry } from './utils/teacherHelpers.js'; // <-- nouvel import
 import { escapeHTML } from './utils/sanitizers.js';
 import ValidationService from './services/ValidationService.js';
+import SchemaMigrationService from './services/SchemaMigrationService.js';
+import { READ_ONLY_PROJECT_MESSAGE } from './config/constants.js';
 import TeacherVolumePreview from './ui/TeacherVolumePreview.js';
 
 /**
@@ -118,7 +135,13 @@ class EDTApplication {
         console.log(`👨‍💻 Développeur: ${this.developer}`);
 
         try {
-            // 1. Charger l'état depuis le localStorage (faire la restauration avant tout rendu)
+            // 0. Sélectionner le backend de stockage (IndexedDB + migration du localStorage)
+            await StorageService.init();
+
+            // 0 bis. Sélectionner le projet actif (année universitaire + département)
+            ProjectService.init();
+
+            // 1. Charger l'état depuis le stockage (faire la restauration avant tout rendu)
             StateManager.loadState();
 
             // 2. Initialiser les gestionnaires UI (NotificationManager initialisé après loadState pour éviter
@@ -129,6 +152,7 @@ class EDTApplication {
             TabPersistence.init();
             // 3. Initialiser les créneaux dans les helpers
             initCreneaux(StateManager.state.creneaux);
+            initJours(StateManager.state.joursConfig);
 
             // 4. Initialiser l'interface
             this.initializeUI();
@@ -284,6 +308,34 @@ class EDTApplication {
         // Souhaits
         WishesRenderer.init('wishesListContainer');
 
+        // Historique annuler/rétablir
+        HistoryRenderer.init('historyPanelContainer');
+        HistoryRenderer.render();
+
+        // Planning par enseignant
+        TeacherPlannerRenderer.init('teacherPlannerContainer', 'teacherPlannerPicker');
+
+        // Calendrier daté
+        CalendarRenderer.init('calendarContainer');
+
+        // Occupations externes (agendas .ics)
+        ExternalOccupationRenderer.init('externalOccupationsContainer');
+
+        // Diagnostic de placement des séances non placées
+        PlacementDiagnosticRenderer.init('placementDiagnosticContainer');
+
+        // Instantanés nommés
+        SnapshotRenderer.init('snapshotListContainer', 'snapshotDiffContainer');
+        SnapshotRenderer.render();
+
+        // Occupation du stockage
+        StorageUsageRenderer.init('storageUsageContainer');
+        StorageUsageRenderer.render();
+
+        // Projets pluriannuels
+        ProjectRenderer.init('projectListContainer');
+        ProjectRenderer.render();
+
         // Listes de configuration
         // ConfigListRenderer n'a pas besoin d'init car il rend directement dans les conteneurs
     }
@@ -423,6 +475,16 @@ class EDTApplication {
                 this.cancelForfaitEdit();
             });
         }
+
+        // Nature du forfait : pré-remplir le volume par défaut du catalogue
+        const selectNatureForfait = document.getElementById('selectNatureForfait');
+        if (selectNatureForfait) {
+            selectNatureForfait.addEventListener('change', () => {
+                const entry = ForfaitController.getCatalogueEntry(selectNatureForfait.value);
+                const inputVolume = document.getElementById('inputVolumeHoraireForfait');
+                if (entry && inputVolume) inputVolume.value = entry.heures;
+            });
+        }
     }
 
     /**
@@ -550,14 +612,38 @@ class EDTApplication {
     }
 
     /**
-     * Peuple le sélecteur d'enseignants pour les forfaits
+     * Peuple les sélecteurs du formulaire de forfait (enseignants, natures du catalogue, période)
      */
     populateForfaitSelects() {
         const selectEnseignantForfait = document.getElementById('selectEnseignantForfait');
         if (selectEnseignantForfait) {
             const enseignants = StateManager.state.enseignants || [];
             populateSelectSafe(selectEnseignantForfait, enseignants, e => e, e => e, null, '-- Sélectionner un enseignant --');
+            // Liste à sélection multiple : pas d'option vide
+            if (selectEnseignantForfait.multiple) selectEnseignantForfait.options[0]?.remove();
+        }
+
+        const selectNatureForfait = document.getElementById('selectNatureForfait');
+        if (selectNatureForfait) {
+            const current = selectNatureForfait.value;
+            populateSelectSafe(selectNatureForfait, ForfaitController.getCatalogue(), c => c.nature, c => `${c.nature} (${c.heures}h)`);
+            selectNatureForfait.value = current;
         }
+
+        this.setForfaitPeriodDefaults(false);
+    }
+
+    /**
+     * Renseigne la session et l'année du formulaire de forfait avec celles du projet
+     * @param {boolean} force - Remplacer les valeurs déjà saisies
+     */
+    setForfaitPeriodDefaults(force = true) {
+        const { session, annee } = ForfaitController.resolvePeriod();
+        const selectSession = document.getElementById('selectSessionForfait');
+        const inputAnnee = document.getElementById('inputAnneeForfait');
+
+        if (selectSession && (force || !selectSession.value)) selectSession.value = session;
+        if (inputAnnee && (force || !inputAnnee.value)) inputAnnee.value = annee;
     }
 
     /**
@@ -915,12 +1001,23 @@ class EDTApplication {
         switch (tabId) {
             case 'planning':
                 TableRenderer.render();
+                PlacementDiagnosticRenderer.render();
+                break;
+            case 'teacher-planner':
+                TeacherPlannerRenderer.render();
+                break;
+            case 'calendrier':
+                CalendarRenderer.render();
+                break;
+            case 'rapports':
+                ExternalOccupationRenderer.render();
                 break;
             case 'dashboard':
                 DashboardRenderer.render();
                 break;
             case 'config':
                 ConfigListRenderer.renderAll();
+                StorageUsageRenderer.render();
                 break;
             case 'volumes':
                 VolumeRenderer.render();
@@ -958,9 +1055,11 @@ class EDTApplication {
                 break;
             case 'filieres':
                 ConfigListRenderer.renderFilieresList();
+                ConfigListRenderer.renderEffectifsList();
                 break;
             case 'forfaits':
                 ConfigListRenderer.renderForfaitsList();
+                ConfigListRenderer.renderForfaitCatalogue();
                 this.populateForfaitSelects();
                 break;
         }
@@ -979,6 +1078,53 @@ class EDTApplication {
             });
         }
 
+        // Sélecteur de projet (année universitaire)
+        const selectProject = document.getElementById('selectProject');
+        if (selectProject) {
+            selectProject.addEventListener('change', (e) => {
+                ProjectHandlers.switchProject(e.target.value);
+            });
+        }
+
+        const btnCreateProject = document.getElementById('btnCreateProject');
+        if (btnCreateProject) {
+            btnCreateProject.addEventListener('click', () => {
+                ProjectHandlers.createProject();
+            });
+        }
+
+        const selectNewProjectDept = document.getElementById('selectNewProjectDept');
+        const headerDeptSelect = document.getElementById('selectDepartement');
+        if (selectNewProjectDept && headerDeptSelect) {
+            Array.from(headerDeptSelect.options).forEach(o => {
+                selectNewProjectDept.appendChild(createOption({ value: o.value, text: o.text }));
+            });
+            selectNewProjectDept.value = StateManager.state.header.departement;
+        }
+
+        // Échec de sauvegarde : mettre à jour l'indicateur de stockage
+        window.addEventListener('app:storageError', () => {
+            StorageUsageRenderer.render();
+        });
+
+        // Raccourcis annuler/rétablir
+        document.addEventListener('keydown', (e) => HistoryHandlers.handleKeydown(e));
+
+        // Instantanés nommés
+        const btnCreateSnapshot = document.getElementById('btnCreateSnapshot');
+        if (btnCreateSnapshot) {
+            btnCreateSnapshot.addEventListener('click', () => {
+                SnapshotHandlers.createSnapshot();
+            });
+        }
+
+        const btnCompareSnapshots = document.getElementById('btnCompareSnapshots');
+        if (btnCompareSnapshots) {
+            btnCompareSnapshots.addEventListener('click', () => {
+                SnapshotHandlers.compareSnapshots();
+            });
+        }
+
         // Bouton clear log
         const clearLogBtn = document.getElementById('btnClearLog');
         if (clearLogBtn) {
@@ -1001,6 +1147,8 @@ class EDTApplication {
             inputAnnee.addEventListener('change', (e) => {
                 StateManager.state.header.annee = e.target.value;
                 StateManager.saveState();
+                ProjectService.updateActiveProjectInfo({ annee: e.target.value });
+                ProjectRenderer.render();
                 LogService.info(`Année universitaire mise à jour: ${e.target.value}`);
             });
         }
@@ -1011,6 +1159,8 @@ class EDTApplication {
             selectDept.addEventListener('change', (e) => {
                 StateManager.state.header.departement = e.target.value;
                 StateManager.saveState();
+                ProjectService.updateActiveProjectInfo({ departement: e.target.value });
+                ProjectRenderer.render();
                 LogService.info(`Département mis à jour: ${e.target.value}`);
             });
         }
@@ -1105,6 +1255,13 @@ class EDTApplication {
             });
         }
 
+        const btnExportICS = document.getElementById('btnExportICS');
+        if (btnExportICS) {
+            btnExportICS.addEventListener('click', () => {
+                ExportHandlers.showICSExportDialog();
+            });
+        }
+
         const btnExportVolumes = document.getElementById('btnExportVolumes');
         if (btnExportVolumes) {
             btnExportVolumes.addEventListener('click', () => {
@@ -1112,6 +1269,13 @@ class EDTApplication {
             });
         }
 
+        const btnExportServiceStatements = document.getElementById('btnExportServiceStatements');
+        if (btnExportServiceStatements) {
+            btnExportServiceStatements.addEventListener('click', () => {
+                ExportHandlers.showServiceStatementsDialog();
+            });
+        }
+
         const btnExportForfaits = document.getElementById('btnExportForfaits');
         if (btnExportForfaits) {
             btnExportForfaits.addEventListener('click', () => {
@@ -1119,6 +1283,23 @@ class EDTApplication {
             });
         }
 
+        const btnImportForfaits = document.getElementById('btnImportForfaits');
+        const fileImportForfaits = document.getElementById('fileImportForfaits');
+
+        if (btnImportForfaits && fileImportForfaits) {
+            btnImportForfaits.addEventListener('click', () => {
+                ImportHandlers.triggerForfaitsImport();
+            });
+
+            fileImportForfaits.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    ImportHandlers.importForfaits(file);
+                    e.target.value = '';
+                }
+            });
+        }
+
         // === IMPORT (onglet rapports) ===
         const btnImportWishes = document.getElementById('btnImportWishes');
         const fileImportWishes = document.getElementById('fileImportWishes');
@@ -1137,6 +1318,47 @@ class EDTApplication {
             });
         }
 
+        const btnImportICS = document.getElementById('btnImportICS');
+        const fileImportICS = document.getElementById('fileImportICS');
+
+        if (btnImportICS && fileImportICS) {
+            btnImportICS.addEventListener('click', () => {
+                ImportHandlers.triggerExternalOccupationsImport();
+            });
+
+            fileImportICS.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    ImportHandlers.importExternalOccupations(file);
+                    e.target.value = '';
+                }
+            });
+        }
+
+        const btnImportDepartment = document.getElementById('btnImportDepartment');
+        const fileImportDepartment = document.getElementById('fileImportDepartment');
+
+        if (btnImportDepartment && fileImportDepartment) {
+            btnImportDepartment.addEventListener('click', () => {
+                ImportHandlers.triggerDepartmentImport();
+            });
+
+            fileImportDepartment.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    ImportHandlers.importDepartmentOccupations(file);
+                    e.target.value = '';
+                }
+            });
+        }
+
+        const btnCrossDepartmentReport = document.getElementById('btnCrossDepartmentReport');
+        if (btnCrossDepartmentReport) {
+            btnCrossDepartmentReport.addEventListener('click', () => {
+                ExportHandlers.showCrossDepartmentReport();
+            });
+        }
+
         const btnImportSubjects = document.getElementById('btnImportSubjects');
         const fileImportSubjects = document.getElementById('fileImportSubjects');
 
@@ -1225,6 +1447,14 @@ class EDTApplication {
                 }
             });
         }
+
+        const teacherAvailabilityGrid = document.getElementById('teacherAvailabilityGrid');
+        if (teacherAvailabilityGrid) {
+            WishesRenderer.renderAvailabilityGrid('teacherAvailabilityGrid');
+            teacherAvailabilityGrid.addEventListener('click', (e) => {
+                WishesRenderer.cycleAvailabilityCell(e.target.closest('.availability-cell'));
+            });
+        }
     }
 
     /**
@@ -1248,6 +1478,7 @@ class EDTApplication {
         document.getElementById('inputTD3').value = souhaits.td3 || '';
         document.getElementById('inputTP3').value = souhaits.tp3 || '';
         document.getElementById('inputContraintes').value = souhaits.contraintes || 'Aucune remarque.';
+        WishesRenderer.renderAvailabilityGrid('teacherAvailabilityGrid', souhaits.indisponibilites || {});
 
         // Scroll vers le formulaire
         document.getElementById('formSouhaitsEnseignant').scrollIntoView({ behavior: 'smooth' });
@@ -1398,7 +1629,8 @@ class EDTApplication {
             c3: parseFloat(document.getElementById('inputC3').value) || 0,
             td3: parseFloat(document.getElementById('inputTD3').value) || 0,
             tp3: parseFloat(document.getElementById('inputTP3').value) || 0,
-            contraintes: document.getElementById('inputContraintes').value || 'Aucune remarque.'
+            contraintes: document.getElementById('inputContraintes').value || 'Aucune remarque.',
+            indisponibilites: WishesRenderer.readAvailabilityGrid('teacherAvailabilityGrid')
         };
 
         StateManager.state.enseignantSouhaits[nom] = souhaits;
@@ -1415,6 +1647,7 @@ class EDTApplication {
      */
     resetWishesForm() {
         document.getElementById('formSouhaitsEnseignant').reset();
+        WishesRenderer.renderAvailabilityGrid('teacherAvailabilityGrid');
     }
 
     /**
@@ -1523,6 +1756,50 @@ class EDTApplication {
 
         StateManager.subscribe('session:changed', () => {
             this.renderAll();
+            SnapshotRenderer.render();
+            SnapshotRenderer.clearDiff();
+        });
+
+        StateManager.subscribe('snapshot:restored', () => {
+            this.renderAll();
+        });
+
+        StateManager.subscribe('project:switched', () => {
+            initCreneaux(StateManager.state.creneaux);
+            initJours(StateManager.state.joursConfig);
+            this.loadHeaderValues();
+            this.populateFormSelects();
+            this.renderAll();
+            SnapshotRenderer.render();
+            SnapshotRenderer.clearDiff();
+            StorageUsageRenderer.render();
+            ProjectRenderer.render();
+        });
+
+        StateManager.subscribe('project:readonly', () => {
+            ProjectRenderer.renderReadOnlyState();
+        });
+
+        // Modification refusée sur un projet archivé : l'état a été rétabli, réafficher tout
+        StateManager.subscribe('project:readonly-blocked', () => {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            initCreneaux(StateManager.state.creneaux);
+            initJours(StateManager.state.joursConfig);
+            this.loadHeaderValues();
+            this.populateFormSelects();
+            this.renderAll();
+        });
+
+        StateManager.subscribe('history:changed', () => {
+            HistoryRenderer.render();
+        });
+
+        StateManager.subscribe('history:undo', () => {
+            this.renderAll();
+        });
+
+        StateManager.subscribe('history:redo', () => {
+            this.renderAll();
         });
 
         StateManager.subscribe('teacher:added', () => {
@@ -1541,6 +1818,11 @@ class EDTApplication {
             this.renderAll();
         });
 
+        StateManager.subscribe('teacher:updated', () => {
+            ConfigListRenderer.renderEnseignantsList();
+            this.renderAll();
+        });
+
         StateManager.subscribe('subject:added', () => {
             this.populateFormSelects();
             ConfigListRenderer.renderMatieresList();
@@ -1568,6 +1850,12 @@ class EDTApplication {
             this.renderAll();
         });
 
+        StateManager.subscribe('forfaitCatalogue:changed', () => {
+            ConfigListRenderer.renderForfaitCatalogue();
+            ConfigListRenderer.renderForfaitsList();
+            this.populateForfaitSelects();
+        });
+
         StateManager.subscribe('edt:reset', () => {
             this.renderAll();
         });
@@ -1576,6 +1864,24 @@ class EDTApplication {
             this.populateFormSelects();
             this.renderAll();
         });
+
+        StateManager.subscribe('jours:changed', () => {
+            FormManager.populateJourSelect();
+            this.renderAll();
+        });
+
+        // Occurrences annulées ou déplacées : les volumes tenus changent
+        StateManager.subscribe('calendar:changed', () => {
+            VolumeRenderer.render();
+            TeacherPlannerRenderer.renderVolumes();
+        });
+
+        // Coefficients d'équivalence modifiés : volumes, charges et alertes recalculés
+        StateManager.subscribe('equivalences:changed', () => {
+            VolumeRenderer.render();
+            TeacherPlannerRenderer.renderVolumes();
+            DashboardController.refreshData();
+        });
     }
 
     /**
@@ -1602,6 +1908,18 @@ class EDTApplication {
         // Rendre les listes de configuration
         ConfigListRenderer.renderAll();
 
+        // Rendre le planning par enseignant
+        TeacherPlannerRenderer.render();
+
+        // Rendre le calendrier daté
+        CalendarRenderer.render();
+
+        // Rendre les occupations externes importées
+        ExternalOccupationRenderer.render();
+
+        // Rendre le diagnostic de placement
+        PlacementDiagnosticRenderer.render();
+
         // Sauvegarder automatiquement
         this.debouncedSaveState();
     }
@@ -1738,9 +2056,13 @@ class EDTApplication {
     handleForfaitFormSubmit(e) {
         e.preventDefault();
 
-        const enseignant = document.getElementById('selectEnseignantForfait').value;
+        const enseignants = Array.from(document.getElementById('selectEnseignantForfait').selectedOptions)
+            .map(option => option.value)
+            .filter(Boolean);
         const nature = document.getElementById('selectNatureForfait').value;
         const volumeHoraire = document.getElementById('inputVolumeHoraireForfait').value;
+        const session = document.getElementById('selectSessionForfait')?.value;
+        const annee = document.getElementById('inputAnneeForfait')?.value;
         const description = document.getElementById('inputDescriptionForfait').value;
 
         const editingId = document.getElementById('formAjouterForfait').dataset.editingId;
@@ -1750,6 +2072,8 @@ class EDTApplication {
             const success = ForfaitController.updateForfait(editingId, {
                 nature,
                 volumeHoraire,
+                session,
+                annee,
                 description
             });
 
@@ -1757,12 +2081,35 @@ class EDTApplication {
                 this.resetForfaitForm();
                 this.cancelForfaitEdit();
             }
+        } else if (enseignants.length > 1) {
+            // Attribution groupée
+            const result = ForfaitController.assignForfait(enseignants, {
+                nature,
+                volumeHoraire,
+                session,
+                annee,
+                description
+            });
+
+            if (result) {
+                if (result.skipped.length > 0) {
+                    DialogManager.success(
+                        `✅ Forfait "<strong>${escapeHTML(nature)}</strong>" attribué à ${result.added.length} enseignant(s).<br><br>` +
+                        `⚠️ Déjà attribué sur cette période (ignoré) : ${result.skipped.map(s => escapeHTML(s)).join(', ')}`
+                    );
+                } else {
+                    NotificationManager.success(`Forfait attribué à ${result.added.length} enseignants`);
+                }
+                this.resetForfaitForm();
+            }
         } else {
             // Mode ajout
             const forfait = ForfaitController.addForfait({
-                enseignant,
+                enseignant: enseignants[0],
                 nature,
                 volumeHoraire,
+                session,
+                annee,
                 description
             });
 
@@ -1791,6 +2138,8 @@ class EDTApplication {
         // Réactiver le champ enseignant
         const selectEnseignant = document.getElementById('selectEnseignantForfait');
         if (selectEnseignant) selectEnseignant.disabled = false;
+
+        this.setForfaitPeriodDefaults();
     }
 
     /**
@@ -1832,10 +2181,18 @@ class EDTApplication {
         const inputDescription = document.getElementById('inputDescriptionForfait');
 
         if (selectEnseignant) {
-            selectEnseignant.value = forfait.enseignant;
+            Array.from(selectEnseignant.options).forEach(option => {
+                option.selected = option.value === forfait.enseignant;
+            });
             selectEnseignant.disabled = true; // Empêcher le changement d'enseignant
         }
         if (selectNature) selectNature.value = forfait.nature;
+
+        const { session, annee } = ForfaitController.resolvePeriod(forfait.session, forfait.annee);
+        const selectSession = document.getElementById('selectSessionForfait');
+        const inputAnnee = document.getElementById('inputAnneeForfait');
+        if (selectSession) selectSession.value = session;
+        if (inputAnnee) inputAnnee.value = annee;
         if (inputVolume) inputVolume.value = forfait.volumeHoraire;
         if (inputDescription) inputDescription.value = forfait.description || '';
 
@@ -1888,18 +2245,52 @@ class EDTApplication {
         }
     }
 
+    /**
+     * Affiche le rapport des migrations appliquées lors d'un import
+     * @param {Object} migration - Résultat de SchemaMigrationService.migrate
+     */
+    showImportReport(migration) {
+        const { fromVersion, toVersion, report } = migration;
+        if (report.length === 0) return;
+
+        report.forEach(step => {
+            step.changes.forEach(change => LogService.info(`🔁 [${step.label}] ${change}`));
+        });
+
+        const stepsHtml = report.map(step => {
+            const changes = step.changes.length > 0
+                ? step.changes.map(c => `<li>${escapeHTML(c)}</li>`).join('')
+                : '<li><em>Aucune transformation nécessaire</em></li>';
+            return `<strong>${escapeHTML(step.label)}</strong><ul>${changes}</ul>`;
+        }).join('');
+
+        DialogManager.success(
+            `Rapport d'import — schéma ${fromVersion} → ${toVersion}<br>
+            ${SchemaMigrationService.countChanges(report)} transformation(s) appliquée(s) :<br><br>
+            ${stepsHtml}`
+        );
+    }
+
     /**
      * Importe un projet
      * @param {File} file - Le fichier à importer
      */
     async importProject(file) {
+        // L'import écraserait en mémoire un projet archivé sans pouvoir l'enregistrer
+        if (StateManager.isReadOnly()) {
+            DialogManager.error(READ_ONLY_PROJECT_MESSAGE);
+            return false;
+        }
+
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 try {
-                    const data = JSON.parse(e.target.result);
-                    // Valider le schema avant toute importation destructrice
+                    const raw = JSON.parse(e.target.result);
+                    // Migrer vers le schéma courant puis valider avant toute importation destructrice
+                    const migration = SchemaMigrationService.migrate(raw);
+                    const data = migration.data;
                     const validation = ValidationService.validateProjectSchema(data);
                     if (!validation.ok) {
                         const message = 'Fichier invalide: ' + validation.errors.join('; ');
@@ -1912,7 +2303,10 @@ class EDTApplication {
 
                     DialogManager.confirm(
                         'Confirmer l\'Importation',
-                        'Êtes-vous sûr de vouloir importer ce projet ?<br><strong>Tout votre travail actuel sera écrasé.</strong>',
+                        'Êtes-vous sûr de vouloir importer ce projet ?<br><strong>Tout votre travail actuel sera écrasé.</strong>' +
+                        (migration.report.length > 0
+                            ? `<br><br>Fichier au schéma ${migration.fromVersion} : ${SchemaMigrationService.countChanges(migration.report)} transformation(s) seront appliquées (rapport affiché après l'import).`
+                            : ''),
                         () => {
                             SpinnerManager.show();
 
@@ -1922,11 +2316,13 @@ class EDTApplication {
                                 if (success) {
                                     StateManager.loadState();
                                     initCreneaux(StateManager.state.creneaux);
+                                    initJours(StateManager.state.joursConfig);
                                     this.populateFormSelects();
                                     this.renderAll();
                                     SpinnerManager.hide();
                                     LogService.success('✅ Projet importé avec succès');
                                     NotificationManager.success('Projet importé');
+                                    this.showImportReport(migration);
                                     resolve(true);
                                 } else {
                                     SpinnerManager.hide();
@@ -1943,6 +2339,7 @@ class EDTApplication {
                 } catch (error) {
                     LogService.error(`❌ Erreur: ${error.message}`);
                     NotificationManager.error('Fichier invalide');
+                    DialogManager.error(escapeHTML(error.message));
                     reject(error);
                 }
             };
@@ -1987,7 +2384,10 @@ class EDTApplication {
             Cette action est <strong>IRRÉVERSIBLE</strong>.`,
             () => {
                 StateManager.resetProject();
+                ProjectService.applyActiveProjectHeader();
+                this.loadHeaderValues();
                 initCreneaux(StateManager.state.creneaux);
+                initJours(StateManager.state.joursConfig);
                 this.populateFormSelects();
                 this.renderAll();
                 LogService.warning('⚠️ Projet complètement réinitialisé');
@@ -2037,10 +2437,23 @@ window.EDTListRenderer = ListRenderer;
 window.EDTWishesRenderer = WishesRenderer;
 window.EDTConfigListRenderer = ConfigListRenderer;
 window.EDTFormManager = FormManager;
+window.EDTHistoryRenderer = HistoryRenderer;
+window.EDTTeacherPlannerRenderer = TeacherPlannerRenderer;
+window.EDTCalendarRenderer = CalendarRenderer;
+window.EDTSnapshotRenderer = SnapshotRenderer;
+window.EDTStorageUsageRenderer = StorageUsageRenderer;
+window.EDTProjectRenderer = ProjectRenderer;
+window.EDTPlacementDiagnosticRenderer = PlacementDiagnosticRenderer;
 
 // Handlers
 window.EDTHandlers = EventHandlers;
 window.EDTFormHandlers = FormHandlers;
 window.EDTSchedulingHandlers = SchedulingHandlers;
 window.EDTExportHandlers = ExportHandlers;
-window.EDTImportHandlers = ImportHandlers;
\ No newline at end of file
+window.EDTImportHandlers = ImportHandlers;
+window.EDTHistoryHandlers = HistoryHandlers;
+window.EDTTeacherPlannerHandlers = TeacherPlannerHandlers;
+window.EDTRoomGridHandlers = RoomGridHandlers;
+window.EDTCalendarHandlers = CalendarHandlers;
+window.EDTSnapshotHandlers = SnapshotHandlers;
+window.EDTProjectHandlers = ProjectHandlers;
\ No newline at end of file
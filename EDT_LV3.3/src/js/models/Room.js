@@ -8,18 +8,36 @@ export default class Room {
      * Crée une instance de salle
      * @param {string} nom - Le nom de la salle
      * @param {string} type - Le type (Amphi, Standard, STP)
+     * @param {number} capacite - Le nombre de places (0 si non renseigné)
+     * @param {Array<string>} equipements - Les équipements (identifiants de EQUIPEMENTS_SALLE)
      */
-    constructor(nom, type = 'Standard') {
+    constructor(nom, type = 'Standard', capacite = 0, equipements = []) {
         this.nom = nom;
         this.type = type; // Amphi, Standard, STP
+        this.capacite = Number(capacite) > 0 ? Number(capacite) : 0;
+        this.equipements = Array.isArray(equipements) ? [...equipements] : [];
+    }
+
+    /**
+     * Vérifie si la salle dispose de tous les équipements demandés
+     * @param {Array<string>} equipementsRequis - Les équipements exigés
+     * @returns {boolean} True si tous sont présents
+     */
+    hasEquipment(equipementsRequis = []) {
+        return equipementsRequis.every(e => this.equipements.includes(e));
     }
 
     /**
      * Vérifie si la salle est compatible avec un type de séance
      * @param {string} typeSeance - Le type de séance (Cours, TD, TP)
+     * @param {Array<string>} equipementsRequis - Les équipements exigés par la matière
      * @returns {boolean} True si compatible
      */
-    isCompatibleWith(typeSeance) {
+    isCompatibleWith(typeSeance, equipementsRequis = []) {
+        if (!this.hasEquipment(equipementsRequis)) {
+            return false;
+        }
+
         if (typeSeance === 'Cours') {
             return this.type === 'Amphi' || this.type === 'Standard';
         } else if (typeSeance === 'TP') {
@@ -30,6 +48,15 @@ export default class Room {
         return true;
     }
 
+    /**
+     * Vérifie si la salle peut accueillir un effectif
+     * @param {number} effectif - Le nombre d'étudiants
+     * @returns {boolean} True si assez grande (ou capacité non renseignée)
+     */
+    canHost(effectif) {
+        return !this.capacite || !effectif || this.capacite >= effectif;
+    }
+
     /**
      * Vérifie si c'est un amphi
      * @returns {boolean} True si amphi
@@ -59,7 +86,9 @@ export default class Room {
      * @returns {string} La description
      */
     getDescription() {
-        return `${this.nom} (${this.type})`;
+        return this.capacite
+            ? `${this.nom} (${this.type}, ${this.capacite} places)`
+            : `${this.nom} (${this.type})`;
     }
 
     /**
@@ -69,7 +98,9 @@ export default class Room {
     toJSON() {
         return {
             nom: this.nom,
-            type: this.type
+            type: this.type,
+            capacite: this.capacite,
+            equipements: [...this.equipements]
         };
     }
 
@@ -79,7 +110,7 @@ export default class Room {
      * @returns {Room} La salle
      */
     static fromJSON(data) {
-        return new Room(data.nom, data.type);
+        return new Room(data.nom, data.type, data.capacite, data.equipements);
     }
 
     /**
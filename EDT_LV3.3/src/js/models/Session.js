@@ -3,7 +3,8 @@
  * @author Ibrahim Mrani - UCD
  */
 
-import { DEFAULT_VOLUME_HTP } from '../config/constants.js';
+import { DEFAULT_VOLUME_HTP, PERIODICITES } from '../config/constants.js';
+import { getSessionTimeRange, getCreneauRange, getCreneauForTime, getCreneauxInRange, minutesToTime, timeToMinutes, parseWeekList, formatWeekList } from '../utils/helpers.js';
 
 export default class Session {
     /**
@@ -25,6 +26,12 @@ export default class Session {
         this.salle = data.salle || '';
         this.dureeAffichee = data.dureeAffichee || 1.5;
         this.hTP_Affecte = data.hTP_Affecte !== undefined ? data.hTP_Affecte : 0;
+        // Horaires explicites (durée libre) ; vides = horaires du créneau standard
+        this.heureDebut = data.heureDebut || '';
+        this.heureFin = data.heureFin || '';
+        // Périodicité (voir PERIODICITES) ; semaines = numéros de semaine pour 'custom'
+        this.periodicite = PERIODICITES[data.periodicite] ? data.periodicite : 'hebdo';
+        this.semaines = this.periodicite === 'custom' ? parseWeekList(data.semaines) : [];
     }
 
     /**
@@ -85,10 +92,24 @@ export default class Session {
             ? htpValue 
             : (DEFAULT_VOLUME_HTP[formData.type] || 0);
 
+        // Durée libre : horaires explicites, rattachés au créneau contenant l'heure de début
+        let creneau = formData.creneau;
+        let heureDebut = '';
+        let heureFin = '';
+        const duree = Number(formData.duree) || 0;
+        if (duree > 0) {
+            const debut = formData.heureDebut ? timeToMinutes(formData.heureDebut) : getCreneauRange(creneau).debut;
+            if (!Number.isNaN(debut)) {
+                heureDebut = minutesToTime(debut);
+                heureFin = minutesToTime(debut + Math.round(duree * 60));
+                creneau = getCreneauForTime(heureDebut) || creneau;
+            }
+        }
+
         return new Session({
             id,
             jour: formData.jour,
-            creneau: formData.creneau,
+            creneau,
             filiere: formData.filiere,
             matiere: formData.matiere,
             type: formData.type,
@@ -98,8 +119,12 @@ export default class Session {
             enseignant: enseignantsArray.join(' / '),
             enseignantsArray,
             salle: formData.salle || '',
-            dureeAffichee: 1.5,
-            hTP_Affecte
+            dureeAffichee: heureFin ? duree : 1.5,
+            hTP_Affecte,
+            heureDebut,
+            heureFin,
+            periodicite: formData.periodicite,
+            semaines: formData.semaines
         });
     }
 
@@ -130,10 +155,85 @@ export default class Session {
             enseignantsArray: [...this.enseignantsArray],
             salle: this.salle,
             dureeAffichee: this.dureeAffichee,
-            hTP_Affecte: this.hTP_Affecte
+            hTP_Affecte: this.hTP_Affecte,
+            heureDebut: this.heureDebut,
+            heureFin: this.heureFin,
+            periodicite: this.periodicite,
+            semaines: [...this.semaines]
         };
     }
 
+    /**
+     * Indique si la séance a des horaires explicites (durée libre)
+     * @returns {boolean} True si horaires explicites
+     */
+    hasCustomTimes() {
+        return !!this.heureFin;
+    }
+
+    /**
+     * Plage horaire occupée par la séance
+     * @returns {Object} { debut, fin } en minutes depuis minuit
+     */
+    getTimeRange() {
+        return getSessionTimeRange(this);
+    }
+
+    /**
+     * Créneaux standards occupés par la séance : son créneau et, pour des horaires explicites,
+     * tous ceux que sa plage chevauche (la seconde partie d'un TP standard est une séance distincte)
+     * @returns {Array<string>} Les clés des créneaux
+     */
+    getCoveredCreneaux() {
+        if (!this.hasCustomTimes()) return [this.creneau];
+
+        const covered = getCreneauxInRange(this.getTimeRange());
+        return covered.includes(this.creneau) ? covered : [this.creneau, ...covered];
+    }
+
+    /**
+     * Libellé des horaires (ex: "8h30 - 11h30")
+     * @returns {string} Le libellé
+     */
+    getHoraireLabel() {
+        const range = this.getTimeRange();
+        return `${minutesToTime(range.debut)} - ${minutesToTime(range.fin)}`;
+    }
+
+    /**
+     * Indique si la séance a lieu chaque semaine
+     * @returns {boolean} True si hebdomadaire
+     */
+    isHebdomadaire() {
+        return this.periodicite === 'hebdo';
+    }
+
+    /**
+     * Marqueur de périodicité affiché dans la grille ("A", "B", "S1,3,5-8" ; vide si hebdomadaire)
+     * @returns {string} Le marqueur
+     */
+    getPeriodiciteLabel() {
+        if (this.periodicite === 'A' || this.periodicite === 'B') return this.periodicite;
+        if (this.periodicite === 'custom') return `S${formatWeekList(this.semaines)}`;
+        return '';
+    }
+
+    /**
+     * Déplace la séance ; des horaires explicites suivent le nouveau créneau (durée conservée)
+     * @param {string} jour - Le nouveau jour
+     * @param {string} creneau - Le nouveau créneau
+     */
+    moveTo(jour, creneau) {
+        if (this.hasCustomTimes() && creneau !== this.creneau) {
+            const range = this.getTimeRange();
+            const debut = getCreneauRange(creneau).debut;
+            this.heureDebut = minutesToTime(debut);
+            this.heureFin = minutesToTime(debut + (range.fin - range.debut));
+        }
+        this.jour = jour;
+        this.creneau = creneau;
+    }
+
     /**
      * Vérifie si la séance a au moins un enseignant attribué
      * @returns {boolean} True si attribuée
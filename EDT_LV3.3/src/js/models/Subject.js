@@ -19,6 +19,7 @@ export default class Subject {
         this.tp_groups = data.tp_groups || 0;
         this.volumeHTP = data.volumeHTP || { ...DEFAULT_VOLUME_HTP };
         this.nbEnseignantsTP = data.nbEnseignantsTP || 1;
+        this.equipementsRequis = data.equipementsRequis || {}; // { Cours: [], TD: [], TP: [] }
     }
 
     /**
@@ -39,14 +40,25 @@ export default class Subject {
         this.volumeHTP[type] = volume;
     }
 
+    /**
+     * Obtient les équipements de salle exigés pour un type de séance
+     * @param {string} type - Le type (Cours, TD, TP)
+     * @returns {Array<string>} Les identifiants d'équipement
+     */
+    getRequiredEquipment(type) {
+        return Array.isArray(this.equipementsRequis[type]) ? this.equipementsRequis[type] : [];
+    }
+
     /**
      * Calcule le volume horaire total théorique (VHT)
+     * @param {Object|null} coefficients - Coefficients d'équivalence par type { Cours, TD, TP } (null = heures brutes)
      * @returns {number} Le VHT
      */
-    calculateVHT() {
-        const volumeCours = this.sections_cours * this.getVolumeHTP('Cours');
-        const volumeTD = this.sections_cours * this.td_groups * this.getVolumeHTP('TD');
-        const volumeTP = this.sections_cours * this.tp_groups * this.getVolumeHTP('TP') * this.nbEnseignantsTP;
+    calculateVHT(coefficients = null) {
+        const coef = (type) => coefficients?.[type] ?? 1;
+        const volumeCours = this.sections_cours * this.getVolumeHTP('Cours') * coef('Cours');
+        const volumeTD = this.sections_cours * this.td_groups * this.getVolumeHTP('TD') * coef('TD');
+        const volumeTP = this.sections_cours * this.tp_groups * this.getVolumeHTP('TP') * this.nbEnseignantsTP * coef('TP');
         
         return volumeCours + volumeTD + volumeTP;
     }
@@ -140,7 +152,8 @@ export default class Subject {
             td_groups: this.td_groups,
             tp_groups: this.tp_groups,
             volumeHTP: { ...this.volumeHTP },
-            nbEnseignantsTP: this.nbEnseignantsTP
+            nbEnseignantsTP: this.nbEnseignantsTP,
+            equipementsRequis: { ...this.equipementsRequis }
         };
     }
 
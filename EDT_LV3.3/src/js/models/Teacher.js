@@ -3,6 +3,8 @@
  * @author Ibrahim Mrani - UCD
  */
 
+import { DISPONIBILITE_STATUTS, SERVICE_PAR_STATUT } from '../config/constants.js';
+
 export default class Teacher {
     /**
      * Crée une instance d'enseignant
@@ -13,9 +15,76 @@ export default class Teacher {
         this.nom = nom;
         this.souhaits = data.souhaits || this.createDefaultWishes();
         this.volumesSupplementaires = data.volumesSupplementaires || [];
+        this.profil = { ...this.createDefaultProfile(), ...(data.profil || {}) };
         this.volumeTotal = 0; // Calculé dynamiquement
     }
 
+    /**
+     * Crée le profil par défaut (service dû = service par défaut du statut, voir SERVICE_PAR_STATUT)
+     * @returns {Object} Le profil vide
+     */
+    createDefaultProfile() {
+        return {
+            grade: '',
+            email: '',
+            statut: 'permanent',
+            service: null,      // service annuel individuel (hTP), null = service par défaut du statut
+            reductions: []      // décharges : [{ heures, motif }]
+        };
+    }
+
+    /**
+     * Total des décharges de service
+     * @returns {number} Les heures déchargées
+     */
+    getTotalReductions() {
+        return (this.profil.reductions || []).reduce((sum, r) => sum + (Number(r.heures) || 0), 0);
+    }
+
+    /**
+     * Valeurs de service par défaut du statut de l'enseignant (voir SERVICE_PAR_STATUT)
+     * @returns {Object} { service, plafond }
+     */
+    getStatutDefaults() {
+        return SERVICE_PAR_STATUT[this.profil.statut] || SERVICE_PAR_STATUT.permanent;
+    }
+
+    /**
+     * Indique si le service dû diffère de la référence commune
+     * (service individuel, décharge, ou service/plafond propre au statut)
+     * @returns {boolean} True si service individualisé
+     */
+    hasIndividualService() {
+        const defaults = this.getStatutDefaults();
+        return Number.isFinite(this.profil.service) ||
+            this.getTotalReductions() > 0 ||
+            Number.isFinite(defaults.service) ||
+            Number.isFinite(defaults.plafond);
+    }
+
+    /**
+     * Calcule le service annuel dû : service individuel, à défaut celui du statut,
+     * à défaut le VHM annuel ; moins les décharges
+     * @param {number} annualVHM - Le VHM annuel du département
+     * @returns {number} Le service dû (hTP)
+     */
+    getServiceTarget(annualVHM) {
+        const { service } = this.getStatutDefaults();
+        let base = Number(annualVHM || 0);
+        if (Number.isFinite(this.profil.service)) base = this.profil.service;
+        else if (Number.isFinite(service)) base = service;
+        return Math.max(0, base - this.getTotalReductions());
+    }
+
+    /**
+     * Plafond de charge annuel propre au statut
+     * @returns {number|null} Le plafond (null = plafond commun de la session)
+     */
+    getWorkloadCap() {
+        const { plafond } = this.getStatutDefaults();
+        return Number.isFinite(plafond) ? plafond : null;
+    }
+
     /**
      * Crée les souhaits par défaut
      * @returns {Object} Les souhaits vides
@@ -34,7 +103,8 @@ export default class Teacher {
             c3: 0,
             td3: 0,
             tp3: 0,
-            contraintes: 'Aucune remarque.'
+            contraintes: 'Aucune remarque.',
+            indisponibilites: {}
         };
     }
 
@@ -136,6 +206,37 @@ export default class Teacher {
         return this.souhaits[specificKey] || 0;
     }
 
+    /**
+     * Obtient le statut de disponibilité déclaré pour un créneau
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     * @returns {string} 'indisponible', 'non_souhaite' ou '' si disponible
+     */
+    getSlotStatus(jour, creneau) {
+        const grille = this.souhaits.indisponibilites || {};
+        return grille[jour]?.[creneau] || '';
+    }
+
+    /**
+     * Vérifie si l'enseignant s'est déclaré indisponible sur un créneau
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     * @returns {boolean} True si indisponible
+     */
+    isUnavailableAt(jour, creneau) {
+        return this.getSlotStatus(jour, creneau) === DISPONIBILITE_STATUTS.INDISPONIBLE;
+    }
+
+    /**
+     * Vérifie si l'enseignant ne souhaite pas enseigner sur un créneau
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     * @returns {boolean} True si non souhaité
+     */
+    dislikesSlot(jour, creneau) {
+        return this.getSlotStatus(jour, creneau) === DISPONIBILITE_STATUTS.NON_SOUHAITE;
+    }
+
     /**
      * Convertit en objet pour export
      * @returns {Object} L'objet exportable
@@ -144,7 +245,8 @@ export default class Teacher {
         return {
             nom: this.nom,
             souhaits: this.souhaits,
-            volumesSupplementaires: this.volumesSupplementaires
+            volumesSupplementaires: this.volumesSupplementaires,
+            profil: this.profil
         };
     }
 
@@ -156,7 +258,8 @@ export default class Teacher {
     static fromJSON(data) {
         return new Teacher(data.nom, {
             souhaits: data.souhaits,
-            volumesSupplementaires: data.volumesSupplementaires
+            volumesSupplementaires: data.volumesSupplementaires,
+            profil: data.profil
         });
     }
 }
\ No newline at end of file
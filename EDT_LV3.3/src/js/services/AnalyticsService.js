@@ -5,8 +5,7 @@
 
 import StateManager from '../controllers/StateManager.js';
 import VolumeService from './VolumeService.js';
-import { LISTE_JOURS } from '../config/constants.js';
-import { getSortedCreneauxKeys } from '../utils/helpers.js';
+import { getSortedCreneauxKeys, getJoursOuvres, countCreneauxOuverts } from '../utils/helpers.js';
 
 class AnalyticsService {
     /**
@@ -48,10 +47,9 @@ class AnalyticsService {
         });
         
         // Taux d'occupation global (créneaux utilisés / créneaux disponibles)
-        const creneaux = getSortedCreneauxKeys();
-        const totalSlots = LISTE_JOURS.length * creneaux.length;
+        const totalSlots = countCreneauxOuverts();
         const usedSlots = new Set(seances.map(s => `${s.jour}-${s.creneau}`)).size;
-        const globalOccupancyRate = Math.round((usedSlots / totalSlots) * 100);
+        const globalOccupancyRate = totalSlots > 0 ? Math.round((usedSlots / totalSlots) * 100) : 0;
         
         return {
             totalSeances,
@@ -66,7 +64,7 @@ class AnalyticsService {
     }
 
     /**
-     * Calcule la charge de travail par enseignant
+     * Calcule la charge de travail par enseignant (heures équivalentes, voir VolumeService)
      * @returns {Array} Données pour graphique
      */
     calculateTeachersWorkload() {
@@ -141,7 +139,7 @@ class AnalyticsService {
         const heatmapData = {};
         
         // Initialiser la structure
-        LISTE_JOURS.forEach(jour => {
+        getJoursOuvres().forEach(jour => {
             heatmapData[jour] = {};
             creneaux.forEach(creneau => {
                 heatmapData[jour][creneau] = {
@@ -179,7 +177,7 @@ class AnalyticsService {
         });
         
         return {
-            jours: LISTE_JOURS,
+            jours: getJoursOuvres(),
             creneaux,
             data: heatmapData
         };
@@ -192,13 +190,12 @@ class AnalyticsService {
     calculateRoomsOccupancy() {
         const seances = StateManager.getSeances();
         const salles = Object.keys(StateManager.state.sallesInfo);
-        const creneaux = getSortedCreneauxKeys();
-        const totalSlots = LISTE_JOURS.length * creneaux.length;
+        const totalSlots = countCreneauxOuverts();
         
         const data = salles.map(salle => {
             const salleSeances = seances.filter(s => s.salle === salle);
             const usedSlots = new Set(salleSeances.map(s => `${s.jour}-${s.creneau}`)).size;
-            const occupancyRate = Math.round((usedSlots / totalSlots) * 100);
+            const occupancyRate = totalSlots > 0 ? Math.round((usedSlots / totalSlots) * 100) : 0;
             
             // Couleur selon l'occupation
             let color;
@@ -228,15 +225,16 @@ class AnalyticsService {
     calculateWeeklyTimeline() {
         const seances = StateManager.getSeances();
         
-        const data = LISTE_JOURS.map(jour => {
+        const jours = getJoursOuvres();
+        const data = jours.map(jour => {
             return seances.filter(s => s.jour === jour).length;
         });
         
         return {
-            labels: LISTE_JOURS,
+            labels: jours,
             data,
             total: data.reduce((sum, val) => sum + val, 0),
-            average: Math.round(data.reduce((sum, val) => sum + val, 0) / LISTE_JOURS.length)
+            average: jours.length > 0 ? Math.round(data.reduce((sum, val) => sum + val, 0) / jours.length) : 0
         };
     }
 
@@ -249,8 +247,9 @@ class AnalyticsService {
         const seances = StateManager.getSeances();
         const enseignants = StateManager.state.enseignants;
         const salles = Object.keys(StateManager.state.sallesInfo);
+        const unite = VolumeService.getVolumeUnit();
         
-        // 1. Enseignants en surcharge
+        // 1. Enseignants en surcharge (volumes convertis par les équivalences horaires)
         const workload = this.calculateTeachersWorkload();
         const overloadedTeachers = workload.filter(t => t.status === 'overload');
         if (overloadedTeachers.length > 0) {
@@ -258,7 +257,7 @@ class AnalyticsService {
                 type: 'danger',
                 icon: '⚠️',
                 title: 'Enseignants en surcharge',
-                message: `${overloadedTeachers.length} enseignant(s) dépasse(nt) 280h : ${overloadedTeachers.map(t => t.nom).join(', ')}`,
+                message: `${overloadedTeachers.length} enseignant(s) dépasse(nt) 280 ${unite} : ${overloadedTeachers.map(t => t.nom).join(', ')}`,
                 action: 'Redistribuer les séances'
             });
         }
@@ -270,7 +269,7 @@ class AnalyticsService {
                 type: 'warning',
                 icon: '📉',
                 title: 'Enseignants en sous-charge',
-                message: `${underloadedTeachers.length} enseignant(s) a/ont moins de 100h : ${underloadedTeachers.slice(0, 3).map(t => t.nom).join(', ')}`,
+                message: `${underloadedTeachers.length} enseignant(s) a/ont moins de 100 ${unite} : ${underloadedTeachers.slice(0, 3).map(t => t.nom).join(', ')}`,
                 action: 'Attribuer plus de séances'
             });
         }
@@ -0,0 +1,672 @@
+/**
+ * Service du calendrier universitaire daté
+ * La semaine type (séances jour × créneau) est projetée sur les semaines du semestre :
+ * chaque séance produit une occurrence par semaine où elle a lieu (périodicité hebdomadaire,
+ * A/B ou semaines choisies), sauf les jours de vacances ou d'examens.
+ * Une occurrence peut être annulée ou déplacée sans modifier la semaine type.
+ * @author Ibrahim Mrani - UCD
+ */
+
+import { JOURS_SEMAINE, DEFAULT_CALENDRIER, NB_SEMAINES_SEMESTRE } from '../config/constants.js';
+import StateManager from '../controllers/StateManager.js';
+import {
+    getJoursOuvres,
+    isCreneauOuvert,
+    getCreneauRange,
+    getSessionTimeRange,
+    rangesOverlap,
+    deepClone
+} from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Types de périodes bloquantes, par ordre de priorité d'affichage
+const PERIODE_TYPES = ['vacances', 'examens'];
+
+class CalendarService {
+    constructor() {
+        // Semaines et parts tenues déjà calculées, valables pour une signature du calendrier
+        this.cache = { signature: null, weeks: new Map(), held: new Map() };
+    }
+
+    /* ---------- cache ---------- */
+
+    /**
+     * Cache des calculs dépendant du calendrier. Sa clé est la signature des dates
+     * (semestres, vacances, examens) et des jours ouvrés : toute modification, y compris
+     * par import ou rechargement du projet, repart d'un cache vide.
+     * @returns {Object} { signature, weeks, held }
+     */
+    getCache() {
+        const { semestres, vacances, examens } = this.getCalendar();
+        const signature = JSON.stringify([semestres, vacances, examens, getJoursOuvres()]);
+        if (this.cache.signature !== signature) {
+            this.cache = { signature, weeks: new Map(), held: new Map() };
+        }
+        return this.cache;
+    }
+
+    /* ---------- dates ---------- */
+
+    /**
+     * Convertit une date ISO (AAAA-MM-JJ) en Date UTC
+     * @param {string} iso - La date
+     * @returns {Date|null} La date, ou null si invalide
+     */
+    parseDate(iso) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ''));
+        if (!match) return null;
+        const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Formate une Date UTC en date ISO
+     * @param {Date} date - La date
+     * @returns {string} AAAA-MM-JJ
+     */
+    formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Formate une date ISO pour l'affichage (JJ/MM/AAAA)
+     * @param {string} iso - La date
+     * @returns {string} La date affichée
+     */
+    formatDateFR(iso) {
+        const [y, m, d] = String(iso || '').split('-');
+        return d ? `${d}/${m}/${y}` : '';
+    }
+
+    /**
+     * Décale une date ISO d'un nombre de jours
+     * @param {string} iso - La date
+     * @param {number} days - Le décalage
+     * @returns {string} La nouvelle date ISO
+     */
+    addDays(iso, days) {
+        return this.formatDate(new Date(this.parseDate(iso).getTime() + days * DAY_MS));
+    }
+
+    /**
+     * Jour de la semaine d'une date ("Lundi"…"Dimanche")
+     * @param {string} iso - La date
+     * @returns {string} Le jour
+     */
+    getJourForDate(iso) {
+        const date = this.parseDate(iso);
+        return date ? JOURS_SEMAINE[(date.getUTCDay() + 6) % 7] : '';
+    }
+
+    /**
+     * Date d'un jour donné dans une semaine
+     * @param {Object} week - La semaine ({ debut } = lundi)
+     * @param {string} jour - Le jour
+     * @returns {string} La date ISO ('' si jour inconnu)
+     */
+    getDateForJour(week, jour) {
+        const index = JOURS_SEMAINE.indexOf(jour);
+        return index < 0 ? '' : this.addDays(week.debut, index);
+    }
+
+    /* ---------- calendrier ---------- */
+
+    /**
+     * Calendrier de l'état (structure complétée si nécessaire)
+     * @returns {Object} { semestres, vacances, examens, exceptions }
+     */
+    getCalendar() {
+        const cal = StateManager.state.calendrier || (StateManager.state.calendrier = deepClone(DEFAULT_CALENDRIER));
+        if (!cal.semestres) cal.semestres = deepClone(DEFAULT_CALENDRIER.semestres);
+        if (!Array.isArray(cal.vacances)) cal.vacances = [];
+        if (!Array.isArray(cal.examens)) cal.examens = [];
+        if (!cal.exceptions || typeof cal.exceptions !== 'object') cal.exceptions = {};
+        return cal;
+    }
+
+    /**
+     * @param {string|null} session - La session (null = session active)
+     * @returns {string} La session résolue
+     */
+    resolveSession(session) {
+        return session || StateManager.state.header?.session || '';
+    }
+
+    /**
+     * Dates du semestre d'une session
+     * @param {string|null} session - La session
+     * @returns {Object} { debut, fin }
+     */
+    getSemestre(session = null) {
+        return this.getCalendar().semestres[this.resolveSession(session)] || { debut: '', fin: '' };
+    }
+
+    /**
+     * Définit les dates du semestre d'une session
+     * @param {string|null} session - La session
+     * @param {string} debut - Date ISO de début
+     * @param {string} fin - Date ISO de fin
+     * @returns {Object} { success, error }
+     */
+    setSemestre(session, debut, fin) {
+        const d = this.parseDate(debut);
+        const f = this.parseDate(fin);
+        if ((debut || fin) && (!d || !f)) {
+            return { success: false, error: 'Dates de semestre invalides.' };
+        }
+        if (d && f && d > f) {
+            return { success: false, error: 'La date de fin du semestre précède la date de début.' };
+        }
+
+        this.getCalendar().semestres[this.resolveSession(session)] = { debut: debut || '', fin: fin || '' };
+        return { success: true };
+    }
+
+    /**
+     * Indique si le semestre d'une session est daté
+     * @param {string|null} session - La session
+     * @returns {boolean}
+     */
+    hasCalendar(session = null) {
+        const { debut, fin } = this.getSemestre(session);
+        const d = this.parseDate(debut);
+        const f = this.parseDate(fin);
+        return !!(d && f && d <= f);
+    }
+
+    /**
+     * Ajoute une période de vacances ou d'examens
+     * @param {string} type - 'vacances' | 'examens'
+     * @param {Object} periode - { debut, fin, libelle }
+     * @returns {Object} { success, error }
+     */
+    addPeriode(type, periode) {
+        if (!PERIODE_TYPES.includes(type)) {
+            return { success: false, error: `Type de période inconnu : ${type}` };
+        }
+        const debut = this.parseDate(periode.debut);
+        const fin = this.parseDate(periode.fin || periode.debut);
+        if (!debut || !fin) {
+            return { success: false, error: 'Dates de période invalides.' };
+        }
+        if (debut > fin) {
+            return { success: false, error: 'La date de fin de la période précède la date de début.' };
+        }
+
+        const list = this.getCalendar()[type];
+        list.push({
+            debut: periode.debut,
+            fin: periode.fin || periode.debut,
+            libelle: (periode.libelle || '').trim()
+        });
+        list.sort((a, b) => a.debut.localeCompare(b.debut));
+        return { success: true };
+    }
+
+    /**
+     * Supprime une période
+     * @param {string} type - 'vacances' | 'examens'
+     * @param {number} index - L'index dans la liste
+     */
+    removePeriode(type, index) {
+        const list = this.getCalendar()[type];
+        if (Array.isArray(list) && index >= 0 && index < list.length) {
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Période bloquante contenant une date
+     * @param {string} iso - La date
+     * @returns {Object|null} { type, libelle } ou null si jour de cours
+     */
+    getPeriodeAt(iso) {
+        const cal = this.getCalendar();
+        for (const type of PERIODE_TYPES) {
+            const periode = cal[type].find(p => p.debut <= iso && iso <= (p.fin || p.debut));
+            if (periode) return { type, libelle: periode.libelle };
+        }
+        return null;
+    }
+
+    /**
+     * Indique si une date est dans le semestre
+     * @param {string} iso - La date
+     * @param {string|null} session - La session
+     * @returns {boolean}
+     */
+    isInSemestre(iso, session = null) {
+        const { debut, fin } = this.getSemestre(session);
+        return !!iso && debut <= iso && iso <= fin;
+    }
+
+    /**
+     * Semaines du semestre (mises en cache, à ne pas modifier)
+     * @param {string|null} session - La session
+     * @returns {Array<Object>} [{ index, debut, fin, statut, libelle, rang, alternance }]
+     */
+    getWeeks(session = null) {
+        const { weeks } = this.getCache();
+        const key = this.resolveSession(session);
+        if (!weeks.has(key)) weeks.set(key, this.buildWeeks(key));
+        return weeks.get(key);
+    }
+
+    /**
+     * Construit les semaines du semestre (du lundi au dimanche)
+     * Une semaine dont tous les jours travaillés sont en vacances (ou en examens)
+     * prend ce statut ; sinon elle reste une semaine de cours. Les semaines de cours
+     * sont numérotées (rang) et alternent A/B, les vacances n'interrompant pas l'alternance.
+     * @param {string|null} session - La session
+     * @returns {Array<Object>} Les semaines (voir getWeeks)
+     */
+    buildWeeks(session = null) {
+        if (!this.hasCalendar(session)) return [];
+
+        const semestre = this.getSemestre(session);
+        const start = this.parseDate(semestre.debut);
+        let monday = this.formatDate(new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS));
+
+        const jours = getJoursOuvres();
+        const weeks = [];
+        let rang = 0;
+        while (monday <= semestre.fin) {
+            const week = { index: weeks.length + 1, debut: monday, fin: this.addDays(monday, 6), statut: 'cours', libelle: '', rang: null, alternance: null };
+
+            const periodes = jours
+                .map(jour => this.getDateForJour(week, jour))
+                .filter(date => this.isInSemestre(date, session))
+                .map(date => this.getPeriodeAt(date));
+
+            if (periodes.length > 0 && periodes.every(Boolean)) {
+                week.statut = periodes[0].type;
+                week.libelle = periodes[0].libelle;
+            } else {
+                week.rang = ++rang;
+                week.alternance = rang % 2 === 1 ? 'A' : 'B';
+            }
+
+            weeks.push(week);
+            monday = this.addDays(monday, 7);
+        }
+        return weeks;
+    }
+
+    /**
+     * Nombre de semaines de cours du semestre
+     * @param {string|null} session - La session
+     * @returns {number}
+     */
+    countTeachingWeeks(session = null) {
+        return this.getWeeks(session).filter(w => w.statut === 'cours').length;
+    }
+
+    /* ---------- périodicité ---------- */
+
+    /**
+     * Semaines de référence de la périodicité : celles du calendrier daté,
+     * sinon NB_SEMAINES_SEMESTRE semaines de cours numérotées
+     * @param {string|null} session - La session
+     * @returns {Array<Object>} Les semaines (voir getWeeks)
+     */
+    getPlanningWeeks(session = null) {
+        if (this.hasCalendar(session)) return this.getWeeks(session);
+
+        return Array.from({ length: NB_SEMAINES_SEMESTRE }, (_, i) => ({
+            index: i + 1,
+            statut: 'cours',
+            rang: i + 1,
+            alternance: i % 2 === 0 ? 'A' : 'B'
+        }));
+    }
+
+    /**
+     * Indique si une séance a lieu une semaine donnée. Les semaines choisies sont
+     * numérotées comme l'alternance A/B : rang parmi les semaines de cours
+     * (les vacances et examens ne sont pas comptés)
+     * @param {Session|Object} seance - La séance ({ periodicite, semaines })
+     * @param {Object} week - La semaine
+     * @returns {boolean}
+     */
+    isWeekActive(seance, week) {
+        // Occurrence ponctuelle datée (événement d'agenda sans répétition) : uniquement sa semaine
+        if (this.isDated(seance) && week.debut && !seance.dates.some(d => d >= week.debut && d <= week.fin)) {
+            return false;
+        }
+
+        switch (seance.periodicite) {
+            case 'A':
+            case 'B':
+                return week.alternance === seance.periodicite;
+            case 'custom':
+                return week.rang !== null && (seance.semaines || []).includes(week.rang);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Indique si une occupation est limitée à des dates précises (événements ponctuels)
+     * @param {Object} occupation - L'occupation ({ dates })
+     * @returns {boolean}
+     */
+    isDated(occupation) {
+        return Array.isArray(occupation.dates) && occupation.dates.length > 0;
+    }
+
+    /**
+     * Indique si deux séances ont au moins une semaine de cours en commun
+     * (deux groupes en semaine A et en semaine B peuvent partager une salle)
+     * @param {Session|Object} a - Une séance
+     * @param {Session|Object} b - L'autre séance
+     * @returns {boolean}
+     */
+    sharesWeek(a, b) {
+        const pa = a.periodicite || 'hebdo';
+        const pb = b.periodicite || 'hebdo';
+        if (pa === 'hebdo' && pb === 'hebdo' && !this.isDated(a) && !this.isDated(b)) return true;
+
+        return this.getPlanningWeeks().some(w =>
+            w.statut === 'cours' && this.isWeekActive(a, w) && this.isWeekActive(b, w)
+        );
+    }
+
+    /**
+     * Part des semaines de cours où la séance a lieu (1 si hebdomadaire, ~0,5 en A/B)
+     * @param {Session|Object} seance - La séance
+     * @param {string|null} session - La session
+     * @returns {number}
+     */
+    getPeriodiciteFactor(seance, session = null) {
+        if (!seance.periodicite || seance.periodicite === 'hebdo') return 1;
+
+        const teaching = this.getPlanningWeeks(session).filter(w => w.statut === 'cours');
+        if (teaching.length === 0) return 1;
+
+        return teaching.filter(w => this.isWeekActive(seance, w)).length / teaching.length;
+    }
+
+    /* ---------- exceptions ---------- */
+
+    /**
+     * Exceptions d'une session (lecture seule : liste vide si la session n'en a pas)
+     * @param {string|null} session - La session
+     * @returns {Array<Object>} [{ seanceId, date, action, nouvelleDate, nouveauCreneau, motif }]
+     */
+    getExceptions(session = null) {
+        const list = this.getCalendar().exceptions[this.resolveSession(session)];
+        return Array.isArray(list) ? list : [];
+    }
+
+    /**
+     * Liste modifiable des exceptions d'une session (créée au premier ajout)
+     * @param {string|null} session - La session
+     * @returns {Array<Object>}
+     */
+    getMutableExceptions(session = null) {
+        const key = this.resolveSession(session);
+        const all = this.getCalendar().exceptions;
+        if (!Array.isArray(all[key])) all[key] = [];
+        return all[key];
+    }
+
+    /**
+     * Exception portant sur une occurrence
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date d'origine de l'occurrence
+     * @param {string|null} session - La session
+     * @returns {Object|null}
+     */
+    findException(seanceId, date, session = null) {
+        return this.getExceptions(session).find(e => e.seanceId === seanceId && e.date === date) || null;
+    }
+
+    /**
+     * Annule une occurrence
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date de l'occurrence
+     * @param {string} motif - Le motif
+     * @param {string|null} session - La session
+     */
+    cancelOccurrence(seanceId, date, motif = '', session = null) {
+        this.restoreOccurrence(seanceId, date, session);
+        this.getMutableExceptions(session).push({ seanceId, date, action: 'annulee', motif: motif || '' });
+    }
+
+    /**
+     * Déplace une occurrence vers une autre date et un autre créneau
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date d'origine
+     * @param {string} nouvelleDate - La nouvelle date
+     * @param {string} nouveauCreneau - Le nouveau créneau
+     * @param {string} motif - Le motif
+     * @param {string|null} session - La session
+     * @returns {Object} { success, error }
+     */
+    moveOccurrence(seanceId, date, nouvelleDate, nouveauCreneau, motif = '', session = null) {
+        if (!this.parseDate(nouvelleDate) || !this.isInSemestre(nouvelleDate, session)) {
+            return { success: false, error: 'La nouvelle date doit être comprise dans le semestre.' };
+        }
+        const periode = this.getPeriodeAt(nouvelleDate);
+        if (periode) {
+            return { success: false, error: `Le ${this.formatDateFR(nouvelleDate)} est en ${periode.type}${periode.libelle ? ` (${periode.libelle})` : ''}.` };
+        }
+        const jour = this.getJourForDate(nouvelleDate);
+        if (!isCreneauOuvert(jour, nouveauCreneau)) {
+            return { success: false, error: `Le créneau ${nouveauCreneau} n'est pas ouvert le ${jour}.` };
+        }
+
+        this.restoreOccurrence(seanceId, date, session);
+        this.getMutableExceptions(session).push({
+            seanceId,
+            date,
+            action: 'deplacee',
+            nouvelleDate,
+            nouveauCreneau,
+            motif: motif || ''
+        });
+        return { success: true };
+    }
+
+    /**
+     * Rétablit une occurrence telle que prévue par la semaine type
+     * @param {number} seanceId - L'ID de la séance
+     * @param {string} date - La date de l'occurrence
+     * @param {string|null} session - La session
+     */
+    restoreOccurrence(seanceId, date, session = null) {
+        const list = this.getExceptions(session);
+        const index = list.findIndex(e => e.seanceId === seanceId && e.date === date);
+        if (index >= 0) list.splice(index, 1);
+    }
+
+    /* ---------- occurrences ---------- */
+
+    /**
+     * Occurrences datées d'une séance de la semaine type
+     * statut : 'prevue' | 'annulee' | 'deplacee' | 'fermee' (vacances, examens)
+     * @param {Session} seance - La séance
+     * @param {string|null} session - La session de la séance
+     * @returns {Array<Object>} [{ semaine, debutSemaine, date, jour, creneau, statut, periode, exception }]
+     */
+    getOccurrences(seance, session = null) {
+        if (!seance || !seance.jour || !this.hasCalendar(session)) return [];
+
+        const exceptions = this.getExceptions(session).filter(e => e.seanceId === seance.id);
+        const occurrences = [];
+
+        this.getWeeks(session).forEach(week => {
+            const date = this.getDateForJour(week, seance.jour);
+            if (!this.isInSemestre(date, session) || !this.isWeekActive(seance, week)) return;
+
+            const periode = this.getPeriodeAt(date);
+            const exception = exceptions.find(e => e.date === date) || null;
+            occurrences.push({
+                semaine: week.index,
+                debutSemaine: week.debut,
+                date,
+                jour: seance.jour,
+                creneau: seance.creneau,
+                statut: periode ? 'fermee' : (exception ? exception.action : 'prevue'),
+                periode,
+                exception
+            });
+        });
+
+        return occurrences;
+    }
+
+    /**
+     * Nombre d'occurrences effectivement tenues (prévues ou déplacées)
+     * @param {Session} seance - La séance
+     * @param {string|null} session - La session
+     * @returns {number}
+     */
+    getHeldOccurrencesCount(seance, session = null) {
+        return this.getOccurrences(seance, session)
+            .filter(o => o.statut === 'prevue' || o.statut === 'deplacee')
+            .length;
+    }
+
+    /**
+     * Part du volume nominal d'une séance réellement tenue :
+     * occurrences tenues / semaines de cours du semestre.
+     * Tant que le semestre n'est pas daté, seule la périodicité est prise en compte.
+     * @param {Session} seance - La séance
+     * @param {string|null} session - La session
+     * @returns {number}
+     */
+    getHeldRatio(seance, session = null) {
+        if (!seance) return 1;
+        if (!seance.jour || !this.hasCalendar(session)) return this.getPeriodiciteFactor(seance, session);
+
+        // La part ne dépend que du jour, des semaines actives et des exceptions de la séance
+        const exceptions = this.getExceptions(session).filter(e => e.seanceId === seance.id);
+        const key = [
+            this.resolveSession(session),
+            seance.jour,
+            seance.periodicite || 'hebdo',
+            (seance.semaines || []).join(','),
+            (seance.dates || []).join(','),
+            JSON.stringify(exceptions.map(({ seanceId, ...e }) => e))
+        ].join('|');
+
+        const { held } = this.getCache();
+        if (!held.has(key)) {
+            const nominal = this.countTeachingWeeks(session);
+            held.set(key, nominal === 0 ? 1 : this.getHeldOccurrencesCount(seance, session) / nominal);
+        }
+        return held.get(key);
+    }
+
+    /**
+     * Occurrences d'une semaine du calendrier pour la session active :
+     * les séances de la semaine type à leur date, plus les occurrences reportées dans cette semaine.
+     * La seconde partie d'un TP couplé est portée par la première (plage horaire complète).
+     * @param {number} weekIndex - Le numéro de semaine (1 = première semaine)
+     * @returns {Array<Object>} [{ seance, date, jour, creneau, statut, periode, exception, origine }]
+     */
+    getWeekOccurrences(weekIndex) {
+        const week = this.getWeeks().find(w => w.index === weekIndex);
+        if (!week) return [];
+
+        const seances = StateManager.getSeances().filter(s => s.jour && !s.isTPSecondPart());
+        const byId = new Map(seances.map(s => [s.id, s]));
+        const exceptions = this.getExceptions();
+        const occurrences = [];
+
+        seances.forEach(seance => {
+            const date = this.getDateForJour(week, seance.jour);
+            if (!this.isInSemestre(date) || !this.isWeekActive(seance, week)) return;
+
+            const periode = this.getPeriodeAt(date);
+            const exception = exceptions.find(e => e.seanceId === seance.id && e.date === date) || null;
+            occurrences.push({
+                seance,
+                date,
+                jour: seance.jour,
+                creneau: seance.creneau,
+                statut: periode ? 'fermee' : (exception ? exception.action : 'prevue'),
+                periode,
+                exception,
+                origine: null
+            });
+        });
+
+        // Occurrences reportées vers cette semaine
+        exceptions
+            .filter(e => e.action === 'deplacee' && e.nouvelleDate >= week.debut && e.nouvelleDate <= week.fin)
+            .forEach(exception => {
+                const seance = byId.get(exception.seanceId);
+                if (!seance) return;
+                occurrences.push({
+                    seance,
+                    date: exception.nouvelleDate,
+                    jour: this.getJourForDate(exception.nouvelleDate),
+                    creneau: exception.nouveauCreneau,
+                    statut: 'reportee',
+                    periode: null,
+                    exception,
+                    origine: exception.date
+                });
+            });
+
+        return occurrences;
+    }
+
+    /**
+     * Plage horaire d'une occurrence (durée de la séance, début du créneau de l'occurrence)
+     * @param {Session} seance - La séance
+     * @param {string} creneau - Le créneau de l'occurrence
+     * @returns {Object} { debut, fin } en minutes
+     */
+    getOccurrenceRange(seance, creneau) {
+        const range = getSessionTimeRange(seance);
+        if (creneau === seance.creneau) return range;
+
+        const debut = getCreneauRange(creneau).debut;
+        return { debut, fin: debut + (range.fin - range.debut) };
+    }
+
+    /**
+     * Conflits d'un report : occurrences tenues le même jour, sur une plage qui chevauche,
+     * partageant un enseignant, la salle ou le groupe d'étudiants
+     * @param {Session} seance - La séance déplacée
+     * @param {string} nouvelleDate - La nouvelle date
+     * @param {string} nouveauCreneau - Le nouveau créneau
+     * @returns {Array<string>} Les messages de conflit
+     */
+    getMoveConflicts(seance, nouvelleDate, nouveauCreneau) {
+        const week = this.getWeeks().find(w => w.debut <= nouvelleDate && nouvelleDate <= w.fin);
+        if (!week) return [];
+
+        const range = this.getOccurrenceRange(seance, nouveauCreneau);
+        const conflicts = [];
+
+        this.getWeekOccurrences(week.index)
+            .filter(o => o.date === nouvelleDate && o.seance.id !== seance.id)
+            .filter(o => o.statut === 'prevue' || o.statut === 'reportee')
+            .filter(o => rangesOverlap(range, this.getOccurrenceRange(o.seance, o.creneau)))
+            .forEach(o => {
+                const other = o.seance;
+                const label = `${other.matiere} (${other.type}, ${other.groupe || other.filiere})`;
+                const teachers = (seance.enseignantsArray || []).filter(t => (other.enseignantsArray || []).includes(t));
+
+                if (teachers.length > 0) {
+                    conflicts.push(`Enseignant ${teachers.join(', ')} déjà occupé : ${label}`);
+                }
+                if (seance.salle && seance.salle === other.salle) {
+                    conflicts.push(`Salle ${seance.salle} déjà occupée : ${label}`);
+                }
+                if (seance.uniqueStudentEntity && seance.uniqueStudentEntity === other.uniqueStudentEntity) {
+                    conflicts.push(`Groupe déjà occupé : ${label}`);
+                }
+            });
+
+        return conflicts;
+    }
+}
+
+// Export d'une instance singleton
+export default new CalendarService();
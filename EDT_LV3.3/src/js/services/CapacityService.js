@@ -0,0 +1,159 @@
+/**
+ * Service des capacités de salles et des effectifs étudiants
+ * @author Ibrahim Mrani - UCD
+ *
+ * L'effectif est saisi au niveau de la filière ; ceux des sections et des groupes
+ * de TD/TP en sont déduits à partir de la configuration de chaque matière
+ * (Subject.generateStudentEntities), sauf surcharge explicite dans state.effectifs.
+ * Une capacité ou un effectif à 0 signifie "non renseigné" : aucune contrainte n'est appliquée.
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import Subject from '../models/Subject.js';
+
+class CapacityService {
+    /**
+     * Obtient la capacité d'une salle
+     * @param {string} salle - Le nom de la salle
+     * @returns {number} Le nombre de places (0 si non renseigné)
+     */
+    getRoomCapacity(salle) {
+        const value = Number(StateManager.state.sallesCapacite?.[salle]);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+
+    /**
+     * Définit la capacité d'une salle
+     * @param {string} salle - Le nom de la salle
+     * @param {number} capacite - Le nombre de places (0 pour effacer)
+     */
+    setRoomCapacity(salle, capacite) {
+        if (!StateManager.state.sallesCapacite) StateManager.state.sallesCapacite = {};
+        const value = Math.max(0, Math.floor(Number(capacite) || 0));
+        if (value > 0) {
+            StateManager.state.sallesCapacite[salle] = value;
+        } else {
+            delete StateManager.state.sallesCapacite[salle];
+        }
+    }
+
+    /**
+     * Obtient l'effectif total d'une filière
+     * @param {string} nom - Le nom de la filière
+     * @returns {number} L'effectif (0 si non renseigné)
+     */
+    getFiliereEffectif(nom) {
+        const filiere = (StateManager.state.filieres || []).find(f => f.nom === nom);
+        const value = Number(filiere?.effectif);
+        return Number.isFinite(value) && value > 0 ? value : 0;
+    }
+
+    /**
+     * Clé d'une entité étudiante dans la table des effectifs
+     * (les groupes de TD et de TP portent le même nom d'entité)
+     * @param {string} type - Le type de séance (Cours, TD, TP)
+     * @param {string} entity - L'entité (ex: "S3 PC - Section A - G1")
+     * @returns {string} La clé
+     */
+    getEntityKey(type, entity) {
+        return type === 'Cours' ? entity : `${entity} (${type})`;
+    }
+
+    /**
+     * Calcule les effectifs déduits de l'effectif de la filière pour une matière
+     * @param {Subject} subject - La matière
+     * @param {string} filiere - La filière (optionnel, celle de la matière par défaut)
+     * @returns {Array<Object>} [{ key, type, entity, effectif }]
+     */
+    getDerivedEffectifs(subject, filiere = null) {
+        const filiereToUse = filiere || subject.filiere;
+        const total = this.getFiliereEffectif(filiereToUse);
+        const entities = subject.generateStudentEntities(filiereToUse);
+
+        const sectionSize = subject.sections_cours > 0 ? Math.ceil(total / subject.sections_cours) : 0;
+        const tdSize = subject.td_groups > 0 ? Math.ceil(sectionSize / subject.td_groups) : 0;
+        const tpSize = subject.tp_groups > 0 ? Math.ceil(sectionSize / subject.tp_groups) : 0;
+
+        return [
+            ...entities.cours.map(entity => ({ type: 'Cours', entity, effectif: sectionSize })),
+            ...entities.td.map(entity => ({ type: 'TD', entity, effectif: tdSize })),
+            ...entities.tp.map(entity => ({ type: 'TP', entity, effectif: tpSize }))
+        ].map(row => ({ key: this.getEntityKey(row.type, row.entity), ...row }));
+    }
+
+    /**
+     * Obtient l'effectif d'une entité étudiante (surcharge, sinon valeur déduite)
+     * @param {string} type - Le type de séance
+     * @param {string} entity - L'entité étudiante
+     * @param {string} matiere - La matière (pour la déduction)
+     * @param {string} filiere - La filière
+     * @returns {number} L'effectif (0 si inconnu)
+     */
+    getEffectif(type, entity, matiere, filiere) {
+        const key = this.getEntityKey(type, entity);
+        const override = Number(StateManager.state.effectifs?.[key]);
+        if (Number.isFinite(override) && override > 0) return override;
+
+        const data = StateManager.state.matiereGroupes?.[matiere];
+        if (!data) return 0;
+
+        const derived = this.getDerivedEffectifs(new Subject(matiere, data), filiere || data.filiere)
+            .find(row => row.key === key);
+        return derived ? derived.effectif : 0;
+    }
+
+    /**
+     * Définit (ou efface) la surcharge d'effectif d'une entité étudiante
+     * @param {string} key - La clé de l'entité (voir getEntityKey)
+     * @param {number} effectif - L'effectif (0 pour revenir à la valeur déduite)
+     */
+    setEffectifOverride(key, effectif) {
+        if (!StateManager.state.effectifs) StateManager.state.effectifs = {};
+        const value = Math.max(0, Math.floor(Number(effectif) || 0));
+        if (value > 0) {
+            StateManager.state.effectifs[key] = value;
+        } else {
+            delete StateManager.state.effectifs[key];
+        }
+    }
+
+    /**
+     * Obtient l'effectif d'une séance
+     * @param {Session} session - La séance
+     * @returns {number} L'effectif (0 si inconnu)
+     */
+    getSessionEffectif(session) {
+        return this.getEffectif(session.type, session.uniqueStudentEntity, session.matiere, session.filiere);
+    }
+
+    /**
+     * Indique si une salle peut accueillir un effectif
+     * (capacité ou effectif non renseigné : toujours vrai)
+     * @param {string} salle - Le nom de la salle
+     * @param {number} effectif - L'effectif
+     * @returns {boolean} True si la salle est assez grande
+     */
+    fits(salle, effectif) {
+        return StateManager.getRoom(salle).canHost(effectif);
+    }
+
+    /**
+     * Trie des salles de la plus ajustée à la moins ajustée pour un effectif :
+     * capacités connues croissantes d'abord, salles sans capacité ensuite
+     * @param {Array<string>} rooms - Les salles (déjà filtrées)
+     * @param {number} effectif - L'effectif
+     * @returns {Array<string>} Les salles triées
+     */
+    sortByBestFit(rooms, effectif) {
+        if (!effectif) return rooms;
+
+        return [...rooms].sort((a, b) => {
+            const ca = this.getRoomCapacity(a) || Infinity;
+            const cb = this.getRoomCapacity(b) || Infinity;
+            return ca - cb || a.localeCompare(b);
+        });
+    }
+}
+
+// Export d'une instance singleton
+export default new CapacityService();
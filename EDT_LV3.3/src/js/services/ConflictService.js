@@ -3,9 +3,29 @@
  * @author Ibrahim Mrani - UCD
  */
 
-import { CRENEAUX_COUPLES_SUIVANT } from '../config/constants.js';
+import { DISPONIBILITE_STATUTS } from '../config/constants.js';
+import {
+    getSessionTimeRange,
+    getCreneauRange,
+    getCreneauxInRange,
+    getCreneauxForJour,
+    getJoursOuvres,
+    getSortedCreneauxKeys,
+    isTPAutorise,
+    rangesOverlap,
+    minutesToTime
+} from '../utils/helpers.js';
+import StateManager from '../controllers/StateManager.js';
 import ValidationService from './ValidationService.js';
+import CapacityService from './CapacityService.js';
+import CalendarService from './CalendarService.js';
+import ExternalOccupationService from './ExternalOccupationService.js';
 
+/**
+ * Les conflits horaires reposent sur le chevauchement des plages occupées
+ * (voir getSessionTimeRange) : durées libres et TP couplés sont traités de la même façon.
+ * Deux séances sans semaine commune (semaine A / semaine B) ne sont jamais en conflit.
+ */
 class ConflictService {
     /**
      * Vérifie tous les conflits pour une séance
@@ -19,35 +39,70 @@ class ConflictService {
         const conflicts = [];
         const seancesAComparer = allSessions.filter(s => !excludeIds.includes(s.id));
 
-        // 1. Vérifier les créneaux à checker (incluant couplé si TP)
-        const creneauxAChecker = [session.creneau];
-        if (session.type === 'TP' && CRENEAUX_COUPLES_SUIVANT[session.creneau]) {
-            creneauxAChecker.push(CRENEAUX_COUPLES_SUIVANT[session.creneau]);
-        }
+        // 0. Jour travaillé et créneaux ouverts ce jour-là
+        conflicts.push(...this.checkWorkingTimeConflicts(session));
 
-        // 2. Conflits enseignants
+        // 1. Conflits enseignants
         conflicts.push(...this.checkTeacherConflicts(session, seancesAComparer));
 
-        // 3. Conflits de salle et de groupe
-        for (const creneau of creneauxAChecker) {
-            conflicts.push(...this.checkRoomAndGroupConflicts(
-                session, 
-                creneau, 
-                seancesAComparer,
-                sallesInfo
-            ));
-        }
+        // 2. Conflits de salle et de groupe (séances qui chevauchent la plage horaire)
+        conflicts.push(...this.checkRoomAndGroupConflicts(session, seancesAComparer, sallesInfo));
 
-        // 4. Conflit de section (Cours vs TD/TP)
+        // 3. Conflit de section (Cours vs TD/TP)
         conflicts.push(...this.checkSectionConflicts(session, seancesAComparer));
 
-        // 5. Conflit de doublon
+        // 4. Conflit de doublon
         conflicts.push(...this.checkDuplicateConflicts(session, seancesAComparer));
 
+        // 5. Conflit de capacité (salle trop petite pour l'effectif)
+        conflicts.push(...this.checkCapacityConflicts(session));
+
         // Retourner uniquement les conflits uniques
         return [...new Set(conflicts)].filter(Boolean);
     }
 
+    /**
+     * Vérifie que la séance tombe un jour travaillé (acceptant les TP pour un TP), sur des créneaux ouverts ce jour-là
+     * @param {Session} session - La séance
+     * @returns {Array<string>} Les conflits
+     */
+    checkWorkingTimeConflicts(session) {
+        if (!session.jour || !session.creneau) return [];
+
+        if (!getJoursOuvres().includes(session.jour)) {
+            return [`❌ CONFLIT JOUR: Le **${session.jour}** n'est pas un jour travaillé.`];
+        }
+
+        if (session.type === 'TP' && !isTPAutorise(session.jour)) {
+            return [`❌ CONFLIT JOUR: Aucun TP n'est programmé le **${session.jour}**.`];
+        }
+
+        // Grille des créneaux non initialisée : rien à vérifier
+        if (getSortedCreneauxKeys().length === 0) return [];
+
+        const ouverts = getCreneauxForJour(session.jour);
+        if (ouverts.length === 0) {
+            return [`❌ CONFLIT CRÉNEAU: Aucun créneau n'est ouvert le ${session.jour}.`];
+        }
+
+        const range = getSessionTimeRange(session);
+        const fermes = getCreneauxInRange(range).filter(c => !ouverts.includes(c));
+        if (!ouverts.includes(session.creneau) && !fermes.includes(session.creneau)) {
+            fermes.unshift(session.creneau);
+        }
+        if (fermes.length > 0) {
+            return [`❌ CONFLIT CRÉNEAU: ${fermes.map(c => `**${c}**`).join(', ')} non ouvert(s) le ${session.jour}.`];
+        }
+
+        // Une durée libre ne doit pas déborder de la journée ouverte
+        const fin = getCreneauRange(ouverts[ouverts.length - 1]).fin;
+        if (range.fin > fin) {
+            return [`❌ CONFLIT CRÉNEAU: La séance dépasse la fin de journée du ${session.jour} (${minutesToTime(fin)}).`];
+        }
+
+        return [];
+    }
+
     /**
      * Vérifie les conflits d'enseignants
      * @param {Session} session - La séance
@@ -56,11 +111,23 @@ class ConflictService {
      */
     checkTeacherConflicts(session, seancesAComparer) {
         const conflicts = [];
+        const range = getSessionTimeRange(session);
 
         for (const teacher of session.enseignantsArray) {
             if (!teacher) continue;
 
-            if (!this.isTeacherAvailable(teacher, session.jour, session.creneau, session.type, seancesAComparer)) {
+            if (this.isTeacherDeclaredUnavailable(teacher, session.jour, session.creneau, session.type, range)) {
+                conflicts.push(`❌ CONFLIT INDISPONIBILITÉ: **${teacher}** s'est déclaré(e) indisponible le ${session.jour} à ${session.creneau}.`);
+                continue;
+            }
+
+            const externe = ExternalOccupationService.findOverlap('enseignant', teacher, session.jour, range, session);
+            if (externe) {
+                conflicts.push(`❌ CONFLIT OCCUPATION EXTERNE: **${teacher}** est occupé(e) hors département (${ExternalOccupationService.formatOccupation(externe)}).`);
+                continue;
+            }
+
+            if (!this.isTeacherAvailable(teacher, session.jour, session.creneau, session.type, seancesAComparer, range, session)) {
                 conflicts.push(`❌ CONFLIT ENSEIGNANT: **${teacher}** est déjà occupé(e) sur ce créneau.`);
             }
         }
@@ -75,62 +142,97 @@ class ConflictService {
      * @param {string} creneau - Le créneau
      * @param {string} type - Le type de séance
      * @param {Array<Session>} seancesAComparer - Les séances à vérifier
+     * @param {Object} range - Plage horaire { debut, fin } (par défaut celle du créneau)
+     * @param {Session|Object} periodicite - Séance dont la périodicité limite la comparaison (par défaut hebdomadaire)
      * @returns {boolean} True si disponible
      */
-    isTeacherAvailable(teacher, jour, creneau, type, seancesAComparer) {
+    isTeacherAvailable(teacher, jour, creneau, type, seancesAComparer, range = null, periodicite = null) {
         if (!teacher) return true;
 
+        const plage = range || getSessionTimeRange({ creneau, type });
+
+        // Indisponibilité déclarée dans la grille des souhaits (contrainte dure)
+        if (this.isTeacherDeclaredUnavailable(teacher, jour, creneau, type, plage)) return false;
+
+        // Occupation hors département (agenda .ics importé)
+        if (ExternalOccupationService.isBusy('enseignant', teacher, jour, plage, periodicite)) return false;
+
         for (const s of seancesAComparer) {
             if (s.jour !== jour) continue;
             if (!Array.isArray(s.enseignantsArray) || s.enseignantsArray.length === 0) continue;
             if (!s.enseignantsArray.includes(teacher)) continue;
 
-            // Conflit direct: même créneau de départ
-            if (s.creneau === creneau) return false;
-
-            // Conflits liés aux TP couplés (vérifier dans les deux sens)
-            if (s.type === 'TP' && CRENEAUX_COUPLES_SUIVANT[s.creneau] === creneau) return false;
-            if (type === 'TP' && CRENEAUX_COUPLES_SUIVANT[creneau] === s.creneau) return false;
+            if (rangesOverlap(getSessionTimeRange(s), plage) && (!periodicite || CalendarService.sharesWeek(periodicite, s))) return false;
         }
 
         return true;
     }
 
+    /**
+     * Vérifie si un enseignant s'est déclaré indisponible sur un créneau
+     * (tous les créneaux de la grille chevauchés par la séance sont vérifiés,
+     * y compris le créneau couplé d'un TP)
+     * @param {string} teacher - Le nom de l'enseignant
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     * @param {string} type - Le type de séance
+     * @param {Object} range - Plage horaire { debut, fin } (par défaut celle du créneau)
+     * @returns {boolean} True si indisponible
+     */
+    isTeacherDeclaredUnavailable(teacher, jour, creneau, type, range = null) {
+        const grille = StateManager.state.enseignantSouhaits?.[teacher]?.indisponibilites;
+        if (!grille || !grille[jour]) return false;
+
+        const creneaux = getCreneauxInRange(range || getSessionTimeRange({ creneau, type }));
+        if (!creneaux.includes(creneau)) creneaux.push(creneau);
+
+        return creneaux.some(c => grille[jour][c] === DISPONIBILITE_STATUTS.INDISPONIBLE);
+    }
+
     /**
      * Vérifie les conflits de salle et de groupe
      * @param {Session} session - La séance
-     * @param {string} creneau - Le créneau à vérifier
      * @param {Array<Session>} seancesAComparer - Les séances à comparer
      * @param {Object} sallesInfo - Informations sur les salles
      * @returns {Array<string>} Les conflits
      */
-    checkRoomAndGroupConflicts(session, creneau, seancesAComparer, sallesInfo) {
+    checkRoomAndGroupConflicts(session, seancesAComparer, sallesInfo) {
         const conflicts = [];
+        const range = getSessionTimeRange(session);
 
         for (const s of seancesAComparer) {
             if (s.jour !== session.jour) continue;
 
-            const sOccupeCeCreneau = (s.creneau === creneau) || 
-                (s.type === 'TP' && CRENEAUX_COUPLES_SUIVANT[s.creneau] === creneau);
+            const other = getSessionTimeRange(s);
+            if (rangesOverlap(other, range) && CalendarService.sharesWeek(session, s)) {
+                const heure = minutesToTime(Math.max(other.debut, range.debut));
 
-            if (sOccupeCeCreneau) {
                 // Conflit de salle (seulement si les deux séances ont une salle définie et non vide)
                 if (session.salle !== "" && s.salle === session.salle) {
-                    conflicts.push(`❌ CONFLIT SALLE: La salle **${session.salle}** est déjà utilisée à ${creneau} par ${s.matiere} (${s.groupe}).`);
+                    conflicts.push(`❌ CONFLIT SALLE: La salle **${session.salle}** est déjà utilisée à ${heure} par ${s.matiere} (${s.groupe}).`);
                 }
 
                 // Conflit de groupe étudiant
                 if (s.uniqueStudentEntity === session.uniqueStudentEntity) {
-                    conflicts.push(`❌ CONFLIT GROUPE: Le groupe **${session.uniqueStudentEntity}** est déjà occupé à ${creneau}.`);
+                    conflicts.push(`❌ CONFLIT GROUPE: Le groupe **${session.uniqueStudentEntity}** est déjà occupé à ${heure}.`);
                 }
             }
         }
 
+        // Salle occupée hors département (agenda .ics importé)
+        const externe = session.salle ? ExternalOccupationService.findOverlap('salle', session.salle, session.jour, range, session) : null;
+        if (externe) {
+            conflicts.push(`❌ CONFLIT OCCUPATION EXTERNE: La salle **${session.salle}** est occupée hors département (${ExternalOccupationService.formatOccupation(externe)}).`);
+        }
+
         // Vérification de compatibilité de salle
         if (session.type !== 'TP' && session.salle && !ValidationService.validateSalleCompatibility(session.type, session.salle, sallesInfo)) {
             conflicts.push(`❌ CONFLIT SALLE TYPE: Un (${session.type}) n'est pas compatible avec cette salle.`);
         }
 
+        // Équipements exigés par la matière
+        conflicts.push(...this.checkEquipmentConflicts(session));
+
         return conflicts;
     }
 
@@ -142,12 +244,14 @@ class ConflictService {
      */
     checkSectionConflicts(session, seancesAComparer) {
         const conflicts = [];
+        const range = getSessionTimeRange(session);
 
         const chevauchement = seancesAComparer.find(s => {
             if (s.jour === session.jour && 
-                s.creneau === session.creneau && 
+                rangesOverlap(getSessionTimeRange(s), range) && 
                 s.filiere === session.filiere && 
-                s.section === session.section) {
+                s.section === session.section &&
+                CalendarService.sharesWeek(session, s)) {
                 
                 if (session.type === 'Cours' && (s.type === 'TD' || s.type === 'TP')) {
                     return true;
@@ -192,6 +296,36 @@ class ConflictService {
         return conflicts;
     }
 
+    /**
+     * Vérifie que la salle dispose des équipements exigés par la matière
+     * @param {Session} session - La séance
+     * @returns {Array<string>} Les conflits
+     */
+    checkEquipmentConflicts(session) {
+        if (!session.salle) return [];
+
+        const requis = ValidationService.getRequiredEquipment(session.matiere, session.type);
+        const manquants = ValidationService.getMissingEquipment(session.salle, requis);
+        if (manquants.length === 0) return [];
+
+        return [`❌ CONFLIT ÉQUIPEMENT: La salle **${session.salle}** ne dispose pas de : ${ValidationService.formatEquipment(manquants)} (exigé pour ${session.matiere} en ${session.type}).`];
+    }
+
+    /**
+     * Vérifie que la salle peut accueillir l'effectif de la séance
+     * @param {Session} session - La séance
+     * @returns {Array<string>} Les conflits
+     */
+    checkCapacityConflicts(session) {
+        if (!session.salle) return [];
+
+        const effectif = CapacityService.getSessionEffectif(session);
+        if (CapacityService.fits(session.salle, effectif)) return [];
+
+        const capacite = CapacityService.getRoomCapacity(session.salle);
+        return [`❌ CONFLIT CAPACITÉ: La salle **${session.salle}** (${capacite} places) est trop petite pour **${session.uniqueStudentEntity}** (${effectif} étudiants).`];
+    }
+
     /**
      * Vérifie si une salle est occupée à un créneau donné
      * @param {string} roomName - Le nom de la salle
@@ -202,23 +336,36 @@ class ConflictService {
      * @returns {boolean} True si occupée
      */
     isRoomOccupied(roomName, jour, creneau, allSessions, excludeSessionId = null) {
-        if (!roomName || !jour || !creneau) return false;
+        if (!creneau) return false;
+        return this.isRoomOccupiedDuring(roomName, jour, getCreneauRange(creneau), allSessions, excludeSessionId);
+    }
 
-        for (const s of allSessions) {
-            if (excludeSessionId && s.id === excludeSessionId) continue;
-            if (s.jour !== jour || !s.salle) continue;
-            if (s.salle !== roomName) continue;
+    /**
+     * Vérifie si une salle est occupée pendant une plage horaire
+     * (séances de durée libre et TP couplés compris)
+     * @param {string} roomName - Le nom de la salle
+     * @param {string} jour - Le jour
+     * @param {Object} range - Plage horaire { debut, fin } en minutes
+     * @param {Array<Session>} allSessions - Toutes les séances
+     * @param {number|Array<number>} exclude - ID(s) de séance à exclure
+     * @param {Session|Object} periodicite - Séance dont la périodicité limite la comparaison (par défaut hebdomadaire)
+     * @returns {boolean} True si occupée
+     */
+    isRoomOccupiedDuring(roomName, jour, range, allSessions, exclude = null, periodicite = null) {
+        if (!roomName || !jour || !range) return false;
 
-            // Occupation directe
-            if (s.creneau === creneau) return true;
+        // Occupation hors département (agenda .ics importé)
+        if (ExternalOccupationService.isBusy('salle', roomName, jour, range, periodicite)) return true;
 
-            // Occupation par TP couplé
-            if (s.type === 'TP' && CRENEAUX_COUPLES_SUIVANT[s.creneau] === creneau) {
-                return true;
-            }
-        }
+        const excluded = Array.isArray(exclude) ? exclude : [exclude];
 
-        return false;
+        return allSessions.some(s =>
+            !excluded.includes(s.id) &&
+            s.jour === jour &&
+            s.salle === roomName &&
+            rangesOverlap(getSessionTimeRange(s), range) &&
+            (!periodicite || CalendarService.sharesWeek(periodicite, s))
+        );
     }
 
     /**
@@ -229,34 +376,72 @@ class ConflictService {
      * @param {Object} sallesInfo - Informations sur les salles
      * @param {Array<Session>} allSessions - Toutes les séances
      * @param {number} excludeSessionId - ID à exclure
-     * @returns {Array<string>} Les salles libres
+     * @param {number} effectif - Effectif à accueillir (0 : pas de contrainte de capacité)
+     * @param {Array<string>} equipementsRequis - Équipements que la salle doit posséder
+     * @returns {Array<string>} Les salles libres (de la mieux ajustée à la moins ajustée si un effectif est fourni)
      */
-    getFreeRooms(jour, creneau, type, sallesInfo, allSessions, excludeSessionId = null) {
+    getFreeRooms(jour, creneau, type, sallesInfo, allSessions, excludeSessionId = null, effectif = 0, equipementsRequis = []) {
         if (!jour || !creneau) return [];
 
+        return this.getFreeRoomsDuring(jour, getSessionTimeRange({ creneau, type }), type, sallesInfo, allSessions, excludeSessionId, effectif, equipementsRequis);
+    }
+
+    /**
+     * Obtient les salles libres pour une séance (sa plage horaire, sa périodicité, son effectif et ses équipements requis)
+     * @param {Session} session - La séance à placer
+     * @param {Object} sallesInfo - Informations sur les salles
+     * @param {Array<Session>} allSessions - Toutes les séances
+     * @param {number|Array<number>} exclude - ID(s) de séance à exclure
+     * @returns {Array<string>} Les salles libres, de la mieux ajustée à la moins ajustée
+     */
+    getFreeRoomsForSession(session, sallesInfo, allSessions, exclude = null) {
+        if (!session.jour || !session.creneau) return [];
+
+        return this.getFreeRoomsDuring(
+            session.jour,
+            getSessionTimeRange(session),
+            session.type,
+            sallesInfo,
+            allSessions,
+            exclude,
+            CapacityService.getSessionEffectif(session),
+            ValidationService.getRequiredEquipment(session.matiere, session.type),
+            session
+        );
+    }
+
+    /**
+     * Obtient les salles libres sur une plage horaire
+     * @param {string} jour - Le jour
+     * @param {Object} range - Plage horaire { debut, fin } en minutes
+     * @param {string} type - Le type de séance
+     * @param {Object} sallesInfo - Informations sur les salles
+     * @param {Array<Session>} allSessions - Toutes les séances
+     * @param {number|Array<number>} exclude - ID(s) de séance à exclure
+     * @param {number} effectif - Effectif à accueillir (0 : pas de contrainte de capacité)
+     * @param {Array<string>} equipementsRequis - Équipements que la salle doit posséder
+     * @param {Session|Object} periodicite - Séance dont la périodicité limite la comparaison (par défaut hebdomadaire)
+     * @returns {Array<string>} Les salles libres
+     */
+    getFreeRoomsDuring(jour, range, type, sallesInfo, allSessions, exclude = null, effectif = 0, equipementsRequis = [], periodicite = null) {
         const allRooms = Object.keys(sallesInfo || {});
-        const pairedCreneau = (type === 'TP') ? CRENEAUX_COUPLES_SUIVANT[creneau] : null;
 
         const freeRooms = allRooms.filter(room => {
-            // Vérifier la compatibilité
-            if (!ValidationService.validateSalleCompatibility(type, room, sallesInfo)) {
-                return false;
-            }
-
-            // Vérifier si libre sur le créneau de début
-            if (this.isRoomOccupied(room, jour, creneau, allSessions, excludeSessionId)) {
+            // Vérifier la compatibilité (type de salle et équipements)
+            if (!ValidationService.validateSalleCompatibility(type, room, sallesInfo, equipementsRequis)) {
                 return false;
             }
 
-            // Si TP, vérifier aussi le créneau couplé
-            if (pairedCreneau && this.isRoomOccupied(room, jour, pairedCreneau, allSessions, excludeSessionId)) {
+            // Vérifier la capacité
+            if (!CapacityService.fits(room, effectif)) {
                 return false;
             }
 
-            return true;
+            // Vérifier si libre sur toute la plage (créneau couplé d'un TP compris)
+            return !this.isRoomOccupiedDuring(room, jour, range, allSessions, exclude, periodicite);
         });
 
-        return freeRooms.sort((a, b) => a.localeCompare(b));
+        return CapacityService.sortByBestFit(freeRooms.sort((a, b) => a.localeCompare(b)), effectif);
     }
 }
 
@@ -0,0 +1,385 @@
+/**
+ * Moteur de placement par contraintes (alternative au placement glouton)
+ * Recherche arborescente avec séparation-évaluation (branch & bound) :
+ *  - contraintes dures : règles de ConflictService + interdiction des Cours/TP parallèles d'une même matière
+ *    + jours et créneaux ouverts (joursConfig) + TP sur créneaux couplés, hors jours sans TP
+ *  - contraintes molles : créneaux tardifs, jours à créneaux restreints (ex: samedi matin),
+ *    concentration d'une filière sur un même jour
+ * @author Ibrahim Mrani - UCD
+ */
+
+import {
+    CRENEAUX_COUPLES_SUIVANT,
+    SOLVER_MAX_NODES,
+    SOLVER_TIME_LIMIT_MS,
+    SOLVER_WEIGHTS
+} from '../config/constants.js';
+import { getPrioritizedCreneauxKeys, getJoursOuvres, isCreneauOuvert, isTPAutorise, isJourReduit } from '../utils/helpers.js';
+import ConflictService from './ConflictService.js';
+import LogService from './LogService.js';
+
+class ConstraintSolverService {
+    /**
+     * Construit le domaine initial (créneaux candidats) d'une séance à placer
+     * @param {Session} template - La séance template
+     * @returns {Array<Object>} Les créneaux { jour, creneau, creneauCoupled }
+     */
+    buildDomain(template) {
+        const creneaux = getPrioritizedCreneauxKeys();
+        const domain = [];
+
+        getJoursOuvres().forEach(jour => {
+            creneaux.forEach(creneau => {
+                if (!isCreneauOuvert(jour, creneau)) return;
+
+                if (template.type === 'TP') {
+                    // Les TP nécessitent deux créneaux consécutifs, tous deux ouverts un jour qui accepte les TP
+                    const creneauCoupled = CRENEAUX_COUPLES_SUIVANT[creneau];
+                    if (!creneauCoupled || !isCreneauOuvert(jour, creneauCoupled) || !isTPAutorise(jour)) return;
+                    domain.push({ jour, creneau, creneauCoupled });
+                } else {
+                    domain.push({ jour, creneau, creneauCoupled: null });
+                }
+            });
+        });
+
+        return domain;
+    }
+
+    /**
+     * Matérialise les séances occupées par une séance placée (deux parties pour un TP)
+     * @param {Session} template - La séance template
+     * @param {Object} slot - Le créneau { jour, creneau, creneauCoupled }
+     * @returns {Array<Session>} Les séances
+     */
+    materialize(template, slot) {
+        const first = template.clone();
+        first.jour = slot.jour;
+        first.creneau = slot.creneau;
+
+        if (!slot.creneauCoupled) return [first];
+
+        const second = template.clone();
+        second.jour = slot.jour;
+        second.creneau = slot.creneauCoupled;
+        second.hTP_Affecte = 0;
+        return [first, second];
+    }
+
+    /**
+     * Vérifie les contraintes dures pour une séance sur un créneau
+     * @param {Session} template - La séance template
+     * @param {Object} slot - Le créneau candidat
+     * @param {Array<Session>} seances - Les séances déjà placées
+     * @param {Object} sallesInfo - Informations sur les salles
+     * @returns {boolean} True si le créneau est admissible
+     */
+    isSlotFeasible(template, slot, seances, sallesInfo) {
+        // CONTRAINTE: Ne pas planifier des Cours / TP de la même matière en parallèle
+        const parallelExists = seances.some(s =>
+            s.type === template.type &&
+            s.matiere === template.matiere &&
+            s.jour === slot.jour &&
+            (s.creneau === slot.creneau || (slot.creneauCoupled && s.creneau === slot.creneauCoupled))
+        );
+        if ((template.type === 'Cours' || template.type === 'TP') && parallelExists) return false;
+
+        return this.materialize(template, slot).every(part =>
+            ConflictService.checkAllConflicts(part, seances, [], sallesInfo).length === 0
+        );
+    }
+
+    /**
+     * Coût (contraintes molles) du placement d'une séance sur un créneau
+     * @param {Session} template - La séance template
+     * @param {Object} slot - Le créneau
+     * @param {Object} dayLoad - Charge par filière et par jour { filiere: { jour: n } }
+     * @returns {number} Le coût marginal
+     */
+    slotCost(template, slot, dayLoad) {
+        const prioritized = getPrioritizedCreneauxKeys();
+        let cost = 0;
+
+        if (prioritized.indexOf(slot.creneau) >= 4) cost += SOLVER_WEIGHTS.lateSlot;
+        if (isJourReduit(slot.jour)) cost += SOLVER_WEIGHTS.jourReduit;
+
+        const load = (dayLoad[template.filiere] && dayLoad[template.filiere][slot.jour]) || 0;
+        cost += load * SOLVER_WEIGHTS.sameDayLoad;
+
+        return cost;
+    }
+
+    /**
+     * Coût (contraintes molles + séances non placées) d'une affectation, calculé à partir des placements
+     * @param {Array<Session>} templates - Les séances à placer
+     * @param {Array<Object|null>} assignment - Créneau retenu par séance (null = non placée)
+     * @param {Array<Session>} existingSeances - Les séances fixes
+     * @returns {number} Le coût
+     */
+    assignmentCost(templates, assignment, existingSeances) {
+        const dayLoad = {};
+
+        existingSeances.forEach(s => {
+            if (s.type === 'TP' && s.hTP_Affecte === 0) return;
+            if (!dayLoad[s.filiere]) dayLoad[s.filiere] = {};
+            dayLoad[s.filiere][s.jour] = (dayLoad[s.filiere][s.jour] || 0) + 1;
+        });
+
+        return templates.reduce((cost, template, i) => {
+            const slot = assignment[i];
+            if (!slot) return cost + SOLVER_WEIGHTS.unplaced;
+
+            const slotCost = this.slotCost(template, slot, dayLoad);
+            const filiereLoad = dayLoad[template.filiere] || (dayLoad[template.filiere] = {});
+            filiereLoad[slot.jour] = (filiereLoad[slot.jour] || 0) + 1;
+            return cost + slotCost;
+        }, 0);
+    }
+
+    /**
+     * Calcule le score objectif d'un emploi du temps (plus bas = meilleur).
+     * Utilisable aussi bien pour le résultat glouton que pour le solveur.
+     * @param {Array<Session>} seances - Les séances de la session
+     * @param {number} unplacedCount - Nombre de séances non placées
+     * @returns {Object} { score, details: { unplaced, lateSlots, jourReduit, sameDayLoad } }
+     */
+    evaluateSchedule(seances, unplacedCount = 0) {
+        const prioritized = getPrioritizedCreneauxKeys();
+        const details = { unplaced: unplacedCount, lateSlots: 0, jourReduit: 0, sameDayLoad: 0 };
+        const dayLoad = {};
+
+        seances.forEach(s => {
+            // La deuxième partie d'un TP couplé n'est pas une séance distincte
+            if (s.type === 'TP' && s.hTP_Affecte === 0) return;
+            if (!s.jour || !s.creneau) return;
+
+            if (prioritized.indexOf(s.creneau) >= 4) details.lateSlots++;
+            if (isJourReduit(s.jour)) details.jourReduit++;
+
+            if (!dayLoad[s.filiere]) dayLoad[s.filiere] = {};
+            const load = dayLoad[s.filiere][s.jour] || 0;
+            details.sameDayLoad += load;
+            dayLoad[s.filiere][s.jour] = load + 1;
+        });
+
+        const score = details.unplaced * SOLVER_WEIGHTS.unplaced +
+            details.lateSlots * SOLVER_WEIGHTS.lateSlot +
+            details.jourReduit * SOLVER_WEIGHTS.jourReduit +
+            details.sameDayLoad * SOLVER_WEIGHTS.sameDayLoad;
+
+        return { score, details };
+    }
+
+    /**
+     * Place un ensemble de séances en respectant les contraintes dures et en minimisant l'objectif
+     * @param {Array<Session>} templates - Les séances à placer (jour/creneau vides)
+     * @param {Array<Session>} existingSeances - Les séances déjà présentes (fixes)
+     * @param {Object} sallesInfo - Informations sur les salles
+     * @param {Object} options - { maxNodes, timeLimitMs }
+     * @returns {Promise<Object>} { placements: Array<{ template, slot }>, unplaced: Array<Session>, cost, nodes, complete }
+     */
+    async solve(templates, existingSeances, sallesInfo, options = {}) {
+        const {
+            maxNodes = SOLVER_MAX_NODES,
+            timeLimitMs = SOLVER_TIME_LIMIT_MS
+        } = options;
+
+        const startTime = Date.now();
+        const placed = [...existingSeances];
+        const dayLoad = {};
+
+        placed.forEach(s => {
+            if (s.type === 'TP' && s.hTP_Affecte === 0) return;
+            if (!dayLoad[s.filiere]) dayLoad[s.filiere] = {};
+            dayLoad[s.filiere][s.jour] = (dayLoad[s.filiere][s.jour] || 0) + 1;
+        });
+
+        // Variables : une par séance à placer, avec domaine filtré sur les séances existantes
+        const variables = templates.map((template, index) => ({
+            index,
+            template,
+            domain: this.buildDomain(template).filter(slot => this.isSlotFeasible(template, slot, placed, sallesInfo))
+        }));
+
+        const assignment = new Array(variables.length).fill(null);
+        // Titulaire : meilleure affectation complète, sinon affectation partielle au moment de l'arrêt
+        const best = { cost: Infinity, assignment: null, partial: null };
+        let nodes = 0;
+        let stopped = false;
+
+        // Deux séances ne peuvent interagir que si elles partagent une filière ou une matière
+        const related = (a, b) => a.filiere === b.filiere || a.matiere === b.matiere;
+
+        const search = async (remaining, cost) => {
+            if (stopped) return;
+
+            nodes++;
+            if (nodes >= maxNodes || Date.now() - startTime > timeLimitMs) {
+                stopped = true;
+                if (!best.assignment) best.partial = [...assignment];
+            }
+            // Laisser respirer l'interface pendant les longues recherches
+            if (nodes % 200 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            if (cost >= best.cost) return;
+
+            if (remaining.length === 0) {
+                best.cost = cost;
+                best.assignment = [...assignment];
+                return;
+            }
+
+            // Heuristique MRV : variable au plus petit domaine d'abord
+            let pick = 0;
+            for (let i = 1; i < remaining.length; i++) {
+                if (remaining[i].domain.length < remaining[pick].domain.length) pick = i;
+            }
+            const variable = remaining[pick];
+            const rest = remaining.filter((_, i) => i !== pick);
+
+            // Valeurs triées par coût marginal croissant, puis option "non placée" en dernier recours
+            const values = variable.domain
+                .map(slot => ({ slot, cost: this.slotCost(variable.template, slot, dayLoad) }))
+                .sort((a, b) => a.cost - b.cost);
+
+            for (const { slot, cost: slotCost } of values) {
+                if (stopped) return;
+
+                const parts = this.materialize(variable.template, slot);
+                placed.push(...parts);
+                const filiereLoad = dayLoad[variable.template.filiere] || (dayLoad[variable.template.filiere] = {});
+                filiereLoad[slot.jour] = (filiereLoad[slot.jour] || 0) + 1;
+
+                // Forward checking : retirer les valeurs devenues incompatibles le même jour
+                const savedDomains = [];
+                rest.forEach(other => {
+                    if (!related(other.template, variable.template)) return;
+                    savedDomains.push([other, other.domain]);
+                    other.domain = other.domain.filter(s =>
+                        s.jour !== slot.jour || this.isSlotFeasible(other.template, s, placed, sallesInfo)
+                    );
+                });
+
+                assignment[variable.index] = slot;
+                await search(rest, cost + slotCost);
+                assignment[variable.index] = null;
+
+                savedDomains.forEach(([other, domain]) => { other.domain = domain; });
+                filiereLoad[slot.jour]--;
+                placed.splice(placed.length - parts.length, parts.length);
+            }
+
+            if (stopped) return;
+            await search(rest, cost + SOLVER_WEIGHTS.unplaced);
+        };
+
+        await search(variables, 0);
+
+        const finalAssignment = best.assignment || best.partial || assignment;
+        const complete = !stopped;
+        const templatesList = variables.map(v => v.template);
+
+        // Si la recherche a été interrompue, améliorer la solution (ou compléter l'affectation partielle) par recherche locale
+        let moves = 0;
+        if (!complete) {
+            const improved = await this.improveByLocalSearch(
+                templatesList,
+                finalAssignment,
+                existingSeances,
+                sallesInfo,
+                startTime + 2 * timeLimitMs
+            );
+            moves = improved.moves;
+        }
+
+        const cost = this.assignmentCost(templatesList, finalAssignment, existingSeances);
+
+        const placements = [];
+        const unplaced = [];
+
+        variables.forEach(variable => {
+            const slot = finalAssignment[variable.index];
+            if (slot) placements.push({ template: variable.template, slot });
+            else unplaced.push(variable.template);
+        });
+
+        LogService.info(`🧩 Solveur : ${placements.length} placée(s), ${unplaced.length} non placée(s), ${nodes} nœud(s) explorés${complete ? ' (optimum prouvé)' : ` (limite atteinte, ${moves} amélioration(s) locale(s))`}`);
+
+        return { placements, unplaced, cost, nodes, complete };
+    }
+
+    /**
+     * Recherche locale (descente) : déplace une séance à la fois vers le créneau admissible
+     * le moins coûteux, et tente de placer les séances restées non placées.
+     * Modifie `assignment` sur place.
+     * @param {Array<Session>} templates - Les séances à placer
+     * @param {Array<Object|null>} assignment - Créneau retenu par séance (null = non placée)
+     * @param {Array<Session>} existingSeances - Les séances fixes
+     * @param {Object} sallesInfo - Informations sur les salles
+     * @param {number} deadline - Horodatage limite (ms)
+     * @returns {Promise<Object>} { gain, moves }
+     */
+    async improveByLocalSearch(templates, assignment, existingSeances, sallesInfo, deadline) {
+        const partsByIndex = templates.map((template, i) => (assignment[i] ? this.materialize(template, assignment[i]) : []));
+        let placed = [...existingSeances, ...partsByIndex.flat()];
+        const dayLoad = {};
+
+        placed.forEach(s => {
+            if (s.type === 'TP' && s.hTP_Affecte === 0) return;
+            if (!dayLoad[s.filiere]) dayLoad[s.filiere] = {};
+            dayLoad[s.filiere][s.jour] = (dayLoad[s.filiere][s.jour] || 0) + 1;
+        });
+
+        let gain = 0;
+        let moves = 0;
+        let improved = true;
+
+        while (improved && Date.now() < deadline) {
+            improved = false;
+
+            for (let i = 0; i < templates.length; i++) {
+                if (Date.now() >= deadline) break;
+
+                const template = templates[i];
+                const current = assignment[i];
+                const ownParts = new Set(partsByIndex[i]);
+                const others = placed.filter(s => !ownParts.has(s));
+                const filiereLoad = dayLoad[template.filiere] || (dayLoad[template.filiere] = {});
+
+                if (current) filiereLoad[current.jour]--;
+                const currentCost = current ? this.slotCost(template, current, dayLoad) : SOLVER_WEIGHTS.unplaced;
+
+                let bestSlot = null;
+                let bestCost = currentCost;
+                this.buildDomain(template).forEach(slot => {
+                    const slotCost = this.slotCost(template, slot, dayLoad);
+                    if (slotCost < bestCost && this.isSlotFeasible(template, slot, others, sallesInfo)) {
+                        bestSlot = slot;
+                        bestCost = slotCost;
+                    }
+                });
+
+                const chosen = bestSlot || current;
+                if (chosen) filiereLoad[chosen.jour] = (filiereLoad[chosen.jour] || 0) + 1;
+
+                if (bestSlot) {
+                    assignment[i] = bestSlot;
+                    partsByIndex[i] = this.materialize(template, bestSlot);
+                    placed = [...others, ...partsByIndex[i]];
+                    gain += currentCost - bestCost;
+                    moves++;
+                    improved = true;
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return { gain, moves };
+    }
+}
+
+// Export d'une instance singleton
+export default new ConstraintSolverService();
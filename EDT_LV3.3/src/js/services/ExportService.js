@@ -2,8 +2,7 @@
  * Service d'export de documents (PDF, Excel)
  * @author Ibrahim Mrani - UCD
  */
-import { LISTE_JOURS } from '../config/constants.js';
-import { getSortedCreneauxKeys } from '../utils/helpers.js';
+import { getSortedCreneauxKeys, getJoursOuvres, minutesToTime } from '../utils/helpers.js';
 import DialogManager from '../ui/DialogManager.js';
 import LogService from './LogService.js';
 import NotificationManager from '../ui/NotificationManager.js';
@@ -11,7 +10,12 @@ import StateManager from '../controllers/StateManager.js';
 import TableRenderer from '../ui/TableRenderer.js';
 import VolumeService from './VolumeService.js';
 import StorageService from './StorageService.js';
-import { SEANCE_COLORS } from '../config/constants.js';
+import CalendarService from './CalendarService.js';
+import ICalendarService from './ICalendarService.js';
+import ExternalOccupationService from './ExternalOccupationService.js';
+import ServiceStatementService from './ServiceStatementService.js';
+import { SEANCE_COLORS, GRADES_ENSEIGNANTS, STATUTS_ENSEIGNANTS, FORFAITS_EXCEL_HEADERS, FORFAIT_CATALOGUE_EXCEL_HEADERS } from '../config/constants.js';
+import { friendlyLabel } from '../utils/session.js';
 import { downloadFile } from '../utils/helpers.js';
 
 class ExportService {
@@ -109,6 +113,10 @@ class ExportService {
         const seances = TableRenderer.getFilteredSeances();
         const pdfData = TableRenderer.generatePDFData(seances);
 
+        const formatSeances = (list) => list.map(s =>
+            `${s.matiere} (${s.type})${s.isHebdomadaire() ? '' : ` [${s.getPeriodiciteLabel()}]`}${s.hasCustomTimes() ? `\n${s.getHoraireLabel()}` : ''}\n${s.groupe}\n${s.enseignant || 'N/A'}\n${s.salle || 'N/A'}`
+        ).join('\n---\n');
+
         // Utiliser autoTable
         doc.autoTable({
             head: pdfData.head,
@@ -116,9 +124,11 @@ class ExportService {
                 return row.map(cell => {
                     if (Array.isArray(cell)) {
                         // C'est une cellule avec des séances
-                        return cell.map(s =>
-                            `${s.matiere} (${s.type})\n${s.groupe}\n${s.enseignant || 'N/A'}\n${s.salle || 'N/A'}`
-                        ).join('\n---\n');
+                        return formatSeances(cell);
+                    }
+                    if (cell && cell.seances) {
+                        // Séance à durée libre fusionnée sur plusieurs créneaux de sa ligne
+                        return { content: formatSeances(cell.seances), colSpan: cell.colSpan };
                     }
                     return cell;
                 });
@@ -175,7 +185,7 @@ class ExportService {
             seances,
             StateManager.state.enseignants.length,
             StateManager.state.enseignantVolumesSupplementaires,
-            StateManager.state.forfaits || []
+            VolumeService.filterForfaits(StateManager.state.forfaits, StateManager.state.header.session)
         );
 
         doc.setFontSize(12);
@@ -306,6 +316,327 @@ class ExportService {
         }
     }
 
+    /**
+     * Exporte le rapport consolidé des conflits inter-départements en Excel
+     * @returns {boolean} Succès de l'export
+     */
+    exportCrossDepartmentConflictsToExcel() {
+        try {
+            const { annee, session } = StateManager.state.header;
+            const conflicts = ExternalOccupationService.getCrossDepartmentConflicts();
+
+            const data = [
+                [`Conflits de ressources inter-départements – ${annee} – ${session}`],
+                [''],
+                ['Ressource', 'Nom', 'Jour', 'Début', 'Fin', 'Origine 1', 'Occupation 1', 'Origine 2', 'Occupation 2']
+            ];
+
+            conflicts.forEach(c => {
+                data.push([
+                    c.ressource === 'salle' ? 'Salle' : 'Enseignant',
+                    c.nom,
+                    c.jour,
+                    minutesToTime(c.debut),
+                    minutesToTime(c.fin),
+                    c.origineA,
+                    c.libelleA,
+                    c.origineB,
+                    c.libelleB
+                ]);
+            });
+
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'Conflits');
+            XLSX.writeFile(workbook, this.generateFilename('conflits_inter_departements', 'xlsx'));
+
+            LogService.success(`✅ Rapport inter-départements exporté (${conflicts.length} conflit(s))`);
+            return true;
+        } catch (error) {
+            console.error('Erreur export rapport inter-départements:', error);
+            LogService.error(`❌ Erreur export rapport: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Lignes détaillées de l'état de service d'un enseignant
+     * @param {Object} statement - L'état (voir ServiceStatementService.buildStatements)
+     * @param {string} unite - L'unité des volumes
+     * @returns {Array<Array>} [libellé, valeur]
+     */
+    getServiceStatementRows(statement, unite) {
+        const { profil } = statement;
+        return [
+            ['Service dû', `${statement.serviceDu} ${unite}`],
+            ...(profil.reductions || []).map(r => [`  dont décharge (${r.motif || 'sans motif'})`, `-${r.heures} h`]),
+            ['Enseignement – session d\'automne', `${statement.enseignementAutomne} ${unite}`],
+            ['Enseignement – session de printemps', `${statement.enseignementPrintemps} ${unite}`],
+            ['Forfaits', `${statement.forfaits} ${unite}`],
+            ['Volumes supplémentaires', `${statement.volumesSupplementaires} ${unite}`],
+            ['Service fait', `${statement.serviceFait} ${unite}`],
+            ['Heures complémentaires', `${statement.heuresComplementaires} ${unite}`],
+            ...(statement.sousService > 0 ? [['Service non effectué', `${statement.sousService} ${unite}`]] : [])
+        ];
+    }
+
+    /**
+     * Libellé d'identité d'un enseignant (grade, statut, email)
+     * @param {Object} profil - Le profil de l'enseignant
+     * @returns {string} Le libellé
+     */
+    formatTeacherIdentity(profil) {
+        return [
+            GRADES_ENSEIGNANTS[profil.grade] || profil.grade,
+            STATUTS_ENSEIGNANTS[profil.statut] || profil.statut,
+            profil.email
+        ].filter(Boolean).join(' – ');
+    }
+
+    /**
+     * Exporte les états de service (heures complémentaires) en PDF :
+     * une page de récapitulatif du département puis une page signée par enseignant
+     * @returns {boolean} Succès de l'export
+     */
+    exportServiceStatementsToPDF() {
+        try {
+            const report = ServiceStatementService.buildStatements();
+            if (report.statements.length === 0) {
+                DialogManager.error('Aucun enseignant enregistré.');
+                return false;
+            }
+
+            const { jsPDF } = window.jspdf;
+            const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+            const text = (value) => this.cleanTextForPDF(String(value ?? ''));
+            const { unite, totals } = report;
+
+            // Page 1 : récapitulatif du département
+            let currentY = this.addServiceStatementHeader(doc, report, 'Recapitulatif des heures complementaires');
+            doc.autoTable({
+                head: [[text('Enseignant'), text('Grade'), text('Statut'), text(`Service dû (${unite})`), text(`Service fait (${unite})`), text('Heures compl.'), text('Non effectué')]],
+                body: [
+                    ...report.statements.map(s => [
+                        text(s.nom),
+                        text(s.profil.grade),
+                        text(STATUTS_ENSEIGNANTS[s.profil.statut] || s.profil.statut),
+                        s.serviceDu,
+                        s.serviceFait,
+                        s.heuresComplementaires,
+                        s.sousService
+                    ]),
+                    [text(`Total (${totals.enseignants} enseignants)`), '', '', totals.serviceDu, totals.serviceFait, totals.heuresComplementaires, totals.sousService]
+                ],
+                startY: currentY,
+                theme: 'grid',
+                styles: { font: 'helvetica', fontSize: 9, cellPadding: 2 },
+                headStyles: { fillColor: [102, 126, 234], textColor: 255, fontStyle: 'bold', halign: 'center' },
+                margin: { left: 14, right: 14 }
+            });
+            this.addStatementSignatureBlock(doc, doc.lastAutoTable.finalY + 15, ['Le Chef de departement', 'Le Doyen']);
+
+            // Une page par enseignant
+            report.statements.forEach(statement => {
+                doc.addPage();
+                let y = this.addServiceStatementHeader(doc, report, 'Etat de service et heures complementaires');
+
+                doc.setFontSize(12);
+                doc.setFont(undefined, 'bold');
+                doc.text(text(statement.nom), 14, y);
+                doc.setFontSize(10);
+                doc.setFont(undefined, 'normal');
+                doc.text(text(this.formatTeacherIdentity(statement.profil)), 14, y + 6);
+                y += 10;
+
+                doc.autoTable({
+                    body: this.getServiceStatementRows(statement, unite).map(([label, value]) => [text(label), text(value)]),
+                    startY: y,
+                    theme: 'grid',
+                    styles: { font: 'helvetica', fontSize: 10, cellPadding: 3 },
+                    columnStyles: { 0: { cellWidth: 110, fontStyle: 'bold' }, 1: { halign: 'right' } },
+                    margin: { left: 14, right: 14 }
+                });
+
+                this.addStatementSignatureBlock(doc, doc.lastAutoTable.finalY + 15, ["L'enseignant(e)", 'Le Chef de departement', 'Le Doyen']);
+            });
+
+            doc.save(this.generateFilename('etats_de_service', 'pdf'));
+
+            LogService.success(`✅ États de service exportés en PDF (${report.statements.length} enseignant(s))`);
+            return true;
+        } catch (error) {
+            console.error('Erreur export états de service PDF:', error);
+            LogService.error(`❌ Erreur export états de service: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * En-tête d'une page d'état de service (département, année universitaire, titre)
+     * @param {Object} doc - Document jsPDF
+     * @param {Object} report - Le rapport (voir ServiceStatementService.buildStatements)
+     * @param {string} title - Le titre de la page
+     * @returns {number} Nouvelle position Y
+     */
+    addServiceStatementHeader(doc, report, title) {
+        doc.setFontSize(11);
+        doc.setFont(undefined, 'normal');
+        doc.text(this.cleanTextForPDF(`${report.departement || ''}`), 14, 15);
+        doc.text(this.cleanTextForPDF(`Annee universitaire ${report.annee || ''}`), 196, 15, { align: 'right' });
+
+        doc.setFontSize(15);
+        doc.setFont(undefined, 'bold');
+        doc.text(title, 105, 28, { align: 'center' });
+
+        doc.setFontSize(9);
+        doc.setFont(undefined, 'normal');
+        doc.text(this.cleanTextForPDF(`Service dû par défaut (VHM annuel) : ${report.annualVHM} ${report.unite}`), 105, 34, { align: 'center' });
+
+        return 44;
+    }
+
+    /**
+     * Ajoute le bloc de signatures (date et visas) au PDF
+     * @param {Object} doc - Document jsPDF
+     * @param {number} startY - Position Y de départ
+     * @param {Array<string>} signataires - Les visas demandés
+     * @returns {number} Nouvelle position Y
+     */
+    addStatementSignatureBlock(doc, startY, signataires) {
+        const date = new Date().toLocaleDateString('fr-FR');
+        const width = 182 / signataires.length;
+
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+        doc.text(`Fait le ${date}`, 14, startY);
+
+        signataires.forEach((signataire, index) => {
+            const x = 14 + index * width;
+            doc.setFont(undefined, 'bold');
+            doc.text(signataire, x, startY + 10);
+            doc.setFont(undefined, 'normal');
+            doc.text('Signature :', x, startY + 17);
+            doc.rect(x, startY + 20, width - 6, 25);
+        });
+
+        return startY + 50;
+    }
+
+    /**
+     * Exporte les états de service (heures complémentaires) en Excel :
+     * une feuille de récapitulatif du département puis une feuille par enseignant
+     * @returns {boolean} Succès de l'export
+     */
+    exportServiceStatementsToExcel() {
+        try {
+            const report = ServiceStatementService.buildStatements();
+            if (report.statements.length === 0) {
+                DialogManager.error('Aucun enseignant enregistré.');
+                return false;
+            }
+
+            const { unite, totals } = report;
+            const date = new Date().toLocaleDateString('fr-FR');
+            const signatures = (signataires) => [[''], [`Fait le ${date}`], [''], signataires, signataires.map(() => 'Signature :')];
+
+            const workbook = XLSX.utils.book_new();
+
+            const summary = [
+                [report.departement || ''],
+                [`Récapitulatif des heures complémentaires – Année universitaire ${report.annee || ''}`],
+                [`Service dû par défaut (VHM annuel) : ${report.annualVHM} ${unite}`],
+                [''],
+                ['Enseignant', 'Grade', 'Statut', 'Email', `Service dû (${unite})`, `Service fait (${unite})`, `Heures complémentaires (${unite})`, `Service non effectué (${unite})`],
+                ...report.statements.map(s => [
+                    s.nom,
+                    s.profil.grade,
+                    STATUTS_ENSEIGNANTS[s.profil.statut] || s.profil.statut,
+                    s.profil.email,
+                    s.serviceDu,
+                    s.serviceFait,
+                    s.heuresComplementaires,
+                    s.sousService
+                ]),
+                [`Total (${totals.enseignants} enseignants)`, '', '', '', totals.serviceDu, totals.serviceFait, totals.heuresComplementaires, totals.sousService],
+                ...signatures(['Le Chef de département', '', 'Le Doyen'])
+            ];
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summary), 'Récapitulatif');
+
+            // Une feuille par enseignant (nom de feuille Excel : 31 caractères, unique, sans []:*?/\)
+            const usedNames = new Set(['Récapitulatif']);
+            report.statements.forEach(statement => {
+                const base = statement.nom.replace(/[[\]:*?\/\\]/g, ' ').slice(0, 28).trim() || 'Enseignant';
+                let sheetName = base;
+                for (let i = 2; usedNames.has(sheetName); i++) sheetName = `${base} ${i}`;
+                usedNames.add(sheetName);
+
+                const data = [
+                    [report.departement || ''],
+                    [`État de service – Année universitaire ${report.annee || ''}`],
+                    [''],
+                    ['Enseignant', statement.nom],
+                    ['Profil', this.formatTeacherIdentity(statement.profil)],
+                    [''],
+                    ...this.getServiceStatementRows(statement, unite),
+                    ...signatures(["L'enseignant(e)", 'Le Chef de département', 'Le Doyen'])
+                ];
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), sheetName);
+            });
+
+            XLSX.writeFile(workbook, this.generateFilename('etats_de_service', 'xlsx'));
+
+            LogService.success(`✅ États de service exportés en Excel (${report.statements.length} enseignant(s))`);
+            return true;
+        } catch (error) {
+            console.error('Erreur export états de service Excel:', error);
+            LogService.error(`❌ Erreur export états de service: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Exporte les forfaits (toutes années) et le catalogue des natures en Excel
+     * Le fichier produit peut être réimporté (ImportService.importForfaitsFromExcel).
+     * @returns {boolean} Succès de l'export
+     */
+    exportForfaitsToExcel() {
+        try {
+            const header = StateManager.state.header || {};
+            const forfaits = [...(StateManager.state.forfaits || [])].sort((a, b) =>
+                String(a.enseignant).localeCompare(String(b.enseignant)) || String(a.nature).localeCompare(String(b.nature))
+            );
+
+            const data = [
+                FORFAITS_EXCEL_HEADERS,
+                ...forfaits.map(f => [
+                    f.enseignant,
+                    f.nature,
+                    Number(f.volumeHoraire) || 0,
+                    friendlyLabel(f.session || 'autumn'),
+                    f.annee || header.annee || '',
+                    f.description || ''
+                ])
+            ];
+
+            const catalogue = [
+                FORFAIT_CATALOGUE_EXCEL_HEADERS,
+                ...(StateManager.state.forfaitCatalogue || []).map(c => [c.nature, Number(c.heures) || 0])
+            ];
+
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'Forfaits');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(catalogue), 'Catalogue');
+
+            XLSX.writeFile(workbook, this.generateFilename('forfaits', 'xlsx'));
+
+            LogService.success(`✅ ${forfaits.length} forfait(s) exporté(s) en Excel`);
+            return true;
+        } catch (error) {
+            console.error('Erreur export forfaits:', error);
+            LogService.error(`❌ Erreur export forfaits: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Génère un nom de fichier
      * @param {string} prefix - Préfixe du fichier
@@ -368,6 +699,103 @@ class ExportService {
         }
     }
 
+    /**
+     * Vérifie que le semestre est daté (prérequis des exports iCalendar)
+     * @returns {boolean}
+     */
+    checkCalendarForICS() {
+        if (CalendarService.hasCalendar()) return true;
+        DialogManager.error("Renseignez les dates du semestre dans l'onglet Calendrier avant d'exporter vers un agenda.");
+        return false;
+    }
+
+    /**
+     * Nom de fichier .ics d'une cible
+     * @param {string} scope - 'enseignant' | 'salle' | 'groupe'
+     * @param {string} target - La cible
+     * @returns {string}
+     */
+    generateICSFilename(scope, target) {
+        const slug = String(target).trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '_');
+        return this.generateFilename(`agenda_${scope}_${slug}`, 'ics');
+    }
+
+    /**
+     * Exporte l'agenda iCalendar (.ics) d'un enseignant, d'une salle ou d'un groupe
+     * @param {string} scope - 'enseignant' | 'salle' | 'groupe'
+     * @param {string} target - La cible
+     * @returns {boolean} Succès de l'export
+     */
+    exportToICS(scope, target) {
+        if (!this.checkCalendarForICS()) return false;
+
+        try {
+            const seances = ICalendarService.getScopeSeances(scope, target);
+            if (seances.length === 0) {
+                DialogManager.error(`Aucune séance pour « ${target} ».`);
+                return false;
+            }
+
+            const { session } = StateManager.state.header;
+            const content = ICalendarService.buildCalendar(seances, `EDT ${target} – ${session}`);
+            downloadFile(content, this.generateICSFilename(scope, target), 'text/calendar;charset=utf-8');
+
+            LogService.success(`✅ Agenda iCalendar exporté : ${target} (${seances.length} séance(s))`);
+            return true;
+        } catch (error) {
+            console.error('Erreur export iCalendar:', error);
+            LogService.error(`❌ Erreur export iCalendar: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Exporte les agendas iCalendar de tous les enseignants (archive ZIP, un .ics par enseignant)
+     * @returns {Promise<boolean>} Succès de l'export
+     */
+    async exportTeachersSchedulesToICS() {
+        if (!this.checkCalendarForICS()) return false;
+
+        try {
+            const enseignants = StateManager.state.enseignants;
+            if (enseignants.length === 0) {
+                DialogManager.error('Aucun enseignant enregistré.');
+                return false;
+            }
+
+            const { session } = StateManager.state.header;
+            const zip = new window.JSZip();
+            let count = 0;
+
+            enseignants.forEach(enseignant => {
+                const seances = ICalendarService.getScopeSeances('enseignant', enseignant);
+                if (seances.length === 0) return;
+
+                zip.file(
+                    this.generateICSFilename('enseignant', enseignant),
+                    ICalendarService.buildCalendar(seances, `EDT ${enseignant} – ${session}`)
+                );
+                count++;
+            });
+
+            if (count === 0) {
+                DialogManager.error('Aucun enseignant n\'a de séance planifiée.');
+                return false;
+            }
+
+            const blob = await zip.generateAsync({ type: 'blob' });
+            downloadFile(blob, this.generateFilename('agendas_enseignants', 'zip'), 'application/zip');
+
+            LogService.success(`✅ Export iCalendar de ${count} enseignant(s) réussi`);
+            NotificationManager.success(`${count} agenda(s) exporté(s)`);
+            return true;
+        } catch (error) {
+            console.error('Erreur export iCalendar enseignants:', error);
+            LogService.error(`❌ Erreur export iCalendar: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Génère une page PDF pour un enseignant
      * @param {Object} doc - Document jsPDF
@@ -413,9 +841,11 @@ class ExportService {
     addTeacherVolumeInfo(doc, enseignant, allSeances, startY) {
         // Données d'état
         const enseignants = StateManager.state.enseignants || [];
-        const forfaits = StateManager.state.forfaits || [];
+        const forfaits = VolumeService.filterForfaits(StateManager.state.forfaits);
         const volumesSupplementaires = StateManager.state.enseignantVolumesSupplementaires || {};
         const volumesAutomne = StateManager.state.volumesAutomne || {};
+        // Heures équivalentes si des règles d'équivalence sont définies
+        const unite = VolumeService.getVolumeUnit();
 
         // Détails individuels (séances passées en param)
         const volumeDetails = VolumeService.calculateTeacherVolumeDetails(
@@ -457,8 +887,8 @@ class ExportService {
 
         // Forfaits par session (même logique que VolumeRenderer)
         const allForfaits = StateManager.state.forfaits || [];
-        const forfaitsAutumn = allForfaits.filter(f => !f.session || String(f.session).toLowerCase().includes('automne') || String(f.session).toLowerCase().includes('autumn'));
-        const forfaitsSpring = allForfaits.filter(f => String(f.session).toLowerCase().includes('printemps') || String(f.session).toLowerCase().includes('spring'));
+        const forfaitsAutumn = VolumeService.filterForfaits(allForfaits, 'autumn');
+        const forfaitsSpring = VolumeService.filterForfaits(allForfaits, 'spring');
 
         // --- Appel à calculateAnnualGlobalMetrics pour obtenir annualVHT (source de vérité) ---
         let annualMetrics = {};
@@ -546,7 +976,7 @@ class ExportService {
                 if (ecart > 0) ecartText = ` (+${ecart}h)`;
                 else if (ecart < 0) ecartText = ` (${ecart}h)`;
 
-                const totalAndVHMText = `Total (hTP): ${menuTotal}hTP | VHM Annuel: ${VHM_calculated}hTP${ecartText}`;
+                const totalAndVHMText = `Total (${unite}): ${menuTotal}${unite} | VHM Annuel: ${VHM_calculated}${unite}${ecartText}`;
                 doc.setFontSize(10);
                 doc.setFont(undefined, 'bold');
                 doc.setFont(undefined, 'normal');
@@ -563,9 +993,9 @@ class ExportService {
 
         // --- Sinon : affichage classique (Automne / autres) ---
         const volumeEnseignement = volumeDetails.enseignement || 0;
-        const volumeForfait = forfaits
+        const volumeForfait = VolumeService.convertForfaitHours(forfaits
             .filter(f => String(f.enseignant || '').trim() === String(enseignant || '').trim())
-            .reduce((sum, f) => sum + (Number(f.volumeHoraire) || 0), 0);
+            .reduce((sum, f) => sum + (Number(f.volumeHoraire) || 0), 0), enseignant);
         const volumeTotal = volumeEnseignement + volumeForfait;
 
         doc.setFontSize(10);
@@ -577,7 +1007,7 @@ class ExportService {
         if (ecart > 0) ecartText = ` (+${ecart}h)`;
         else if (ecart < 0) ecartText = ` (${ecart}h)`;
 
-        const volumeText = `Vol. Enseignement: ${volumeEnseignement}hTP | Vol. Forfait: ${volumeForfait}hTP | Vol. Total: ${volumeTotal}hTP | VHM: ${VHM_calculated}hTP${ecartText}`;
+        const volumeText = `Vol. Enseignement: ${volumeEnseignement}${unite} | Vol. Forfait: ${volumeForfait}${unite} | Vol. Total: ${volumeTotal}${unite} | VHM: ${VHM_calculated}${unite}${ecartText}`;
 
         doc.setFont(undefined, 'normal');
         doc.text(volumeText, 14, startY);
@@ -701,7 +1131,7 @@ class ExportService {
     addTeacherScheduleTable(doc, seances, startY) {
         const sortedCreneaux = getSortedCreneauxKeys();
         const creneauxData = StateManager.state.creneaux;
-        const jours = LISTE_JOURS;
+        const jours = getJoursOuvres();
 
         // En-tête
         doc.setFontSize(12);
@@ -714,13 +1144,24 @@ class ExportService {
 
         jours.forEach(jour => {
             const row = [jour];
+            let skip = 0;
+
+            sortedCreneaux.forEach((creneau, index) => {
+                // Créneau déjà couvert par une séance à durée libre fusionnée
+                if (skip > 0) {
+                    skip--;
+                    return;
+                }
 
-            sortedCreneaux.forEach(creneau => {
                 const seance = seances.find(s => s.jour === jour && s.creneau === creneau);
 
                 if (seance) {
-                    const text = `${seance.matiere}\n(${seance.type})\n${seance.groupe}\n${seance.salle || 'N/A'}`;
-                    row.push(text);
+                    const text = `${seance.matiere}\n(${seance.type})${seance.hasCustomTimes() ? `\n${seance.getHoraireLabel()}` : ''}\n${seance.groupe}\n${seance.salle || 'N/A'}`;
+                    const colSpan = sortedCreneaux
+                        .slice(index)
+                        .filter(c => seance.getCoveredCreneaux().includes(c)).length;
+                    skip = colSpan - 1;
+                    row.push(colSpan > 1 ? { content: text, colSpan } : text);
                 } else {
                     row.push('');
                 }
@@ -0,0 +1,371 @@
+/**
+ * Service des occupations externes : créneaux où un enseignant ou une salle est pris
+ * hors du département (emplois du temps reçus en .ics, projets ou fichiers de réservation
+ * des autres départements).
+ * Les occupations sont en lecture seule, rattachées à la session active et projetées
+ * sur la semaine type : une occupation bloque son créneau chaque semaine, sauf si elle
+ * porte une périodicité (séance A/B ou semaines choisies d'un autre département) ou des dates
+ * (événements ponctuels d'un agenda, qui ne bloquent que leur semaine).
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import CalendarService from './CalendarService.js';
+import { JOURS_SEMAINE } from '../config/constants.js';
+import { generateUniqueId, rangesOverlap, minutesToTime, getSessionTimeRange, normalize } from '../utils/helpers.js';
+
+class ExternalOccupationService {
+    /**
+     * Occupations de la session
+     * @param {string|null} session - La session (par défaut la session active)
+     * @returns {Array<Object>} [{ id, cible, nom, jour, debut, fin, libelle, source, departement, evenements, periodicite?, semaines?, dates? }]
+     */
+    getAll(session = null) {
+        const key = session || StateManager.state.header?.session || '';
+        if (!StateManager.state.occupationsExternes) StateManager.state.occupationsExternes = {};
+        if (!Array.isArray(StateManager.state.occupationsExternes[key])) {
+            StateManager.state.occupationsExternes[key] = [];
+        }
+        return StateManager.state.occupationsExternes[key];
+    }
+
+    /**
+     * Occupations d'un enseignant ou d'une salle
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom de l'enseignant ou de la salle
+     * @returns {Array<Object>}
+     */
+    getFor(cible, nom) {
+        if (!nom) return [];
+        return this.getAll().filter(o => o.cible === cible && o.nom === nom);
+    }
+
+    /**
+     * Première occupation qui chevauche une plage horaire
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom
+     * @param {string} jour - Le jour
+     * @param {Object} range - Plage { debut, fin } en minutes
+     * @param {Session|Object} periodicite - Séance dont la périodicité limite la comparaison (par défaut hebdomadaire)
+     * @returns {Object|null} L'occupation
+     */
+    findOverlap(cible, nom, jour, range, periodicite = null) {
+        if (!nom || !jour || !range) return null;
+        return this.findAllOverlaps(cible, nom, jour, range, periodicite)[0] || null;
+    }
+
+    /**
+     * Vérifie si un enseignant ou une salle est occupé hors département
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom
+     * @param {string} jour - Le jour
+     * @param {Object} range - Plage { debut, fin } en minutes
+     * @param {Session|Object} periodicite - Séance dont la périodicité limite la comparaison (par défaut hebdomadaire)
+     * @returns {boolean}
+     */
+    isBusy(cible, nom, jour, range, periodicite = null) {
+        return this.findOverlap(cible, nom, jour, range, periodicite) !== null;
+    }
+
+    /**
+     * Libellé d'une occupation ("Département de chimie – Lundi 8h30–10h00 : Optique (Cours, A)")
+     * @param {Object} occupation - L'occupation
+     * @returns {string}
+     */
+    formatOccupation(occupation) {
+        return (occupation.departement ? `${occupation.departement} – ` : '') +
+            `${occupation.jour} ${minutesToTime(occupation.debut)}–${minutesToTime(occupation.fin)}` +
+            (CalendarService.isDated(occupation) ? ` (le ${occupation.dates.map(d => CalendarService.formatDateFR(d)).join(', ')})` : '') +
+            (occupation.libelle ? ` : ${occupation.libelle}` : '');
+    }
+
+    /**
+     * Nom local d'un enseignant ou d'une salle (rapprochement insensible à la casse et aux accents)
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom dans le fichier importé
+     * @returns {string} Le nom du projet s'il existe, sinon le nom importé
+     */
+    resolveName(cible, nom) {
+        const noms = cible === 'enseignant'
+            ? StateManager.state.enseignants
+            : Object.keys(StateManager.state.sallesInfo || {});
+        const key = normalize(nom);
+        return noms.find(n => normalize(n) === key) || String(nom).trim();
+    }
+
+    /**
+     * Vérifie qu'un événement a lieu pendant le semestre (toujours vrai sans calendrier daté)
+     * @param {Object} event - L'événement (voir ICalendarService.parseEvents)
+     * @returns {boolean}
+     */
+    isDuringSemestre(event) {
+        if (!CalendarService.hasCalendar()) return true;
+
+        const { debut, fin } = CalendarService.getSemestre();
+        return event.dateDebut <= fin && (event.dateFin === null || event.dateFin >= debut);
+    }
+
+    /**
+     * Remplace les occupations issues d'un fichier pour une cible.
+     * Les événements sont regroupés par jour et plage horaire ; ceux hors du semestre
+     * (calendrier daté) sont écartés. Un créneau qui ne regroupe que des événements
+     * ponctuels garde leurs dates et n'est vérifié que ces semaines-là.
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom
+     * @param {Array<Object>} events - Les événements lus
+     * @param {string} source - Le nom du fichier importé
+     * @returns {Object} { imported, merged, outOfSemestre }
+     */
+    importEvents(cible, nom, events, source) {
+        const occupations = new Map();
+        let outOfSemestre = 0;
+        let merged = 0;
+
+        events.forEach(event => {
+            if (!this.isDuringSemestre(event)) {
+                outOfSemestre++;
+                return;
+            }
+
+            const ponctuel = event.dateFin === event.dateDebut;
+
+            event.jours.forEach(jour => {
+                const key = `${jour}|${event.debut}|${event.fin}`;
+                const existing = occupations.get(key);
+                if (existing) {
+                    merged++;
+                    existing.evenements++;
+                    // Un événement répété rend le créneau hebdomadaire
+                    if (!ponctuel) delete existing.dates;
+                    else if (existing.dates && !existing.dates.includes(event.dateDebut)) existing.dates.push(event.dateDebut);
+                    if (event.resume && !existing.libelle.split(' / ').includes(event.resume)) {
+                        existing.libelle = existing.libelle ? `${existing.libelle} / ${event.resume}` : event.resume;
+                    }
+                    return;
+                }
+                occupations.set(key, {
+                    id: generateUniqueId(),
+                    cible,
+                    nom,
+                    jour,
+                    debut: event.debut,
+                    fin: event.fin,
+                    libelle: event.resume || '',
+                    source,
+                    evenements: 1,
+                    ...(ponctuel ? { dates: [event.dateDebut] } : {})
+                });
+            });
+        });
+
+        occupations.forEach(o => o.dates?.sort());
+
+        this.removeSource(cible, nom, source);
+        this.getAll().push(...occupations.values());
+
+        return { imported: occupations.size, merged, outOfSemestre };
+    }
+
+    /**
+     * Remplace la couche d'occupation d'un autre département à partir de ses séances
+     * (projet exporté ou fichier de réservation). Chaque séance occupe sa salle et ses enseignants ;
+     * les noms connus du projet sont rapprochés pour détecter les ressources partagées.
+     * @param {string} departement - Le département d'origine
+     * @param {Array<Object>} seances - Séances brutes ({ jour, creneau, type, salle, enseignantsArray, ... })
+     * @returns {Object} { seances, occupations, ignored, sallesPartagees, enseignantsPartages }
+     */
+    importDepartmentSeances(departement, seances) {
+        const occupations = [];
+        const salles = new Set();
+        const enseignants = new Set();
+        let count = 0;
+        let ignored = 0;
+
+        seances.forEach(s => {
+            // La seconde partie d'un TP couplé est couverte par la plage de la première
+            if (s.type === 'TP' && s.hTP_Affecte === 0) return;
+
+            const range = getSessionTimeRange(s);
+            if (!JOURS_SEMAINE.includes(s.jour) || !(range.fin > range.debut)) {
+                ignored++;
+                return;
+            }
+            count++;
+
+            const libelle = s.matiere
+                ? `${s.matiere}${s.type ? ` (${s.type}${s.groupe ? `, ${s.groupe}` : ''})` : ''}`
+                : (s.libelle || '');
+            // Une séance A/B ou sur semaines choisies n'occupe la ressource que ces semaines-là
+            const periodicite = s.periodicite && s.periodicite !== 'hebdo'
+                ? { periodicite: s.periodicite, semaines: Array.isArray(s.semaines) ? [...s.semaines] : [] }
+                : {};
+            const add = (cible, nom) => occupations.push({
+                id: generateUniqueId(),
+                cible,
+                nom,
+                jour: s.jour,
+                debut: range.debut,
+                fin: range.fin,
+                libelle,
+                source: departement,
+                departement,
+                evenements: 1,
+                ...periodicite
+            });
+
+            if (s.salle) {
+                const salle = this.resolveName('salle', s.salle);
+                if (salle in (StateManager.state.sallesInfo || {})) salles.add(salle);
+                add('salle', salle);
+            }
+            (s.enseignantsArray || []).filter(Boolean).forEach(t => {
+                const enseignant = this.resolveName('enseignant', t);
+                if (StateManager.state.enseignants.includes(enseignant)) enseignants.add(enseignant);
+                add('enseignant', enseignant);
+            });
+        });
+
+        this.removeSource(null, null, departement);
+        this.getAll().push(...occupations);
+
+        return {
+            seances: count,
+            occupations: occupations.length,
+            ignored,
+            sallesPartagees: [...salles].sort(),
+            enseignantsPartages: [...enseignants].sort()
+        };
+    }
+
+    /* ---------- rapport inter-départements ---------- */
+
+    /**
+     * Toutes les occupations qui chevauchent une plage horaire une semaine au moins
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom
+     * @param {string} jour - Le jour
+     * @param {Object} range - Plage { debut, fin } en minutes
+     * @param {Session|Object} periodicite - Séance dont la périodicité limite la comparaison (par défaut hebdomadaire)
+     * @returns {Array<Object>}
+     */
+    findAllOverlaps(cible, nom, jour, range, periodicite = null) {
+        return this.getFor(cible, nom).filter(o =>
+            o.jour === jour &&
+            rangesOverlap(o, range) &&
+            CalendarService.sharesWeek(periodicite || {}, o)
+        );
+    }
+
+    /**
+     * Origine affichée d'une occupation (département, ou fichier .ics)
+     * @param {Object} occupation - L'occupation
+     * @returns {string}
+     */
+    getOrigine(occupation) {
+        return occupation.departement || `Agenda ${occupation.source}`;
+    }
+
+    /**
+     * Conflits de ressources à l'échelle de la faculté :
+     * - séances du département en collision avec une occupation externe (salle ou enseignant) ;
+     * - occupations de deux origines différentes sur la même ressource au même moment.
+     * Deux occupations périodiques sans semaine commune (A et B) ne sont pas en conflit.
+     * @returns {Array<Object>} [{ ressource, nom, jour, debut, fin, origineA, libelleA, origineB, libelleB }]
+     */
+    getCrossDepartmentConflicts() {
+        const departement = StateManager.state.header?.departement || 'Ce département';
+        const conflicts = [];
+        const push = (cible, nom, jour, a, b) => conflicts.push({
+            ressource: cible,
+            nom,
+            jour,
+            debut: Math.max(a.debut, b.debut),
+            fin: Math.min(a.fin, b.fin),
+            origineA: a.origine,
+            libelleA: a.libelle,
+            origineB: b.origine,
+            libelleB: b.libelle
+        });
+
+        // 1. Séances du département
+        StateManager.getSeances()
+            .filter(s => !s.isTPSecondPart())
+            .forEach(s => {
+                const range = getSessionTimeRange(s);
+                const seance = { ...range, origine: departement, libelle: `${s.matiere} (${s.type}, ${s.groupe || s.filiere})` };
+                const ressources = [
+                    ...(s.salle ? [['salle', s.salle]] : []),
+                    ...(s.enseignantsArray || []).filter(Boolean).map(t => ['enseignant', t])
+                ];
+                ressources.forEach(([cible, nom]) => {
+                    this.findAllOverlaps(cible, nom, s.jour, range, s).forEach(o => {
+                        push(cible, nom, s.jour, seance, { ...o, origine: this.getOrigine(o) });
+                    });
+                });
+            });
+
+        // 2. Occupations externes entre elles (origines différentes)
+        const groups = new Map();
+        this.getAll().forEach(o => {
+            const key = `${o.cible}|${normalize(o.nom)}|${o.jour}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(o);
+        });
+        groups.forEach(list => {
+            for (let i = 0; i < list.length; i++) {
+                for (let j = i + 1; j < list.length; j++) {
+                    const a = list[i];
+                    const b = list[j];
+                    if (this.getOrigine(a) === this.getOrigine(b) || !rangesOverlap(a, b) || !CalendarService.sharesWeek(a, b)) continue;
+                    push(a.cible, a.nom, a.jour,
+                        { ...a, origine: this.getOrigine(a) },
+                        { ...b, origine: this.getOrigine(b) });
+                }
+            }
+        });
+
+        return conflicts.sort((a, b) =>
+            a.ressource.localeCompare(b.ressource) ||
+            a.nom.localeCompare(b.nom) ||
+            JOURS_SEMAINE.indexOf(a.jour) - JOURS_SEMAINE.indexOf(b.jour) ||
+            a.debut - b.debut);
+    }
+
+    /**
+     * Sources importées : un agenda .ics par cible, ou la couche complète d'un département
+     * (cible et nom à null)
+     * @returns {Array<Object>} [{ cible, nom, source, departement, count }]
+     */
+    getSources() {
+        const sources = new Map();
+        this.getAll().forEach(o => {
+            const key = o.departement ? `|${o.source}` : `${o.cible}|${o.nom}|${o.source}`;
+            if (!sources.has(key)) {
+                sources.set(key, o.departement
+                    ? { cible: null, nom: null, source: o.source, departement: o.departement, count: 0 }
+                    : { cible: o.cible, nom: o.nom, source: o.source, departement: '', count: 0 });
+            }
+            sources.get(key).count++;
+        });
+        return [...sources.values()].sort((a, b) =>
+            (a.nom || a.departement).localeCompare(b.nom || b.departement) || a.source.localeCompare(b.source));
+    }
+
+    /**
+     * Supprime les occupations issues d'un fichier
+     * @param {string|null} cible - 'enseignant' | 'salle' (null : toute la source)
+     * @param {string|null} nom - Le nom
+     * @param {string} source - Le fichier ou le département
+     * @returns {number} Le nombre d'occupations supprimées
+     */
+    removeSource(cible, nom, source) {
+        const all = this.getAll();
+        const kept = all.filter(o => !(o.source === source && (!cible || (o.cible === cible && o.nom === nom))));
+        const removed = all.length - kept.length;
+        all.splice(0, all.length, ...kept);
+        return removed;
+    }
+}
+
+// Export d'une instance singleton
+export default new ExternalOccupationService();
@@ -0,0 +1,490 @@
+/**
+ * Service iCalendar (RFC 5545) : génération et lecture de fichiers .ics
+ * Export : chaque occurrence datée d'une séance devient un VEVENT, à l'heure du fuseau de
+ * l'établissement (TZID + VTIMEZONE). Les UID sont dérivés de l'année, de la session, de l'ID
+ * de la séance et du lundi de la semaine : un nouvel import dans un agenda met à jour les
+ * événements (séance changée de jour, occurrence déplacée) au lieu de les dupliquer.
+ * Import : les VEVENT d'un agenda externe sont lus avec leur récurrence hebdomadaire
+ * (voir ExternalOccupationService).
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import CalendarService from './CalendarService.js';
+import { JOURS_SEMAINE, ICAL_TIMEZONE } from '../config/constants.js';
+import { normalize } from '../utils/helpers.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODID = '-//UCD//EDT Physique//FR';
+
+// Jours RRULE (BYDAY) -> jours de la semaine
+const BYDAY_JOURS = { MO: 0, TU: 1, WE: 2, TH: 3, FR: 4, SA: 5, SU: 6 };
+
+class ICalendarService {
+    /* ---------- formatage ---------- */
+
+    /**
+     * Échappe une valeur texte (TEXT, RFC 5545 §3.3.11)
+     * @param {string} text - Le texte
+     * @returns {string} Le texte échappé
+     */
+    escapeText(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Replie une ligne de contenu à 75 octets (RFC 5545 §3.1),
+     * sans couper un caractère multi-octets
+     * @param {string} line - La ligne
+     * @returns {string} La ligne repliée
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        // Les lignes de continuation commencent par une espace qui compte dans la limite
+        let limit = MAX_LINE_OCTETS;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+                limit = MAX_LINE_OCTETS - 1;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join(`${CRLF} `);
+    }
+
+    /**
+     * Date-heure locale (AAAAMMJJTHHMMSS), à qualifier par un TZID
+     * @param {string} iso - La date (AAAA-MM-JJ)
+     * @param {number} minutes - L'heure en minutes depuis minuit
+     * @returns {string}
+     */
+    formatDateTime(iso, minutes) {
+        const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+        const m = String(Math.round(minutes % 60)).padStart(2, '0');
+        return `${iso.replace(/-/g, '')}T${h}${m}00`;
+    }
+
+    /**
+     * Horodatage UTC (AAAAMMJJTHHMMSSZ)
+     * @param {Date} date - La date
+     * @returns {string}
+     */
+    formatTimestamp(date = new Date()) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Empreinte courte et stable d'une chaîne (FNV-1a 32 bits)
+     * @param {string} value - La chaîne
+     * @returns {string} L'empreinte hexadécimale
+     */
+    hash(value) {
+        let h = 0x811c9dc5;
+        for (const char of String(value)) {
+            h ^= char.codePointAt(0);
+            h = Math.imul(h, 0x01000193) >>> 0;
+        }
+        return h.toString(16).padStart(8, '0');
+    }
+
+    /* ---------- événements ---------- */
+
+    /**
+     * UID d'une occurrence : ID de la séance et lundi de sa semaine
+     * (inchangé si la séance est modifiée, change de jour ou si l'occurrence est déplacée)
+     * @param {Session} seance - La séance
+     * @param {string} debutSemaine - Le lundi de la semaine (AAAA-MM-JJ)
+     * @returns {string}
+     */
+    getOccurrenceUid(seance, debutSemaine) {
+        const { annee, session } = StateManager.state.header;
+        const projet = this.hash([annee, session].map(v => normalize(v || '')).join('|'));
+        return `${projet}-${seance.id}-${debutSemaine.replace(/-/g, '')}@${this.getUidDomain()}`;
+    }
+
+    /**
+     * Domaine des UID (département)
+     * @returns {string}
+     */
+    getUidDomain() {
+        const departement = normalize(StateManager.state.header.departement || '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `edt-${departement || 'ucd'}`;
+    }
+
+    /**
+     * Composant VTIMEZONE du fuseau des exports
+     * @returns {Array<string>} Les lignes
+     */
+    buildTimezone() {
+        const { tzid, offset, abbreviation } = ICAL_TIMEZONE;
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${tzid}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            `TZNAME:${abbreviation}`,
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Lignes VEVENT des occurrences d'une séance
+     * Les occurrences fermées (vacances, examens) sont omises ; les occurrences annulées
+     * sont publiées avec STATUS:CANCELLED pour retirer un événement déjà importé.
+     * @param {Session} seance - La séance
+     * @param {string} stamp - L'horodatage DTSTAMP
+     * @param {number} sequence - Le numéro de révision
+     * @returns {Array<string>} Les lignes (non repliées)
+     */
+    buildSeanceEvents(seance, stamp, sequence) {
+        const { tzid } = ICAL_TIMEZONE;
+        const enseignants = (seance.enseignantsArray || []).join(', ');
+        const description = [
+            `${seance.matiere} (${seance.type})`,
+            seance.groupe ? `Groupe : ${seance.groupe}` : `Filière : ${seance.filiere}`,
+            enseignants ? `Enseignant(s) : ${enseignants}` : ''
+        ].filter(Boolean).join('\n');
+
+        const lines = [];
+
+        CalendarService.getOccurrences(seance)
+            .filter(o => o.statut !== 'fermee')
+            .forEach(o => {
+                const deplacee = o.statut === 'deplacee';
+                const date = deplacee ? o.exception.nouvelleDate : o.date;
+                const creneau = deplacee ? o.exception.nouveauCreneau : o.creneau;
+                const range = CalendarService.getOccurrenceRange(seance, creneau);
+                const motif = o.exception?.motif ? `\n${deplacee ? 'Déplacée' : 'Annulée'} : ${o.exception.motif}` : '';
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${this.getOccurrenceUid(seance, o.debutSemaine)}`,
+                    `DTSTAMP:${stamp}`,
+                    `SEQUENCE:${sequence}`,
+                    `DTSTART;TZID=${tzid}:${this.formatDateTime(date, range.debut)}`,
+                    `DTEND;TZID=${tzid}:${this.formatDateTime(date, range.fin)}`,
+                    `SUMMARY:${this.escapeText(`${seance.matiere} (${seance.type})`)}`,
+                    `DESCRIPTION:${this.escapeText(description + motif)}`,
+                    seance.salle ? `LOCATION:${this.escapeText(seance.salle)}` : '',
+                    `CATEGORIES:${this.escapeText(seance.type)}`,
+                    `STATUS:${o.statut === 'annulee' ? 'CANCELLED' : 'CONFIRMED'}`,
+                    'END:VEVENT'
+                );
+            });
+
+        return lines.filter(Boolean);
+    }
+
+    /**
+     * Construit un calendrier iCalendar
+     * @param {Array<Session>} seances - Les séances à publier
+     * @param {string} name - Le nom du calendrier (X-WR-CALNAME)
+     * @returns {string} Le contenu .ics (lignes CRLF repliées)
+     */
+    buildCalendar(seances, name) {
+        const now = new Date();
+        const stamp = this.formatTimestamp(now);
+        // Révision croissante d'un export à l'autre (minutes) : les agendas appliquent la dernière version
+        const sequence = Math.floor(now.getTime() / 60000);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(name)}`,
+            `X-WR-TIMEZONE:${ICAL_TIMEZONE.tzid}`,
+            ...this.buildTimezone()
+        ];
+
+        seances
+            .filter(s => !s.isTPSecondPart())
+            .forEach(s => lines.push(...this.buildSeanceEvents(s, stamp, sequence)));
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join(CRLF) + CRLF;
+    }
+
+    /* ---------- lecture ---------- */
+
+    /**
+     * Déséchappe une valeur texte
+     * @param {string} value - La valeur échappée
+     * @returns {string}
+     */
+    unescapeText(value) {
+        return String(value || '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+    }
+
+    /**
+     * Découpe une ligne de contenu en nom, paramètres et valeur
+     * (les deux-points d'un paramètre entre guillemets ne séparent pas la valeur)
+     * @param {string} line - La ligne dépliée
+     * @returns {Object|null} { name, params, value }
+     */
+    parseContentLine(line) {
+        let inQuotes = false;
+        let separator = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+        if (separator < 0) return null;
+
+        const [name, ...rawParams] = line.slice(0, separator).split(';');
+        const params = {};
+        rawParams.forEach(p => {
+            const [key, ...rest] = p.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+    }
+
+    /**
+     * Lit une date ou date-heure iCalendar.
+     * Les heures UTC (suffixe Z) sont converties en heure locale ; les heures avec TZID
+     * ou flottantes sont prises telles quelles (même fuseau que l'établissement).
+     * @param {string} value - AAAAMMJJ ou AAAAMMJJTHHMMSS[Z]
+     * @returns {Object|null} { date: 'AAAA-MM-JJ', minutes, allDay }
+     */
+    parseDateTime(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const [, y, mo, d, h, mi, , utc] = match;
+        if (h === undefined) {
+            return { date: `${y}-${mo}-${d}`, minutes: 0, allDay: true };
+        }
+        if (utc) {
+            const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+            const date = `${local.getFullYear()}-${String(local.getMonth() + 1).padStart(2, '0')}-${String(local.getDate()).padStart(2, '0')}`;
+            return { date, minutes: local.getHours() * 60 + local.getMinutes(), allDay: false };
+        }
+        return { date: `${y}-${mo}-${d}`, minutes: +h * 60 + +mi, allDay: false };
+    }
+
+    /**
+     * Durée iCalendar en minutes (ex: PT1H30M, P1D)
+     * @param {string} value - La durée
+     * @returns {number} Les minutes (NaN si invalide)
+     */
+    parseDuration(value) {
+        const match = /^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+        if (!match) return NaN;
+        const [, w = 0, d = 0, h = 0, m = 0] = match;
+        return ((+w * 7 + +d) * 24 + +h) * 60 + +m;
+    }
+
+    /**
+     * Lit une règle de récurrence (RRULE)
+     * @param {string} value - La règle
+     * @returns {Object} { FREQ, UNTIL, COUNT, INTERVAL, BYDAY }
+     */
+    parseRRule(value) {
+        const rule = {};
+        String(value || '').split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            if (key) rule[key.toUpperCase()] = val || '';
+        });
+        return rule;
+    }
+
+    /**
+     * Lit les événements d'un fichier .ics.
+     * Les événements annulés, transparents (« disponible ») ou sur la journée entière sont ignorés.
+     * Une récurrence hebdomadaire (RRULE FREQ=WEEKLY) donne ses jours (BYDAY) et sa date de fin ;
+     * les autres récurrences ne retiennent que la première occurrence.
+     * @param {string} text - Le contenu du fichier
+     * @returns {Object} { events: [{ uid, resume, lieu, jours, debut, fin, dateDebut, dateFin }], ignored }
+     */
+    parseEvents(text) {
+        const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        if (!lines.some(l => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Fichier iCalendar invalide (BEGIN:VCALENDAR absent).');
+        }
+
+        const events = [];
+        let ignored = 0;
+        let current = null;
+
+        lines.forEach(line => {
+            const upper = line.trim().toUpperCase();
+            if (upper === 'BEGIN:VEVENT') {
+                current = {};
+                return;
+            }
+            if (upper === 'END:VEVENT') {
+                const event = current && this.toEvent(current);
+                if (event) events.push(event);
+                else ignored++;
+                current = null;
+                return;
+            }
+            if (!current) return;
+
+            const property = this.parseContentLine(line);
+            // Seule la première valeur de chaque propriété est retenue (pas de VALARM imbriqué)
+            if (property && !(property.name in current)) current[property.name] = property;
+        });
+
+        return { events, ignored };
+    }
+
+    /**
+     * Convertit les propriétés d'un VEVENT en événement
+     * @param {Object} props - Propriétés lues (nom -> { params, value })
+     * @returns {Object|null} L'événement, ou null s'il ne bloque pas de plage horaire
+     */
+    toEvent(props) {
+        const value = name => props[name]?.value || '';
+        if (value('STATUS').toUpperCase() === 'CANCELLED') return null;
+        if (value('TRANSP').toUpperCase() === 'TRANSPARENT') return null;
+
+        const start = this.parseDateTime(value('DTSTART'));
+        if (!start || start.allDay) return null;
+
+        let fin;
+        const end = this.parseDateTime(value('DTEND'));
+        if (end && !end.allDay) {
+            fin = end.date === start.date ? end.minutes : 24 * 60;
+        } else {
+            fin = start.minutes + (this.parseDuration(value('DURATION')) || 0);
+        }
+        fin = Math.min(fin, 24 * 60);
+        if (!(fin > start.minutes)) return null;
+
+        let jours = [CalendarService.getJourForDate(start.date)];
+        let dateFin = start.date;
+
+        const rule = this.parseRRule(value('RRULE'));
+        if (rule.FREQ === 'WEEKLY') {
+            const byDay = (rule.BYDAY || '').split(',')
+                .map(d => BYDAY_JOURS[d.trim().slice(-2).toUpperCase()])
+                .filter(i => i !== undefined)
+                .map(i => JOURS_SEMAINE[i]);
+            if (byDay.length > 0) jours = byDay;
+
+            const until = this.parseDateTime(rule.UNTIL);
+            const interval = Math.max(parseInt(rule.INTERVAL, 10) || 1, 1);
+            if (until) {
+                dateFin = until.date;
+            } else if (parseInt(rule.COUNT, 10) > 0) {
+                const weeks = Math.ceil(parseInt(rule.COUNT, 10) / jours.length);
+                dateFin = CalendarService.addDays(start.date, (weeks - 1) * 7 * interval + 6);
+            } else {
+                dateFin = null;
+            }
+        }
+
+        return {
+            uid: value('UID'),
+            resume: this.unescapeText(value('SUMMARY')),
+            lieu: this.unescapeText(value('LOCATION')),
+            jours,
+            debut: start.minutes,
+            fin,
+            dateDebut: start.date,
+            dateFin
+        };
+    }
+
+    /* ---------- périmètres ---------- */
+
+    /**
+     * Vérifie qu'une séance concerne un groupe d'étudiants.
+     * La cible est une filière, une section ("F - S") ou un groupe ("F - S - G") :
+     * un groupe reçoit aussi les cours de sa section, une section toutes ses séances.
+     * @param {Session} seance - La séance
+     * @param {string} target - La cible
+     * @returns {boolean}
+     */
+    matchesStudentGroup(seance, target) {
+        const wanted = String(target).split(' - ');
+        const entity = String(seance.uniqueStudentEntity || seance.filiere || '').split(' - ');
+        const length = Math.min(wanted.length, entity.length);
+
+        for (let i = 0; i < length; i++) {
+            if (wanted[i] !== entity[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Séances d'un périmètre d'export
+     * @param {string} scope - 'enseignant' | 'salle' | 'groupe'
+     * @param {string} target - L'enseignant, la salle ou le groupe
+     * @returns {Array<Session>}
+     */
+    getScopeSeances(scope, target) {
+        const seances = StateManager.getSeances();
+
+        switch (scope) {
+            case 'enseignant':
+                return seances.filter(s => s.hasTeacherAssigned(target));
+            case 'salle':
+                return seances.filter(s => s.salle === target);
+            case 'groupe':
+                return seances.filter(s => this.matchesStudentGroup(s, target));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Cibles proposées pour chaque périmètre
+     * @returns {Object} { enseignant, salle, groupe } listes triées
+     */
+    getScopeTargets() {
+        const seances = StateManager.getSeances();
+        const groupes = new Set();
+
+        seances.forEach(s => {
+            if (!s.filiere) return;
+            groupes.add(s.filiere);
+            if (s.section) groupes.add(`${s.filiere} - ${s.section}`);
+            if (s.uniqueStudentEntity) groupes.add(s.uniqueStudentEntity);
+        });
+
+        const salles = new Set([
+            ...Object.keys(StateManager.state.sallesInfo || {}),
+            ...seances.map(s => s.salle).filter(Boolean)
+        ]);
+
+        return {
+            enseignant: [...StateManager.state.enseignants].sort((a, b) => a.localeCompare(b)),
+            salle: [...salles].sort((a, b) => a.localeCompare(b)),
+            groupe: [...groupes].sort((a, b) => a.localeCompare(b))
+        };
+    }
+}
+
+// Export d'une instance singleton
+export default new ICalendarService();
@@ -1,5 +1,6 @@
 /**
- * Service d'import de fichiers Excel (souhaits, matières)
+ * Service d'import de fichiers (souhaits, matières et forfaits en Excel, agendas externes en .ics,
+ * projets et réservations des autres départements en JSON)
  * @author Ibrahim Mrani - UCD
  */
 
@@ -10,9 +11,16 @@ import NotificationManager from '../ui/NotificationManager.js';
 import SchedulingService from './SchedulingService.js'; // <-- ajouté
 import TeacherController from '../controllers/TeacherController.js';
 import SubjectController from '../controllers/SubjectController.js';
+import ForfaitController from '../controllers/ForfaitController.js';
+import ICalendarService from './ICalendarService.js';
+import ExternalOccupationService from './ExternalOccupationService.js';
+import SchemaMigrationService from './SchemaMigrationService.js';
+import { JOURS_SEMAINE, DISPONIBILITE_STATUTS } from '../config/constants.js';
 
 const DEFAULT_MAX_FILE_SIZE = 8 * 1024 * 1024; // 8 Mo
 const WISHES_EXPECTED_HEADERS = ["Enseignant","Choix1","C1","TD1","TP1","Choix2","C2","TD2","TP2","Choix3","C3","TD3","TP3","Contraintes"];
+const AVAILABILITY_BLOCK_TITLE = 'Indisponibilités';
+const AVAILABILITY_HEADERS = ["Enseignant","Jour","Créneau","Statut"];
 const SUBJECTS_EXPECTED_HEADERS = ["NomMatiere","Filiere","Departement","SectionsCours","TDGroups","TPGroups","VolumeCoursHTP","VolumeTDHTP","VolumeTPHTP","NbEnseignantsTP"];
 
 class ImportService {
@@ -144,7 +152,21 @@ class ImportService {
                     const worksheet = workbook.Sheets[sheetName];
                     const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
 
-                    const result = this.parseWishesData(jsonData);
+                    // Bloc optionnel sous le tableau des souhaits : grille d'indisponibilités
+                    const blockIndex = jsonData.findIndex(row =>
+                        this.normalizeKey(row?.[0]).startsWith('indisponibilit')
+                    );
+                    const wishesData = blockIndex === -1 ? jsonData : jsonData.slice(0, blockIndex);
+                    while (wishesData.length > 1 && !(wishesData[wishesData.length - 1] || []).some(c => String(c ?? '').trim())) {
+                        wishesData.pop();
+                    }
+
+                    const result = this.parseWishesData(wishesData);
+
+                    if (result.success && blockIndex !== -1) {
+                        result.stats.availability = this.parseAvailabilityData(jsonData.slice(blockIndex + 1), blockIndex + 1);
+                        StateManager.saveState();
+                    }
 
                     if (result.success) {
                         LogService.success(`✅ ${result.stats.imported} souhaits importés, ${result.stats.created} enseignants créés`);
@@ -221,6 +243,9 @@ class ImportService {
             // Utiliser le nom exacte trouvé dans la liste (pour respecter la casse)
             const nomFinal = enseignantTrouve;
 
+            // Conserver la grille de disponibilités existante (bloc Indisponibilités, lu ensuite)
+            const previous = StateManager.state.enseignantSouhaits[nomFinal] || {};
+
             const souhaits = {
                 choix1: row[1] ? String(row[1]).trim() : '',
                 c1: this.parseNumericValue(row[2]),
@@ -234,7 +259,8 @@ class ImportService {
                 c3: this.parseNumericValue(row[10]),
                 td3: this.parseNumericValue(row[11]),
                 tp3: this.parseNumericValue(row[12]),
-                contraintes: row[13] ? String(row[13]).trim() : 'Aucune remarque.'
+                contraintes: row[13] ? String(row[13]).trim() : 'Aucune remarque.',
+                indisponibilites: previous.indisponibilites || {}
             };
 
             StateManager.state.enseignantSouhaits[nomFinal] = souhaits;
@@ -251,6 +277,76 @@ class ImportService {
         };
     }
 
+    /**
+     * Parse le bloc d'indisponibilités (Enseignant, Jour, Créneau, Statut)
+     * Les grilles des enseignants présents dans le bloc sont remplacées.
+     * @param {Array} data - Lignes du bloc, en-tête compris
+     * @param {number} offset - Position du bloc dans la feuille (numéros de ligne des avertissements)
+     * @returns {Object} { imported, skipped }
+     */
+    parseAvailabilityData(data, offset = 0) {
+        const stats = { imported: 0, skipped: 0 };
+        const creneaux = Object.keys(StateManager.state.creneaux || {});
+        const grilles = {};
+
+        for (let i = 1; i < data.length; i++) {
+            const row = data[i];
+            if (!row || !row[0]) continue;
+
+            const nomSaisi = String(row[0]).trim().toLowerCase();
+            const enseignant = StateManager.state.enseignants.find(e => e.toLowerCase().trim() === nomSaisi);
+            const jour = JOURS_SEMAINE.find(j => this.normalizeKey(j) === this.normalizeKey(row[1]));
+            const creneau = creneaux.find(c => this.normalizeKey(c) === this.normalizeKey(row[2]));
+            const statut = this.parseAvailabilityStatus(row[3]);
+
+            if (!enseignant || !jour || !creneau || !statut) {
+                LogService.warning(`⚠️ Indisponibilité ignorée (ligne ${offset + i + 1}) : ${row.join(' | ')}`);
+                stats.skipped++;
+                continue;
+            }
+
+            if (!grilles[enseignant]) grilles[enseignant] = {};
+            if (!grilles[enseignant][jour]) grilles[enseignant][jour] = {};
+            grilles[enseignant][jour][creneau] = statut;
+            stats.imported++;
+        }
+
+        Object.keys(grilles).forEach(enseignant => {
+            const souhaits = StateManager.state.enseignantSouhaits[enseignant] || { contraintes: 'Aucune remarque.' };
+            souhaits.indisponibilites = grilles[enseignant];
+            StateManager.state.enseignantSouhaits[enseignant] = souhaits;
+        });
+
+        LogService.info(`📅 ${stats.imported} indisponibilités importées (${stats.skipped} lignes ignorées)`);
+        return stats;
+    }
+
+    /**
+     * Convertit le libellé de statut saisi dans Excel
+     * @param {*} value - La valeur de la cellule
+     * @returns {string} Le statut ou '' si non reconnu
+     */
+    parseAvailabilityStatus(value) {
+        const key = this.normalizeKey(value);
+        if (!key) return '';
+        if (key.startsWith('indispo') || key === 'x') return DISPONIBILITE_STATUTS.INDISPONIBLE;
+        if (key.startsWith('non') || key === '?') return DISPONIBILITE_STATUTS.NON_SOUHAITE;
+        return '';
+    }
+
+    /**
+     * Normalise une chaîne pour comparaison (casse, accents, espaces)
+     * @param {*} value - La valeur
+     * @returns {string} La clé normalisée
+     */
+    normalizeKey(value) {
+        return String(value ?? '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
     /**
      * Parse une valeur numérique depuis Excel
      * @param {*} value - La valeur à parser
@@ -291,6 +387,7 @@ class ImportService {
 
                         // Si des matières ont été créées, lancer la génération automatique (sans enseignants/salles)
                         if (Array.isArray(result.createdSubjects) && result.createdSubjects.length > 0) {
+                            StateManager.beginHistoryGroup('Génération après import des matières');
                             for (const matiereNom of result.createdSubjects) {
                                 try {
                                     const subject = StateManager.getSubjects().find(s => s.nom === matiereNom);
@@ -306,6 +403,7 @@ class ImportService {
                                     LogService.warning(`Échec génération auto pour ${matiereNom}: ${err.message}`);
                                 }
                             }
+                            StateManager.endHistoryGroup();
                             StateManager.saveState();
                         }
                     }
@@ -520,6 +618,23 @@ class ImportService {
                 ]);
             }
 
+            // Bloc des indisponibilités sous les souhaits : une ligne par (enseignant, jour, créneau)
+            const availability = [AVAILABILITY_HEADERS];
+            Object.keys(StateManager.state.enseignantSouhaits).forEach(ens => {
+                const grille = StateManager.state.enseignantSouhaits[ens]?.indisponibilites || {};
+                Object.keys(grille).forEach(jour => {
+                    Object.keys(grille[jour]).forEach(creneau => {
+                        const statut = grille[jour][creneau] === DISPONIBILITE_STATUTS.INDISPONIBLE ? 'Indisponible' : 'Non souhaité';
+                        availability.push([ens, jour, creneau, statut]);
+                    });
+                });
+            });
+            if (availability.length === 1) {
+                availability.push([enseignants[0] || 'Dr. Ahmed Bennani', 'Mercredi', '14h00', 'Indisponible']);
+                availability.push([enseignants[0] || 'Dr. Ahmed Bennani', 'Samedi', '8h30', 'Non souhaité']);
+            }
+            data.push([], [AVAILABILITY_BLOCK_TITLE], ...availability);
+
             const worksheet = XLSX.utils.aoa_to_sheet(data);
             const workbook = XLSX.utils.book_new();
             XLSX.utils.book_append_sheet(workbook, worksheet, 'Souhaits');
@@ -583,6 +698,295 @@ class ImportService {
             return false;
         }
     }
+
+    /**
+     * Importe les forfaits depuis Excel (feuille "Forfaits", et "Catalogue" si présente)
+     * @param {File} file - Le fichier Excel (voir ExportService.exportForfaitsToExcel)
+     * @returns {Promise<Object>} { success: boolean, stats: Object }
+     */
+    async importForfaitsFromExcel(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const data = new Uint8Array(e.target.result);
+                    const workbook = XLSX.read(data, { type: 'array' });
+
+                    const sheetName = workbook.SheetNames.includes('Forfaits') ? 'Forfaits' : workbook.SheetNames[0];
+                    const forfaitsData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 });
+                    const catalogueData = workbook.Sheets.Catalogue
+                        ? XLSX.utils.sheet_to_json(workbook.Sheets.Catalogue, { header: 1 })
+                        : [];
+
+                    const result = this.parseForfaitsData(forfaitsData, catalogueData);
+
+                    LogService.success(`✅ ${result.stats.imported} forfait(s) importé(s), ${result.stats.updated} mis à jour`);
+                    NotificationManager.success(`${result.stats.imported + result.stats.updated} forfaits traités`, 5000);
+
+                    resolve(result);
+                } catch (error) {
+                    LogService.error(`❌ Erreur lors de l'import: ${error.message}`);
+                    NotificationManager.error('Erreur lors de l\'import');
+                    reject(error);
+                }
+            };
+
+            reader.onerror = () => reject(new Error('File read error'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Parse les données de forfaits
+     * Les colonnes sont repérées par leur en-tête (casse et accents ignorés). Un forfait déjà
+     * présent (même enseignant, nature, session et année) est mis à jour ; une nature inconnue
+     * rejoint le catalogue ; un volume vide prend le volume par défaut du catalogue.
+     * @param {Array} data - Lignes de la feuille des forfaits
+     * @param {Array} catalogueData - Lignes de la feuille du catalogue (optionnel)
+     * @returns {Object} { success: boolean, stats: Object }
+     */
+    parseForfaitsData(data, catalogueData = []) {
+        const stats = {
+            imported: 0,
+            updated: 0,
+            skipped: 0,
+            catalogue: 0,
+            unknownTeachers: []
+        };
+
+        const catalogue = ForfaitController.getCatalogue();
+        const findNature = (nature) => catalogue.find(c => this.normalizeKey(c.nature) === this.normalizeKey(nature));
+
+        // Catalogue : [Nature, Volume par défaut]
+        catalogueData.slice(1).forEach(row => {
+            const nature = String(row?.[0] ?? '').trim();
+            if (!nature) return;
+            const heures = this.parseNumericValue(row[1]);
+            const entry = findNature(nature);
+            if (entry) {
+                entry.heures = heures;
+            } else {
+                catalogue.push({ nature, heures });
+            }
+            stats.catalogue++;
+        });
+
+        const headers = (data[0] || []).map(h => this.normalizeKey(h));
+        const findIdx = (candidates) => headers.findIndex(h => candidates.some(c => h.includes(c)));
+        const idx = {
+            enseignant: findIdx(['enseignant', 'teacher', 'nom']),
+            nature: findIdx(['nature', 'forfait']),
+            volume: findIdx(['volume', 'heure']),
+            session: findIdx(['session', 'semestre']),
+            annee: findIdx(['annee', 'year']),
+            description: findIdx(['description', 'commentaire'])
+        };
+
+        if (idx.enseignant < 0 || idx.nature < 0) {
+            throw new Error('Colonnes "Enseignant" et "Nature" introuvables dans le fichier des forfaits.');
+        }
+
+        const cell = (row, key) => (idx[key] >= 0 && row[idx[key]] !== undefined && row[idx[key]] !== null)
+            ? String(row[idx[key]]).trim()
+            : '';
+
+        const forfaits = ForfaitController.getAllForfaits();
+        const added = [];
+
+        for (let i = 1; i < data.length; i++) {
+            const row = data[i];
+            const nomSaisi = row ? cell(row, 'enseignant') : '';
+            const natureSaisie = row ? cell(row, 'nature') : '';
+
+            if (!nomSaisi || !natureSaisie) {
+                stats.skipped++;
+                continue;
+            }
+
+            const enseignant = StateManager.state.enseignants.find(e => this.normalizeKey(e) === this.normalizeKey(nomSaisi));
+            if (!enseignant) {
+                stats.skipped++;
+                if (!stats.unknownTeachers.includes(nomSaisi)) stats.unknownTeachers.push(nomSaisi);
+                continue;
+            }
+
+            const volumeSaisi = cell(row, 'volume');
+            let entry = findNature(natureSaisie);
+            if (!entry) {
+                entry = { nature: natureSaisie, heures: this.parseNumericValue(volumeSaisi) };
+                catalogue.push(entry);
+                stats.catalogue++;
+                LogService.info(`Nature de forfait "${natureSaisie}" ajoutée au catalogue`);
+            }
+
+            const volumeHoraire = volumeSaisi === '' ? Number(entry.heures) || 0 : this.parseNumericValue(volumeSaisi);
+            const period = ForfaitController.resolvePeriod(cell(row, 'session'), cell(row, 'annee'));
+            const description = cell(row, 'description');
+
+            const doublon = ForfaitController.findDuplicate({ enseignant, nature: entry.nature, ...period });
+            if (doublon) {
+                doublon.volumeHoraire = volumeHoraire;
+                if (description) doublon.description = description;
+                stats.updated++;
+                continue;
+            }
+
+            const forfait = ForfaitController.createForfait(enseignant, { nature: entry.nature, volumeHoraire, ...period }, description);
+            forfaits.push(forfait);
+            added.push(forfait);
+            stats.imported++;
+        }
+
+        StateManager.saveState();
+
+        if (stats.catalogue > 0) {
+            StateManager.notify('forfaitCatalogue:changed', {});
+        }
+        StateManager.notify('forfait:added', { forfaits: added });
+
+        return {
+            success: true,
+            stats
+        };
+    }
+
+    /**
+     * Importe un agenda externe (.ics) comme occupations d'un enseignant ou d'une salle.
+     * Un nouvel import du même fichier remplace les occupations précédentes.
+     * @param {File} file - Le fichier .ics
+     * @param {string} cible - 'enseignant' | 'salle'
+     * @param {string} nom - Le nom de l'enseignant ou de la salle
+     * @returns {Promise<Object>} { success: boolean, stats: Object }
+     */
+    async importExternalOccupationsFromICS(file, cible, nom) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const { events, ignored } = ICalendarService.parseEvents(e.target.result);
+                    const stats = ExternalOccupationService.importEvents(cible, nom, events, file.name);
+                    stats.ignored = ignored;
+
+                    StateManager.saveState();
+                    LogService.success(`✅ ${stats.imported} occupation(s) externe(s) importée(s) pour ${nom} (${file.name})`);
+
+                    resolve({ success: true, stats });
+                } catch (error) {
+                    LogService.error(`❌ Erreur lors de l'import: ${error.message}`);
+                    reject(error);
+                }
+            };
+
+            reader.onerror = () => reject(new Error('File read error'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Charge l'occupation des salles et enseignants d'autres départements (lecture seule) :
+     * - projet exporté d'un autre département (séances de la session active) ;
+     * - fichier de réservation partagé : [{ departement, salle, enseignant, jour, debut, fin, libelle, session }]
+     *   (ou { reservations: [...] }), debut/fin au format "8h30" ou "08:30", ou un créneau.
+     * Un nouveau chargement d'un département remplace sa couche précédente.
+     * @param {File} file - Le fichier JSON
+     * @returns {Promise<Object>} { success: boolean, departements: Array<Object> }
+     */
+    async importDepartmentOccupations(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                try {
+                    const raw = JSON.parse(e.target.result);
+                    const layers = Array.isArray(raw) || Array.isArray(raw?.reservations)
+                        ? this.parseBookingFile(Array.isArray(raw) ? raw : raw.reservations, file.name)
+                        : [this.parseDepartmentProject(raw, file.name)];
+
+                    const departements = layers.map(({ departement, seances, warning }) => ({
+                        departement,
+                        warning,
+                        ...ExternalOccupationService.importDepartmentSeances(departement, seances)
+                    }));
+
+                    StateManager.saveState();
+                    departements.forEach(d => {
+                        LogService.success(`✅ Occupation de ${d.departement} chargée : ${d.seances} séance(s), ${d.sallesPartagees.length} salle(s) et ${d.enseignantsPartages.length} enseignant(s) partagé(s)`);
+                    });
+
+                    resolve({ success: true, departements });
+                } catch (error) {
+                    LogService.error(`❌ Erreur lors de l'import: ${error.message}`);
+                    reject(error);
+                }
+            };
+
+            reader.onerror = () => reject(new Error('File read error'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Séances de la session active d'un projet exporté par un autre département
+     * @param {Object} raw - Le bundle JSON
+     * @param {string} filename - Le nom du fichier (département par défaut)
+     * @returns {Object} { departement, seances, warning }
+     */
+    parseDepartmentProject(raw, filename) {
+        // Département lu avant migration : la migration complète un en-tête absent avec le département par défaut
+        const departement = raw?.headerInfo?.departement || filename.replace(/\.json$/i, '');
+
+        const { data } = SchemaMigrationService.migrate(raw);
+        const sessions = Object.values(data.sessionData || {});
+        if (!sessions.some(b => Array.isArray(b?.seances) && b.seances.length > 0)) {
+            throw new Error('Fichier invalide : ni projet exporté contenant des séances, ni fichier de réservation (reservations).');
+        }
+
+        const header = StateManager.state.header;
+        if (departement === header.departement) {
+            throw new Error(`Ce projet est celui du ${departement} : utilisez « Importer Projet (JSON) » pour le restaurer.`);
+        }
+
+        const bundle = data.sessionData[header.session.replace(/\s+/g, '_')];
+        const warning = data.headerInfo?.annee && data.headerInfo.annee !== header.annee
+            ? `Projet de l'année ${data.headerInfo.annee} (année courante : ${header.annee})`
+            : '';
+
+        return { departement, seances: Array.isArray(bundle?.seances) ? bundle.seances : [], warning };
+    }
+
+    /**
+     * Regroupe les réservations d'un fichier partagé par département
+     * @param {Array<Object>} reservations - Les réservations
+     * @param {string} filename - Le nom du fichier (département par défaut)
+     * @returns {Array<Object>} [{ departement, seances, warning }]
+     */
+    parseBookingFile(reservations, filename) {
+        const { session, departement: courant } = StateManager.state.header;
+        const byDepartement = new Map();
+
+        reservations.forEach(r => {
+            if (!r || (r.session && r.session !== session)) return;
+
+            const departement = r.departement || filename.replace(/\.json$/i, '');
+            // Les réservations du département courant sont déjà dans son EDT
+            if (departement === courant) return;
+
+            if (!byDepartement.has(departement)) byDepartement.set(departement, []);
+            byDepartement.get(departement).push({
+                jour: r.jour,
+                creneau: r.creneau || r.debut || '',
+                heureDebut: r.debut || '',
+                heureFin: r.fin || '',
+                salle: r.salle || '',
+                enseignantsArray: Array.isArray(r.enseignants) ? r.enseignants : [r.enseignant].filter(Boolean),
+                libelle: r.libelle || ''
+            });
+        });
+
+        return [...byDepartement.entries()].map(([departement, seances]) => ({ departement, seances, warning: '' }));
+    }
 }
 
 // Export d'une instance singleton
@@ -0,0 +1,176 @@
+/**
+ * Backend de stockage basé sur IndexedDB (asynchrone, quota de plusieurs centaines de Mo)
+ * Les valeurs sont chargées en mémoire à l'initialisation afin que les lectures restent
+ * synchrones ; les écritures sont propagées en arrière-plan et leurs échecs remontés via Promise.
+ * @author Ibrahim Mrani - UCD
+ */
+
+const DB_NAME = 'edt_physique_db';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyvalue';
+
+class IndexedDBBackend {
+    constructor() {
+        this.name = 'indexedDB';
+        this.label = 'Base de données du navigateur (IndexedDB)';
+        this.db = null;
+        this.cache = new Map();
+    }
+
+    /**
+     * Vérifie qu'IndexedDB est disponible
+     * @returns {boolean} True si disponible
+     */
+    isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Ouvre la base et charge toutes les valeurs en mémoire
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Ouverture IndexedDB bloquée par un autre onglet'));
+        });
+
+        this.cache.clear();
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORE_NAME, 'readonly');
+            const request = tx.objectStore(STORE_NAME).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    this.cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                }
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Exécute une opération dans une transaction en écriture
+     * @param {Function} operation - (store) => void
+     * @returns {Promise<void>} Résolue à la fin de la transaction
+     */
+    write(operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Base IndexedDB non initialisée'));
+                return;
+            }
+
+            const tx = this.db.transaction(STORE_NAME, 'readwrite');
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction IndexedDB annulée'));
+
+            operation(tx.objectStore(STORE_NAME));
+        });
+    }
+
+    /**
+     * Lit une valeur sérialisée (depuis le cache mémoire)
+     * @param {string} key - La clé
+     * @returns {string|null} La valeur
+     */
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    /**
+     * Écrit une valeur sérialisée
+     * @param {string} key - La clé
+     * @param {string} value - La valeur
+     * @returns {Promise<void>} Rejetée si l'écriture échoue (quota, etc.) ; le cache reprend alors l'ancienne valeur
+     */
+    setItem(key, value) {
+        const previous = this.getItem(key);
+        this.cache.set(key, value);
+
+        return this.write(store => store.put(value, key)).catch(error => {
+            if (this.cache.get(key) === value) {
+                if (previous === null) this.cache.delete(key);
+                else this.cache.set(key, previous);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Écrit plusieurs valeurs dans une seule transaction (migration)
+     * @param {Array<[string, string]>} entries - Les paires [clé, valeur]
+     * @returns {Promise<void>}
+     */
+    setMany(entries) {
+        entries.forEach(([key, value]) => this.cache.set(key, value));
+        return this.write(store => entries.forEach(([key, value]) => store.put(value, key)));
+    }
+
+    /**
+     * Supprime une clé
+     * @param {string} key - La clé
+     * @returns {Promise<void>}
+     */
+    removeItem(key) {
+        this.cache.delete(key);
+        return this.write(store => store.delete(key));
+    }
+
+    /**
+     * Vide le stockage
+     * @returns {Promise<void>}
+     */
+    clear() {
+        this.cache.clear();
+        return this.write(store => store.clear());
+    }
+
+    /**
+     * Liste les clés stockées
+     * @returns {Array<string>} Les clés
+     */
+    keys() {
+        return [...this.cache.keys()];
+    }
+
+    /**
+     * Estime l'espace utilisé et disponible
+     * @returns {Promise<Object>} { usage, quota }
+     */
+    async estimate() {
+        const ownUsage = [...this.cache.entries()].reduce((sum, [key, value]) => sum + (key.length + value.length) * 2, 0);
+
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                return { usage: Math.max(usage || 0, ownUsage), quota: quota || null };
+            } catch (error) {
+                // estimation indisponible : on se rabat sur le calcul local
+            }
+        }
+
+        return { usage: ownUsage, quota: null };
+    }
+}
+
+// Export d'une instance singleton
+export default new IndexedDBBackend();
@@ -0,0 +1,96 @@
+/**
+ * Backend de stockage basé sur window.localStorage (synchrone, ~5 Mo)
+ * Sert de solution de repli lorsque IndexedDB est indisponible.
+ * @author Ibrahim Mrani - UCD
+ */
+
+// Quota indicatif du localStorage dans les navigateurs courants
+const LOCAL_STORAGE_QUOTA_ESTIMATE = 5 * 1024 * 1024;
+
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+        this.label = 'Stockage local du navigateur (localStorage)';
+    }
+
+    /**
+     * Vérifie que le localStorage est utilisable
+     * @returns {boolean} True si disponible
+     */
+    isAvailable() {
+        try {
+            return typeof window !== 'undefined' && !!window.localStorage;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Aucune initialisation nécessaire
+     * @returns {Promise<void>}
+     */
+    async init() {}
+
+    /**
+     * Lit une valeur sérialisée
+     * @param {string} key - La clé
+     * @returns {string|null} La valeur
+     */
+    getItem(key) {
+        return window.localStorage.getItem(key);
+    }
+
+    /**
+     * Écrit une valeur sérialisée (lève QuotaExceededError si le quota est atteint)
+     * @param {string} key - La clé
+     * @param {string} value - La valeur
+     * @returns {Promise<void>}
+     */
+    setItem(key, value) {
+        window.localStorage.setItem(key, value);
+        return Promise.resolve();
+    }
+
+    /**
+     * Supprime une clé
+     * @param {string} key - La clé
+     */
+    removeItem(key) {
+        window.localStorage.removeItem(key);
+    }
+
+    /**
+     * Vide le stockage
+     */
+    clear() {
+        window.localStorage.clear();
+    }
+
+    /**
+     * Liste les clés stockées
+     * @returns {Array<string>} Les clés
+     */
+    keys() {
+        const keys = [];
+        for (let i = 0; i < window.localStorage.length; i++) {
+            keys.push(window.localStorage.key(i));
+        }
+        return keys;
+    }
+
+    /**
+     * Estime l'espace utilisé (UTF-16 : 2 octets par caractère)
+     * @returns {Promise<Object>} { usage, quota }
+     */
+    async estimate() {
+        const usage = this.keys().reduce((sum, key) => {
+            const value = window.localStorage.getItem(key) || '';
+            return sum + (key.length + value.length) * 2;
+        }, 0);
+
+        return { usage, quota: LOCAL_STORAGE_QUOTA_ESTIMATE };
+    }
+}
+
+// Export d'une instance singleton
+export default new LocalStorageBackend();
@@ -0,0 +1,229 @@
+/**
+ * Service de gestion des projets pluriannuels (année universitaire + département)
+ * Chaque projet dispose de ses propres clés de stockage ; les années passées
+ * peuvent être archivées en lecture seule.
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import StorageService from './StorageService.js';
+import LogService from './LogService.js';
+import { STORAGE_KEYS, PROJECT_CONFIG_KEYS } from '../config/constants.js';
+
+class ProjectService {
+    /**
+     * Construit l'identifiant d'un projet
+     * @param {string} annee - L'année universitaire (ex: 2025/2026)
+     * @param {string} departement - Le département
+     * @returns {string} L'identifiant (ex: 2025-2026_departement-de-physique)
+     */
+    makeProjectId(annee, departement) {
+        const slug = (value) => String(value || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        return `${slug(annee) || 'sans-annee'}_${slug(departement) || 'sans-departement'}`;
+    }
+
+    /**
+     * Obtient la liste des projets (triée par année décroissante)
+     * @returns {Array<Object>} { id, annee, departement, archived, createdAt }
+     */
+    getProjects() {
+        const projects = StorageService.load(STORAGE_KEYS.PROJECTS, []);
+        return (Array.isArray(projects) ? projects : [])
+            .slice()
+            .sort((a, b) => String(b.annee).localeCompare(String(a.annee)) || String(a.departement).localeCompare(String(b.departement)));
+    }
+
+    /**
+     * Enregistre la liste des projets
+     * @param {Array<Object>} projects - Les projets
+     */
+    saveProjects(projects) {
+        StorageService.save(STORAGE_KEYS.PROJECTS, projects);
+    }
+
+    /**
+     * Obtient le projet actif
+     * @returns {Object|null} Le projet
+     */
+    getActiveProject() {
+        return this.getProjects().find(p => p.id === StorageService.projectId) || null;
+    }
+
+    /**
+     * Sélectionne le projet actif au démarrage. Lors du premier lancement, les données
+     * existantes sont rattachées à un projet construit depuis l'en-tête courant.
+     * À appeler après StorageService.init() et avant StateManager.loadState().
+     * @returns {Object} Le projet actif
+     */
+    init() {
+        let projects = this.getProjects();
+
+        if (projects.length === 0) {
+            const header = StorageService.loadHeader();
+            const project = this.buildProject(header.annee, header.departement);
+            const adopted = StorageService.adoptLegacyKeys(project.id);
+
+            projects = [project];
+            this.saveProjects(projects);
+            StorageService.save(STORAGE_KEYS.ACTIVE_PROJECT, project.id);
+
+            if (adopted > 0) {
+                LogService.info(`🗂️ Données existantes rattachées au projet ${project.annee} — ${project.departement}`);
+            }
+        }
+
+        const activeId = StorageService.load(STORAGE_KEYS.ACTIVE_PROJECT, null);
+        const active = projects.find(p => p.id === activeId) || projects[0];
+
+        StorageService.setProject(active.id, active.archived);
+        return active;
+    }
+
+    /**
+     * Construit la fiche d'un projet
+     * @param {string} annee - L'année universitaire
+     * @param {string} departement - Le département
+     * @returns {Object} Le projet
+     */
+    buildProject(annee, departement) {
+        return {
+            id: this.makeProjectId(annee, departement),
+            annee,
+            departement,
+            archived: false,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Crée un nouveau projet, éventuellement en clonant la configuration du projet actif
+     * (enseignants, matières, salles, filières, créneaux) sans ses séances
+     * @param {string} annee - L'année universitaire
+     * @param {string} departement - Le département
+     * @param {Object} options - { cloneConfig: boolean }
+     * @returns {Object} { success, project, message }
+     */
+    createProject(annee, departement, options = {}) {
+        const { cloneConfig = true } = options;
+        const label = (annee || '').trim();
+
+        if (!label || !departement) {
+            return { success: false, project: null, message: 'Année universitaire et département requis.' };
+        }
+
+        const projects = this.getProjects();
+        const project = this.buildProject(label, departement);
+
+        if (projects.some(p => p.id === project.id)) {
+            return { success: false, project: null, message: `Le projet ${label} — ${departement} existe déjà.` };
+        }
+
+        const sourceId = StorageService.projectId;
+        const sourceHeader = { ...StateManager.state.header };
+
+        if (cloneConfig && sourceId) {
+            // Persister l'état courant avant copie (sans effet si le projet source est archivé)
+            StateManager.saveState(true);
+            const copied = StorageService.copyProjectKeys(PROJECT_CONFIG_KEYS, sourceId, project.id);
+            LogService.info(`📋 ${copied} élément(s) de configuration recopiés depuis ${sourceHeader.annee}`);
+        }
+
+        // En-tête du nouveau projet
+        const previousProjectId = StorageService.projectId;
+        const previousReadOnly = StorageService.isReadOnly();
+        StorageService.setProject(project.id, false);
+        StorageService.saveHeader({ annee: label, session: sourceHeader.session || '', departement });
+        StorageService.setProject(previousProjectId, previousReadOnly);
+
+        projects.push(project);
+        this.saveProjects(projects);
+
+        LogService.success(`✅ Projet ${label} — ${departement} créé${cloneConfig ? ' (configuration clonée)' : ''}`);
+        return { success: true, project, message: '' };
+    }
+
+    /**
+     * Bascule vers un autre projet et recharge l'état
+     * @param {string} projectId - L'identifiant du projet
+     * @returns {boolean} True si le projet a changé
+     */
+    switchProject(projectId) {
+        const project = this.getProjects().find(p => p.id === projectId);
+        if (!project || project.id === StorageService.projectId) return false;
+
+        // Sauvegarder le projet courant (ignoré s'il est archivé)
+        StateManager.saveState(true);
+
+        StorageService.save(STORAGE_KEYS.ACTIVE_PROJECT, project.id);
+        StorageService.setProject(project.id, project.archived);
+
+        StateManager.loadState();
+        StateManager.notify('project:switched', { project });
+
+        LogService.success(`🗂️ Projet ouvert : ${project.annee} — ${project.departement}${project.archived ? ' (archive en lecture seule)' : ''}`);
+        return true;
+    }
+
+    /**
+     * Archive ou désarchive un projet
+     * @param {string} projectId - L'identifiant du projet
+     * @param {boolean} archived - Nouvel état
+     * @returns {boolean} True si modifié
+     */
+    setArchived(projectId, archived) {
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === projectId);
+        if (!project) return false;
+
+        // Persister avant de verrouiller le projet actif
+        if (archived && project.id === StorageService.projectId) {
+            StateManager.saveState(true);
+        }
+
+        project.archived = !!archived;
+        this.saveProjects(projects);
+
+        if (project.id === StorageService.projectId) {
+            StorageService.setProject(project.id, project.archived);
+            StateManager.notify('project:readonly', { project, readOnly: project.archived });
+        }
+
+        LogService.info(`${archived ? '🔒 Projet archivé' : '🔓 Projet désarchivé'} : ${project.annee} — ${project.departement}`);
+        return true;
+    }
+
+    /**
+     * Met à jour l'année / le département affichés du projet actif (l'identifiant est conservé)
+     * @param {Object} header - { annee, departement }
+     */
+    updateActiveProjectInfo({ annee, departement }) {
+        const projects = this.getProjects();
+        const project = projects.find(p => p.id === StorageService.projectId);
+        if (!project || project.archived) return;
+
+        if (annee !== undefined) project.annee = annee;
+        if (departement !== undefined) project.departement = departement;
+        this.saveProjects(projects);
+    }
+
+    /**
+     * Réapplique l'année et le département du projet actif à l'en-tête
+     * (utile après une réinitialisation du projet)
+     */
+    applyActiveProjectHeader() {
+        const project = this.getActiveProject();
+        if (!project) return;
+
+        StateManager.state.header.annee = project.annee;
+        StateManager.state.header.departement = project.departement;
+        StateManager.saveState(true);
+    }
+}
+
+// Export d'une instance singleton
+export default new ProjectService();
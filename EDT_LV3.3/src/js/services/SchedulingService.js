@@ -4,16 +4,18 @@
  * @modified 2025-11-06 - Répartition équitable par filière sur toute la semaine
  */
 
-import { LISTE_JOURS, MAX_AUTO_PLANNING_ITERATIONS, CRENEAUX_COUPLES_SUIVANT } from '../config/constants.js';
-import { getSortedCreneauxKeys, getPrioritizedCreneauxKeys, getRotatedJours, isAfternoonCreneau } from '../utils/helpers.js';
+import { LISTE_JOURS, MAX_AUTO_PLANNING_ITERATIONS, CRENEAUX_COUPLES_SUIVANT, PLANNING_ENGINES, DIAGNOSTIC_NIVEAUX } from '../config/constants.js';
+import { getPrioritizedCreneauxKeys, getRotatedJours, isAfternoonCreneau, isCreneauOuvert, isTPAutorise, getJoursOuvres, getSortedCreneauxKeys, getSessionTimeRange } from '../utils/helpers.js';
 import { normalizeSessionLabel, getStorageSessionKey } from '../utils/session.js';
 import Session from '../models/Session.js';
 import StateManager from '../controllers/StateManager.js';
 import ConflictService from './ConflictService.js';
+import ValidationService from './ValidationService.js';
 import TeacherAvailabilityService from './TeacherAvailabilityService.js';
 import VolumeService from './VolumeService.js';
 import LogService from './LogService.js';
 import StorageService from './StorageService.js';
+import ConstraintSolverService from './ConstraintSolverService.js';
 
 class SchedulingService {
     constructor() {
@@ -74,7 +76,51 @@ class SchedulingService {
         try {
             const headerSessionRaw = (StateManager.state && StateManager.state.header && StateManager.state.header.session) ? StateManager.state.header.session : '';
             const sessionNormalized = normalizeSessionLabel(headerSessionRaw); // 'autumn'|'spring'|'unknown'
+            const annualVHM = this.computeAnnualVHM();
+            const tolerance = this.getTolerance();
+
+            let maxWorkload;
+            if (sessionNormalized === 'autumn') {
+                maxWorkload = tolerance + Math.round(annualVHM / 2);
+                LogService.info(`SchedulingService: maxWorkload (Session d'automne) = ${maxWorkload} (tolerance=${tolerance}, annualVHM=${annualVHM})`);
+            } else {
+                maxWorkload = tolerance + Math.round(annualVHM);
+                LogService.info(`SchedulingService: maxWorkload (autres sessions) = ${maxWorkload} (tolerance=${tolerance}, annualVHM=${annualVHM})`);
+            }
+            return maxWorkload;
+        } catch (err) {
+            LogService.error(`SchedulingService.computeMaxWorkloadForCurrentSession error: ${err.message}`);
+            // Fallback conservative
+            return this.getTolerance() + 0;
+        }
+    }
+
+    /**
+     * Plafond de charge d'un enseignant : celui de la session, sauf si son profil individualise
+     * son service dû (service statutaire, décharges, statut) ; le plafond est alors celui
+     * de son statut s'il en a un (ex: vacataire), sinon il suit ce service
+     * @param {string} nom - Le nom de l'enseignant
+     * @param {number} maxWorkload - Le plafond commun de la session
+     * @param {number} annualVHM - Le VHM annuel du département
+     * @returns {number} Le plafond de l'enseignant
+     */
+    computeMaxWorkloadForTeacher(nom, maxWorkload, annualVHM) {
+        if (!VolumeService.hasIndividualService(nom)) return maxWorkload;
+
+        const session = StateManager.state.header.session;
+        const plafond = VolumeService.getTeacherSessionCap(nom, session);
+        if (plafond !== null) return plafond;
+
+        return this.getTolerance() + VolumeService.getTeacherSessionReference(nom, annualVHM, session);
+    }
 
+    /**
+     * Calcule le VHM annuel du département (automne + printemps) ;
+     * à défaut, le VHM global de la session courante
+     * @returns {number} annualVHM
+     */
+    computeAnnualVHM() {
+        try {
             // Préparer données pour calcul annuel
             const enseignantsList = StateManager.state.enseignants || [];
             const totalTeachers = Math.max(1, enseignantsList.length);
@@ -107,8 +153,8 @@ class SchedulingService {
 
             // Forfaits par session
             const allForfaits = StateManager.state.forfaits || [];
-            const forfaitsAutumn = allForfaits.filter(f => !f.session || String(f.session).toLowerCase().includes('automne') || String(f.session).toLowerCase().includes('autumn'));
-            const forfaitsSpring = allForfaits.filter(f => String(f.session).toLowerCase().includes('printemps') || String(f.session).toLowerCase().includes('spring'));
+            const forfaitsAutumn = VolumeService.filterForfaits(allForfaits, 'autumn');
+            const forfaitsSpring = VolumeService.filterForfaits(allForfaits, 'spring');
 
             const volumesSupplementaires = StateManager.state.enseignantVolumesSupplementaires || {};
 
@@ -125,7 +171,6 @@ class SchedulingService {
             );
 
             let annualVHM = Number((annualMetrics && annualMetrics.annualVHM) || 0);
-            const tolerance = this.getTolerance();
 
             // fallback : si annualVHM absent, retomber sur comportement sessionnel
             if (!annualVHM) {
@@ -142,21 +187,13 @@ class SchedulingService {
                 }
             }
 
-            let maxWorkload;
-            if (sessionNormalized === 'autumn') {
-                maxWorkload = tolerance + Math.round(annualVHM / 2);
-                LogService.info(`SchedulingService: maxWorkload (Session d'automne) = ${maxWorkload} (tolerance=${tolerance}, annualVHM=${annualVHM})`);
-            } else {
-                maxWorkload = tolerance + Math.round(annualVHM);
-                LogService.info(`SchedulingService: maxWorkload (autres sessions) = ${maxWorkload} (tolerance=${tolerance}, annualVHM=${annualVHM})`);
-            }
-            return maxWorkload;
+            return annualVHM;
         } catch (err) {
-            LogService.error(`SchedulingService.computeMaxWorkloadForCurrentSession error: ${err.message}`);
-            // Fallback conservative
-            return this.getTolerance() + 0;
+            LogService.error(`SchedulingService.computeAnnualVHM error: ${err.message}`);
+            return 0;
         }
     }
+
     /**
      * Obtient le compteur de rotation pour une filière
      * @param {string} filiere - La filière
@@ -187,24 +224,9 @@ class SchedulingService {
      */
     getRotatedJoursForFiliere(filiere) {
         const counter = this.getFiliereRotationCounter(filiere);
-        const rotatedJours = getRotatedJours(counter);
-
-        // Inclure le samedi matin (jusqu'à 10h15 maximum)
-        // On garde tous les jours y compris Samedi
-        return rotatedJours;
-    }
-
-    /**
-     * Vérifie si un créneau est autorisé le samedi (matin uniquement)
-     * @param {string} creneau - Le créneau
-     * @returns {boolean} True si autorisé
-     */
-    isSaturdayMorningSlot(creneau) {
-        const creneaux = getSortedCreneauxKeys();
-        const creneauIndex = creneaux.indexOf(creneau);
 
-        // Seulement les 2 premiers créneaux du samedi (8h30 et 10h15 généralement)
-        return creneauIndex <= 1;
+        // Jours travaillés uniquement (voir joursConfig)
+        return getRotatedJours(counter);
     }
 
     /**
@@ -223,10 +245,11 @@ class SchedulingService {
             assignTeachers = true,
             assignRooms = true,
             respectWishes = true,
-            avoidConflicts = true
+            avoidConflicts = true,
+            engine = PLANNING_ENGINES.GREEDY
         } = options;
 
-        LogService.info('🚀 Début de la génération automatique...');
+        LogService.info(`🚀 Début de la génération automatique (moteur : ${engine})...`);
 
         // Réinitialiser les compteurs de rotation
         this.filiereRotationCounters = {};
@@ -238,7 +261,10 @@ class SchedulingService {
             failed: 0,
             skipped: 0,
             teachersAssigned: 0,
-            roomsAssigned: 0
+            roomsAssigned: 0,
+            engine,
+            score: null,
+            scoreDetails: null
         };
 
         // ===== ÉTAPE 1 : Attribuer les enseignants aux séances EXISTANTES =====
@@ -359,18 +385,35 @@ class SchedulingService {
 
         const subjects = StateManager.getCurrentSessionSubjects();
 
-        for (const subject of subjects) {
-            const subjectStats = await this.autoGenerateSubjectSessions(
-                subject,
+        if (engine === PLANNING_ENGINES.SOLVER && !avoidConflicts) {
+            LogService.warning('⚠️ Le solveur exige l\'option "Éviter les conflits" : utilisation du moteur glouton.');
+        }
+
+        if (engine === PLANNING_ENGINES.SOLVER && avoidConflicts) {
+            const solverStats = await this.generateSessionsWithSolver(
+                subjects,
                 { assignTeachers, assignRooms, respectWishes, avoidConflicts }
             );
+            this.mergeStats(stats, solverStats);
+        } else {
+            for (const subject of subjects) {
+                const subjectStats = await this.autoGenerateSubjectSessions(
+                    subject,
+                    { assignTeachers, assignRooms, respectWishes, avoidConflicts }
+                );
 
-            stats.total += subjectStats.total;
-            stats.created += subjectStats.created;
-            stats.failed += subjectStats.failed;
-            stats.skipped += subjectStats.skipped;
+                stats.total += subjectStats.total;
+                stats.created += subjectStats.created;
+                stats.failed += subjectStats.failed;
+                stats.skipped += subjectStats.skipped;
+            }
         }
 
+        // Score objectif (comparable entre moteurs)
+        const evaluation = ConstraintSolverService.evaluateSchedule(StateManager.getSeances(), stats.failed);
+        stats.score = evaluation.score;
+        stats.scoreDetails = evaluation.details;
+
         // ===== RÉSUMÉ FINAL =====
         LogService.success(`
 ╔════════════════════════════════════════════╗
@@ -383,9 +426,15 @@ class SchedulingService {
 ╠════════════════════════════════════════════╣
 ║  👨‍🏫 Enseignants attribués    : ${stats.teachersAssigned.toString().padStart(3)}       ║
 ║  🏛️  Salles attribuées        : ${stats.roomsAssigned.toString().padStart(3)}       ║
+║  🎯 Score objectif            : ${String(stats.score).padStart(5)}     ║
 ╚════════════════════════════════════════════╝
     `);
 
+        // Le diagnostic (coûteux) n'est calculé qu'à la demande, séance par séance
+        if (stats.failed > 0) {
+            LogService.info('🔎 Raisons des échecs : onglet Planification → Diagnostic de placement.');
+        }
+
         return { success: true, stats };
     }
 
@@ -653,6 +702,117 @@ class SchedulingService {
         return stats;
     }
 
+    /**
+     * Liste les séances manquantes d'une matière (Cours, TD, première partie des TP)
+     * @param {Subject} subject - La matière
+     * @param {Array<Session>} existingSeances - Séances existantes de la matière
+     * @returns {Object} { templates: Array<Session>, total, skipped }
+     */
+    collectMissingSessionTemplates(subject, existingSeances) {
+        const templates = [];
+        let total = 0;
+        let skipped = 0;
+
+        for (let i = 0; i < subject.sections_cours; i++) {
+            const sectionName = `Section ${String.fromCharCode(65 + i)}`;
+
+            total++;
+            if (existingSeances.some(s => s.type === 'Cours' && s.section === sectionName)) {
+                skipped++;
+            } else {
+                templates.push(this.createSessionTemplate(subject, 'Cours', sectionName, ''));
+            }
+
+            [['TD', subject.td_groups], ['TP', subject.tp_groups]].forEach(([type, nbGroupes]) => {
+                for (let g = 1; g <= nbGroupes; g++) {
+                    const groupeName = `G${g}`;
+                    const uniqueEntity = Session.generateUniqueStudentEntity(subject.filiere, sectionName, type, groupeName);
+
+                    total++;
+                    const exists = existingSeances.some(s =>
+                        s.type === type && s.uniqueStudentEntity === uniqueEntity && (type !== 'TP' || s.hTP_Affecte > 0)
+                    );
+
+                    if (exists) {
+                        skipped++;
+                    } else {
+                        templates.push(this.createSessionTemplate(subject, type, sectionName, groupeName));
+                    }
+                }
+            });
+        }
+
+        return { templates, total, skipped };
+    }
+
+    /**
+     * Génère les séances manquantes de toutes les matières avec le solveur de contraintes
+     * (Cours, TD et TP couplés sont placés ensemble, puis enseignants et salles sont attribués)
+     * @param {Array<Subject>} subjects - Les matières
+     * @param {Object} options - Options
+     * @returns {Object} Stats
+     */
+    async generateSessionsWithSolver(subjects, options) {
+        const stats = { total: 0, created: 0, failed: 0, skipped: 0 };
+        const templates = [];
+
+        subjects.forEach(subject => {
+            const existing = StateManager.getSeances().filter(s => s.matiere === subject.nom);
+            const collected = this.collectMissingSessionTemplates(subject, existing);
+            templates.push(...collected.templates);
+            stats.total += collected.total;
+            stats.skipped += collected.skipped;
+        });
+
+        if (templates.length === 0) return stats;
+
+        LogService.info(`🧩 Solveur : ${templates.length} séance(s) à placer...`);
+
+        const result = await ConstraintSolverService.solve(
+            templates,
+            StateManager.getSeances(),
+            StateManager.state.sallesInfo
+        );
+
+        for (const { template, slot } of result.placements) {
+            const session = template;
+            session.jour = slot.jour;
+            session.creneau = slot.creneau;
+
+            const nbTeachers = session.type === 'TP'
+                ? (StateManager.state.matiereGroupes[session.matiere]?.nbEnseignantsTP || 1)
+                : 1;
+
+            if (options.assignTeachers) {
+                session.setTeachers(this.assignTeachersToSession(session, options, nbTeachers));
+            }
+
+            if (options.assignRooms) {
+                session.setRoom(this.assignRoomToSession(session));
+            }
+
+            StateManager.addSeance(session);
+
+            if (slot.creneauCoupled) {
+                const secondPart = session.clone();
+                secondPart.id = StateManager.state.nextSessionId;
+                secondPart.creneau = slot.creneauCoupled;
+                secondPart.hTP_Affecte = 0;
+                StateManager.addSeance(secondPart);
+            }
+
+            stats.created++;
+            LogService.success(`✅ ${session.type} placé: ${session.matiere} - ${session.groupe} [${slot.jour} ${slot.creneau}${slot.creneauCoupled ? '-' + slot.creneauCoupled : ''}]`);
+        }
+
+        result.unplaced.forEach(session => {
+            stats.failed++;
+            LogService.warning(`⚠️ Aucun créneau trouvé par le solveur pour ${session.matiere} (${session.type}) - ${session.groupe}`);
+        });
+
+        return stats;
+    }
+
     /**
      * Trouve un créneau disponible avec rotation par filière
      * @param {Session} session - La séance
@@ -672,10 +832,8 @@ class SchedulingService {
         const maxIterations = MAX_AUTO_PLANNING_ITERATIONS;
 
         for (const jour of rotatedJours) {
-            // Filtrage spécial pour le samedi (matin uniquement)
-            const creneauxToCheck = jour === 'Samedi'
-                ? sortedCreneaux.filter(c => this.isSaturdayMorningSlot(c))
-                : sortedCreneaux;
+            // Seulement les créneaux ouverts ce jour-là (ex: samedi matin, vendredi jusqu'à midi)
+            const creneauxToCheck = sortedCreneaux.filter(c => isCreneauOuvert(jour, c));
 
             for (const creneau of creneauxToCheck) {
                 iterations++;
@@ -733,17 +891,16 @@ class SchedulingService {
         const rotatedJours = this.getRotatedJoursForFiliere(filiere);
 
         for (const jour of rotatedJours) {
-            // Filtrage spécial pour le samedi (pas de TP couplé possible le samedi)
-            if (jour === 'Samedi') {
-                continue; // Les TP nécessitent 2 créneaux consécutifs, pas possible le samedi matin
-            }
+            // Jours sans TP (ex: samedi, voir joursConfig.joursSansTP)
+            if (!isTPAutorise(jour)) continue;
 
-            const creneauxToCheck = sortedCreneaux;
+            const creneauxToCheck = sortedCreneaux.filter(c => isCreneauOuvert(jour, c));
 
             for (const creneau of creneauxToCheck) {
                 const creneauCoupled = CRENEAUX_COUPLES_SUIVANT[creneau];
 
-                if (!creneauCoupled) continue;
+                // Les TP nécessitent 2 créneaux consécutifs, tous deux ouverts ce jour-là
+                if (!creneauCoupled || !isCreneauOuvert(jour, creneauCoupled)) continue;
 
                 // CONTRAINTE: Ne pas planifier des TP de la même matière en parallèle
                 const parallelTPExists = allSeances.some(s =>
@@ -791,6 +948,186 @@ class SchedulingService {
         return null;
     }
 
+    /**
+     * Séances manquantes des matières de la session active (celles que la génération n'a pas pu placer)
+     * @returns {Array<Session>} Les templates non placés
+     */
+    getUnplacedSessionTemplates() {
+        const seances = StateManager.getSeances();
+
+        return StateManager.getCurrentSessionSubjects().flatMap(subject =>
+            this.collectMissingSessionTemplates(subject, seances.filter(s => s.matiere === subject.nom)).templates
+        );
+    }
+
+    /**
+     * Diagnostic "pourquoi cette séance n'est-elle pas placée ?" : pour chaque (jour, créneau)
+     * de la grille, les raisons qui empêchent la génération automatique d'y placer la séance
+     * (conflits, plafond de charge, créneaux fermés, séances parallèles, couplage des TP)
+     * @param {Session} session - La séance non placée
+     * @returns {Object} { jours, creneaux, cells: { [jour]: { [creneau]: { niveau, raisons } } }, totals }
+     */
+    diagnosePlacement(session) {
+        const jours = getJoursOuvres();
+        const creneaux = getSortedCreneauxKeys();
+        const allSeances = StateManager.getSeances();
+        const sallesInfo = StateManager.state.sallesInfo;
+        const charge = this.getWorkloadContext(session);
+
+        const cells = {};
+        const totals = Object.fromEntries(Object.values(DIAGNOSTIC_NIVEAUX).map(n => [n, 0]));
+
+        jours.forEach(jour => {
+            cells[jour] = {};
+
+            creneaux.forEach(creneau => {
+                const raisons = this.getPlacementBlockers(session, jour, creneau, allSeances, sallesInfo, charge);
+
+                let niveau = DIAGNOSTIC_NIVEAUX.LIBRE;
+                if (raisons.some(r => r.categorie === 'ferme')) {
+                    niveau = DIAGNOSTIC_NIVEAUX.FERME;
+                } else if (raisons.some(r => r.categorie !== 'charge')) {
+                    niveau = DIAGNOSTIC_NIVEAUX.BLOQUE;
+                } else if (raisons.length > 0) {
+                    niveau = DIAGNOSTIC_NIVEAUX.SOUPLE;
+                }
+
+                cells[jour][creneau] = { niveau, raisons };
+                totals[niveau]++;
+            });
+        });
+
+        return { jours, creneaux, cells, totals };
+    }
+
+    /**
+     * Raisons empêchant de placer une séance sur un (jour, créneau), dans l'ordre des règles
+     * appliquées par findAvailableSlotWithRotation / findAvailableCoupledSlotWithRotation
+     * @param {Session} session - La séance
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     * @param {Array<Session>} allSeances - Les séances planifiées
+     * @param {Object} sallesInfo - Informations sur les salles
+     * @param {Object|null} charge - Contexte de charge (voir getWorkloadContext)
+     * @returns {Array<Object>} [{ categorie, message }]
+     */
+    getPlacementBlockers(session, jour, creneau, allSeances, sallesInfo, charge) {
+        // Créneaux ouverts ce jour-là (ex: samedi matin uniquement)
+        if (!isCreneauOuvert(jour, creneau)) {
+            return [{ categorie: 'ferme', message: `Le créneau ${creneau} n'est pas ouvert le ${jour}.` }];
+        }
+
+        const isTP = session.type === 'TP';
+
+        // Jours sans TP (ex: samedi, voir joursConfig.joursSansTP)
+        if (isTP && !isTPAutorise(jour)) {
+            return [{ categorie: 'sansTP', message: `Aucun TP n'est programmé le ${jour} (configuration des jours travaillés).` }];
+        }
+
+        const raisons = [];
+        const creneauCoupled = isTP ? CRENEAUX_COUPLES_SUIVANT[creneau] : null;
+
+        // Les TP nécessitent 2 créneaux consécutifs, tous deux ouverts ce jour-là
+        if (isTP && !creneauCoupled) {
+            raisons.push({ categorie: 'couplage', message: `Aucun créneau ne suit ${creneau} pour former un TP couplé.` });
+        } else if (isTP && !isCreneauOuvert(jour, creneauCoupled)) {
+            raisons.push({ categorie: 'couplage', message: `Le créneau couplé ${creneauCoupled} n'est pas ouvert le ${jour}.` });
+        }
+
+        // Pas de Cours (ou de TP) de la même matière en parallèle
+        if (session.type === 'Cours' || isTP) {
+            const creneauxOccupes = [creneau, creneauCoupled].filter(Boolean);
+            const parallele = allSeances.find(s =>
+                s.type === session.type &&
+                s.matiere === session.matiere &&
+                s.jour === jour &&
+                creneauxOccupes.includes(s.creneau)
+            );
+
+            if (parallele) {
+                raisons.push({
+                    categorie: 'parallele',
+                    message: `Un ${session.type} de ${session.matiere} est déjà planifié en parallèle (${parallele.groupe || parallele.section}, ${parallele.creneau}).`
+                });
+            }
+        }
+
+        // Conflits (enseignants, salles, groupes, sections, capacité), sur les deux parties d'un TP
+        const tempSession = session.clone();
+        tempSession.jour = jour;
+        tempSession.creneau = creneau;
+
+        const conflicts = ConflictService.checkAllConflicts(tempSession, allSeances, [], sallesInfo);
+
+        if (isTP && creneauCoupled && isCreneauOuvert(jour, creneauCoupled)) {
+            const secondPart = session.clone();
+            secondPart.jour = jour;
+            secondPart.creneau = creneauCoupled;
+            secondPart.hTP_Affecte = 0;
+            conflicts.push(...ConflictService.checkAllConflicts(secondPart, allSeances, [], sallesInfo));
+        }
+
+        [...new Set(conflicts)].forEach(message => raisons.push({ categorie: 'conflit', message }));
+
+        // Plafond de charge : les enseignants disponibles dépasseraient tous leur plafond
+        if (charge && charge.candidats.length > 0) {
+            const range = getSessionTimeRange(tempSession);
+            const disponibles = charge.candidats.filter(nom =>
+                ConflictService.isTeacherAvailable(nom, jour, creneau, session.type, allSeances, range, tempSession)
+            );
+            const sousPlafond = disponibles.filter(nom => (charge.volumes[nom] || 0) + charge.credits[nom] <= charge.plafonds[nom]);
+
+            if (disponibles.length > 0 && sousPlafond.length === 0) {
+                raisons.push({
+                    categorie: 'charge',
+                    message: `${disponibles.map(nom => `${nom} (${charge.plafonds[nom]}h)`).join(', ')} dépasserai(en)t son plafond de charge (entre parenthèses) avec cette séance.`
+                });
+            }
+        }
+
+        return raisons;
+    }
+
+    /**
+     * Contexte du plafond de charge appliqué par assignTeachersToSession
+     * @param {Session} session - La séance
+     * @returns {Object|null} { candidats, volumes, credits, plafonds } ou null si aucun enseignant candidat
+     */
+    getWorkloadContext(session) {
+        // Enseignants déjà affectés, sinon ceux qui ont la matière dans leurs souhaits sans refuser le type
+        const candidats = session.enseignantsArray.length > 0
+            ? [...session.enseignantsArray]
+            : StateManager.getTeachers()
+                .filter(t => t.hasWishForSubject(session.matiere) && !TeacherAvailabilityService.teacherRefusesType(t, session.matiere, session.type))
+                .map(t => t.nom);
+
+        if (candidats.length === 0) return null;
+
+        const volumes = VolumeService.calculateAllVolumes(
+            StateManager.state.enseignants,
+            StateManager.getSeances(),
+            StateManager.state.enseignantVolumesSupplementaires,
+            StateManager.state.header.session,
+            StateManager.state.volumesAutomne
+        );
+
+        // Même seuil que assignTeachersToSession : jamais inférieur au volume maximum déjà atteint
+        const currentMaxVolume = Math.max(0, ...Object.values(volumes || {}));
+        let maxWorkload = this.computeMaxWorkloadForCurrentSession();
+        if (!Number.isFinite(maxWorkload) || maxWorkload < currentMaxVolume) {
+            maxWorkload = currentMaxVolume;
+        }
+
+        // Plafond individuel des enseignants dont le profil individualise le service dû
+        const annualVHM = candidats.some(nom => VolumeService.hasIndividualService(nom)) ? this.computeAnnualVHM() : 0;
+        const plafonds = Object.fromEntries(candidats.map(nom => [nom, this.computeMaxWorkloadForTeacher(nom, maxWorkload, annualVHM)]));
+
+        // Volume que la séance ajouterait à chaque candidat (équivalences selon son statut)
+        const credits = Object.fromEntries(candidats.map(nom => [nom, VolumeService.calculateSessionCredit(session, nom, null, 1)]));
+
+        return { candidats, volumes, credits, plafonds };
+    }
+
     // ... reste des méthodes existantes (createSessionTemplate, assignTeachersToSession, etc.) ...
 
     /**
@@ -871,11 +1208,19 @@ class SchedulingService {
             maxWorkload = currentMaxVolume;
         }
 
+        // Plafond propre aux enseignants dont le profil individualise le service dû (VHM annuel calculé à la demande)
+        let annualVHM = null;
+        const getTeacherMaxWorkload = (name) => {
+            if (!VolumeService.hasIndividualService(name)) return maxWorkload;
+            if (annualVHM === null) annualVHM = this.computeAnnualVHM();
+            return this.computeMaxWorkloadForTeacher(name, maxWorkload, annualVHM);
+        };
+
         // Crédits horaires appliqués à chaque enseignant si on l'affecte à cette séance
         // Pour TP : chaque enseignant prend le hTP_Affecte entier
         // Pour Cours/TD : on répartit le hTP_Affecte entre nbTeachers
-        const hTP_base = Number(session.hTP_Affecte || 0);
-        const creditPerTeacher = (session.type === 'TP') ? hTP_base : (nbTeachers > 0 ? (hTP_base / nbTeachers) : hTP_base);
+        // puis conversion en heures équivalentes selon le statut de l'enseignant
+        const creditFor = (name) => VolumeService.calculateSessionCredit(session, name, null, nbTeachers > 0 ? nbTeachers : 1);
 
         // assignedCounts minimal pour compatibilité avec la fonction de scoring
         const assignedCounts = {}; // { teacherName: { subjectName: { 'Cours': n, 'TD': m, 'TP': k } } }
@@ -894,7 +1239,7 @@ class SchedulingService {
                 (typeof teacher === 'string') ? { nom: teacherName } : teacher,
                 session,
                 currentWorkload,
-                maxWorkload,
+                getTeacherMaxWorkload(teacherName),
                 assignedCounts,
                 allSeances,
                 sortedCreneaux
@@ -916,11 +1261,12 @@ class SchedulingService {
 
             const name = cand.name;
             const current = Number(allVolumes[name] || 0);
-            const projected = current + creditPerTeacher;
+            const projected = current + creditFor(name);
+            const teacherMaxWorkload = getTeacherMaxWorkload(name);
 
-            if (projected > maxWorkload) {
+            if (projected > teacherMaxWorkload) {
                 // Ne pas sélectionner cet enseignant — il dépasserait le seuil
-                LogService.info(`SchedulingService: ${name} serait à ${projected}h (> ${maxWorkload}) si affecté à ${session.matiere}. Ignoré.`);
+                LogService.info(`SchedulingService: ${name} serait à ${projected}h (> ${teacherMaxWorkload}) si affecté à ${session.matiere}. Ignoré.`);
                 continue;
             }
 
@@ -948,17 +1294,19 @@ class SchedulingService {
      * @returns {string} Le nom de la salle
      */
     assignRoomToSession(session) {
-        // 1. Obtenir toutes les salles libres compatibles
-        const freeRooms = ConflictService.getFreeRooms(
-            session.jour,
-            session.creneau,
-            session.type,
+        // 1. Obtenir toutes les salles libres compatibles, équipées et assez grandes, la mieux ajustée en tête
+        const equipementsRequis = ValidationService.getRequiredEquipment(session.matiere, session.type);
+        const freeRooms = ConflictService.getFreeRoomsForSession(
+            session,
             StateManager.state.sallesInfo,
             StateManager.getSeances()
         );
 
         if (freeRooms.length === 0) {
-            return ''; // Aucune salle libre
+            if (equipementsRequis.length > 0) {
+                LogService.warning(`[AutoSalle] Aucune salle équipée (${ValidationService.formatEquipment(equipementsRequis)}) libre pour ${session.matiere} (${session.type}) [${session.jour} ${session.creneau}].`);
+            }
+            return ''; // Aucune salle libre (ou aucune assez grande / équipée)
         }
 
         // 2. Vérifier si un pool de salles est défini
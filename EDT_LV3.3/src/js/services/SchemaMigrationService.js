@@ -0,0 +1,418 @@
+/**
+ * Service de migration des fichiers de sauvegarde (bundle JSON du projet)
+ * @author Ibrahim Mrani - UCD
+ *
+ * Chaque format historique reçoit un numéro de schéma :
+ *   0 — export monolithique (clés LISTE_ENSEIGNANTS, SALLES_INFO, ...) ou structure inconnue
+ *   1 — "2.9-modular"
+ *   2 — "3.0-modular" (fichiers sauvegarde_edt_*.json)
+ *   3 — champ schemaVersion explicite, grille d'indisponibilités
+ *   4 — bundle complet (forfaits, tolérance de charge, état de l'interface)
+ *   5 — capacités des salles et effectifs étudiants
+ *   6 — équipements des salles
+ *   7 — jours travaillés et créneaux ouverts par jour
+ *   8 — calendrier daté (semestres, vacances, examens, exceptions)
+ *   9 — occupations externes importées d'agendas iCalendar
+ *  10 — profils des enseignants (grade, statut, service dû, décharges)
+ *  11 — équivalences horaires (coefficients par statut et type de séance)
+ *  12 — catalogue des forfaits, session et année explicites sur chaque forfait
+ * Les migrations sont appliquées dans l'ordre, de la version détectée jusqu'à
+ * PROJECT_SCHEMA_VERSION, et chacune consigne ses transformations dans le rapport.
+ */
+
+import { PROJECT_SCHEMA_VERSION, DEFAULT_TOLERANCE_MAX_WORKLOAD, DEFAULT_JOURS_CONFIG, DEFAULT_CALENDRIER, DEFAULT_EQUIVALENCES_HORAIRES, DEFAULT_FORFAIT_CATALOGUE } from '../config/constants.js';
+import { DEPARTEMENTS, getDefaultAcademicYear, getDefaultSession } from '../config/defaults.js';
+import { deepClone } from '../utils/helpers.js';
+
+const SESSION_BUNDLE_KEYS = {
+    "Session d'automne": "Session_d'automne",
+    'Session de printemps': 'Session_de_printemps'
+};
+
+// Alias historiques -> clé canonique
+const LEGACY_KEY_ALIASES = {
+    enseignants: ['LISTE_ENSEIGNANTS', 'teachers'],
+    sallesInfo: ['SALLES_INFO', 'salles_info', 'salles', 'rooms'],
+    souhaits: ['ENSEIGNANT_SOUHAITS'],
+    matiereGroupes: ['MATIERE_GROUPES_INFO', 'matiere_groupes', 'matiere_groups', 'subjects'],
+    filieres: ['LISTE_FILIERES', 'filieresList', 'filieres_list'],
+    volumesSupplementaires: ['ENSEIGNANT_VOLUMES_SUPPLEMENTAIRES'],
+    creneaux: ['LISTE_CRENEAUX'],
+    volumesAutomne: ['VOLUMES_AUTOMNE'],
+    autoSallesParFiliere: ['AUTO_SALLE_CHOICES_PAR_FILIERE'],
+    headerInfo: ['header', 'projectHeader', 'meta']
+};
+
+const SEANCES_ALIASES = ['edt', 'seances', 'schedule', 'planning', 'sessions'];
+
+/**
+ * Indique si un tableau ressemble à une liste de séances
+ * @param {Array} arr - Le tableau
+ * @returns {boolean}
+ */
+function looksLikeSeancesArray(arr) {
+    if (!Array.isArray(arr) || arr.length === 0) return false;
+    const expected = ['jour', 'creneau', 'matiere', 'type', 'enseignant', 'salle', 'groupe'];
+    let hits = 0;
+    arr.slice(0, 5).forEach(el => {
+        if (el && typeof el === 'object') {
+            const keys = Object.keys(el).map(k => String(k).toLowerCase());
+            expected.forEach(k => { if (keys.includes(k)) hits++; });
+        }
+    });
+    return hits >= 2;
+}
+
+/**
+ * Recherche en profondeur un tableau de séances dans une structure inconnue
+ * @param {*} obj - La structure
+ * @param {WeakSet} visited - Objets déjà parcourus
+ * @returns {Array|null}
+ */
+function deepFindSeances(obj, visited = new WeakSet()) {
+    if (!obj || typeof obj !== 'object' || visited.has(obj)) return null;
+    visited.add(obj);
+
+    if (looksLikeSeancesArray(obj)) return obj;
+
+    const children = Array.isArray(obj) ? obj : Object.values(obj);
+    for (const child of children) {
+        const found = deepFindSeances(child, visited);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Chaîne ordonnée des migrations ; chaque étape fait passer le bundle de `from` à `to`
+ */
+const MIGRATIONS = [
+    {
+        from: 0,
+        to: 1,
+        label: 'Export monolithique → 2.9-modular',
+        migrate(data, log) {
+            // Renommage des clés historiques
+            Object.entries(LEGACY_KEY_ALIASES).forEach(([canonical, aliases]) => {
+                aliases.forEach(alias => {
+                    if (!(alias in data)) return;
+                    if (data[canonical] === undefined) {
+                        data[canonical] = data[alias];
+                        log(`Clé "${alias}" renommée en "${canonical}"`);
+                    } else {
+                        log(`Clé "${alias}" ignorée ("${canonical}" déjà présent)`);
+                    }
+                    delete data[alias];
+                });
+            });
+
+            // En-tête reconstruit à partir des indices de premier niveau
+            if (!data.headerInfo || typeof data.headerInfo !== 'object') {
+                const annee = data.annee || data.annee_universitaire || data.year || data.academicYear;
+                const session = data.session || data.sessionName;
+                data.headerInfo = {};
+                if (annee) data.headerInfo.annee = annee;
+                if (session) data.headerInfo.session = session;
+                log(annee || session
+                    ? 'En-tête reconstruit à partir des champs année/session'
+                    : 'En-tête absent : un en-tête vide a été créé');
+            }
+
+            // Séances hors de sessionData : les rattacher à la session de l'en-tête
+            if (!data.sessionData || typeof data.sessionData !== 'object') {
+                let seances = null;
+                const alias = SEANCES_ALIASES.find(k => Array.isArray(data[k]));
+                if (alias) {
+                    seances = data[alias];
+                    delete data[alias];
+                } else {
+                    seances = deepFindSeances(data);
+                }
+
+                const session = data.headerInfo.session || getDefaultSession();
+                const bundleKey = SESSION_BUNDLE_KEYS[session] || SESSION_BUNDLE_KEYS["Session d'automne"];
+                data.sessionData = { [bundleKey]: { seances: seances || [] } };
+                log(seances
+                    ? `${seances.length} séance(s) rattachée(s) à "${bundleKey}"`
+                    : 'Aucune séance trouvée : sessionData initialisé vide');
+            }
+        }
+    },
+    {
+        from: 1,
+        to: 2,
+        label: '2.9-modular → 3.0-modular',
+        migrate(data, log) {
+            // Les forfaits étaient stockés dans volumesSupplementaires
+            if (!Array.isArray(data.forfaits)) {
+                const legacy = data.volumesSupplementaires;
+                if (Array.isArray(legacy) && legacy.length > 0 && legacy[0] && legacy[0].enseignant !== undefined) {
+                    data.forfaits = legacy;
+                    data.volumesSupplementaires = {};
+                    log(`${legacy.length} forfait(s) déplacé(s) de volumesSupplementaires vers forfaits`);
+                } else {
+                    data.forfaits = [];
+                    log('Liste des forfaits initialisée vide');
+                }
+            }
+
+            // sections_cours remplace l'ancien champ sections
+            Object.entries(data.matiereGroupes || {}).forEach(([nom, info]) => {
+                if (info && info.sections_cours === undefined && info.sections !== undefined) {
+                    info.sections_cours = info.sections;
+                    delete info.sections;
+                    log(`Matière "${nom}" : sections renommé en sections_cours`);
+                }
+            });
+        }
+    },
+    {
+        from: 2,
+        to: 3,
+        label: '3.0-modular → schéma 3',
+        migrate(data, log) {
+            if (!data.headerInfo || typeof data.headerInfo !== 'object') data.headerInfo = {};
+            if (!data.sessionData || typeof data.sessionData !== 'object') data.sessionData = {};
+
+            const header = data.headerInfo;
+            if (!header.annee) {
+                header.annee = getDefaultAcademicYear();
+                log(`Année universitaire absente : ${header.annee} par défaut`);
+            }
+            if (!header.session) {
+                header.session = getDefaultSession();
+                log(`Session absente : "${header.session}" par défaut`);
+            }
+            if (!header.departement) {
+                header.departement = DEPARTEMENTS[0];
+                log(`Département absent : "${header.departement}" par défaut`);
+            }
+
+            // Grille d'indisponibilités des enseignants
+            let withoutGrid = 0;
+            Object.values(data.souhaits || {}).forEach(souhait => {
+                if (souhait && typeof souhait === 'object' && !souhait.indisponibilites) {
+                    souhait.indisponibilites = {};
+                    withoutGrid++;
+                }
+            });
+            if (withoutGrid > 0) {
+                log(`${withoutGrid} fiche(s) de souhaits complétée(s) par une grille d'indisponibilités vide`);
+            }
+
+            // Compteur d'identifiants unifié (nextId) et cohérent avec les séances
+            Object.entries(data.sessionData).forEach(([bundleKey, sessionBundle]) => {
+                if (!sessionBundle || typeof sessionBundle !== 'object') return;
+                if (!Array.isArray(sessionBundle.seances)) sessionBundle.seances = [];
+
+                if (sessionBundle.nextId === undefined && sessionBundle.nextSessionId !== undefined) {
+                    sessionBundle.nextId = sessionBundle.nextSessionId;
+                    log(`${bundleKey} : nextSessionId renommé en nextId`);
+                }
+                delete sessionBundle.nextSessionId;
+
+                const maxId = sessionBundle.seances.reduce((max, s) => Math.max(max, Number(s && s.id) || 0), 0);
+                if (!(Number(sessionBundle.nextId) > maxId)) {
+                    sessionBundle.nextId = maxId + 1;
+                    log(`${bundleKey} : compteur d'identifiants recalé à ${maxId + 1}`);
+                }
+            });
+        }
+    },
+    {
+        from: 3,
+        to: 4,
+        label: 'Schéma 3 → schéma 4',
+        migrate(data, log) {
+            if (!Array.isArray(data.forfaits)) {
+                data.forfaits = [];
+                log('Liste des forfaits initialisée vide');
+            }
+            if (!Number.isFinite(Number(data.toleranceMaxWorkload)) || data.toleranceMaxWorkload === null) {
+                data.toleranceMaxWorkload = DEFAULT_TOLERANCE_MAX_WORKLOAD;
+                log(`Tolérance de charge absente : ${DEFAULT_TOLERANCE_MAX_WORKLOAD} h par défaut`);
+            }
+            if (!data.ui || typeof data.ui !== 'object') {
+                data.ui = {};
+                log("État de l'interface initialisé vide");
+            }
+            if (!data.autoSallesParFiliere || typeof data.autoSallesParFiliere !== 'object') {
+                data.autoSallesParFiliere = {};
+                log('Choix de salles automatiques par filière initialisés vides');
+            }
+        }
+    },
+    {
+        from: 4,
+        to: 5,
+        label: 'Schéma 4 → schéma 5',
+        migrate(data, log) {
+            if (!data.sallesCapacite || typeof data.sallesCapacite !== 'object') {
+                data.sallesCapacite = {};
+                log('Capacités des salles initialisées vides (non renseignées)');
+            }
+            if (!data.effectifs || typeof data.effectifs !== 'object') {
+                data.effectifs = {};
+                log('Effectifs par section/groupe initialisés vides');
+            }
+        }
+    },
+    {
+        from: 5,
+        to: 6,
+        label: 'Schéma 5 → schéma 6',
+        migrate(data, log) {
+            if (!data.sallesEquipements || typeof data.sallesEquipements !== 'object') {
+                data.sallesEquipements = {};
+                log('Équipements des salles initialisés vides');
+            }
+        }
+    },
+    {
+        from: 6,
+        to: 7,
+        label: 'Schéma 6 → schéma 7',
+        migrate(data, log) {
+            if (!data.joursConfig || !Array.isArray(data.joursConfig.jours)) {
+                data.joursConfig = deepClone(DEFAULT_JOURS_CONFIG);
+                log('Jours travaillés initialisés : du lundi au samedi, samedi matin uniquement, sans TP');
+            }
+        }
+    },
+    {
+        from: 7,
+        to: 8,
+        label: 'Schéma 7 → schéma 8',
+        migrate(data, log) {
+            if (!data.calendrier || typeof data.calendrier.semestres !== 'object') {
+                data.calendrier = deepClone(DEFAULT_CALENDRIER);
+                log('Calendrier initialisé sans dates : volumes calculés sur la semaine type');
+            }
+        }
+    },
+    {
+        from: 8,
+        to: 9,
+        label: 'Schéma 8 → schéma 9',
+        migrate(data, log) {
+            if (typeof data.occupationsExternes !== 'object' || data.occupationsExternes === null) {
+                data.occupationsExternes = {};
+                log('Aucune occupation externe (agendas .ics)');
+            }
+        }
+    },
+    {
+        from: 9,
+        to: 10,
+        label: 'Schéma 9 → schéma 10',
+        migrate(data, log) {
+            if (typeof data.enseignantProfils !== 'object' || data.enseignantProfils === null) {
+                data.enseignantProfils = {};
+                log('Profils enseignants initialisés : service dû = VHM annuel du département');
+            }
+        }
+    },
+    {
+        from: 10,
+        to: 11,
+        label: 'Schéma 10 → schéma 11',
+        migrate(data, log) {
+            if (typeof data.equivalencesHoraires !== 'object' || data.equivalencesHoraires === null) {
+                data.equivalencesHoraires = deepClone(DEFAULT_EQUIVALENCES_HORAIRES);
+                log('Équivalences horaires initialisées : coefficient 1 (heures brutes) pour tous les statuts');
+            }
+        }
+    },
+    {
+        from: 11,
+        to: 12,
+        label: 'Schéma 11 → schéma 12',
+        migrate(data, log) {
+            const forfaits = Array.isArray(data.forfaits) ? data.forfaits : [];
+
+            if (!Array.isArray(data.forfaitCatalogue)) {
+                data.forfaitCatalogue = deepClone(DEFAULT_FORFAIT_CATALOGUE);
+                log('Catalogue des forfaits initialisé');
+                // Les natures saisies librement rejoignent le catalogue (volume par défaut : le premier rencontré)
+                forfaits.forEach(f => {
+                    if (f.nature && !data.forfaitCatalogue.some(c => c.nature === f.nature)) {
+                        data.forfaitCatalogue.push({ nature: f.nature, heures: Number(f.volumeHoraire) || 0 });
+                        log(`Nature de forfait "${f.nature}" ajoutée au catalogue`);
+                    }
+                });
+            }
+
+            // Les forfaits sans session étaient comptés en automne
+            const annee = data.headerInfo?.annee || getDefaultAcademicYear();
+            let updated = 0;
+            forfaits.forEach(f => {
+                if (!f.session || !f.annee) {
+                    f.session = f.session || "Session d'automne";
+                    f.annee = f.annee || annee;
+                    updated++;
+                }
+            });
+            if (updated > 0) {
+                log(`${updated} forfait(s) rattaché(s) à une session et à l'année ${annee}`);
+            }
+        }
+    }
+];
+
+class SchemaMigrationService {
+    /**
+     * Détermine la version de schéma d'un bundle
+     * @param {Object} data - Le bundle importé
+     * @returns {number} La version détectée
+     */
+    detectVersion(data) {
+        if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+        if (data.version === '3.0-modular') return 2;
+        if (data.version === '2.9-modular') return 1;
+        return 0;
+    }
+
+    /**
+     * Fait passer un bundle de sa version d'origine au schéma courant
+     * @param {Object} raw - Le bundle tel que lu dans le fichier (non modifié)
+     * @returns {Object} { data, fromVersion, toVersion, report: Array<{ from, to, label, changes }> }
+     * @throws {Error} Si le fichier n'est pas un objet ou provient d'une version plus récente
+     */
+    migrate(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Le projet doit être un objet JSON.');
+        }
+
+        const fromVersion = this.detectVersion(raw);
+        if (fromVersion > PROJECT_SCHEMA_VERSION) {
+            throw new Error(`Ce fichier utilise le schéma ${fromVersion}, plus récent que celui de l'application (${PROJECT_SCHEMA_VERSION}).`);
+        }
+
+        const data = deepClone(raw);
+        const report = [];
+
+        MIGRATIONS
+            .filter(m => m.from >= fromVersion && m.to <= PROJECT_SCHEMA_VERSION)
+            .forEach(migration => {
+                const changes = [];
+                migration.migrate(data, message => changes.push(message));
+                report.push({ from: migration.from, to: migration.to, label: migration.label, changes });
+            });
+
+        data.schemaVersion = PROJECT_SCHEMA_VERSION;
+
+        return { data, fromVersion, toVersion: PROJECT_SCHEMA_VERSION, report };
+    }
+
+    /**
+     * Nombre total de transformations d'un rapport
+     * @param {Array} report - Le rapport de migration
+     * @returns {number}
+     */
+    countChanges(report) {
+        return report.reduce((sum, step) => sum + step.changes.length, 0);
+    }
+}
+
+// Export d'une instance singleton
+export default new SchemaMigrationService();
@@ -0,0 +1,100 @@
+/**
+ * Service des états de service : service dû, service fait et heures complémentaires
+ * par enseignant sur l'année universitaire (automne + printemps)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import Session from '../models/Session.js';
+import VolumeService from './VolumeService.js';
+import StorageService from './StorageService.js';
+import SchedulingService from './SchedulingService.js';
+import { normalizeSessionLabel, getStorageSessionKey } from '../utils/session.js';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class ServiceStatementService {
+    /**
+     * Séances d'une session : celles en mémoire pour la session active, sinon celles enregistrées
+     * @param {string} normalized - 'autumn' | 'spring'
+     * @returns {Array<Session>} Les séances
+     */
+    getSessionSeances(normalized) {
+        if (normalizeSessionLabel(StateManager.state.header.session) === normalized) {
+            return StateManager.getSeances();
+        }
+
+        const { seances } = StorageService.loadSessionData(getStorageSessionKey(normalized));
+        return Array.isArray(seances) ? seances.map(s => new Session(s)) : [];
+    }
+
+    /**
+     * Construit l'état de service de chaque enseignant et le récapitulatif du département
+     * Le service fait additionne l'enseignement des deux sessions et les forfaits et volumes
+     * supplémentaires (comptés une fois, en automne), tous en heures équivalentes et sans arrondi
+     * (VolumeService.calculateTeacherVolumeDetails) ; les heures complémentaires sont la part
+     * du service fait qui dépasse le service dû.
+     * @returns {Object} { annee, departement, annualVHM, unite, statements, totals }
+     */
+    buildStatements() {
+        const { annee, departement } = StateManager.state.header;
+        const enseignants = StateManager.state.enseignants || [];
+        const volumesSupplementaires = StateManager.state.enseignantVolumesSupplementaires || {};
+
+        const autumnKey = getStorageSessionKey('autumn');
+        const springKey = getStorageSessionKey('spring');
+        const seancesAutomne = this.getSessionSeances('autumn');
+        const seancesPrintemps = this.getSessionSeances('spring');
+
+        const annualVHM = SchedulingService.computeAnnualVHM();
+
+        const statements = enseignants.map(nom => {
+            const { profil } = VolumeService.getTeacherProfile(nom);
+
+            // Forfaits et volumes supplémentaires de l'année : repris des détails d'automne uniquement
+            const automne = VolumeService.calculateTeacherVolumeDetails(nom, seancesAutomne, volumesSupplementaires, autumnKey, true);
+            const printemps = VolumeService.calculateTeacherVolumeDetails(nom, seancesPrintemps, volumesSupplementaires, springKey, true);
+
+            const enseignementAutomne = round2(automne.enseignement);
+            const enseignementPrintemps = round2(printemps.enseignement);
+
+            const serviceDu = round2(VolumeService.getTeacherServiceTarget(nom, annualVHM));
+            const serviceFait = round2(automne.enseignement + automne.forfait + printemps.enseignement);
+            const ecart = round2(serviceFait - serviceDu);
+
+            return {
+                nom,
+                profil,
+                serviceDu,
+                enseignementAutomne,
+                enseignementPrintemps,
+                forfaits: round2(automne.forfaits),
+                volumesSupplementaires: round2(automne.volumesSupplementaires),
+                serviceFait,
+                heuresComplementaires: Math.max(0, ecart),
+                sousService: Math.max(0, -ecart)
+            };
+        });
+
+        const sum = (key) => round2(statements.reduce((total, s) => total + s[key], 0));
+
+        return {
+            annee,
+            departement,
+            annualVHM,
+            unite: VolumeService.getVolumeUnit(),
+            statements,
+            totals: {
+                enseignants: statements.length,
+                serviceDu: sum('serviceDu'),
+                serviceFait: sum('serviceFait'),
+                heuresComplementaires: sum('heuresComplementaires'),
+                sousService: sum('sousService'),
+                enseignantsEnHeuresComplementaires: statements.filter(s => s.heuresComplementaires > 0).length
+            }
+        };
+    }
+}
+
+// Export d'une instance singleton
+export default new ServiceStatementService();
@@ -0,0 +1,204 @@
+/**
+ * Service de gestion des instantanés nommés de l'EDT et de leur comparaison
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import StorageService from './StorageService.js';
+import LogService from './LogService.js';
+import { generateUniqueId } from '../utils/helpers.js';
+import { CURRENT_SNAPSHOT_ID } from '../config/constants.js';
+
+class SnapshotService {
+    /**
+     * Liste les instantanés de la session active (du plus récent au plus ancien)
+     * @returns {Array<Object>} { id, name, createdAt, count }
+     */
+    listSnapshots() {
+        return StorageService.loadSnapshots(StateManager.state.header.session)
+            .map(s => ({ id: s.id, name: s.name, createdAt: s.createdAt, count: (s.seances || []).length }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Crée un instantané nommé de l'EDT courant (séances et exceptions du calendrier)
+     * @param {string} name - Le nom de la variante
+     * @returns {Promise<Object|null>} L'instantané créé ou null en cas d'échec
+     */
+    async createSnapshot(name) {
+        const label = (name || '').trim();
+        if (!label) return null;
+
+        const session = StateManager.state.header.session;
+        const snapshots = StorageService.loadSnapshots(session);
+        const { seances, nextSessionId, exceptions } = StateManager.captureTimetableSnapshot();
+
+        const snapshot = {
+            id: generateUniqueId(),
+            name: label,
+            createdAt: Date.now(),
+            seances,
+            nextId: nextSessionId,
+            exceptions
+        };
+
+        snapshots.push(snapshot);
+
+        if (!(await StorageService.saveSnapshots(session, snapshots))) {
+            LogService.error(`❌ Impossible d'enregistrer l'instantané "${label}" (projet en lecture seule ou espace de stockage insuffisant)`);
+            return null;
+        }
+
+        LogService.success(`📸 Instantané "${label}" créé (${snapshot.seances.length} séances)`);
+        return snapshot;
+    }
+
+    /**
+     * Récupère un instantané (ou l'EDT courant)
+     * @param {string} id - L'identifiant ou CURRENT_SNAPSHOT_ID
+     * @returns {Object|null} { id, name, seances, nextId, exceptions }
+     */
+    getSnapshot(id) {
+        if (id === CURRENT_SNAPSHOT_ID) {
+            const { seances, nextSessionId, exceptions } = StateManager.captureTimetableSnapshot();
+            return { id, name: 'EDT actuel', seances, nextId: nextSessionId, exceptions };
+        }
+
+        return StorageService.loadSnapshots(StateManager.state.header.session).find(s => s.id === id) || null;
+    }
+
+    /**
+     * Supprime un instantané
+     * @param {string} id - L'identifiant
+     * @returns {Promise<boolean>} True si supprimé
+     */
+    async deleteSnapshot(id) {
+        const session = StateManager.state.header.session;
+        const snapshots = StorageService.loadSnapshots(session);
+        const target = snapshots.find(s => s.id === id);
+        if (!target) return false;
+
+        if (!(await StorageService.saveSnapshots(session, snapshots.filter(s => s.id !== id)))) {
+            LogService.error(`❌ Impossible de supprimer l'instantané "${target.name}" (projet en lecture seule ou espace de stockage insuffisant)`);
+            return false;
+        }
+
+        LogService.info(`🗑️ Instantané "${target.name}" supprimé`);
+        return true;
+    }
+
+    /**
+     * Restaure un instantané comme EDT courant (étape annulable), avec ses exceptions du calendrier.
+     * Un instantané antérieur aux exceptions les efface : les IDs qu'elles visent sont réattribués.
+     * @param {string} id - L'identifiant
+     * @returns {boolean} True si restauré
+     */
+    restoreSnapshot(id) {
+        const snapshot = this.getSnapshot(id);
+        if (!snapshot || id === CURRENT_SNAPSHOT_ID || StateManager.isReadOnly()) return false;
+
+        StateManager.recordHistory(`Restauration de "${snapshot.name}"`);
+        StateManager.restoreTimetableSnapshot({
+            seances: snapshot.seances,
+            nextSessionId: snapshot.nextId,
+            exceptions: Array.isArray(snapshot.exceptions) ? snapshot.exceptions : []
+        });
+        StateManager.saveState();
+        StateManager.notify('snapshot:restored', { snapshot });
+
+        LogService.success(`♻️ Instantané "${snapshot.name}" restauré`);
+        return true;
+    }
+
+    /**
+     * Clé d'identité d'une séance, indépendante de son placement et de son ID
+     * (les deux parties d'un TP sont distinguées)
+     * @param {Object} s - La séance
+     * @returns {string} La clé
+     */
+    getIdentityKey(s) {
+        const part = s.type === 'TP' ? (s.hTP_Affecte > 0 ? '#1' : '#2') : '';
+        return `${s.matiere}|${s.type}|${s.uniqueStudentEntity || s.groupe}${part}`;
+    }
+
+    /**
+     * Clé du placement dans le temps d'une séance : jour, créneau, horaires explicites
+     * (durée libre) et périodicité
+     * @param {Object} s - La séance
+     * @returns {string} La clé
+     */
+    getTimingKey(s) {
+        return [s.jour, s.creneau, s.heureDebut || '', s.heureFin || '', s.periodicite || 'hebdo', (s.semaines || []).join(',')].join('|');
+    }
+
+    /**
+     * Compare deux instantanés
+     * Les séances sont appariées par identité (matière, type, groupe) : d'abord à placement
+     * identique, puis par ID, puis dans l'ordre. Un changement d'horaires ou de périodicité
+     * compte comme un déplacement.
+     * @param {string} idA - Instantané de référence
+     * @param {string} idB - Instantané comparé
+     * @returns {Object|null} { a, b, added, removed, moved, reassigned, unchanged }
+     */
+    compareSnapshots(idA, idB) {
+        const a = this.getSnapshot(idA);
+        const b = this.getSnapshot(idB);
+        if (!a || !b) return null;
+
+        const diff = { a: a.name, b: b.name, added: [], removed: [], moved: [], reassigned: [], unchanged: 0 };
+
+        const groupByKey = (seances) => {
+            const map = new Map();
+            seances.forEach(s => {
+                const key = this.getIdentityKey(s);
+                if (!map.has(key)) map.set(key, []);
+                map.get(key).push(s);
+            });
+            return map;
+        };
+
+        const mapA = groupByKey(a.seances);
+        const mapB = groupByKey(b.seances);
+        const keys = new Set([...mapA.keys(), ...mapB.keys()]);
+
+        keys.forEach(key => {
+            const restA = [...(mapA.get(key) || [])];
+            const restB = [...(mapB.get(key) || [])];
+            const pairs = [];
+
+            const pairWith = (predicate) => {
+                for (let i = restA.length - 1; i >= 0; i--) {
+                    const j = restB.findIndex(sb => predicate(restA[i], sb));
+                    if (j !== -1) {
+                        pairs.push([restA[i], restB[j]]);
+                        restA.splice(i, 1);
+                        restB.splice(j, 1);
+                    }
+                }
+            };
+
+            pairWith((sa, sb) => sa.jour === sb.jour && sa.creneau === sb.creneau);
+            pairWith((sa, sb) => sa.id === sb.id);
+            pairWith(() => true);
+
+            restA.forEach(s => diff.removed.push(s));
+            restB.forEach(s => diff.added.push(s));
+
+            pairs.forEach(([sa, sb]) => {
+                const moved = this.getTimingKey(sa) !== this.getTimingKey(sb);
+                const teachersA = [...(sa.enseignantsArray || [])].sort().join(', ');
+                const teachersB = [...(sb.enseignantsArray || [])].sort().join(', ');
+                const reassigned = teachersA !== teachersB || (sa.salle || '') !== (sb.salle || '');
+
+                if (moved) diff.moved.push({ before: sa, after: sb });
+                if (reassigned) diff.reassigned.push({ before: sa, after: sb });
+                if (!moved && !reassigned) diff.unchanged++;
+            });
+        });
+
+        return diff;
+    }
+}
+
+// Export d'une instance singleton
+export default new SnapshotService();
@@ -1,9 +1,9 @@
 /**
- * Service de gestion du localStorage
+ * Service de persistance des données (backend IndexedDB, repli sur localStorage)
  * @author Ibrahim Mrani - UCD
  */
 
-import { STORAGE_KEYS } from '../config/constants.js';
+import { STORAGE_KEYS, PROJECT_SCHEMA_VERSION, DEFAULT_TOLERANCE_MAX_WORKLOAD, DEFAULT_JOURS_CONFIG, DEFAULT_CALENDRIER, DEFAULT_EQUIVALENCES_HORAIRES, DEFAULT_FORFAIT_CATALOGUE } from '../config/constants.js';
 import { 
     DEFAULT_FILIERES, 
     DEFAULT_ENSEIGNANTS, 
@@ -13,38 +13,267 @@ import {
     getDefaultAcademicYear,
     DEPARTEMENTS
 } from '../config/defaults.js';
-import { getSessionSpecificKey } from '../utils/helpers.js';
+import { getSessionSpecificKey, deepClone } from '../utils/helpers.js';
+import LocalStorageBackend from './LocalStorageBackend.js';
+import IndexedDBBackend from './IndexedDBBackend.js';
+import LogService from './LogService.js';
+import NotificationManager from '../ui/NotificationManager.js';
+
+// Préfixe commun à toutes les clés de l'application (edt_physique_*, edt_header_*, edt_auto_*)
+const APP_KEY_PREFIX = 'edt_';
+
+// Clés partagées entre tous les projets (jamais suffixées par l'identifiant de projet)
+const GLOBAL_KEYS = [STORAGE_KEYS.PROJECTS, STORAGE_KEYS.ACTIVE_PROJECT];
+
+// Séparateur entre la clé et l'identifiant du projet (ex: edt_physique_enseignants@2025-2026_physique)
+const PROJECT_KEY_SEPARATOR = '@';
+
+// Délai minimal entre deux notifications d'échec de sauvegarde
+const SAVE_ERROR_NOTIFY_INTERVAL = 5000;
 
 class StorageService {
     constructor() {
-        this.storage = window.localStorage;
+        // localStorage par défaut jusqu'à l'initialisation asynchrone
+        this.backend = LocalStorageBackend;
+        this.lastSaveError = null;
+        this.lastErrorNotifiedAt = 0;
+
+        // Projet (année universitaire + département) actif
+        this.projectId = null;
+        this.readOnly = false;
+    }
+
+    /**
+     * Définit le projet actif : toutes les clés lues/écrites lui sont ensuite rattachées
+     * @param {string|null} projectId - L'identifiant du projet
+     * @param {boolean} readOnly - Projet archivé (écritures refusées)
+     */
+    setProject(projectId, readOnly = false) {
+        this.projectId = projectId;
+        this.readOnly = !!readOnly;
+    }
+
+    /**
+     * Indique si le projet actif est en lecture seule
+     * @returns {boolean}
+     */
+    isReadOnly() {
+        return this.readOnly;
+    }
+
+    /**
+     * Calcule la clé physique d'une clé logique pour un projet
+     * @param {string} key - La clé logique
+     * @param {string|null} projectId - Le projet (par défaut : le projet actif)
+     * @returns {string} La clé physique
+     */
+    resolveKey(key, projectId = this.projectId) {
+        if (!projectId || GLOBAL_KEYS.includes(key)) return key;
+        return `${key}${PROJECT_KEY_SEPARATOR}${projectId}`;
+    }
+
+    /**
+     * Rattache au projet donné les clés écrites avant l'introduction des projets
+     * @param {string} projectId - L'identifiant du projet
+     * @returns {number} Le nombre de clés rattachées
+     */
+    adoptLegacyKeys(projectId) {
+        const legacyKeys = this.backend.keys().filter(k =>
+            k && k.startsWith(APP_KEY_PREFIX) && !k.includes(PROJECT_KEY_SEPARATOR) && !GLOBAL_KEYS.includes(k)
+        );
+
+        legacyKeys.forEach(k => {
+            const value = this.backend.getItem(k);
+            this.writeRaw(this.resolveKey(k, projectId), value);
+            this.removeRaw(k);
+        });
+
+        return legacyKeys.length;
+    }
+
+    /**
+     * Copie des clés d'un projet vers un autre
+     * @param {Array<string>} keys - Les clés logiques
+     * @param {string} fromProjectId - Projet source
+     * @param {string} toProjectId - Projet cible
+     * @returns {number} Le nombre de clés copiées
+     */
+    copyProjectKeys(keys, fromProjectId, toProjectId) {
+        let copied = 0;
+        keys.forEach(k => {
+            const value = this.backend.getItem(this.resolveKey(k, fromProjectId));
+            if (value === null || value === undefined) return;
+            this.writeRaw(this.resolveKey(k, toProjectId), value);
+            copied++;
+        });
+        return copied;
+    }
+
+    /**
+     * Écrit une valeur déjà sérialisée directement dans le backend
+     * @param {string} physicalKey - La clé physique
+     * @param {string} serialized - La valeur sérialisée
+     * @returns {boolean} False si l'écriture a échoué immédiatement
+     */
+    writeRaw(physicalKey, serialized) {
+        try {
+            const pending = this.backend.setItem(physicalKey, serialized);
+            if (pending && typeof pending.catch === 'function') {
+                pending.catch(error => this.reportSaveError(physicalKey, error));
+            }
+            return true;
+        } catch (error) {
+            this.reportSaveError(physicalKey, error);
+            return false;
+        }
     }
 
     /**
-     * Sauvegarde une valeur dans le localStorage
+     * Supprime toutes les clés du projet actif
+     */
+    clearProject() {
+        if (this.readOnly) return;
+
+        if (!this.projectId) {
+            this.clear();
+            return;
+        }
+
+        const suffix = `${PROJECT_KEY_SEPARATOR}${this.projectId}`;
+        this.backend.keys()
+            .filter(k => k && k.endsWith(suffix))
+            .forEach(k => this.removeRaw(k));
+    }
+
+    /**
+     * Sélectionne le backend de stockage (IndexedDB si disponible) et migre les
+     * anciennes clés du localStorage. À appeler avant StateManager.loadState().
+     * @returns {Promise<string>} Le nom du backend actif
+     */
+    async init() {
+        if (!IndexedDBBackend.isAvailable()) {
+            LogService.warning('⚠️ IndexedDB indisponible : utilisation du localStorage (quota ~5 Mo)');
+            return this.backend.name;
+        }
+
+        try {
+            await IndexedDBBackend.init();
+            await this.migrateFromLocalStorage(IndexedDBBackend);
+            this.backend = IndexedDBBackend;
+        } catch (error) {
+            console.error('Initialisation IndexedDB impossible:', error);
+            LogService.warning(`⚠️ IndexedDB inutilisable (${error.message}) : utilisation du localStorage`);
+            this.backend = LocalStorageBackend;
+        }
+
+        return this.backend.name;
+    }
+
+    /**
+     * Copie les clés de l'application depuis le localStorage vers un autre backend,
+     * puis les supprime du localStorage pour libérer le quota
+     * @param {Object} target - Le backend cible
+     * @returns {Promise<number>} Le nombre de clés migrées
+     */
+    async migrateFromLocalStorage(target) {
+        if (!LocalStorageBackend.isAvailable()) return 0;
+
+        const keys = LocalStorageBackend.keys().filter(k => k && k.startsWith(APP_KEY_PREFIX));
+        if (keys.length === 0) return 0;
+
+        const entries = keys.map(k => [k, LocalStorageBackend.getItem(k)]);
+        await target.setMany(entries);
+
+        keys.forEach(k => LocalStorageBackend.removeItem(k));
+
+        LogService.success(`✅ ${keys.length} clé(s) migrée(s) du localStorage vers ${target.name}`);
+        return keys.length;
+    }
+
+    /**
+     * Sauvegarde une valeur
      * @param {string} key - La clé de stockage
      * @param {*} value - La valeur à stocker
+     * @returns {boolean} False si l'écriture a échoué immédiatement
      */
     save(key, value) {
+        // Projet archivé : seules les clés globales restent modifiables
+        if (this.readOnly && !GLOBAL_KEYS.includes(key)) {
+            return false;
+        }
+
+        let serialized;
         try {
-            const serialized = JSON.stringify(value);
-            this.storage.setItem(key, serialized);
+            serialized = JSON.stringify(value);
+        } catch (error) {
+            this.reportSaveError(key, error);
+            return false;
+        }
+
+        // Backend asynchrone : l'échec éventuel est signalé à la fin de la transaction
+        return this.writeRaw(this.resolveKey(key), serialized);
+    }
+
+    /**
+     * Sauvegarde une valeur et attend la confirmation du backend
+     * (fin de la transaction IndexedDB), pour les opérations dont l'utilisateur attend le résultat
+     * @param {string} key - La clé logique
+     * @param {*} value - La valeur
+     * @returns {Promise<boolean>} Succès effectif de la sauvegarde
+     */
+    async saveConfirmed(key, value) {
+        if (this.readOnly && !GLOBAL_KEYS.includes(key)) {
+            return false;
+        }
+
+        const physicalKey = this.resolveKey(key);
+        try {
+            await this.backend.setItem(physicalKey, JSON.stringify(value));
             return true;
         } catch (error) {
-            console.error(`Erreur lors de la sauvegarde de ${key}:`, error);
+            this.reportSaveError(physicalKey, error);
             return false;
         }
     }
 
     /**
-     * Récupère une valeur du localStorage
+     * Signale visiblement un échec de sauvegarde
+     * @param {string} key - La clé concernée
+     * @param {Error} error - L'erreur
+     */
+    reportSaveError(key, error) {
+        console.error(`Erreur lors de la sauvegarde de ${key}:`, error);
+
+        const isQuota = error && (error.name === 'QuotaExceededError' || error.code === 22 || error.code === 1014);
+        const message = isQuota
+            ? 'Espace de stockage saturé : les dernières modifications n\'ont pas été enregistrées. Exportez le projet puis supprimez des instantanés.'
+            : `Échec de la sauvegarde (${error?.message || 'erreur inconnue'}).`;
+
+        this.lastSaveError = { key, message, timestamp: Date.now() };
+        LogService.error(`❌ ${message} [${key}]`);
+
+        const now = Date.now();
+        if (now - this.lastErrorNotifiedAt > SAVE_ERROR_NOTIFY_INTERVAL) {
+            this.lastErrorNotifiedAt = now;
+            NotificationManager.error(message);
+        }
+
+        try {
+            window.dispatchEvent(new CustomEvent('app:storageError', { detail: { key, message, quota: isQuota } }));
+        } catch (err) {
+            // noop
+        }
+    }
+
+    /**
+     * Récupère une valeur
      * @param {string} key - La clé de stockage
      * @param {*} defaultValue - Valeur par défaut si non trouvée
      * @returns {*} La valeur récupérée ou la valeur par défaut
      */
     load(key, defaultValue = null) {
         try {
-            const item = this.storage.getItem(key);
+            const item = this.backend.getItem(this.resolveKey(key));
             return item ? JSON.parse(item) : defaultValue;
         } catch (error) {
             console.error(`Erreur lors du chargement de ${key}:`, error);
@@ -53,18 +282,53 @@ class StorageService {
     }
 
     /**
-     * Supprime une clé du localStorage
+     * Supprime une clé
      * @param {string} key - La clé à supprimer
      */
     remove(key) {
-        this.storage.removeItem(key);
+        if (this.readOnly && !GLOBAL_KEYS.includes(key)) return;
+        this.removeRaw(this.resolveKey(key));
+    }
+
+    /**
+     * Supprime directement une clé physique du backend
+     * @param {string} physicalKey - La clé physique
+     */
+    removeRaw(physicalKey) {
+        const pending = this.backend.removeItem(physicalKey);
+        if (pending && typeof pending.catch === 'function') {
+            pending.catch(error => console.error(`Erreur lors de la suppression de ${physicalKey}:`, error));
+        }
     }
 
     /**
-     * Vide complètement le localStorage
+     * Vide complètement le stockage
      */
     clear() {
-        this.storage.clear();
+        const pending = this.backend.clear();
+        if (pending && typeof pending.catch === 'function') {
+            pending.catch(error => console.error('Erreur lors du vidage du stockage:', error));
+        }
+    }
+
+    /**
+     * Calcule l'occupation du stockage
+     * @returns {Promise<Object>} { backend, label, usage, quota, appUsage, keys, lastSaveError }
+     */
+    async getUsageReport() {
+        const { usage, quota } = await this.backend.estimate();
+        const keys = this.backend.keys().filter(k => k && k.startsWith(APP_KEY_PREFIX));
+        const appUsage = keys.reduce((sum, k) => sum + (k.length + (this.backend.getItem(k) || '').length) * 2, 0);
+
+        return {
+            backend: this.backend.name,
+            label: this.backend.label,
+            usage,
+            quota,
+            appUsage,
+            keys: keys.length,
+            lastSaveError: this.lastSaveError
+        };
     }
 
     /**
@@ -96,6 +360,28 @@ class StorageService {
         return { seances, nextId };
     }
 
+    /**
+     * Liste les instantanés nommés d'une session
+     * @param {string} session - La session
+     * @returns {Array<Object>} Les instantanés { id, name, createdAt, seances, nextId }
+     */
+    loadSnapshots(session) {
+        const key = getSessionSpecificKey(STORAGE_KEYS.SNAPSHOTS, session);
+        const snapshots = this.load(key, []);
+        return Array.isArray(snapshots) ? snapshots : [];
+    }
+
+    /**
+     * Enregistre la liste des instantanés d'une session
+     * @param {string} session - La session
+     * @param {Array<Object>} snapshots - Les instantanés
+     * @returns {Promise<boolean>} Succès effectif de la sauvegarde
+     */
+    saveSnapshots(session, snapshots) {
+        const key = getSessionSpecificKey(STORAGE_KEYS.SNAPSHOTS, session);
+        return this.saveConfirmed(key, snapshots);
+    }
+
     /**
      * Sauvegarde les données globales (non spécifiques à une session)
      * @param {Object} data - Les données à sauvegarder
@@ -112,8 +398,17 @@ class StorageService {
             ui,
             volumesSupplementaires,
             creneaux,
+            joursConfig,
+            calendrier,
+            occupationsExternes,
+            enseignantProfils,
+            equivalencesHoraires,
+            forfaitCatalogue,
             volumesAutomne,
-            autoSallesParFiliere
+            autoSallesParFiliere,
+            sallesCapacite,
+            effectifs,
+            sallesEquipements
         } = data;
 
         if (enseignants !== undefined) this.save(STORAGE_KEYS.ENSEIGNANTS, enseignants);
@@ -126,11 +421,22 @@ class StorageService {
             const forfaitsKey = STORAGE_KEYS.FORFAITS || 'FORFAITS';
             this.save(forfaitsKey, forfaits);
         }
+        if (toleranceMaxWorkload !== undefined) this.save(STORAGE_KEYS.TOLERANCE_MAX_WORKLOAD, toleranceMaxWorkload);
+        if (ui !== undefined) this.save(STORAGE_KEYS.UI_STATE, ui);
         // Persist volumesSupplementaires (legacy meaning: mapping teacher -> extra volumes)
         if (volumesSupplementaires !== undefined) this.save(STORAGE_KEYS.VOLUMES_SUP, volumesSupplementaires);
         if (creneaux !== undefined) this.save(STORAGE_KEYS.CRENEAUX, creneaux);
+        if (joursConfig !== undefined) this.save(STORAGE_KEYS.JOURS_CONFIG, joursConfig);
+        if (calendrier !== undefined) this.save(STORAGE_KEYS.CALENDRIER, calendrier);
+        if (occupationsExternes !== undefined) this.save(STORAGE_KEYS.OCCUPATIONS_EXTERNES, occupationsExternes);
+        if (enseignantProfils !== undefined) this.save(STORAGE_KEYS.ENSEIGNANT_PROFILS, enseignantProfils);
+        if (equivalencesHoraires !== undefined) this.save(STORAGE_KEYS.EQUIVALENCES_HORAIRES, equivalencesHoraires);
+        if (forfaitCatalogue !== undefined) this.save(STORAGE_KEYS.FORFAIT_CATALOGUE, forfaitCatalogue);
         if (volumesAutomne !== undefined) this.save(STORAGE_KEYS.VOLUMES_AUTOMNE, volumesAutomne);
         if (autoSallesParFiliere !== undefined) this.save(STORAGE_KEYS.AUTO_SALLES, autoSallesParFiliere);
+        if (sallesCapacite !== undefined) this.save(STORAGE_KEYS.SALLES_CAPACITE, sallesCapacite);
+        if (effectifs !== undefined) this.save(STORAGE_KEYS.EFFECTIFS, effectifs);
+        if (sallesEquipements !== undefined) this.save(STORAGE_KEYS.SALLES_EQUIPEMENTS, sallesEquipements);
     }
 
     /**
@@ -175,8 +481,19 @@ class StorageService {
         }
 
         const creneaux = this.load(STORAGE_KEYS.CRENEAUX, null);
+        const joursConfig = this.load(STORAGE_KEYS.JOURS_CONFIG, deepClone(DEFAULT_JOURS_CONFIG));
+        const calendrier = this.load(STORAGE_KEYS.CALENDRIER, deepClone(DEFAULT_CALENDRIER));
+        const occupationsExternes = this.load(STORAGE_KEYS.OCCUPATIONS_EXTERNES, {});
+        const enseignantProfils = this.load(STORAGE_KEYS.ENSEIGNANT_PROFILS, {});
+        const equivalencesHoraires = this.load(STORAGE_KEYS.EQUIVALENCES_HORAIRES, deepClone(DEFAULT_EQUIVALENCES_HORAIRES));
+        const forfaitCatalogue = this.load(STORAGE_KEYS.FORFAIT_CATALOGUE, deepClone(DEFAULT_FORFAIT_CATALOGUE));
         const volumesAutomne = this.load(STORAGE_KEYS.VOLUMES_AUTOMNE, {});
         const autoSallesParFiliere = this.load(STORAGE_KEYS.AUTO_SALLES, {});
+        const toleranceMaxWorkload = this.load(STORAGE_KEYS.TOLERANCE_MAX_WORKLOAD, DEFAULT_TOLERANCE_MAX_WORKLOAD);
+        const ui = this.load(STORAGE_KEYS.UI_STATE, {});
+        const sallesCapacite = this.load(STORAGE_KEYS.SALLES_CAPACITE, {});
+        const effectifs = this.load(STORAGE_KEYS.EFFECTIFS, {});
+        const sallesEquipements = this.load(STORAGE_KEYS.SALLES_EQUIPEMENTS, {});
 
         return {
             enseignants,
@@ -185,10 +502,21 @@ class StorageService {
             matiereGroupes,
             filieres,
             forfaits,
+            toleranceMaxWorkload,
+            ui,
             volumesSupplementaires,
             creneaux,
+            joursConfig,
+            calendrier,
+            occupationsExternes,
+            enseignantProfils,
+            equivalencesHoraires,
+            forfaitCatalogue,
             volumesAutomne,
-            autoSallesParFiliere
+            autoSallesParFiliere,
+            sallesCapacite,
+            effectifs,
+            sallesEquipements
         };
     }
 
@@ -250,7 +578,8 @@ class StorageService {
                 td_groups: info.td_groups || info.tdGroups || 0,
                 tp_groups: info.tp_groups || info.tpGroups || 0,
                 volumeHTP: info.volumeHTP || (info.volumeHTP ? info.volumeHTP : { Cours: 48, TD: 32, TP: 36 }),
-                nbEnseignantsTP: info.nbEnseignantsTP || 1
+                nbEnseignantsTP: info.nbEnseignantsTP || 1,
+                equipementsRequis: info.equipementsRequis || {}
             };
         }
         
@@ -271,8 +600,9 @@ class StorageService {
         
         return {
             version: "3.0-modular",
+            schemaVersion: PROJECT_SCHEMA_VERSION,
             exportDate: new Date().toISOString(),
-           headerInfo: header,
+            headerInfo: header,
             ...globalData,
             sessionData: {
                 "Session_d'automne": automneData,
@@ -283,22 +613,36 @@ class StorageService {
 
     /**
      * Importe les données d'un projet
-     * @param {Object} data - Les données à importer
+     * @param {Object} data - Le bundle, migré au schéma courant par SchemaMigrationService
      * @returns {boolean} Succès de l'import
      */
     importProject(data) {
+        if (this.readOnly) return false;
+
         try {
             // Sauvegarder les données globales
             this.saveGlobalData({
-                enseignants: data.LISTE_ENSEIGNANTS || data.enseignants,
-                sallesInfo: data.SALLES_INFO || data.sallesInfo,
-                souhaits: data.ENSEIGNANT_SOUHAITS || data.souhaits,
-                matiereGroupes: data.MATIERE_GROUPES_INFO || data.matiereGroupes,
-                filieres: data.LISTE_FILIERES || data.filieres,
-                volumesSupplementaires: data.ENSEIGNANT_VOLUMES_SUPPLEMENTAIRES || data.volumesSupplementaires,
-                creneaux: data.LISTE_CRENEAUX || data.creneaux,
-                volumesAutomne: data.VOLUMES_AUTOMNE || data.volumesAutomne,
-                autoSallesParFiliere: data.AUTO_SALLE_CHOICES_PAR_FILIERE || data.autoSallesParFiliere
+                enseignants: data.enseignants,
+                sallesInfo: data.sallesInfo,
+                souhaits: data.souhaits,
+                matiereGroupes: data.matiereGroupes,
+                filieres: data.filieres,
+                forfaits: data.forfaits,
+                toleranceMaxWorkload: data.toleranceMaxWorkload,
+                ui: data.ui,
+                volumesSupplementaires: data.volumesSupplementaires,
+                creneaux: data.creneaux,
+                joursConfig: data.joursConfig,
+                calendrier: data.calendrier,
+                occupationsExternes: data.occupationsExternes,
+                enseignantProfils: data.enseignantProfils,
+                equivalencesHoraires: data.equivalencesHoraires,
+                forfaitCatalogue: data.forfaitCatalogue,
+                volumesAutomne: data.volumesAutomne,
+                autoSallesParFiliere: data.autoSallesParFiliere,
+                sallesCapacite: data.sallesCapacite,
+                effectifs: data.effectifs,
+                sallesEquipements: data.sallesEquipements
             });
 
             // Sauvegarder les données de session
@@ -307,10 +651,10 @@ class StorageService {
                 const printemps = data.sessionData["Session_de_printemps"];
                 
                 if (automne) {
-                    this.saveSessionData("Session d'automne", automne.seances, automne.nextSessionId || automne.nextId);
+                    this.saveSessionData("Session d'automne", automne.seances, automne.nextId);
                 }
                 if (printemps) {
-                    this.saveSessionData("Session de printemps", printemps.seances, printemps.nextSessionId || printemps.nextId);
+                    this.saveSessionData("Session de printemps", printemps.seances, printemps.nextId);
                 }
             }
 
@@ -3,6 +3,8 @@
  * @author Ibrahim Mrani - UCD
  */
 
+import { CRENEAUX_COUPLES_SUIVANT, PENALITE_CRENEAU_NON_SOUHAITE } from '../config/constants.js';
+import { getSessionTimeRange } from '../utils/helpers.js';
 import ConflictService from './ConflictService.js';
 import VolumeService from './VolumeService.js';
 
@@ -32,7 +34,7 @@ class TeacherAvailabilityService {
      */
     calculateTeacherScore(teacher, session, currentWorkload, maxWorkload, assignedCounts, allSessions, sortedCreneaux) {
         // Vérifier la disponibilité
-        if (!ConflictService.isTeacherAvailable(teacher.nom, session.jour, session.creneau, session.type, allSessions)) {
+        if (!ConflictService.isTeacherAvailable(teacher.nom, session.jour, session.creneau, session.type, allSessions, getSessionTimeRange(session), session)) {
             return 0;
         }
 
@@ -83,8 +85,30 @@ class TeacherAvailabilityService {
         // Score de disponibilité de charge
         const workloadAvailabilityScore = maxWorkload - currentWorkload;
 
+        // Pénalité pour créneau non souhaité (contrainte souple : l'enseignant reste éligible)
+        const undesiredPenalty = this.calculateUndesiredSlotPenalty(teacher, session);
+
         // Score final
-        return (wishScore * wishFulfillmentScore) + workloadAvailabilityScore + consecutiveTdBonus;
+        const score = (wishScore * wishFulfillmentScore) + workloadAvailabilityScore + consecutiveTdBonus;
+        return undesiredPenalty > 0 ? Math.max(1, score - undesiredPenalty) : score;
+    }
+
+    /**
+     * Calcule la pénalité liée aux créneaux marqués « non souhaité » par l'enseignant
+     * @param {Teacher} teacher - L'enseignant
+     * @param {Session} session - La séance
+     * @returns {number} La pénalité (0 si aucun créneau non souhaité)
+     */
+    calculateUndesiredSlotPenalty(teacher, session) {
+        if (typeof teacher.dislikesSlot !== 'function') return 0;
+
+        const creneaux = [session.creneau];
+        if (session.type === 'TP' && CRENEAUX_COUPLES_SUIVANT[session.creneau]) {
+            creneaux.push(CRENEAUX_COUPLES_SUIVANT[session.creneau]);
+        }
+
+        const nbNonSouhaites = creneaux.filter(c => teacher.dislikesSlot(session.jour, c)).length;
+        return nbNonSouhaites * PENALITE_CRENEAU_NON_SOUHAITE;
     }
 
     /**
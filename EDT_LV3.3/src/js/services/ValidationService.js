@@ -1,30 +1,13 @@
 /**
  * Service de validation des formulaires et données
  * @author Ibrahim Mrani - UCD
- *
- * Robustification supplémentaire : si header manquant, on tente de reconstruire,
- * et en dernier recours on injecte un header par défaut (année académique courante, session 'Automne')
- * afin d'éviter le rejet systématique des imports historiques. On retourne toujours
- * un objet `normalized` utilisable par l'importeur.
  */
 
-import { LISTE_TYPES_SEANCE } from '../config/constants.js';
+import { LISTE_TYPES_SEANCE, PROJECT_SCHEMA_VERSION, EQUIPEMENTS_SALLE } from '../config/constants.js';
+import { timeToMinutes, parseWeekList } from '../utils/helpers.js';
+import StateManager from '../controllers/StateManager.js';
 
 class ValidationService {
-    /* ---------- utilitaires internes ---------- */
-
-    _computeCurrentAcademicYear() {
-        // Si mois >= août (8), on considère l'année académique courante "YYYY/YYYY+1"
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = now.getMonth() + 1; // 1-12
-        if (month >= 8) {
-            return `${year}/${year + 1}`;
-        } else {
-            return `${year - 1}/${year}`;
-        }
-    }
-
     /* ---------- validations de base (inchangées) ---------- */
 
     validateSeanceData(data, allowNoRoom = false) {
@@ -58,6 +41,14 @@ class ValidationService {
             errors.push(`Type de séance invalide: ${data.type}`);
         }
 
+        if (data.duree > 0 && data.heureDebut && Number.isNaN(timeToMinutes(data.heureDebut))) {
+            errors.push(`Heure de début invalide: ${data.heureDebut} (format attendu : 9h00)`);
+        }
+
+        if (data.periodicite === 'custom' && parseWeekList(data.semaines).length === 0) {
+            missingFields.push('Semaines');
+        }
+
         return {
             isValid: missingFields.length === 0 && errors.length === 0,
             errors,
@@ -65,8 +56,9 @@ class ValidationService {
         };
     }
 
-    validateSalleCompatibility(typeSeance, salle, sallesInfo) {
+    validateSalleCompatibility(typeSeance, salle, sallesInfo, equipementsRequis = []) {
         if (!salle || !sallesInfo || !sallesInfo[salle]) return false;
+        if (this.getMissingEquipment(salle, equipementsRequis).length > 0) return false;
 
         const typeSalle = sallesInfo[salle];
 
@@ -81,198 +73,121 @@ class ValidationService {
         return true;
     }
 
-    /* ---------- validateProjectSchema amélioré ---------- */
+    /**
+     * Équipements exigés par une matière pour un type de séance
+     * @param {string} matiere - La matière
+     * @param {string} typeSeance - Le type de séance (Cours, TD, TP)
+     * @returns {Array<string>} Les identifiants d'équipement
+     */
+    getRequiredEquipment(matiere, typeSeance) {
+        const requis = StateManager.state.matiereGroupes?.[matiere]?.equipementsRequis?.[typeSeance];
+        return Array.isArray(requis) ? requis : [];
+    }
+
+    /**
+     * Équipements exigés absents d'une salle
+     * @param {string} salle - La salle
+     * @param {Array<string>} equipementsRequis - Les identifiants exigés
+     * @returns {Array<string>} Les identifiants manquants
+     */
+    getMissingEquipment(salle, equipementsRequis = []) {
+        if (!equipementsRequis || equipementsRequis.length === 0) return [];
+        const room = StateManager.getRoom(salle);
+        return equipementsRequis.filter(e => !room.hasEquipment([e]));
+    }
+
+    /**
+     * Libellés lisibles d'une liste d'équipements
+     * @param {Array<string>} equipements - Les identifiants
+     * @returns {string} Les libellés séparés par des virgules
+     */
+    formatEquipment(equipements) {
+        return equipements.map(e => EQUIPEMENTS_SALLE[e] || e).join(', ');
+    }
+
+    /* ---------- validateProjectSchema ---------- */
 
+    /**
+     * Vérifie un bundle de projet déjà migré au schéma courant
+     * (les anciens formats sont convertis au préalable par SchemaMigrationService)
+     * @param {Object} data - Le bundle migré
+     * @returns {Object} { ok: boolean, errors: Array<string> }
+     */
     validateProjectSchema(data) {
         const errors = [];
-        const warnings = [];
 
         if (typeof data !== 'object' || data === null) {
             errors.push('Le projet doit être un objet JSON.');
             return { ok: false, errors };
         }
 
-        const requiredMap = {
-            header: ['header', 'meta', 'projectHeader'],
-            enseignants: ['enseignants', 'teachers'],
-            matiereGroupes: ['matiereGroupes', 'matiere_groupes', 'subjects', 'matiere_groups'],
-            sallesInfo: ['sallesInfo', 'salles', 'rooms', 'salles_info'],
-            filieres: ['filieres', 'filieresList', 'filieres_list'],
-            edt: ['edt', 'seances', 'schedule', 'planning', 'sessions']
-        };
-
-        // shallow copy to preserve original
-        const normalized = Object.assign({}, data);
-
-        // find/normalize canonical keys
-        const missingCanonicals = [];
-        for (const [canonical, alts] of Object.entries(requiredMap)) {
-            let foundKey = null;
-            for (const k of alts) {
-                if (k in data) {
-                    foundKey = k;
-                    break;
-                }
-            }
-            if (!foundKey) {
-                missingCanonicals.push(canonical);
-            } else {
-                if (!(canonical in data)) {
-                    normalized[canonical] = data[foundKey];
-                }
-            }
+        if (data.schemaVersion !== PROJECT_SCHEMA_VERSION) {
+            errors.push(`Version de schéma inattendue : ${data.schemaVersion} (attendue ${PROJECT_SCHEMA_VERSION}).`);
         }
-
-        // heuristiques pour retrouver edt (séances) dans structures historiques
-        const looksLikeSeancesArray = (arr) => {
-            if (!Array.isArray(arr) || arr.length === 0) return false;
-            const expected = ['jour','creneau','matiere','type','enseignant','salle','groupe'];
-            let hits = 0;
-            for (let i = 0; i < Math.min(arr.length, 5); i++) {
-                const el = arr[i];
-                if (el && typeof el === 'object') {
-                    const keys = Object.keys(el).map(k => String(k).toLowerCase());
-                    expected.forEach(k => { if (keys.includes(k)) hits++; });
-                }
-            }
-            return hits >= 2;
-        };
-
-        const deepFindSeances = (obj, visited = new WeakSet()) => {
-            if (!obj || typeof obj !== 'object') return null;
-            if (visited.has(obj)) return null;
-            visited.add(obj);
-            if (Array.isArray(obj)) {
-                if (looksLikeSeancesArray(obj)) return obj;
-                for (const el of obj) {
-                    const r = deepFindSeances(el, visited);
-                    if (r) return r;
-                }
-            } else {
-                for (const k of Object.keys(obj)) {
-                    try {
-                        const v = obj[k];
-                        if (Array.isArray(v) && looksLikeSeancesArray(v)) return v;
-                        if (v && typeof v === 'object') {
-                            const r = deepFindSeances(v, visited);
-                            if (r) return r;
-                        }
-                    } catch (e) { /* ignore */ }
-                }
-            }
-            return null;
-        };
-
-        // attempt: reconstruct header if missing
-        const tryBuildHeader = () => {
-            if (normalized.header && typeof normalized.header === 'object') return;
-            // common top-level hints
-            const candidateYear = normalized.annee || normalized.annee_universitaire || normalized.year || normalized.academicYear;
-            const candidateSession = normalized.session || normalized.season || normalized.sessionName;
-            if (candidateYear || candidateSession) {
-                normalized.header = normalized.header || {};
-                if (candidateYear && typeof normalized.header.annee === 'undefined') normalized.header.annee = candidateYear;
-                if (candidateSession && typeof normalized.header.session === 'undefined') normalized.header.session = candidateSession;
-            } else if (normalized.meta && typeof normalized.meta === 'object') {
-                normalized.header = normalized.header || {};
-                if (typeof normalized.header.annee === 'undefined' && (normalized.meta.annee || normalized.meta.year)) {
-                    normalized.header.annee = normalized.meta.annee || normalized.meta.year;
-                }
-                if (typeof normalized.header.session === 'undefined' && (normalized.meta.session || normalized.meta.season)) {
-                    normalized.header.session = normalized.meta.session || normalized.meta.season;
-                }
-            }
-        };
-
-        const tryFindEdt = () => {
-            if (normalized.edt && Array.isArray(normalized.edt) && normalized.edt.length > 0) return;
-            const found = deepFindSeances(normalized);
-            if (found) normalized.edt = found;
-            else {
-                const topCandidates = ['data','payload','project','body'];
-                for (const c of topCandidates) {
-                    if (c in normalized && typeof normalized[c] === 'object') {
-                        const f = deepFindSeances(normalized[c]);
-                        if (f) { normalized.edt = f; break; }
-                    }
-                }
-            }
-        };
-
-        // If canonical keys missing, try reconstruction
-        if (missingCanonicals.length > 0) {
-            tryBuildHeader();
-            tryFindEdt();
-
-            // recompute missing
-            const stillMissing = [];
-            for (const canonical of Object.keys(requiredMap)) {
-                if (!(canonical in normalized)) stillMissing.push(canonical);
-            }
-
-            // Special handling: if only header and/or edt missing, don't reject outright:
-            // - create header defaults if absent
-            // - set edt to empty array if absent (and warn)
-            const criticalMissing = stillMissing.filter(k => k !== 'header' && k !== 'edt');
-            if (criticalMissing.length > 0) {
-                criticalMissing.forEach(k => errors.push(`Clé manquante: ${k}`));
-                return { ok: false, errors };
-            }
-
-            // Handle header missing: create reasonable defaults rather than failing
-            if (!('header' in normalized)) {
-                normalized.header = {
-                    annee: this._computeCurrentAcademicYear(),
-                    session: 'Automne'
-                };
-                warnings.push('header absent dans le fichier importé : un header par défaut a été créé (annee/session).');
-            } else {
-                // ensure fields in header
-                if (typeof normalized.header.annee === 'undefined' || normalized.header.annee === null) {
-                    normalized.header.annee = this._computeCurrentAcademicYear();
-                    warnings.push('header.annee absent : valeur par défaut ajoutée.');
-                }
-                if (typeof normalized.header.session === 'undefined' || normalized.header.session === null || String(normalized.header.session).trim() === '') {
-                    normalized.header.session = 'Automne';
-                    warnings.push('header.session absent : valeur par défaut "Automne" ajoutée.');
-                }
-            }
-
-            // Handle edt missing: set to empty array (no sessions)
-            if (!('edt' in normalized) || !Array.isArray(normalized.edt)) {
-                normalized.edt = [];
-                warnings.push('edt (séances) absent : initialisé à [].');
-            }
+        if (!Array.isArray(data.enseignants)) {
+            errors.push('Clé manquante ou invalide : "enseignants" doit être un tableau.');
         }
-
-        // Basic type checks
-        if (!Array.isArray(normalized.enseignants)) {
-            errors.push('La propriété "enseignants" doit être un tableau.');
+        if (!Array.isArray(data.filieres)) {
+            errors.push('Clé manquante ou invalide : "filieres" doit être un tableau.');
+        }
+        if (typeof data.matiereGroupes !== 'object' || data.matiereGroupes === null) {
+            errors.push('Clé manquante ou invalide : "matiereGroupes" doit être un objet.');
+        }
+        if (typeof data.sallesInfo !== 'object' || data.sallesInfo === null) {
+            errors.push('Clé manquante ou invalide : "sallesInfo" doit être un objet.');
+        }
+        if (!Array.isArray(data.forfaits)) {
+            errors.push('Clé manquante ou invalide : "forfaits" doit être un tableau.');
+        }
+        if (!Number.isFinite(Number(data.toleranceMaxWorkload))) {
+            errors.push('Clé manquante ou invalide : "toleranceMaxWorkload" doit être un nombre.');
+        }
+        if (typeof data.sallesCapacite !== 'object' || data.sallesCapacite === null) {
+            errors.push('Clé manquante ou invalide : "sallesCapacite" doit être un objet.');
         }
-        if (!Array.isArray(normalized.filieres)) {
-            errors.push('La propriété "filieres" doit être un tableau.');
+        if (typeof data.effectifs !== 'object' || data.effectifs === null) {
+            errors.push('Clé manquante ou invalide : "effectifs" doit être un objet.');
         }
-        if (typeof normalized.matiereGroupes !== 'object' || normalized.matiereGroupes === null) {
-            errors.push('La propriété "matiereGroupes" doit être un objet.');
+        if (typeof data.sallesEquipements !== 'object' || data.sallesEquipements === null) {
+            errors.push('Clé manquante ou invalide : "sallesEquipements" doit être un objet.');
         }
-        if (typeof normalized.sallesInfo !== 'object' || normalized.sallesInfo === null) {
-            errors.push('La propriété "sallesInfo" doit être un objet.');
+        if (!data.joursConfig || !Array.isArray(data.joursConfig.jours)) {
+            errors.push('Clé manquante ou invalide : "joursConfig.jours" doit être un tableau.');
+        } else if (data.joursConfig.joursSansTP !== undefined && !Array.isArray(data.joursConfig.joursSansTP)) {
+            errors.push('Clé invalide : "joursConfig.joursSansTP" doit être un tableau.');
         }
-        if (typeof normalized.header !== 'object' || normalized.header === null) {
-            errors.push('header doit être un objet.');
+        if (!data.calendrier || typeof data.calendrier.semestres !== 'object' || data.calendrier.semestres === null) {
+            errors.push('Clé manquante ou invalide : "calendrier.semestres" doit être un objet.');
+        }
+        if (typeof data.occupationsExternes !== 'object' || data.occupationsExternes === null) {
+            errors.push('Clé manquante ou invalide : "occupationsExternes" doit être un objet.');
+        }
+        if (typeof data.enseignantProfils !== 'object' || data.enseignantProfils === null) {
+            errors.push('Clé manquante ou invalide : "enseignantProfils" doit être un objet.');
+        }
+        if (typeof data.equivalencesHoraires !== 'object' || data.equivalencesHoraires === null) {
+            errors.push('Clé manquante ou invalide : "equivalencesHoraires" doit être un objet.');
+        }
+        if (!Array.isArray(data.forfaitCatalogue)) {
+            errors.push('Clé manquante ou invalide : "forfaitCatalogue" doit être un tableau.');
+        }
+        if (typeof data.headerInfo !== 'object' || data.headerInfo === null) {
+            errors.push('headerInfo doit être un objet.');
         } else {
-            if (typeof normalized.header.annee === 'undefined') errors.push('header.annee manquant.');
-            if (typeof normalized.header.session === 'undefined') errors.push('header.session manquant.');
+            if (!data.headerInfo.annee) errors.push('headerInfo.annee manquant.');
+            if (!data.headerInfo.session) errors.push('headerInfo.session manquant.');
         }
-        if (!Array.isArray(normalized.edt)) {
-            errors.push('La propriété "edt" (séances) doit être un tableau.');
+        if (typeof data.sessionData !== 'object' || data.sessionData === null) {
+            errors.push('sessionData doit être un objet.');
+        } else {
+            Object.entries(data.sessionData).forEach(([session, bundle]) => {
+                if (!bundle || !Array.isArray(bundle.seances)) {
+                    errors.push(`sessionData["${session}"].seances doit être un tableau.`);
+                }
+            });
         }
 
-        const combinedErrors = errors;
-        // If only warnings exist -> return ok true but include warnings in returned array
-        const combinedMessages = combinedErrors.concat(warnings);
-
-        return { ok: combinedErrors.length === 0, errors: combinedMessages, normalized: (combinedErrors.length === 0 ? normalized : undefined) };
+        return { ok: errors.length === 0, errors };
     }
 
     /* ---------- feuilles (SheetJS) ---------- */
@@ -3,32 +3,134 @@
  * @author Ibrahim Mrani - UCD
  */
 
-import { DEFAULT_VOLUME_HTP } from '../config/constants.js';
+import { DEFAULT_VOLUME_HTP, DEFAULT_EQUIVALENCES_HORAIRES, TYPES_EQUIVALENCE } from '../config/constants.js';
 import StateManager from '../controllers/StateManager.js';
+import Teacher from '../models/Teacher.js';
+import { normalizeSessionLabel } from '../utils/session.js';
+import { getSessionDurationRatio } from '../utils/helpers.js';
+import CalendarService from './CalendarService.js';
 
 class VolumeService {
+    /**
+     * Volume hTP effectivement réalisé par une séance
+     * Le volume nominal (hebdomadaire) est mis à l'échelle de la durée réelle (horaires explicites),
+     * pondéré par la périodicité (semaine A/B, semaines choisies) et, si le semestre est daté,
+     * proratisé par les occurrences tenues (vacances, examens et annulations déduits, reports comptés).
+     * @param {Session} seance - La séance
+     * @param {string|null} session - La session de la séance (null = session active)
+     * @returns {number} Le volume hTP
+     */
+    getEffectiveHTP(seance, session = null) {
+        const hTP = Number(seance.hTP_Affecte) || 0;
+        if (hTP === 0) return 0;
+        return hTP * getSessionDurationRatio(seance) * CalendarService.getHeldRatio(seance, session);
+    }
+
+    /**
+     * Coefficient d'équivalence horaire d'un type de séance (ou des forfaits) pour un statut d'enseignant
+     * @param {string} type - Le type (Cours, TD, TP, Forfait)
+     * @param {string} statut - Le statut (voir STATUTS_ENSEIGNANTS)
+     * @returns {number} Le coefficient (1 si aucune règle)
+     */
+    getEquivalenceCoefficient(type, statut = 'permanent') {
+        const value = Number(StateManager.state.equivalencesHoraires?.[statut]?.[type]);
+        if (Number.isFinite(value) && value >= 0) return value;
+        return DEFAULT_EQUIVALENCES_HORAIRES[statut]?.[type] ?? 1;
+    }
+
+    /**
+     * Coefficients d'équivalence de tous les types de séance et des forfaits pour un statut
+     * @param {string} statut - Le statut
+     * @returns {Object} { Cours, TD, TP, Forfait }
+     */
+    getEquivalenceCoefficients(statut = 'permanent') {
+        return Object.fromEntries(TYPES_EQUIVALENCE.map(type => [type, this.getEquivalenceCoefficient(type, statut)]));
+    }
+
+    /**
+     * Indique si des règles d'équivalence convertissent les heures brutes
+     * @returns {boolean} True si au moins un coefficient diffère de 1
+     */
+    hasEquivalenceRules() {
+        return Object.keys(DEFAULT_EQUIVALENCES_HORAIRES).some(statut =>
+            TYPES_EQUIVALENCE.some(type => this.getEquivalenceCoefficient(type, statut) !== 1)
+        );
+    }
+
+    /**
+     * Unité des volumes affichés : heures équivalent TD si des règles sont actives, sinon hTP
+     * @returns {string} L'unité
+     */
+    getVolumeUnit() {
+        return this.hasEquivalenceRules() ? 'h éq. TD' : 'hTP';
+    }
+
+    /**
+     * Volume crédité à un enseignant pour une séance, converti selon son statut
+     * Pour les TP, chaque enseignant compte le volume total ;
+     * pour Cours/TD, le volume est divisé par le nombre d'enseignants
+     * @param {Session} seance - La séance
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @param {string|null} session - La session de la séance (null = session active)
+     * @param {number|null} nbEnseignants - Nombre d'enseignants (null = enseignants de la séance)
+     * @returns {number} Le volume (heures équivalentes)
+     */
+    calculateSessionCredit(seance, enseignant, session = null, nbEnseignants = null) {
+        const hTP_base = this.getEffectiveHTP(seance, session);
+        const teachers = nbEnseignants || (seance.enseignantsArray || []).length || 1;
+        const hTP_credit = (seance.type === 'TP') ? hTP_base : (hTP_base / teachers);
+        const { statut } = this.getTeacherProfile(enseignant).profil;
+
+        return hTP_credit * this.getEquivalenceCoefficient(seance.type, statut);
+    }
+
+    /**
+     * Convertit des heures de forfait ou de volume supplémentaire (saisies en heures brutes)
+     * dans l'unité des volumes, avec le coefficient « Forfait » du statut de l'enseignant
+     * @param {number} heures - Les heures brutes
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @returns {number} Le volume (heures équivalentes)
+     */
+    convertForfaitHours(heures, enseignant) {
+        const { statut } = this.getTeacherProfile(enseignant).profil;
+        return (Number(heures) || 0) * this.getEquivalenceCoefficient('Forfait', statut);
+    }
+
+    /**
+     * Forfaits valables pour une année universitaire et, si elle est précisée, une session
+     * Un forfait sans session est compté en automne ; un forfait sans année vaut pour l'année du projet
+     * @param {Array} forfaits - Les forfaits
+     * @param {string|null} session - La session (null = les deux sessions)
+     * @param {string|null} annee - L'année universitaire (null = année du projet)
+     * @returns {Array} Les forfaits retenus
+     */
+    filterForfaits(forfaits, session = null, annee = null) {
+        const anneeCible = annee || StateManager.state.header?.annee;
+        const sessionCible = session ? normalizeSessionLabel(session) : null;
+
+        return (forfaits || []).filter(f => {
+            if (f.annee && anneeCible && f.annee !== anneeCible) return false;
+            if (!sessionCible) return true;
+            return (f.session ? normalizeSessionLabel(f.session) : 'autumn') === sessionCible;
+        });
+    }
+
     /**
      * Calcule les détails de volume pour un enseignant
+     * Le volume d'enseignement est exprimé en heures équivalentes (voir calculateSessionCredit)
      * @param {string} enseignant - Le nom de l'enseignant
      * @param {Array<Session>} seances - Les séances
      * @param {Object} volumesSupplementaires - Les volumes supplémentaires par enseignant
-     * @returns {Object} { enseignement, forfait, total }
+     * @param {string|null} session - La session des séances (null = session active)
+     * @param {boolean} precise - Valeurs non arrondies à l'heure (états de service)
+     * @returns {Object} { enseignement, forfaits, volumesSupplementaires, forfait, total }
      */
-    calculateTeacherVolumeDetails(enseignant, seances, volumesSupplementaires) {
+    calculateTeacherVolumeDetails(enseignant, seances, volumesSupplementaires, session = null, precise = false) {
         let volumeEnseignement = 0;
 
         seances.forEach(seance => {
             if (seance.hTP_Affecte > 0 && seance.enseignantsArray.includes(enseignant)) {
-                const teachers = seance.enseignantsArray || [seance.enseignant];
-                const hTP_base = seance.hTP_Affecte;
-
-                // Pour les TP, chaque enseignant compte le volume total
-                // Pour Cours/TD, on divise par le nombre d'enseignants
-                const hTP_credit = (seance.type === 'TP')
-                    ? hTP_base
-                    : (hTP_base / teachers.length);
-
-                volumeEnseignement += hTP_credit;
+                volumeEnseignement += this.calculateSessionCredit(seance, enseignant, session);
             }
         });
 
@@ -39,19 +141,25 @@ class VolumeService {
             });
         }
 
-        // Ajouter les forfaits (tous les forfaits applicables à cet enseignant)
+        // Ajouter les forfaits de l'année (toutes sessions, comptés une fois avec l'automne)
         let volumeForfaits = 0;
         if (StateManager.state.forfaits) {
-            const forfaits = StateManager.state.forfaits.filter(f => f.enseignant === enseignant);
+            const forfaits = this.filterForfaits(StateManager.state.forfaits).filter(f => f.enseignant === enseignant);
             volumeForfaits = forfaits.reduce((sum, f) => sum + f.volumeHoraire, 0);
         }
 
-        const volumeTotalForfait = volumeSupplementaire + volumeForfaits;
+        // Forfaits et volumes supplémentaires sont saisis en heures brutes : même unité que l'enseignement
+        const forfaitsConvertis = this.convertForfaitHours(volumeForfaits, enseignant);
+        const supplementairesConvertis = this.convertForfaitHours(volumeSupplementaire, enseignant);
+        const volumeTotalForfait = forfaitsConvertis + supplementairesConvertis;
+        const arrondi = (value) => (precise ? value : parseFloat(value.toFixed(0)));
 
         return {
-            enseignement: parseFloat(volumeEnseignement.toFixed(0)),
-            forfait: parseFloat(volumeTotalForfait.toFixed(0)),
-            total: parseFloat((volumeEnseignement + volumeTotalForfait).toFixed(0))
+            enseignement: arrondi(volumeEnseignement),
+            forfaits: arrondi(forfaitsConvertis),
+            volumesSupplementaires: arrondi(supplementairesConvertis),
+            forfait: arrondi(volumeTotalForfait),
+            total: arrondi(volumeEnseignement + volumeTotalForfait)
         };
     }
 
@@ -68,7 +176,7 @@ class VolumeService {
         const volumeHTP = {};
 
         enseignants.forEach(ens => {
-            const details = this.calculateTeacherVolumeDetails(ens, seances, volumesSupplementaires);
+            const details = this.calculateTeacherVolumeDetails(ens, seances, volumesSupplementaires, currentSession);
             let volumeTotalPourSession = details.enseignement;
 
             // Le volume supplémentaire / forfait n'est ajouté QUE pour la session d'automne
@@ -89,6 +197,60 @@ class VolumeService {
         return volumeHTP;
     }
 
+    /**
+     * Service annuel dû par un enseignant selon son profil (service individuel, décharges)
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @param {number} annualVHM - Le VHM annuel du département (service par défaut)
+     * @returns {number} Le service dû (hTP)
+     */
+    getTeacherServiceTarget(enseignant, annualVHM) {
+        return this.getTeacherProfile(enseignant).getServiceTarget(annualVHM);
+    }
+
+    /**
+     * Référence de charge d'un enseignant pour une session : service dû annuel,
+     * divisé par deux en session d'automne (même règle que le VHM annuel)
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @param {number} annualVHM - Le VHM annuel du département
+     * @param {string} currentSession - La session
+     * @returns {number} La référence (hTP)
+     */
+    getTeacherSessionReference(enseignant, annualVHM, currentSession) {
+        const target = this.getTeacherServiceTarget(enseignant, annualVHM);
+        return normalizeSessionLabel(currentSession) === 'autumn' ? Math.round(target / 2) : Math.round(target);
+    }
+
+    /**
+     * Plafond de charge propre au statut d'un enseignant pour une session,
+     * divisé par deux en session d'automne (même règle que la référence)
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @param {string} currentSession - La session
+     * @returns {number|null} Le plafond (null = plafond commun de la session)
+     */
+    getTeacherSessionCap(enseignant, currentSession) {
+        const cap = this.getTeacherProfile(enseignant).getWorkloadCap();
+        if (cap === null) return null;
+        return normalizeSessionLabel(currentSession) === 'autumn' ? Math.round(cap / 2) : cap;
+    }
+
+    /**
+     * Indique si le service dû de l'enseignant est individualisé
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @returns {boolean} True si service individuel ou décharge
+     */
+    hasIndividualService(enseignant) {
+        return this.getTeacherProfile(enseignant).hasIndividualService();
+    }
+
+    /**
+     * Enseignant avec son profil enregistré
+     * @param {string} enseignant - Le nom de l'enseignant
+     * @returns {Teacher} L'enseignant
+     */
+    getTeacherProfile(enseignant) {
+        return new Teacher(enseignant, { profil: StateManager.state.enseignantProfils?.[enseignant] });
+    }
+
     /**
      * Calcule le nombre d'enseignants attribués pour une matière
      * @param {string} matiere - La matière
@@ -151,16 +313,20 @@ class VolumeService {
     calculateGlobalVolumeMetrics(subjects, seances, totalTeachers, volumesSupplementaires = {}, forfaits = [], currentSession = null, volumesAutomne = {}) {
         let globalVHT = 0;
 
+        // Heures converties avec les équivalences du statut permanent (référence du département)
+        const coefficients = this.getEquivalenceCoefficients();
+
         // 1) Somme des VHT définis par matière (déclaratifs), indépendants des séances attribuées
         subjects.forEach(subject => {
-            globalVHT += subject.calculateVHT();
+            globalVHT += subject.calculateVHT(coefficients);
         });
 
         // 2) Ajouter les forfaits fournis via le paramètre `forfaits` (ces forfaits doivent être
         // fournis par l'appelant pour la session concernée). NE PAS ajouter les volumesSupplementaires.
+        // Heures brutes converties avec le coefficient « Forfait » des permanents, comme les matières
         if (forfaits && Array.isArray(forfaits)) {
             forfaits.forEach(forfait => {
-                globalVHT += Number(forfait.volumeHoraire) || 0;
+                globalVHT += (Number(forfait.volumeHoraire) || 0) * coefficients.Forfait;
             });
         }
 
@@ -174,11 +340,11 @@ class VolumeService {
 
         const totalUniqueTeachers = allAttributedTeachers.size;
 
-        // Calculer le VHM global réel : somme des hTP_Affecte des séances (heures effectivement planifiées)
+        // Calculer le VHM global réel : somme des hTP_Affecte des séances (heures effectivement tenues)
         let globalVHM = 0;
         const denom = totalTeachers > 0 ? totalTeachers : 1;
         seances.forEach(s => {
-            const h = Number(s.hTP_Affecte) || 0;
+            const h = this.getEffectiveHTP(s, currentSession) * (coefficients[s.type] ?? 1);
             globalVHM += (h / denom);
         });
 
@@ -0,0 +1,275 @@
+/**
+ * Équilibrage des charges enseignants (post-traitement de la génération)
+ * Réaffecte les enseignants des séances déjà placées, sans toucher aux créneaux ni aux salles,
+ * pour réduire la variance des écarts au service de référence de la session.
+ * Recherche locale par meilleure amélioration : chaque étape remplace un enseignant d'une séance
+ * par un autre si la variance diminue. Contraintes dures du remplaçant :
+ *  - la matière figure dans ses souhaits, à un rang au moins aussi bon que celui de l'enseignant remplacé
+ *  - il ne refuse pas le type de séance (refusesTypeForSubject) et n'a pas marqué le créneau non souhaité
+ *  - il est libre sur le créneau (ConflictService) et reste sous son plafond de charge
+ * @author Ibrahim Mrani - UCD
+ */
+
+import { BALANCING_MAX_MOVES, CRENEAUX_COUPLES_SUIVANT } from '../config/constants.js';
+import { getSessionTimeRange } from '../utils/helpers.js';
+import StateManager from '../controllers/StateManager.js';
+import ConflictService from './ConflictService.js';
+import TeacherAvailabilityService from './TeacherAvailabilityService.js';
+import VolumeService from './VolumeService.js';
+import SchedulingService from './SchedulingService.js';
+import LogService from './LogService.js';
+
+// Gain minimal (variance) pour retenir une réaffectation
+const EPSILON = 1e-6;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+class WorkloadBalancingService {
+    /**
+     * Séances réaffectables : séances placées, comptées (hTP > 0) et pourvues d'enseignants,
+     * avec la seconde partie de chaque TP qui suit les enseignants de la première
+     * @param {Array<Session>} seances - Les séances
+     * @returns {Array<Object>} Unités { seance, parts }
+     */
+    getAssignmentUnits(seances) {
+        return seances
+            .filter(s => s.jour && s.creneau && Number(s.hTP_Affecte) > 0 && s.enseignantsArray.length > 0)
+            .map(seance => ({ seance, parts: [seance, ...this.findSecondParts(seance, seances)] }));
+    }
+
+    /**
+     * Seconde partie d'un TP : même entité, même jour, créneau couplé et hTP nul
+     * @param {Session} seance - La première partie
+     * @param {Array<Session>} seances - Les séances
+     * @returns {Array<Session>} Les secondes parties (0 ou 1)
+     */
+    findSecondParts(seance, seances) {
+        const coupled = CRENEAUX_COUPLES_SUIVANT[seance.creneau];
+        if (seance.type !== 'TP' || !coupled) return [];
+
+        return seances.filter(s =>
+            s !== seance &&
+            s.type === 'TP' &&
+            !(Number(s.hTP_Affecte) > 0) &&
+            s.uniqueStudentEntity === seance.uniqueStudentEntity &&
+            s.matiere === seance.matiere &&
+            s.jour === seance.jour &&
+            s.creneau === coupled
+        );
+    }
+
+    /**
+     * Volumes de la session pour un ensemble de séances (mêmes règles que l'affichage)
+     * @param {Array<Session>} seances - Les séances
+     * @returns {Object} Les volumes par enseignant
+     */
+    computeVolumes(seances) {
+        return VolumeService.calculateAllVolumes(
+            StateManager.state.enseignants,
+            seances,
+            StateManager.state.enseignantVolumesSupplementaires,
+            StateManager.state.header.session,
+            StateManager.state.volumesAutomne
+        );
+    }
+
+    /**
+     * Écart-type des écarts au service de référence
+     * @param {Array<string>} noms - Les enseignants
+     * @param {Object} volumes - Les volumes
+     * @param {Object} references - Les références
+     * @returns {number} L'écart-type
+     */
+    computeStandardDeviation(noms, volumes, references) {
+        if (noms.length === 0) return 0;
+
+        const ecarts = noms.map(nom => (volumes[nom] || 0) - references[nom]);
+        const moyenne = ecarts.reduce((sum, e) => sum + e, 0) / ecarts.length;
+        const variance = ecarts.reduce((sum, e) => sum + (e - moyenne) ** 2, 0) / ecarts.length;
+        return Math.sqrt(variance);
+    }
+
+    /**
+     * Remplaçants possibles de chaque enseignant d'une unité (contraintes indépendantes de la charge)
+     * @param {Object} unit - L'unité
+     * @param {Map<string, Teacher>} teachers - Les enseignants par nom
+     * @returns {Array<Object>} Candidats { from, to, creditFrom, creditTo }
+     */
+    getUnitCandidates(unit, teachers) {
+        const { seance } = unit;
+        const nb = seance.enseignantsArray.length;
+        const candidates = [];
+
+        seance.enseignantsArray.forEach(from => {
+            if (!teachers.has(from)) return;
+            const rankFrom = teachers.get(from).getWishRankForSubject(seance.matiere);
+
+            teachers.forEach((teacher, to) => {
+                if (seance.enseignantsArray.includes(to)) return;
+
+                const rankTo = teacher.getWishRankForSubject(seance.matiere);
+                if (rankTo === 0 || (rankFrom > 0 && rankTo > rankFrom)) return;
+                if (TeacherAvailabilityService.teacherRefusesType(teacher, seance.matiere, seance.type)) return;
+                if (unit.parts.some(part => TeacherAvailabilityService.calculateUndesiredSlotPenalty(teacher, part) > 0)) return;
+
+                candidates.push({
+                    from,
+                    to,
+                    creditFrom: VolumeService.calculateSessionCredit(seance, from, null, nb),
+                    creditTo: VolumeService.calculateSessionCredit(seance, to, null, nb)
+                });
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Indique si un enseignant est libre sur toutes les parties d'une unité
+     * @param {string} nom - L'enseignant
+     * @param {Object} unit - L'unité
+     * @param {Array<Session>} seances - Les séances (copie de travail)
+     * @returns {boolean} True si disponible
+     */
+    isAvailableForUnit(nom, unit, seances) {
+        return unit.parts.every(part => ConflictService.isTeacherAvailable(
+            nom, part.jour, part.creneau, part.type, seances, getSessionTimeRange(part), part
+        ));
+    }
+
+    /**
+     * Calcule une proposition d'équilibrage sur une copie des séances de la session
+     * @returns {Object} { moves, assignments, rows, stats }
+     */
+    computeProposal() {
+        const session = StateManager.state.header.session;
+        const noms = [...StateManager.state.enseignants];
+        const teachers = new Map(StateManager.getTeachers().map(t => [t.nom, t]));
+
+        // Copie de travail : les séances réelles ne changent qu'à l'application
+        const seances = StateManager.getSeances().map(s => s.clone());
+        const units = this.getAssignmentUnits(seances);
+
+        const before = this.computeVolumes(seances);
+        const annualVHM = SchedulingService.computeAnnualVHM();
+        const maxWorkload = SchedulingService.computeMaxWorkloadForCurrentSession();
+        const references = Object.fromEntries(noms.map(nom => [nom, VolumeService.getTeacherSessionReference(nom, annualVHM, session)]));
+        const plafonds = Object.fromEntries(noms.map(nom => [nom, SchedulingService.computeMaxWorkloadForTeacher(nom, maxWorkload, annualVHM)]));
+
+        // Variance des écarts = S/n - (T/n)², mise à jour en O(1) à chaque réaffectation
+        const n = noms.length || 1;
+        const ecarts = Object.fromEntries(noms.map(nom => [nom, (before[nom] || 0) - references[nom]]));
+        let sumSquares = noms.reduce((sum, nom) => sum + ecarts[nom] ** 2, 0);
+        let sum = noms.reduce((total, nom) => total + ecarts[nom], 0);
+        const variance = (S, T) => S / n - (T / n) ** 2;
+
+        const candidatesByUnit = new Map(units.map(unit => [unit, this.getUnitCandidates(unit, teachers)]));
+        const moves = [];
+
+        while (moves.length < BALANCING_MAX_MOVES) {
+            const current = variance(sumSquares, sum);
+            const improving = [];
+
+            candidatesByUnit.forEach((candidates, unit) => {
+                candidates.forEach(candidate => {
+                    const { from, to, creditFrom, creditTo } = candidate;
+                    if (!unit.seance.enseignantsArray.includes(from) || unit.seance.enseignantsArray.includes(to)) return;
+                    if (references[to] + ecarts[to] + creditTo > plafonds[to]) return;
+
+                    const ef = ecarts[from];
+                    const et = ecarts[to];
+                    const newSumSquares = sumSquares - ef ** 2 - et ** 2 + (ef - creditFrom) ** 2 + (et + creditTo) ** 2;
+                    const newSum = sum - creditFrom + creditTo;
+                    const gain = current - variance(newSumSquares, newSum);
+
+                    if (gain > EPSILON) improving.push({ unit, candidate, gain, newSumSquares, newSum });
+                });
+            });
+
+            improving.sort((a, b) => b.gain - a.gain);
+            const best = improving.find(({ unit, candidate }) => this.isAvailableForUnit(candidate.to, unit, seances));
+            if (!best) break;
+
+            const { unit, candidate } = best;
+            const enseignantsApres = unit.seance.enseignantsArray.map(nom => (nom === candidate.from ? candidate.to : nom));
+            unit.parts.forEach(part => part.setTeachers(enseignantsApres));
+
+            ecarts[candidate.from] -= candidate.creditFrom;
+            ecarts[candidate.to] += candidate.creditTo;
+            sumSquares = best.newSumSquares;
+            sum = best.newSum;
+
+            moves.push({
+                seanceId: unit.seance.id,
+                matiere: unit.seance.matiere,
+                type: unit.seance.type,
+                groupe: unit.seance.groupe,
+                jour: unit.seance.jour,
+                creneau: unit.seance.creneau,
+                from: candidate.from,
+                to: candidate.to
+            });
+        }
+
+        const after = this.computeVolumes(seances);
+
+        // Affectations finales des séances modifiées (parties de TP comprises)
+        const changedIds = new Set(moves.map(m => m.seanceId));
+        const assignments = units
+            .filter(unit => changedIds.has(unit.seance.id))
+            .flatMap(unit => unit.parts.map(part => ({ id: part.id, enseignants: [...part.enseignantsArray] })));
+
+        const rows = noms.map(nom => ({
+            nom,
+            avant: round2(before[nom]),
+            apres: round2(after[nom]),
+            reference: references[nom],
+            plafond: plafonds[nom]
+        }));
+
+        const depassements = (volumes) => noms.filter(nom => (volumes[nom] || 0) > plafonds[nom]).length;
+
+        const stats = {
+            ecartTypeAvant: round2(this.computeStandardDeviation(noms, before, references)),
+            ecartTypeApres: round2(this.computeStandardDeviation(noms, after, references)),
+            maxAvant: round2(Math.max(0, ...noms.map(nom => before[nom] || 0))),
+            maxApres: round2(Math.max(0, ...noms.map(nom => after[nom] || 0))),
+            depassementsAvant: depassements(before),
+            depassementsApres: depassements(after)
+        };
+
+        LogService.info(`⚖️ Équilibrage des charges : ${moves.length} réaffectation(s) proposée(s), écart-type ${stats.ecartTypeAvant} → ${stats.ecartTypeApres}`);
+
+        return { moves, assignments, rows, stats };
+    }
+
+    /**
+     * Applique une proposition (une seule étape annulable)
+     * @param {Object} proposal - La proposition (voir computeProposal)
+     * @returns {number} Le nombre de séances modifiées
+     */
+    applyProposal(proposal) {
+        let updated = 0;
+
+        StateManager.beginHistoryGroup('Équilibrage des charges enseignants');
+        try {
+            proposal.assignments.forEach(({ id, enseignants }) => {
+                const seance = StateManager.updateSeance(id, {
+                    enseignantsArray: [...enseignants],
+                    enseignant: enseignants.join(' / ')
+                });
+                if (seance) updated++;
+            });
+        } finally {
+            StateManager.endHistoryGroup();
+        }
+
+        StateManager.saveState();
+        LogService.success(`✅ Équilibrage appliqué : ${proposal.moves.length} réaffectation(s), ${updated} séance(s) modifiée(s)`);
+
+        return updated;
+    }
+}
+
+// Export d'une instance singleton
+export default new WorkloadBalancingService();
@@ -0,0 +1,248 @@
+/**
+ * Renderer du calendrier daté : dates du semestre, vacances et examens,
+ * et vue semaine par semaine générée depuis la semaine type
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import CalendarService from '../services/CalendarService.js';
+import { getJoursOuvres, getCreneauxForJour, getSortedCreneauxKeys } from '../utils/helpers.js';
+import { safeText } from '../utils/sanitizers.js';
+
+const STATUT_LABELS = {
+    cours: 'Cours',
+    vacances: 'Vacances',
+    examens: 'Examens',
+    prevue: 'Prévue',
+    annulee: 'Annulée',
+    deplacee: 'Déplacée',
+    reportee: 'Reportée',
+    fermee: 'Fermée'
+};
+
+class CalendarRenderer {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur
+     */
+    init(containerId = 'calendarContainer') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Semaine affichée (mémorisée dans l'état UI), bornée aux semaines du semestre
+     * @param {Array<Object>} weeks - Les semaines
+     * @returns {number} Le numéro de semaine
+     */
+    getSelectedWeek(weeks) {
+        const saved = Number(StateManager.state.ui?.calendarWeek) || 1;
+        return Math.min(Math.max(saved, 1), Math.max(weeks.length, 1));
+    }
+
+    /**
+     * Mémorise la semaine affichée
+     * @param {number} index - Le numéro de semaine
+     */
+    setSelectedWeek(index) {
+        if (!StateManager.state.ui) StateManager.state.ui = {};
+        StateManager.state.ui.calendarWeek = index;
+    }
+
+    /**
+     * Rend le calendrier complet
+     */
+    render() {
+        if (!this.container) return;
+
+        const weeks = CalendarService.getWeeks();
+        let html = `
+            <div class="calendar-layout">
+                ${this.renderSemestreForm()}
+                ${this.renderPeriodes()}
+            </div>`;
+
+        if (weeks.length === 0) {
+            html += '<p class="empty-message">Renseignez les dates du semestre pour générer les semaines du calendrier.</p>';
+        } else {
+            const selected = this.getSelectedWeek(weeks);
+            html += this.renderWeekStrip(weeks, selected);
+            html += this.renderWeek(weeks[selected - 1]);
+        }
+
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Formulaire des dates du semestre de la session active
+     * @returns {string} HTML
+     */
+    renderSemestreForm() {
+        const session = StateManager.state.header?.session || '';
+        const { debut, fin } = CalendarService.getSemestre();
+        const weeks = CalendarService.getWeeks();
+        const teaching = weeks.filter(w => w.statut === 'cours').length;
+
+        return `
+            <div class="calendar-card">
+                <h3>📆 ${safeText(session)}</h3>
+                <div class="form-row">
+                    <label>Début <input type="date" id="calendarSemestreDebut" value="${safeText(debut)}"></label>
+                    <label>Fin <input type="date" id="calendarSemestreFin" value="${safeText(fin)}"></label>
+                    <button class="btn btn-primary btn-sm" onclick="EDTCalendarHandlers.saveSemestre()">Enregistrer</button>
+                </div>
+                ${weeks.length > 0
+                    ? `<p class="help-text">${weeks.length} semaine(s), dont ${teaching} de cours. Les volumes horaires sont calculés sur les occurrences réellement tenues.</p>`
+                    : '<p class="help-text">Sans dates, les volumes horaires restent ceux de la semaine type.</p>'}
+            </div>`;
+    }
+
+    /**
+     * Listes des vacances et des examens, et formulaire d'ajout
+     * @returns {string} HTML
+     */
+    renderPeriodes() {
+        const cal = CalendarService.getCalendar();
+
+        const renderList = (type) => {
+            if (cal[type].length === 0) {
+                return '<li class="empty-message">Aucune période</li>';
+            }
+            return cal[type].map((p, index) => `
+                <li>
+                    ${safeText(CalendarService.formatDateFR(p.debut))}${p.fin && p.fin !== p.debut ? ` → ${safeText(CalendarService.formatDateFR(p.fin))}` : ''}
+                    ${p.libelle ? `<em>${safeText(p.libelle)}</em>` : ''}
+                    <button class="btn btn-danger btn-sm" title="Supprimer"
+                        onclick="EDTCalendarHandlers.removePeriode('${type}', ${index})">✕</button>
+                </li>`).join('');
+        };
+
+        return `
+            <div class="calendar-card">
+                <h3>🏖️ Vacances et examens</h3>
+                <div class="calendar-periodes">
+                    <div><strong>Vacances</strong><ul>${renderList('vacances')}</ul></div>
+                    <div><strong>Examens</strong><ul>${renderList('examens')}</ul></div>
+                </div>
+                <div class="form-row">
+                    <select id="calendarPeriodeType">
+                        <option value="vacances">Vacances / jour férié</option>
+                        <option value="examens">Examens</option>
+                    </select>
+                    <input type="date" id="calendarPeriodeDebut" title="Début">
+                    <input type="date" id="calendarPeriodeFin" title="Fin (vide = un seul jour)">
+                    <input type="text" id="calendarPeriodeLibelle" placeholder="Libellé (ex: Aïd, partiels)">
+                    <button class="btn btn-secondary btn-sm" onclick="EDTCalendarHandlers.addPeriode()">Ajouter</button>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Bandeau de sélection des semaines
+     * @param {Array<Object>} weeks - Les semaines
+     * @param {number} selected - La semaine affichée
+     * @returns {string} HTML
+     */
+    renderWeekStrip(weeks, selected) {
+        return `
+            <div class="calendar-weeks">
+                ${weeks.map(w => `
+                    <button class="calendar-week-btn week-${w.statut} ${w.index === selected ? 'active' : ''}"
+                        title="${safeText(`${CalendarService.formatDateFR(w.debut)} – ${STATUT_LABELS[w.statut]}${w.rang ? ` n°${w.rang} ${w.alternance}` : ''}${w.libelle ? ` (${w.libelle})` : ''}`)}"
+                        onclick="EDTCalendarHandlers.selectWeek(${w.index})">S${w.index}</button>`).join('')}
+            </div>`;
+    }
+
+    /**
+     * Grille jours × créneaux d'une semaine datée
+     * @param {Object} week - La semaine
+     * @returns {string} HTML
+     */
+    renderWeek(week) {
+        const occurrences = CalendarService.getWeekOccurrences(week.index);
+        const jours = getJoursOuvres();
+        const creneaux = getSortedCreneauxKeys();
+
+        let html = `
+            <h3 class="calendar-week-title">
+                Semaine ${week.index}${week.rang ? ` — semaine de cours n°${week.rang} (${week.alternance})` : ''} : du ${safeText(CalendarService.formatDateFR(week.debut))} au ${safeText(CalendarService.formatDateFR(week.fin))}
+                <span class="calendar-statut statut-${week.statut}">${STATUT_LABELS[week.statut]}${week.libelle ? ` – ${safeText(week.libelle)}` : ''}</span>
+            </h3>
+            <table class="calendar-week-table">
+                <thead><tr><th>Jour</th>${creneaux.map(c => `<th>${safeText(c)}</th>`).join('')}</tr></thead>
+                <tbody>`;
+
+        jours.forEach(jour => {
+            const date = CalendarService.getDateForJour(week, jour);
+            const inSemestre = CalendarService.isInSemestre(date);
+            const periode = inSemestre ? CalendarService.getPeriodeAt(date) : null;
+            const ouverts = getCreneauxForJour(jour);
+
+            html += `
+                    <tr class="${periode ? `jour-${periode.type}` : ''}">
+                        <th>${safeText(jour)}<br><small>${safeText(CalendarService.formatDateFR(date))}</small>
+                            ${periode?.libelle ? `<br><small>${safeText(periode.libelle)}</small>` : ''}</th>`;
+
+            creneaux.forEach(creneau => {
+                if (!inSemestre || !ouverts.includes(creneau)) {
+                    html += '<td class="creneau-ferme"></td>';
+                    return;
+                }
+                const cellOccurrences = occurrences.filter(o => o.date === date && o.creneau === creneau);
+                html += `<td>${cellOccurrences.map(o => this.generateOccurrenceHTML(o)).join('')}</td>`;
+            });
+
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        return html;
+    }
+
+    /**
+     * Carte d'une occurrence avec ses actions
+     * @param {Object} occurrence - L'occurrence (voir CalendarService.getWeekOccurrences)
+     * @returns {string} HTML
+     */
+    generateOccurrenceHTML(occurrence) {
+        const { seance, statut, exception } = occurrence;
+        const typeClass = (seance.type || '').toLowerCase();
+        // Une occurrence reportée se gère depuis sa date d'origine
+        const date = occurrence.origine || occurrence.date;
+
+        let detail = '';
+        if (statut === 'deplacee') {
+            detail = `→ ${CalendarService.formatDateFR(exception.nouvelleDate)} ${exception.nouveauCreneau}`;
+        } else if (statut === 'reportee') {
+            detail = `du ${CalendarService.formatDateFR(occurrence.origine)}`;
+        }
+
+        let actions = '';
+        if (statut === 'prevue') {
+            actions = `
+                <button class="btn btn-sm" title="Annuler cette occurrence" onclick="EDTCalendarHandlers.cancelOccurrence(${seance.id}, '${date}')">✕</button>
+                <button class="btn btn-sm" title="Déplacer cette occurrence" onclick="EDTCalendarHandlers.moveOccurrence(${seance.id}, '${date}')">⇄</button>`;
+        } else if (statut !== 'fermee') {
+            actions = `
+                <button class="btn btn-sm" title="Rétablir l'occurrence prévue" onclick="EDTCalendarHandlers.restoreOccurrence(${seance.id}, '${date}')">↺</button>`;
+        }
+
+        return `
+            <div class="calendar-occurrence ${typeClass} occurrence-${statut}">
+                <strong>${safeText(seance.matiere)}</strong> (${safeText(seance.type)})<br>
+                <small>${safeText(seance.groupe || seance.filiere)}${seance.salle ? ' · ' + safeText(seance.salle) : ''}</small>
+                ${statut !== 'prevue' ? `<div class="occurrence-statut">${STATUT_LABELS[statut]} ${safeText(detail)}</div>` : ''}
+                ${exception?.motif ? `<div class="occurrence-motif">${safeText(exception.motif)}</div>` : ''}
+                <div class="occurrence-actions">${actions}</div>
+            </div>`;
+    }
+}
+
+// Export d'une instance singleton
+export default new CalendarRenderer();
@@ -4,6 +4,13 @@
 import StateManager from '../controllers/StateManager.js';
 import { safeText } from '../utils/sanitizers.js';
 import LogService from '../services/LogService.js'; // pour messages de confirmation si besoin
+import CapacityService from '../services/CapacityService.js';
+import ConflictService from '../services/ConflictService.js';
+import Subject from '../models/Subject.js';
+import { EQUIPEMENTS_SALLE, LISTE_TYPES_SEANCE, TYPES_EQUIVALENCE, JOURS_SEMAINE, STATUTS_ENSEIGNANTS, DEFAULT_EQUIVALENCES_HORAIRES } from '../config/constants.js';
+import VolumeService from '../services/VolumeService.js';
+import { getSortedCreneauxKeys, getJoursSansTP, initJours } from '../utils/helpers.js';
+import { friendlyLabel } from '../utils/session.js';
 
 class ConfigListRenderer {
     /**
@@ -25,13 +32,18 @@ class ConfigListRenderer {
         enseignants.forEach(nom => {
             const seances = (typeof StateManager.getSeances === 'function' ? StateManager.getSeances() : []).filter(s => s.hasTeacherAssigned && s.hasTeacherAssigned(nom));
             const dataName = encodeURIComponent(nom);
+            const profil = StateManager.state.enseignantProfils?.[nom] || {};
+            const profilMeta = [profil.grade, STATUTS_ENSEIGNANTS[profil.statut], profil.email].filter(Boolean).join(' · ');
             html += `
                 <div class="config-list-item">
                     <div class="config-item-content">
                         <div class="config-item-title">${safeText(nom)}</div>
-                        <div class="config-item-meta">${seances.length} séance(s) assignée(s)</div>
+                        <div class="config-item-meta">${seances.length} séance(s) assignée(s)${profilMeta ? ` — ${safeText(profilMeta)}` : ''}</div>
                     </div>
                     <div class="config-item-actions">
+                        <button class="btn btn-sm btn-secondary" data-action="edit-teacher-profile" data-name="${dataName}">
+                            🪪 Profil
+                        </button>
                         <button class="btn-delete-config" data-action="delete-teacher" data-name="${dataName}">
                             🗑️ Supprimer
                         </button>
@@ -44,6 +56,12 @@ class ConfigListRenderer {
         container.innerHTML = html;
 
         // Attacher listeners
+        container.querySelectorAll('[data-action="edit-teacher-profile"]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                window.EDTTeacherController?.editTeacherProfile(decodeURIComponent(btn.getAttribute('data-name') || ''));
+            });
+        });
+
         container.querySelectorAll('[data-action="delete-teacher"]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const name = decodeURIComponent(btn.getAttribute('data-name') || '');
@@ -89,6 +107,14 @@ class ConfigListRenderer {
                             ${config.sections_cours || 0} section(s) • 
                             ${seances.length} séance(s)
                         </div>
+                        <details class="equipements-picker">
+                            <summary>Équipements exigés : ${this.formatEquipmentSummary(Object.values(config.equipementsRequis || {}).flat())}</summary>
+                            ${LISTE_TYPES_SEANCE.map(type => `
+                                <div class="equipements-row">
+                                    <span class="equipements-type">${safeText(type)}</span>
+                                    ${this.renderEquipmentCheckboxes(config.equipementsRequis?.[type] || [], `data-action="subject-equipment" data-name="${dataName}" data-type="${safeText(type)}"`)}
+                                </div>`).join('')}
+                        </details>
                     </div>
                     <div class="config-item-actions">
                         <button class="btn-delete-config" data-action="delete-subject" data-name="${dataName}">
@@ -102,6 +128,23 @@ class ConfigListRenderer {
 
         container.innerHTML = html;
 
+        container.querySelectorAll('[data-action="subject-equipment"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const name = decodeURIComponent(input.getAttribute('data-name') || '');
+                const type = input.getAttribute('data-type');
+                const config = StateManager.state.matiereGroupes[name];
+                if (!config) return;
+
+                if (!config.equipementsRequis) config.equipementsRequis = {};
+                const requis = (config.equipementsRequis[type] || []).filter(e => e !== input.value);
+                if (input.checked) requis.push(input.value);
+                config.equipementsRequis[type] = requis;
+
+                StateManager.saveState(true);
+                this.renderMatieresList(containerId);
+            });
+        });
+
         container.querySelectorAll('[data-action="delete-subject"]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const name = decodeURIComponent(btn.getAttribute('data-name') || '');
@@ -139,8 +182,15 @@ class ConfigListRenderer {
                         <div class="config-item-title">${safeText(nom)}</div>
                         <div class="config-item-meta">
                             Type: ${safeText(type || '')} • 
+                            Capacité: <input type="number" class="config-inline-number" min="0" placeholder="—"
+                                data-action="room-capacity" data-name="${dataName}"
+                                value="${CapacityService.getRoomCapacity(nom) || ''}"> places • 
                             ${seances.length} séance(s)
                         </div>
+                        <details class="equipements-picker">
+                            <summary>Équipements : ${this.formatEquipmentSummary(StateManager.state.sallesEquipements?.[nom] || [])}</summary>
+                            ${this.renderEquipmentCheckboxes(StateManager.state.sallesEquipements?.[nom] || [], `data-action="room-equipment" data-name="${dataName}"`)}
+                        </details>
                     </div>
                     <div class="config-item-actions">
                         <button class="btn-delete-config" data-action="delete-room" data-name="${dataName}">
@@ -154,6 +204,33 @@ class ConfigListRenderer {
 
         container.innerHTML = html;
 
+        container.querySelectorAll('[data-action="room-equipment"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const name = decodeURIComponent(input.getAttribute('data-name') || '');
+                if (!StateManager.state.sallesEquipements) StateManager.state.sallesEquipements = {};
+
+                const equipements = (StateManager.state.sallesEquipements[name] || []).filter(e => e !== input.value);
+                if (input.checked) equipements.push(input.value);
+                if (equipements.length > 0) {
+                    StateManager.state.sallesEquipements[name] = equipements;
+                } else {
+                    delete StateManager.state.sallesEquipements[name];
+                }
+
+                StateManager.saveState(true);
+                this.renderSallesList(containerId);
+            });
+        });
+
+        container.querySelectorAll('[data-action="room-capacity"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const name = decodeURIComponent(input.getAttribute('data-name') || '');
+                CapacityService.setRoomCapacity(name, input.value);
+                StateManager.saveState(true);
+                LogService.info(`Capacité de la salle "${name}" : ${CapacityService.getRoomCapacity(name) || 'non renseignée'}`);
+            });
+        });
+
         container.querySelectorAll('[data-action="delete-room"]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const name = decodeURIComponent(btn.getAttribute('data-name') || '');
@@ -192,6 +269,9 @@ class ConfigListRenderer {
                         <div class="config-item-title">${safeText(f.nom)}</div>
                         <div class="config-item-meta">
                             Session: ${safeText(f.session || '')} • 
+                            Effectif: <input type="number" class="config-inline-number" min="0" placeholder="—"
+                                data-action="filiere-effectif" data-name="${dataName}"
+                                value="${CapacityService.getFiliereEffectif(f.nom) || ''}"> étudiants • 
                             ${matieres.length} matière(s)
                         </div>
                     </div>
@@ -207,6 +287,23 @@ class ConfigListRenderer {
 
         container.innerHTML = html;
 
+        container.querySelectorAll('[data-action="filiere-effectif"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const name = decodeURIComponent(input.getAttribute('data-name') || '');
+                const filiere = StateManager.state.filieres.find(f => f.nom === name);
+                if (!filiere) return;
+
+                const value = Math.max(0, Math.floor(Number(input.value) || 0));
+                if (value > 0) {
+                    filiere.effectif = value;
+                } else {
+                    delete filiere.effectif;
+                }
+                StateManager.saveState(true);
+                this.renderEffectifsList();
+            });
+        });
+
         container.querySelectorAll('[data-action="delete-filiere"]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const name = decodeURIComponent(btn.getAttribute('data-name') || '');
@@ -219,6 +316,79 @@ class ConfigListRenderer {
         });
     }
 
+    /**
+     * Rend les effectifs par section et groupe de TD/TP, déduits de l'effectif
+     * de chaque filière (une valeur saisie remplace la valeur déduite)
+     */
+    renderEffectifsList(containerId = 'configEffectifsContainer') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const filieres = (StateManager.state.filieres || []).slice().sort((a, b) => String(a.nom || '').localeCompare(String(b.nom || '')));
+        const matiereGroupes = StateManager.state.matiereGroupes || {};
+        const overrides = StateManager.state.effectifs || {};
+
+        if (filieres.length === 0) {
+            container.innerHTML = '<div class="config-list-empty">Aucune filière configurée</div>';
+            return;
+        }
+
+        let html = '';
+        filieres.forEach(filiere => {
+            // Les entités portent le même nom d'une matière à l'autre : la première matière l'emporte
+            const rows = new Map();
+            Object.entries(matiereGroupes)
+                .filter(([, data]) => data && data.filiere === filiere.nom)
+                .forEach(([nom, data]) => {
+                    CapacityService.getDerivedEffectifs(new Subject(nom, data), filiere.nom).forEach(row => {
+                        if (!rows.has(row.key)) rows.set(row.key, row);
+                    });
+                });
+
+            html += `
+                <details class="config-list-item effectifs-item">
+                    <summary class="config-item-title">
+                        ${safeText(filiere.nom)} — ${CapacityService.getFiliereEffectif(filiere.nom) || '?'} étudiants
+                        (${rows.size} section(s)/groupe(s))
+                    </summary>`;
+
+            if (rows.size === 0) {
+                html += '<div class="config-list-empty">Aucune matière rattachée</div>';
+            } else {
+                html += `
+                    <table class="effectifs-table">
+                        <thead><tr><th>Entité</th><th>Type</th><th>Déduit</th><th>Effectif saisi</th></tr></thead>
+                        <tbody>`;
+                rows.forEach(row => {
+                    html += `
+                            <tr>
+                                <td>${safeText(row.entity)}</td>
+                                <td>${safeText(row.type)}</td>
+                                <td>${row.effectif || '—'}</td>
+                                <td>
+                                    <input type="number" class="config-inline-number" min="0" placeholder="${row.effectif || ''}"
+                                        data-action="entity-effectif" data-key="${encodeURIComponent(row.key)}"
+                                        value="${overrides[row.key] || ''}">
+                                </td>
+                            </tr>`;
+                });
+                html += '</tbody></table>';
+            }
+
+            html += '</details>';
+        });
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('[data-action="entity-effectif"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const key = decodeURIComponent(input.getAttribute('data-key') || '');
+                CapacityService.setEffectifOverride(key, input.value);
+                StateManager.saveState(true);
+            });
+        });
+    }
+
     /**
      * Rend la table des forfaits (on laisse le rendu tabulaire mais on ajoute listeners dynamiques)
      */
@@ -242,7 +412,7 @@ class ConfigListRenderer {
             });
 
             let html = '<table class="forfaits-table"><thead><tr>';
-            html += '<th>Enseignant</th><th>Nature</th><th>Volume (h)</th><th>Description</th><th>Actions</th>';
+            html += '<th>Enseignant</th><th>Nature</th><th>Session</th><th>Année</th><th>Volume (h)</th><th>Description</th><th>Actions</th>';
             html += '</tr></thead><tbody>';
 
             const sortedTeachers = Object.keys(byTeacher).sort();
@@ -257,6 +427,8 @@ class ConfigListRenderer {
                     html += '<tr>';
                     if (index === 0) html += `<td rowspan="${teacherForfaits.length}"><strong>${safeText(teacher)}</strong></td>`;
                     html += `<td><span class="forfait-badge ${badgeClass}">${safeText(forfait.nature || '')}</span></td>`;
+                    html += `<td>${safeText(friendlyLabel(forfait.session || 'autumn'))}</td>`;
+                    html += `<td>${safeText(forfait.annee || StateManager.state.header?.annee || '-')}</td>`;
                     html += `<td>${forfait.volumeHoraire || 0}h</td>`;
                     html += `<td>${safeText(forfait.description || '-')}</td>`;
                     html += `<td><div class="forfait-actions">
@@ -266,7 +438,7 @@ class ConfigListRenderer {
                     html += '</tr>';
                 });
 
-                html += `<tr class="forfait-summary"><td colspan="2"><strong>Total ${safeText(teacher)}</strong></td><td><strong>${totalVolume}h</strong></td><td colspan="2"></td></tr>`;
+                html += `<tr class="forfait-summary"><td colspan="4"><strong>Total ${safeText(teacher)}</strong></td><td><strong>${totalVolume}h</strong></td><td colspan="2"></td></tr>`;
             });
 
             html += '</tbody></table>';
@@ -289,7 +461,7 @@ class ConfigListRenderer {
             container.querySelectorAll('.btn-forfait-edit').forEach(btn => {
                 btn.addEventListener('click', () => {
                     const id = decodeURIComponent(btn.getAttribute('data-id') || '');
-                    ForfaitController.editForfait && ForfaitController.editForfait(id);
+                    window.EDTApp?.editForfait(id);
                 });
             });
             container.querySelectorAll('.btn-forfait-delete').forEach(btn => {
@@ -303,6 +475,73 @@ class ConfigListRenderer {
         });
     }
 
+    /**
+     * Rend le catalogue des natures de forfait (volume horaire par défaut, ajout et retrait)
+     * @param {string} containerId - L'ID du conteneur
+     */
+    renderForfaitCatalogue(containerId = 'forfaitCatalogueContainer') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        import('../controllers/ForfaitController.js').then(module => {
+            const ForfaitController = module.default;
+            const catalogue = ForfaitController.getCatalogue();
+            const forfaits = ForfaitController.getAllForfaits();
+
+            let html = '<table class="forfaits-table"><thead><tr>';
+            html += '<th>Nature</th><th>Volume par défaut (h)</th><th>Forfaits attribués</th><th>Actions</th>';
+            html += '</tr></thead><tbody>';
+
+            catalogue.forEach(entry => {
+                const nature = encodeURIComponent(entry.nature);
+                const badgeClass = ForfaitController.getBadgeClass(entry.nature);
+                html += `<tr>
+                    <td><span class="forfait-badge ${badgeClass}">${safeText(entry.nature)}</span></td>
+                    <td><input type="number" min="0" step="0.5" style="width:90px;" data-action="catalogue-heures"
+                        data-nature="${nature}" value="${Number(entry.heures) || 0}"></td>
+                    <td>${forfaits.filter(f => f.nature === entry.nature).length}</td>
+                    <td><button class="btn-forfait-delete" data-action="catalogue-remove" data-nature="${nature}">🗑️</button></td>
+                </tr>`;
+            });
+
+            html += `<tr>
+                    <td><input type="text" id="inputCatalogueNature" placeholder="Nouvelle nature (ex: Tutorat)"></td>
+                    <td><input type="number" id="inputCatalogueHeures" min="0" step="0.5" style="width:90px;" placeholder="h"></td>
+                    <td colspan="2"><button type="button" id="btnCatalogueAjouter" class="btn btn-sm btn-primary">➕ Ajouter au catalogue</button></td>
+                </tr>`;
+            html += '</tbody></table>';
+            html += '<p class="help-text">Le volume par défaut pré-remplit le formulaire d\'attribution ; il reste modifiable forfait par forfait.</p>';
+
+            container.innerHTML = html;
+
+            container.querySelectorAll('[data-action="catalogue-heures"]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const nature = decodeURIComponent(input.getAttribute('data-nature') || '');
+                    if (!ForfaitController.saveCatalogueEntry(nature, input.value)) {
+                        this.renderForfaitCatalogue(containerId);
+                    }
+                });
+            });
+            container.querySelectorAll('[data-action="catalogue-remove"]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    ForfaitController.removeCatalogueEntry(decodeURIComponent(btn.getAttribute('data-nature') || ''));
+                });
+            });
+
+            const btnAjouter = container.querySelector('#btnCatalogueAjouter');
+            if (btnAjouter) {
+                btnAjouter.addEventListener('click', () => {
+                    ForfaitController.saveCatalogueEntry(
+                        container.querySelector('#inputCatalogueNature').value,
+                        container.querySelector('#inputCatalogueHeures').value
+                    );
+                });
+            }
+        }).catch(err => {
+            LogService.warning('Impossible de charger ForfaitController: ' + (err && err.message));
+        });
+    }
+
     /**
      * Rend les réglages Salles par filière
      */
@@ -436,6 +675,195 @@ class ConfigListRenderer {
         });
     }
 
+    /**
+     * Rend la grille des jours travaillés et des créneaux ouverts par jour
+     * (ex: vendredi jusqu'à midi, samedi matin uniquement)
+     */
+    renderJoursConfig(containerId = 'configJoursContainer') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const config = StateManager.state.joursConfig || { jours: [], creneauxParJour: {} };
+        const creneaux = getSortedCreneauxKeys();
+        const joursSansTP = getJoursSansTP();
+
+        let html = `
+            <table class="jours-config-table">
+                <thead>
+                    <tr><th>Jour</th><th>Travaillé</th><th>TP</th>${creneaux.map(c => `<th>${safeText(c)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>`;
+
+        JOURS_SEMAINE.forEach(jour => {
+            const travaille = config.jours.includes(jour);
+            const ouverts = config.creneauxParJour?.[jour];
+
+            html += `
+                    <tr class="${travaille ? '' : 'jour-non-travaille'}">
+                        <th>${safeText(jour)}</th>
+                        <td><input type="checkbox" data-action="jour-travaille" data-jour="${safeText(jour)}" ${travaille ? 'checked' : ''}></td>
+                        <td><input type="checkbox" data-action="jour-tp" data-jour="${safeText(jour)}" title="TP autorisés ce jour-là"
+                            ${joursSansTP.includes(jour) ? '' : 'checked'} ${travaille ? '' : 'disabled'}></td>
+                        ${creneaux.map(c => `
+                        <td><input type="checkbox" data-action="jour-creneau" data-jour="${safeText(jour)}" data-creneau="${safeText(c)}"
+                            ${!Array.isArray(ouverts) || ouverts.includes(c) ? 'checked' : ''} ${travaille ? '' : 'disabled'}></td>`).join('')}
+                    </tr>`;
+        });
+
+        html += `
+                </tbody>
+            </table>
+            <p class="help-text">Décochez un créneau pour le fermer ce jour-là : il n'est plus proposé par la génération automatique et toute séance qui y est placée est signalée en conflit.
+                Décochez « TP » pour qu'aucun TP ne soit placé ce jour-là, même si deux créneaux couplés y sont ouverts.</p>`;
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('[data-action="jour-travaille"], [data-action="jour-tp"], [data-action="jour-creneau"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const jour = input.getAttribute('data-jour');
+                const next = {
+                    jours: [...config.jours],
+                    creneauxParJour: { ...(config.creneauxParJour || {}) },
+                    joursSansTP: [...joursSansTP]
+                };
+
+                if (input.getAttribute('data-action') === 'jour-travaille') {
+                    next.jours = input.checked
+                        ? JOURS_SEMAINE.filter(j => j === jour || next.jours.includes(j))
+                        : next.jours.filter(j => j !== jour);
+                } else if (input.getAttribute('data-action') === 'jour-tp') {
+                    next.joursSansTP = input.checked
+                        ? next.joursSansTP.filter(j => j !== jour)
+                        : JOURS_SEMAINE.filter(j => j === jour || next.joursSansTP.includes(j));
+                } else {
+                    const checked = [...container.querySelectorAll(`[data-action="jour-creneau"][data-jour="${jour}"]`)]
+                        .filter(box => box.checked)
+                        .map(box => box.getAttribute('data-creneau'));
+                    // Tous les créneaux cochés : pas de restriction pour ce jour
+                    if (checked.length === creneaux.length) {
+                        delete next.creneauxParJour[jour];
+                    } else {
+                        next.creneauxParJour[jour] = checked;
+                    }
+                }
+
+                this.applyJoursConfig(next);
+                this.renderJoursConfig(containerId);
+            });
+        });
+    }
+
+    /**
+     * Applique une nouvelle configuration des jours et signale les séances devenues hors horaires
+     * @param {Object} config - { jours, creneauxParJour, joursSansTP }
+     */
+    applyJoursConfig(config) {
+        StateManager.state.joursConfig = config;
+        initJours(config);
+        StateManager.saveState(true);
+
+        const horsHoraires = StateManager.getSeances().filter(s => ConflictService.checkWorkingTimeConflicts(s).length > 0);
+        if (horsHoraires.length > 0) {
+            LogService.warning(`${horsHoraires.length} séance(s) placée(s) sur un jour ou un créneau désormais fermé (ou sans TP).`);
+        } else {
+            LogService.info('Jours et créneaux ouverts mis à jour.');
+        }
+
+        StateManager.notify('jours:changed', { config });
+    }
+
+    /**
+     * Rend la table des équivalences horaires : coefficient par statut d'enseignant et type de séance
+     * (1h brute × coefficient = heures équivalentes comptées dans les volumes)
+     */
+    renderEquivalencesConfig(containerId = 'configEquivalencesContainer') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        let html = `
+            <table class="jours-config-table">
+                <thead>
+                    <tr><th>Statut</th>${TYPES_EQUIVALENCE.map(type => `<th>1h ${safeText(type)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>`;
+
+        Object.entries(STATUTS_ENSEIGNANTS).forEach(([statut, label]) => {
+            html += `
+                    <tr>
+                        <th>${safeText(label)}</th>
+                        ${TYPES_EQUIVALENCE.map(type => `
+                        <td><input type="number" min="0" step="0.05" style="width:70px;" data-action="equivalence"
+                            data-statut="${safeText(statut)}" data-type="${safeText(type)}"
+                            value="${VolumeService.getEquivalenceCoefficient(type, statut)}"></td>`).join('')}
+                    </tr>`;
+        });
+
+        html += `
+                </tbody>
+            </table>
+            <p class="help-text">Heures équivalent TD comptées pour 1h de séance (ex. Cours 1.5, TP 0.75). Les volumes, le tableau de bord, les fiches PDF et les alertes de surcharge utilisent ces coefficients ; le VHT et le VHM de référence sont convertis avec les coefficients des permanents. La colonne Forfait convertit les forfaits et volumes supplémentaires, saisis en heures brutes, dans la même unité. Tous à 1 : heures brutes (hTP).</p>`;
+
+        container.innerHTML = html;
+
+        container.querySelectorAll('[data-action="equivalence"]').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = Number(input.value);
+                if (input.value === '' || !Number.isFinite(value) || value < 0) {
+                    LogService.warning('Coefficient d\'équivalence invalide (doit être un nombre >= 0)');
+                    this.renderEquivalencesConfig(containerId);
+                    return;
+                }
+
+                const statut = input.getAttribute('data-statut');
+                const type = input.getAttribute('data-type');
+                const rules = {};
+                Object.keys(DEFAULT_EQUIVALENCES_HORAIRES).forEach(s => {
+                    rules[s] = VolumeService.getEquivalenceCoefficients(s);
+                });
+                rules[statut][type] = value;
+
+                this.applyEquivalences(rules);
+            });
+        });
+    }
+
+    /**
+     * Applique de nouvelles règles d'équivalence horaire et rafraîchit les volumes
+     * @param {Object} rules - { statut: { Cours, TD, TP, Forfait } }
+     */
+    applyEquivalences(rules) {
+        StateManager.state.equivalencesHoraires = rules;
+        StateManager.saveState(true);
+
+        LogService.info(`Équivalences horaires mises à jour (volumes en ${VolumeService.getVolumeUnit()}).`);
+        StateManager.notify('equivalences:changed', { rules });
+    }
+
+    /**
+     * Cases à cocher du catalogue d'équipements
+     * @param {Array<string>} selected - Les équipements cochés
+     * @param {string} attrs - Attributs data-* communs aux cases
+     * @returns {string} HTML
+     */
+    renderEquipmentCheckboxes(selected, attrs) {
+        return Object.entries(EQUIPEMENTS_SALLE).map(([id, label]) => `
+            <label class="equipement-option">
+                <input type="checkbox" value="${safeText(id)}" ${attrs} ${selected.includes(id) ? 'checked' : ''}>
+                ${safeText(label)}
+            </label>`).join('');
+    }
+
+    /**
+     * Résumé textuel d'une liste d'équipements
+     * @param {Array<string>} equipements - Les identifiants
+     * @returns {string} HTML échappé
+     */
+    formatEquipmentSummary(equipements) {
+        const uniques = [...new Set(equipements)];
+        if (uniques.length === 0) return '<em>aucun</em>';
+        return safeText(uniques.map(e => EQUIPEMENTS_SALLE[e] || e).join(', '));
+    }
+
     /**
      * Rend toutes les listes
      */
@@ -444,9 +872,13 @@ class ConfigListRenderer {
         this.renderMatieresList();
         this.renderSallesList();
         this.renderFilieresList();
+        this.renderEffectifsList();
         this.renderForfaitsList();
+        this.renderForfaitCatalogue();
         this.renderSallesParFiliere();
         this.renderGeneralSettings();
+        this.renderJoursConfig();
+        this.renderEquivalencesConfig();
     }
 
     /**
@@ -730,6 +730,9 @@ initTeachersWorkloadChart(data) {
 
     console.debug('initTeachersWorkloadChart: usedSource=', usedSource, 'annualMap sample=', Object.entries(annualMap).slice(0,12), 'sorted sample=', sorted.slice(0,12));
 
+    // Unité des volumes (heures équivalentes si des règles d'équivalence sont définies)
+    const unite = VolumeService.getVolumeUnit();
+
     // Render chart
     this.charts.teachersWorkload = new Chart(ctx, {
         type: 'bar',
@@ -737,7 +740,7 @@ initTeachersWorkloadChart(data) {
             labels,
             datasets: [
                 {
-                    label: 'Volume annuel (hTP)',
+                    label: `Volume annuel (${unite})`,
                     data: volumes,
                     backgroundColor: colors,
                     borderColor: colors,
@@ -769,13 +772,13 @@ initTeachersWorkloadChart(data) {
                             const idx = ctxItem.dataIndex;
                             const val = volumes[idx] || 0;
                             const teacher = sorted[idx] || {};
-                            return `${val} h — ${teacher.status || ''}`;
+                            return `${val} ${unite} — ${teacher.status || ''}`;
                         }
                     }
                 }
             },
             scales: {
-                x: { beginAtZero: true, title: { display: true, text: 'Volume hTP' } }
+                x: { beginAtZero: true, title: { display: true, text: `Volume ${unite}` } }
             }
         }
     });
@@ -0,0 +1,68 @@
+/**
+ * Renderer des occupations externes (agendas .ics, couches des autres départements) :
+ * choix de la cible d'un import .ics et liste des sources chargées pour la session active
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import ExternalOccupationService from '../services/ExternalOccupationService.js';
+import { OCCUPATION_CIBLES } from '../config/constants.js';
+import { safeText } from '../utils/sanitizers.js';
+
+class ExternalOccupationRenderer {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur
+     */
+    init(containerId = 'externalOccupationsContainer') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Rend le sélecteur de cible et la liste des imports
+     */
+    render() {
+        if (!this.container) return;
+
+        const enseignants = [...StateManager.state.enseignants].sort((a, b) => a.localeCompare(b));
+        const salles = Object.keys(StateManager.state.sallesInfo || {}).sort((a, b) => a.localeCompare(b));
+        const options = (cible, noms) => noms
+            .map(nom => `<option value="${cible}::${safeText(nom)}">${safeText(nom)}</option>`)
+            .join('');
+
+        const sources = ExternalOccupationService.getSources();
+
+        this.container.innerHTML = `
+            <div class="form-row">
+                <label for="externalOccupationTarget">Occupé(e) :</label>
+                <select id="externalOccupationTarget">
+                    <optgroup label="Enseignants">${options('enseignant', enseignants)}</optgroup>
+                    <optgroup label="Salles">${options('salle', salles)}</optgroup>
+                </select>
+            </div>
+            ${sources.length === 0
+                ? '<p class="empty-message">Aucune occupation externe chargée pour cette session.</p>'
+                : `<ul class="external-occupations-list">
+                    ${sources.map((s, index) => `
+                        <li>
+                            ${s.departement
+                                ? `<span>🏛️ <strong>${safeText(s.departement)}</strong></span>
+                            <small>${s.count} occupation(s) de salles et d'enseignants</small>`
+                                : `<span>${OCCUPATION_CIBLES[s.cible] || s.cible} <strong>${safeText(s.nom)}</strong></span>
+                            <small>${safeText(s.source)} – ${s.count} créneau(x)</small>`}
+                            <button class="btn btn-danger btn-sm" title="Supprimer ces occupations"
+                                onclick="EDTImportHandlers.removeExternalOccupations(${index})">✕</button>
+                        </li>`).join('')}
+                </ul>`}`;
+    }
+}
+
+// Export d'une instance singleton
+export default new ExternalOccupationRenderer();
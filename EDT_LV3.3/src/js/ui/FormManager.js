@@ -5,8 +5,8 @@
 
 import StateManager from '../controllers/StateManager.js';
 import ValidationService from '../services/ValidationService.js';
-import { LISTE_JOURS, LISTE_TYPES_SEANCE } from '../config/constants.js';
-import { getSortedCreneauxKeys } from '../utils/helpers.js';
+import { LISTE_TYPES_SEANCE } from '../config/constants.js';
+import { getSortedCreneauxKeys, getJoursOuvres, formatWeekList } from '../utils/helpers.js';
 // import { escapeHTML } from '../utils/sanitizers.js';
 
 class FormManager {
@@ -92,7 +92,7 @@ class FormManager {
         if (!select) return;
 
         select.innerHTML = '<option value="">-- Sélectionner --</option>';
-        LISTE_JOURS.forEach(jour => {
+        getJoursOuvres().forEach(jour => {
             select.innerHTML += `<option value="${jour}">${jour}</option>`;
         });
     }
@@ -311,6 +311,7 @@ class FormManager {
 
     /**
      * Filtre les salles compatibles avec le type de séance
+     * (et équipées selon les exigences de la matière sélectionnée)
      * @param {string} type - Le type de séance
      */
     filterCompatibleRooms(type) {
@@ -319,21 +320,29 @@ class FormManager {
 
         const sallesInfo = StateManager.state.sallesInfo;
         const currentValue = selectSalle.value;
+        const matiere = document.getElementById('selectMatiere')?.value;
+        const equipementsRequis = matiere ? ValidationService.getRequiredEquipment(matiere, type) : [];
 
         selectSalle.innerHTML = '<option value="">-- Sélectionner --</option>';
         selectSalle.innerHTML += '<option value="">Sans salle</option>';
 
+        let nbCompatibles = 0;
         Object.keys(sallesInfo).sort().forEach(salle => {
-            const compatible = ValidationService.validateSalleCompatibility(type, salle, sallesInfo);
+            const compatible = ValidationService.validateSalleCompatibility(type, salle, sallesInfo, equipementsRequis);
 
             if (compatible) {
                 const typeSalle = sallesInfo[salle];
                 selectSalle.innerHTML += `<option value="${salle}">${salle} (${typeSalle})</option>`;
+                nbCompatibles++;
             }
         });
 
+        if (nbCompatibles === 0 && equipementsRequis.length > 0) {
+            selectSalle.innerHTML += `<option value="" disabled>Aucune salle équipée : ${ValidationService.formatEquipment(equipementsRequis)}</option>`;
+        }
+
         // Restaurer la valeur si elle est toujours compatible
-        if (currentValue && ValidationService.validateSalleCompatibility(type, currentValue, sallesInfo)) {
+        if (currentValue && ValidationService.validateSalleCompatibility(type, currentValue, sallesInfo, equipementsRequis)) {
             selectSalle.value = currentValue;
         }
     }
@@ -364,7 +373,11 @@ class FormManager {
             groupeTDTP: document.getElementById('selectGroupeTDTP')?.value || '',
             enseignant1: document.getElementById('inputEnseignant1')?.value || '',
             enseignant2: document.getElementById('inputEnseignant2')?.value || '',
-            salle: document.getElementById('selectSalle')?.value || ''
+            salle: document.getElementById('selectSalle')?.value || '',
+            duree: Number(document.getElementById('selectDureeSeance')?.value) || 0,
+            heureDebut: (document.getElementById('inputHeureDebut')?.value || '').trim(),
+            periodicite: document.getElementById('selectPeriodicite')?.value || 'hebdo',
+            semaines: (document.getElementById('inputSemaines')?.value || '').trim()
         };
     }
 
@@ -384,6 +397,10 @@ class FormManager {
 
         setSelectValue('selectJour', seance.jour);
         setSelectValue('selectCreneau', seance.creneau);
+        setSelectValue('selectDureeSeance', seance.hasCustomTimes() ? String(seance.dureeAffichee) : '');
+        setSelectValue('inputHeureDebut', seance.heureDebut);
+        setSelectValue('selectPeriodicite', seance.periodicite);
+        setSelectValue('inputSemaines', formatWeekList(seance.semaines));
         setSelectValue('selectFiliere', seance.filiere);
         setSelectValue('selectMatiere', seance.matiere);
 
@@ -629,7 +646,8 @@ class FormManager {
     getSalleFormData() {
         return {
             nom: document.getElementById('inputNomSalle')?.value || '',
-            type: document.getElementById('selectTypeSalle')?.value || 'Standard'
+            type: document.getElementById('selectTypeSalle')?.value || 'Standard',
+            capacite: parseInt(document.getElementById('inputCapaciteSalle')?.value, 10) || 0
         };
     }
 
@@ -657,7 +675,8 @@ class FormManager {
     getFiliereFormData() {
         return {
             nom: document.getElementById('inputNomFiliere')?.value || '',
-            session: document.getElementById('selectSessionFiliere')?.value || 'Automne'
+            session: document.getElementById('selectSessionFiliere')?.value || 'Automne',
+            effectif: parseInt(document.getElementById('inputEffectifFiliere')?.value, 10) || 0
         };
     }
 
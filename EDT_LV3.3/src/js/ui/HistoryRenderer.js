@@ -0,0 +1,85 @@
+/**
+ * Renderer du panneau d'historique (annuler / rétablir)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import { safeText } from '../utils/sanitizers.js';
+
+class HistoryRenderer {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur
+     */
+    init(containerId = 'historyPanelContainer') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Rend le panneau d'historique
+     */
+    render() {
+        if (!this.container) return;
+
+        const { undo, redo } = StateManager.getHistory();
+
+        let html = `
+            <div class="history-actions">
+                <button class="btn btn-sm btn-secondary" onclick="window.EDTHistoryHandlers?.undo()" ${StateManager.canUndo() ? '' : 'disabled'} title="Annuler (Ctrl+Z)">↶ Annuler</button>
+                <button class="btn btn-sm btn-secondary" onclick="window.EDTHistoryHandlers?.redo()" ${StateManager.canRedo() ? '' : 'disabled'} title="Rétablir (Ctrl+Y)">↷ Rétablir</button>
+            </div>
+        `;
+
+        if (undo.length === 0 && redo.length === 0) {
+            html += '<p class="empty-message">Aucune modification enregistrée</p>';
+            this.container.innerHTML = html;
+            return;
+        }
+
+        html += '<ul class="history-list">';
+
+        // Étapes annulées (rétablissables), de la plus lointaine à la plus proche
+        redo.forEach((entry, index) => {
+            html += `
+                <li class="history-entry undone" onclick="window.EDTHistoryHandlers?.redoUntil(${index})" title="Rétablir jusqu'ici">
+                    <span class="history-label">${safeText(entry.label)}</span>
+                    <span class="history-time">${this.formatTime(entry.timestamp)}</span>
+                </li>
+            `;
+        });
+
+        // Étapes effectuées, de la plus récente à la plus ancienne
+        for (let index = undo.length - 1; index >= 0; index--) {
+            const entry = undo[index];
+            html += `
+                <li class="history-entry ${index === undo.length - 1 ? 'current' : ''}" onclick="window.EDTHistoryHandlers?.undoUntil(${index})" title="Annuler jusqu'ici (inclus)">
+                    <span class="history-label">${safeText(entry.label)}</span>
+                    <span class="history-time">${this.formatTime(entry.timestamp)}</span>
+                </li>
+            `;
+        }
+
+        html += '</ul>';
+
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Formate l'heure d'une entrée
+     * @param {number} timestamp - L'horodatage
+     * @returns {string} L'heure (HH:MM:SS)
+     */
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('fr-FR');
+    }
+}
+
+// Export d'une instance singleton
+export default new HistoryRenderer();
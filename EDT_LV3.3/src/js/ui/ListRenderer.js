@@ -7,8 +7,10 @@ import StateManager from '../controllers/StateManager.js';
 import TeacherController from '../controllers/TeacherController.js';
 import SubjectController from '../controllers/SubjectController.js';
 import RoomController from '../controllers/RoomController.js';
+import VolumeService from '../services/VolumeService.js';
 import { safeText } from '../utils/sanitizers.js';
 import { normalizeSessionLabel } from '../utils/session.js';
+import { STATUTS_ENSEIGNANTS } from '../config/constants.js';
 
 class ListRenderer {
     constructor() {
@@ -95,6 +97,9 @@ class ListRenderer {
                         <button class="btn-icon" onclick="window.EDTApp?.editTeacherWishes('${this.escapeQuotes(teacher.nom)}')" title="Modifier souhaits">
                             💭
                         </button>
+                        <button class="btn-icon" onclick="window.EDTTeacherController?.editTeacherProfile('${this.escapeQuotes(teacher.nom)}')" title="Profil (grade, statut, service dû)">
+                            🪪
+                        </button>
                         <button class="btn-icon btn-danger" onclick="window.EDTTeacherController?.removeTeacher('${this.escapeQuotes(teacher.nom)}')" title="Supprimer">
                             🗑️
                         </button>
@@ -102,7 +107,9 @@ class ListRenderer {
                 </div>
                 <div class="item-details">
                     <span class="detail-badge">📅 ${teacher.stats.totalSeances} séances</span>
-                    <span class="detail-badge">📊 ${teacher.stats.volume.total} hTP</span>
+                    <span class="detail-badge">📊 ${teacher.stats.volume.total} ${VolumeService.getVolumeUnit()}</span>
+                    ${teacher.profil.grade ? `<span class="detail-badge">🎓 ${safeText(teacher.profil.grade)}</span>` : ''}
+                    ${teacher.profil.statut !== 'permanent' ? `<span class="detail-badge">📝 ${safeText(STATUTS_ENSEIGNANTS[teacher.profil.statut] || teacher.profil.statut)}</span>` : ''}
                     ${teacher.stats.matieres.length > 0 ? 
                         `<span class="detail-badge">📚 ${teacher.stats.matieres.length} matière(s)</span>` 
                         : ''
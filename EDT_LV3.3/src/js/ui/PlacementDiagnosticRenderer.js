@@ -0,0 +1,171 @@
+/**
+ * Renderer du diagnostic de placement : carte de chaleur jours × créneaux
+ * des raisons qui empêchent de placer une séance non placée
+ * @author Ibrahim Mrani - UCD
+ */
+
+import SchedulingService from '../services/SchedulingService.js';
+import { DIAGNOSTIC_NIVEAUX, DIAGNOSTIC_CATEGORIES } from '../config/constants.js';
+import { safeText } from '../utils/sanitizers.js';
+
+const NIVEAU_LABELS = {
+    [DIAGNOSTIC_NIVEAUX.LIBRE]: 'Libre',
+    [DIAGNOSTIC_NIVEAUX.SOUPLE]: 'Plafond de charge (placée sans enseignant)',
+    [DIAGNOSTIC_NIVEAUX.BLOQUE]: 'Bloqué',
+    [DIAGNOSTIC_NIVEAUX.FERME]: 'Créneau fermé'
+};
+
+class PlacementDiagnosticRenderer {
+    constructor() {
+        this.container = null;
+        this.selectedIndex = null;
+        this.selectedCell = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur
+     */
+    init(containerId = 'placementDiagnosticContainer') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Sélectionne la séance à diagnostiquer
+     * @param {number|null} index - L'index dans la liste des séances non placées
+     */
+    selectSession(index) {
+        this.selectedIndex = Number.isInteger(index) && index >= 0 ? index : null;
+        this.selectedCell = null;
+    }
+
+    /**
+     * Sélectionne la cellule dont le détail est affiché
+     * @param {string} jour - Le jour
+     * @param {string} creneau - Le créneau
+     */
+    selectCell(jour, creneau) {
+        this.selectedCell = { jour, creneau };
+    }
+
+    /**
+     * Rend la liste des séances non placées et la carte de la séance sélectionnée
+     */
+    render() {
+        if (!this.container) return;
+
+        const templates = SchedulingService.getUnplacedSessionTemplates();
+
+        if (templates.length === 0) {
+            this.selectedIndex = null;
+            this.container.innerHTML = '<p class="empty-message">Toutes les séances des matières de la session sont placées.</p>';
+            return;
+        }
+
+        if (this.selectedIndex !== null && this.selectedIndex >= templates.length) {
+            this.selectSession(null);
+        }
+
+        let html = `
+            <div class="form-row">
+                <label for="diagnosticSession">Séance non placée (${templates.length}) :</label>
+                <select id="diagnosticSession" onchange="EDTSchedulingHandlers.showPlacementDiagnostic(this.value)">
+                    <option value="">-- Choisir une séance --</option>
+                    ${templates.map((t, index) => `
+                        <option value="${index}" ${index === this.selectedIndex ? 'selected' : ''}>
+                            ${safeText(t.matiere)} (${safeText(t.type)}) – ${safeText(t.groupe || t.section)}
+                        </option>`).join('')}
+                </select>
+            </div>`;
+
+        if (this.selectedIndex !== null) {
+            const diagnostic = SchedulingService.diagnosePlacement(templates[this.selectedIndex]);
+            html += this.renderLegend(diagnostic.totals);
+            html += this.renderHeatmap(diagnostic);
+            html += this.renderCellDetail(diagnostic);
+        }
+
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Légende des couleurs avec le nombre de cellules par niveau
+     * @param {Object} totals - Nombre de cellules par niveau
+     * @returns {string} HTML
+     */
+    renderLegend(totals) {
+        return `
+            <div class="diagnostic-legend">
+                ${Object.values(DIAGNOSTIC_NIVEAUX).map(niveau => `
+                    <span class="diagnostic-legend-item diagnostic-${niveau}">${NIVEAU_LABELS[niveau]} : ${totals[niveau]}</span>`).join('')}
+            </div>`;
+    }
+
+    /**
+     * Grille jours × créneaux colorée selon le niveau de blocage
+     * @param {Object} diagnostic - Le diagnostic (voir SchedulingService.diagnosePlacement)
+     * @returns {string} HTML
+     */
+    renderHeatmap(diagnostic) {
+        const { jours, creneaux, cells } = diagnostic;
+
+        let html = `
+            <table class="diagnostic-heatmap">
+                <thead><tr><th>Jour</th>${creneaux.map(c => `<th>${safeText(c)}</th>`).join('')}</tr></thead>
+                <tbody>`;
+
+        jours.forEach(jour => {
+            html += `<tr><th>${safeText(jour)}</th>`;
+
+            creneaux.forEach(creneau => {
+                const { niveau, raisons } = cells[jour][creneau];
+                const selected = this.selectedCell?.jour === jour && this.selectedCell?.creneau === creneau;
+                const title = raisons.length > 0
+                    ? raisons.map(r => r.message.replace(/\*\*/g, '')).join('\n')
+                    : NIVEAU_LABELS[niveau];
+                const categories = [...new Set(raisons.map(r => r.categorie))];
+
+                html += `
+                    <td class="diagnostic-${niveau} ${selected ? 'selected' : ''}" title="${safeText(title)}"
+                        onclick="EDTSchedulingHandlers.showPlacementDiagnosticCell('${safeText(jour)}', '${safeText(creneau)}')">
+                        ${niveau === DIAGNOSTIC_NIVEAUX.FERME ? '' : (raisons.length > 0 ? raisons.length : '✓')}
+                        ${niveau === DIAGNOSTIC_NIVEAUX.FERME ? '' : `<small>${categories.map(c => safeText(DIAGNOSTIC_CATEGORIES[c])).join(', ')}</small>`}
+                    </td>`;
+            });
+
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        return html;
+    }
+
+    /**
+     * Détail des raisons de la cellule sélectionnée
+     * @param {Object} diagnostic - Le diagnostic
+     * @returns {string} HTML
+     */
+    renderCellDetail(diagnostic) {
+        const cell = this.selectedCell && diagnostic.cells[this.selectedCell.jour]?.[this.selectedCell.creneau];
+
+        if (!cell) {
+            return '<p class="help-text">Cliquez sur une cellule pour afficher le détail des contraintes.</p>';
+        }
+
+        return `
+            <div class="diagnostic-detail">
+                <strong>${safeText(this.selectedCell.jour)} ${safeText(this.selectedCell.creneau)}</strong> – ${NIVEAU_LABELS[cell.niveau]}
+                ${cell.raisons.length > 0
+                    ? `<ul>${cell.raisons.map(r => `
+                        <li><span class="diagnostic-categorie">${safeText(DIAGNOSTIC_CATEGORIES[r.categorie])}</span> ${safeText(r.message.replace(/\*\*/g, ''))}</li>`).join('')}
+                    </ul>`
+                    : '<p>Aucune contrainte ne bloque ce créneau.</p>'}
+            </div>`;
+    }
+}
+
+// Export d'une instance singleton
+export default new PlacementDiagnosticRenderer();
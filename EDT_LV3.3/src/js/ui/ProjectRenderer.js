@@ -0,0 +1,103 @@
+/**
+ * Renderer du sélecteur de projets (années universitaires) et de leur gestion
+ * @author Ibrahim Mrani - UCD
+ */
+
+import ProjectService from '../services/ProjectService.js';
+import StateManager from '../controllers/StateManager.js';
+import { safeText } from '../utils/sanitizers.js';
+
+class ProjectRenderer {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur de la liste des projets
+     */
+    init(containerId = 'projectListContainer') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Rend le sélecteur d'en-tête, la liste des projets et le bandeau lecture seule
+     */
+    render() {
+        const projects = ProjectService.getProjects();
+        const active = ProjectService.getActiveProject();
+
+        this.renderSwitcher(projects, active);
+        this.renderReadOnlyState();
+
+        if (!this.container) return;
+
+        if (projects.length === 0) {
+            this.container.innerHTML = '<p class="empty-message">Aucun projet</p>';
+            return;
+        }
+
+        let html = '<ul class="project-list">';
+        projects.forEach(p => {
+            const isActive = active && p.id === active.id;
+            html += `
+                <li class="project-entry ${isActive ? 'active' : ''} ${p.archived ? 'archived' : ''}">
+                    <div>
+                        <strong>${safeText(p.annee)}</strong> — ${safeText(p.departement)}
+                        ${isActive ? '<span class="project-badge">Ouvert</span>' : ''}
+                        ${p.archived ? '<span class="project-badge archived">🔒 Archivé</span>' : ''}
+                    </div>
+                    <div class="project-actions">
+                        ${isActive ? '' : `<button class="btn btn-sm btn-primary" onclick="window.EDTProjectHandlers?.switchProject('${safeText(p.id)}')">📂 Ouvrir</button>`}
+                        ${p.archived
+                            ? `<button class="btn btn-sm btn-secondary" onclick="window.EDTProjectHandlers?.setArchived('${safeText(p.id)}', false)">🔓 Désarchiver</button>`
+                            : `<button class="btn btn-sm btn-secondary" onclick="window.EDTProjectHandlers?.setArchived('${safeText(p.id)}', true)">🔒 Archiver</button>`}
+                    </div>
+                </li>
+            `;
+        });
+        html += '</ul>';
+
+        this.container.innerHTML = html;
+    }
+
+    /**
+     * Remplit le sélecteur de projet de l'en-tête
+     * @param {Array<Object>} projects - Les projets
+     * @param {Object|null} active - Le projet actif
+     */
+    renderSwitcher(projects, active) {
+        const select = document.getElementById('selectProject');
+        if (!select) return;
+
+        select.innerHTML = '';
+        projects.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.id;
+            opt.textContent = `${p.annee} — ${p.departement}${p.archived ? ' 🔒' : ''}`;
+            select.appendChild(opt);
+        });
+
+        if (active) select.value = active.id;
+    }
+
+    /**
+     * Affiche le bandeau et verrouille l'interface si le projet est archivé
+     */
+    renderReadOnlyState() {
+        const readOnly = StateManager.isReadOnly();
+
+        document.body?.classList.toggle('read-only-mode', readOnly);
+
+        const banner = document.getElementById('readOnlyBanner');
+        if (banner) {
+            banner.style.display = readOnly ? 'block' : 'none';
+        }
+    }
+}
+
+// Export d'une instance singleton
+export default new ProjectRenderer();
@@ -7,13 +7,20 @@
 import RoomController from '../controllers/RoomController.js';
 import StateManager from '../controllers/StateManager.js';
 import { safeText } from '../utils/sanitizers.js';
-import { getSortedCreneauxKeys } from '../utils/helpers.js';
+import {
+    getSortedCreneauxKeys,
+    getSessionTimeRange,
+    getCreneauxInRange,
+    getJoursOuvres,
+    getCreneauxForJour,
+    countCreneauxOuverts
+} from '../utils/helpers.js';
 import { escapeHTML } from '../utils/sanitizers.js';
 
 class RoomManagementRenderer {
     constructor() {
         this.container = null;
-        this.currentView = 'overview'; // overview, slot-view, room-detail
+        this.currentView = 'overview'; // overview, slot-view, week-grid, room-detail
         this.selectedSlot = { jour: 'Lundi', creneau: '8h30' };
         this.selectedRoom = null;
     }
@@ -88,6 +95,9 @@ class RoomManagementRenderer {
                 <button class="view-tab ${this.currentView === 'slot-view' ? 'active' : ''}" data-view="slot-view">
                     🕐 Par créneau
                 </button>
+                <button class="view-tab ${this.currentView === 'week-grid' ? 'active' : ''}" data-view="week-grid">
+                    🗓️ Grille semaine
+                </button>
                 <button class="view-tab ${this.currentView === 'room-detail' ? 'active' : ''}" data-view="room-detail">
                     🏛️ Détail salle
                 </button>
@@ -105,6 +115,8 @@ class RoomManagementRenderer {
                 return this.renderOverview();
             case 'slot-view':
                 return this.renderSlotView();
+            case 'week-grid':
+                return this.renderWeekGrid();
             case 'room-detail':
                 return this.renderRoomDetail();
             default:
@@ -175,6 +187,7 @@ class RoomManagementRenderer {
                                 <tr>
                                     <th>Salle</th>
                                     <th>Type</th>
+                                    <th>Capacité</th>
                                     <th>Séances</th>
                                     <th>Occupation</th>
                                     <th>Actions</th>
@@ -192,6 +205,7 @@ class RoomManagementRenderer {
                 <tr>
                     <td><strong>${safeText(room.nom)}</strong></td>
                     <td><span class="type-badge type-${room.type.toLowerCase()}">${safeText(room.type)}</span></td>
+                    <td>${room.capacite ? `${room.capacite} places` : '—'}</td>
                     <td>${room.stats.totalSeances}</td>
                     <td>
                         <div class="occupancy-bar">
@@ -225,7 +239,7 @@ class RoomManagementRenderer {
      * @returns {string} HTML
      */
     renderSlotView() {
-        const jours = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+        const jours = getJoursOuvres();
         const creneaux = getSortedCreneauxKeys();
 
         const status = RoomController.getRoomsStatusForSlot(
@@ -340,6 +354,134 @@ class RoomManagementRenderer {
         return html;
     }
 
+    /**
+     * Rend la grille salles × (jour, créneau) de toute la semaine
+     * Les séances peuvent être glissées vers la cellule d'une autre salle.
+     * @returns {string} HTML
+     */
+    renderWeekGrid() {
+        const jours = getJoursOuvres();
+        const sallesInfo = StateManager.state.sallesInfo || {};
+        const seances = StateManager.getSeances();
+        const rooms = Object.keys(sallesInfo);
+
+        if (rooms.length === 0) {
+            return '<p class="empty-message">Aucune salle configurée</p>';
+        }
+
+        // Regroupement par type de salle
+        const typeOrder = ['Amphi', 'Standard', 'STP'];
+        const groups = {};
+        rooms.forEach(room => {
+            const type = sallesInfo[room] || 'Autre';
+            if (!groups[type]) groups[type] = [];
+            groups[type].push(room);
+        });
+        const groupNames = Object.keys(groups).sort((a, b) => {
+            const ia = typeOrder.indexOf(a) === -1 ? typeOrder.length : typeOrder.indexOf(a);
+            const ib = typeOrder.indexOf(b) === -1 ? typeOrder.length : typeOrder.indexOf(b);
+            return ia - ib || a.localeCompare(b);
+        });
+
+        // Index des occupations : "salle|jour|creneau" -> [{ seance, continuation }]
+        // (plusieurs séances par cellule : semaines A/B, semaines choisies ou conflit)
+        const occupancy = new Map();
+        const addOccupancy = (key, entry) => {
+            if (!occupancy.has(key)) occupancy.set(key, []);
+            occupancy.get(key).push(entry);
+        };
+        seances.forEach(s => {
+            if (!s.salle) return;
+            addOccupancy(`${s.salle}|${s.jour}|${s.creneau}`, { seance: s, continuation: false });
+            // Créneaux suivants couverts (TP couplé, durée libre)
+            getCreneauxInRange(getSessionTimeRange(s)).forEach(c => {
+                if (c !== s.creneau) addOccupancy(`${s.salle}|${s.jour}|${c}`, { seance: s, continuation: true });
+            });
+        });
+
+        let html = `
+            <div class="room-week-grid-content">
+                <p class="instructions">Glissez une séance vers une autre salle (et éventuellement un autre créneau).
+                    L'occupation et la compatibilité de la salle sont vérifiées pendant le survol.</p>
+                <div class="room-week-grid-scroll">
+                    <table class="room-week-grid">
+                        <thead>
+                            <tr>
+                                <th rowspan="2">Salle</th>
+                                ${jours.map(jour => `<th colspan="${getCreneauxForJour(jour).length}">${safeText(jour)}</th>`).join('')}
+                            </tr>
+                            <tr>
+                                ${jours.map(jour => getCreneauxForJour(jour).map(c => `<th class="room-week-slot">${safeText(c)}</th>`).join('')).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        groupNames.forEach(type => {
+            html += `
+                <tr class="room-week-group">
+                    <th colspan="${1 + countCreneauxOuverts()}">
+                        <span class="type-badge type-${safeText(type.toLowerCase())}">${safeText(type)}</span> (${groups[type].length})
+                    </th>
+                </tr>
+            `;
+
+            groups[type].sort((a, b) => a.localeCompare(b)).forEach(room => {
+                html += `<tr><th class="room-week-name">${safeText(room)}</th>`;
+
+                jours.forEach(jour => {
+                    getCreneauxForJour(jour).forEach(creneau => {
+                        const entries = occupancy.get(`${room}|${jour}|${creneau}`) || [];
+                        html += `
+                            <td class="room-week-cell ${entries.length > 0 ? 'occupied' : ''}"
+                                data-salle="${safeText(room)}" data-jour="${safeText(jour)}" data-creneau="${safeText(creneau)}"
+                                ondragover="EDTRoomGridHandlers.handleDragOver(event)"
+                                ondragleave="EDTRoomGridHandlers.handleDragLeave(event)"
+                                ondrop="EDTRoomGridHandlers.handleDrop(event)">
+                                ${entries.map(entry => this.renderWeekGridSeance(entry.seance, entry.continuation)).join('')}
+                            </td>
+                        `;
+                    });
+                });
+
+                html += '</tr>';
+            });
+        });
+
+        html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+
+        return html;
+    }
+
+    /**
+     * Rend une séance dans une cellule de la grille semaine
+     * @param {Session} seance - La séance
+     * @param {boolean} continuation - Deuxième créneau d'un TP couplé (non déplaçable ici)
+     * @returns {string} HTML
+     */
+    renderWeekGridSeance(seance, continuation) {
+        const typeClass = `type-${(seance.type || '').toLowerCase()}`;
+        const title = `${seance.matiere} (${seance.type}) — ${seance.groupe || seance.filiere} — ${seance.enseignant || 'Non attribué'}`;
+
+        if (continuation) {
+            return `<div class="room-week-seance ${typeClass} continuation" title="${safeText(title)}">↳ ${safeText(seance.matiere)}</div>`;
+        }
+
+        return `
+            <div class="room-week-seance ${typeClass}" draggable="true" title="${safeText(title)}"
+                ondragstart="EDTRoomGridHandlers.handleDragStart(event, ${seance.id})"
+                ondragend="EDTRoomGridHandlers.handleDragEnd(event)">
+                <strong>${safeText(seance.matiere)}</strong><br>
+                <small>${safeText(seance.type)} · ${safeText(seance.groupe || seance.filiere)}</small>
+            </div>
+        `;
+    }
+
     /**
      * Rend le détail d'une salle
      * @returns {string} HTML
@@ -0,0 +1,222 @@
+/**
+ * Renderer des instantanés de l'EDT et de leur comparaison côte à côte
+ * @author Ibrahim Mrani - UCD
+ */
+
+import SnapshotService from '../services/SnapshotService.js';
+import Session from '../models/Session.js';
+import { CURRENT_SNAPSHOT_ID } from '../config/constants.js';
+import { safeText } from '../utils/sanitizers.js';
+
+class SnapshotRenderer {
+    constructor() {
+        this.listContainer = null;
+        this.diffContainer = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} listContainerId - L'ID du conteneur de la liste
+     * @param {string} diffContainerId - L'ID du conteneur de comparaison
+     */
+    init(listContainerId = 'snapshotListContainer', diffContainerId = 'snapshotDiffContainer') {
+        this.listContainer = document.getElementById(listContainerId);
+        this.diffContainer = document.getElementById(diffContainerId);
+        if (!this.listContainer) {
+            console.warn(`Container #${listContainerId} not found`);
+        }
+    }
+
+    /**
+     * Rend la liste des instantanés et les sélecteurs de comparaison
+     */
+    render() {
+        const snapshots = SnapshotService.listSnapshots();
+
+        this.populateCompareSelects(snapshots);
+
+        if (!this.listContainer) return;
+
+        if (snapshots.length === 0) {
+            this.listContainer.innerHTML = '<p class="empty-message">Aucun instantané pour cette session</p>';
+            return;
+        }
+
+        let html = '<ul class="snapshot-list">';
+        snapshots.forEach(s => {
+            html += `
+                <li class="snapshot-entry">
+                    <div>
+                        <strong>${safeText(s.name)}</strong>
+                        <span class="snapshot-meta">${new Date(s.createdAt).toLocaleString('fr-FR')} — ${s.count} séance(s)</span>
+                    </div>
+                    <div class="snapshot-actions">
+                        <button class="btn btn-sm btn-primary" onclick="window.EDTSnapshotHandlers?.restoreSnapshot('${safeText(s.id)}')" title="Restaurer cette version">♻️ Restaurer</button>
+                        <button class="btn btn-sm btn-danger" onclick="window.EDTSnapshotHandlers?.deleteSnapshot('${safeText(s.id)}')" title="Supprimer">🗑️</button>
+                    </div>
+                </li>
+            `;
+        });
+        html += '</ul>';
+
+        this.listContainer.innerHTML = html;
+    }
+
+    /**
+     * Remplit les sélecteurs A / B de comparaison en conservant la sélection
+     * @param {Array<Object>} snapshots - Les instantanés
+     */
+    populateCompareSelects(snapshots) {
+        ['selectSnapshotA', 'selectSnapshotB'].forEach((selectId, index) => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+
+            const previous = select.value;
+            select.innerHTML = '';
+
+            const options = [
+                { value: CURRENT_SNAPSHOT_ID, text: 'EDT actuel' },
+                ...snapshots.map(s => ({ value: s.id, text: s.name }))
+            ];
+
+            options.forEach(o => {
+                const opt = document.createElement('option');
+                opt.value = o.value;
+                opt.textContent = o.text;
+                select.appendChild(opt);
+            });
+
+            // Par défaut : A = instantané le plus récent, B = EDT actuel
+            if (options.some(o => o.value === previous)) {
+                select.value = previous;
+            } else if (index === 0 && snapshots.length > 0) {
+                select.value = snapshots[0].id;
+            } else {
+                select.value = CURRENT_SNAPSHOT_ID;
+            }
+        });
+    }
+
+    /**
+     * Rend le résultat d'une comparaison côte à côte
+     * @param {Object} diff - Résultat de SnapshotService.compareSnapshots
+     */
+    renderDiff(diff) {
+        if (!this.diffContainer) return;
+
+        if (!diff) {
+            this.diffContainer.innerHTML = '<p class="empty-message">Comparaison impossible</p>';
+            return;
+        }
+
+        const total = diff.added.length + diff.removed.length + diff.moved.length + diff.reassigned.length;
+
+        let html = `
+            <div class="snapshot-diff-summary">
+                <strong>${safeText(diff.a)}</strong> ↔ <strong>${safeText(diff.b)}</strong> :
+                <span class="diff-badge added">+${diff.added.length} ajoutée(s)</span>
+                <span class="diff-badge removed">−${diff.removed.length} supprimée(s)</span>
+                <span class="diff-badge moved">${diff.moved.length} déplacée(s)</span>
+                <span class="diff-badge reassigned">${diff.reassigned.length} réattribuée(s)</span>
+                <span class="diff-badge">${diff.unchanged} inchangée(s)</span>
+            </div>
+        `;
+
+        if (total === 0) {
+            html += '<p class="empty-message">Les deux versions sont identiques</p>';
+            this.diffContainer.innerHTML = html;
+            return;
+        }
+
+        html += `
+            <table class="snapshot-diff-table">
+                <thead>
+                    <tr>
+                        <th>Changement</th>
+                        <th>Séance</th>
+                        <th>${safeText(diff.a)}</th>
+                        <th>${safeText(diff.b)}</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        diff.removed.forEach(s => {
+            html += this.renderDiffRow('removed', 'Supprimée', s, this.describePlacement(s), '—');
+        });
+        diff.added.forEach(s => {
+            html += this.renderDiffRow('added', 'Ajoutée', s, '—', this.describePlacement(s));
+        });
+        diff.moved.forEach(({ before, after }) => {
+            html += this.renderDiffRow('moved', 'Déplacée', after, this.describeTiming(before), this.describeTiming(after));
+        });
+        diff.reassigned.forEach(({ before, after }) => {
+            html += this.renderDiffRow('reassigned', 'Réattribuée', after, this.describeResources(before), this.describeResources(after));
+        });
+
+        html += '</tbody></table>';
+
+        this.diffContainer.innerHTML = html;
+    }
+
+    /**
+     * Rend une ligne de la table de comparaison
+     * @param {string} kind - Le type de changement (classe CSS)
+     * @param {string} label - Le libellé du changement
+     * @param {Object} seance - La séance concernée
+     * @param {string} left - La valeur dans la version A
+     * @param {string} right - La valeur dans la version B
+     * @returns {string} HTML
+     */
+    renderDiffRow(kind, label, seance, left, right) {
+        return `
+            <tr class="diff-${kind}">
+                <td>${label}</td>
+                <td>${safeText(seance.matiere)} (${safeText(seance.type)}) — ${safeText(seance.filiere)} ${safeText(seance.groupe)}</td>
+                <td>${safeText(left)}</td>
+                <td>${safeText(right)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Décrit le placement complet d'une séance
+     * @param {Object} s - La séance
+     * @returns {string} La description
+     */
+    describePlacement(s) {
+        return `${this.describeTiming(s)} · ${this.describeResources(s)}`;
+    }
+
+    /**
+     * Décrit le jour, le créneau, les horaires explicites et la périodicité d'une séance
+     * @param {Object} s - La séance
+     * @returns {string} La description (ex: "Lundi 8h30 (8h30 - 11h30) · A")
+     */
+    describeTiming(s) {
+        const seance = new Session(s);
+        const horaires = seance.heureDebut && seance.heureFin ? ` (${seance.getHoraireLabel()})` : '';
+        const periodicite = seance.getPeriodiciteLabel();
+        return `${s.jour} ${s.creneau}${horaires}${periodicite ? ` · ${periodicite}` : ''}`;
+    }
+
+    /**
+     * Décrit les enseignants et la salle d'une séance
+     * @param {Object} s - La séance
+     * @returns {string} La description
+     */
+    describeResources(s) {
+        const teachers = (s.enseignantsArray || []).join(', ') || 'Sans enseignant';
+        return `${teachers} / ${s.salle || 'Sans salle'}`;
+    }
+
+    /**
+     * Efface la comparaison affichée
+     */
+    clearDiff() {
+        if (this.diffContainer) this.diffContainer.innerHTML = '';
+    }
+}
+
+// Export d'une instance singleton
+export default new SnapshotRenderer();
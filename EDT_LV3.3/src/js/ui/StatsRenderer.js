@@ -8,6 +8,7 @@ import SubjectController from '../controllers/SubjectController.js';
 import TeacherController from '../controllers/TeacherController.js';
 import RoomController from '../controllers/RoomController.js';
 import { safeText } from '../utils/sanitizers.js';
+import { getJoursOuvres } from '../utils/helpers.js';
 // import { escapeHTML } from '../utils/sanitizers.js';
 
 class StatsRenderer {
@@ -110,8 +111,7 @@ class StatsRenderer {
         };
 
         const byDay = {};
-        const jours = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
-        jours.forEach(jour => {
+        getJoursOuvres().forEach(jour => {
             byDay[jour] = seances.filter(s => s.jour === jour).length;
         });
 
@@ -0,0 +1,83 @@
+/**
+ * Renderer de l'occupation du stockage (onglet Configuration)
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StorageService from '../services/StorageService.js';
+import { safeText } from '../utils/sanitizers.js';
+
+class StorageUsageRenderer {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur
+     */
+    init(containerId = 'storageUsageContainer') {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Rend l'occupation du stockage
+     */
+    async render() {
+        if (!this.container) return;
+
+        let report;
+        try {
+            report = await StorageService.getUsageReport();
+        } catch (error) {
+            this.container.innerHTML = `<p class="empty-message">Occupation du stockage indisponible : ${safeText(error.message)}</p>`;
+            return;
+        }
+
+        const percent = report.quota ? Math.min(100, (report.usage / report.quota) * 100) : null;
+        const level = percent === null ? '' : (percent >= 90 ? 'danger' : (percent >= 70 ? 'warning' : ''));
+
+        this.container.innerHTML = `
+            <div class="storage-usage">
+                <div class="storage-usage-header">
+                    <strong>💾 ${safeText(report.label)}</strong>
+                    <span>${this.formatBytes(report.appUsage)} de données EDT (${report.keys} clés)</span>
+                </div>
+                ${percent !== null ? `
+                    <div class="storage-usage-bar">
+                        <div class="storage-usage-fill ${level}" style="width: ${percent.toFixed(1)}%"></div>
+                    </div>
+                    <div class="storage-usage-detail">
+                        ${this.formatBytes(report.usage)} utilisés sur ${this.formatBytes(report.quota)} (${percent.toFixed(1)} %)
+                    </div>
+                ` : `
+                    <div class="storage-usage-detail">${this.formatBytes(report.usage)} utilisés (quota inconnu)</div>
+                `}
+                ${report.lastSaveError ? `
+                    <div class="storage-usage-error">
+                        ❌ Dernier échec de sauvegarde (${new Date(report.lastSaveError.timestamp).toLocaleTimeString('fr-FR')}) :
+                        ${safeText(report.lastSaveError.message)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Formate une taille en octets
+     * @param {number} bytes - La taille
+     * @returns {string} La taille lisible
+     */
+    formatBytes(bytes) {
+        if (!Number.isFinite(bytes)) return '?';
+        if (bytes < 1024) return `${bytes} o`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} Ko`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} Mo`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} Go`;
+    }
+}
+
+// Export d'une instance singleton
+export default new StorageUsageRenderer();
@@ -2,10 +2,11 @@
  * Gestionnaire de rendu du tableau EDT
  * @author Ibrahim Mrani - UCD
  */
-import { LISTE_JOURS, BREAK_CRENEAU } from '../config/constants.js';
-import { getSortedCreneauxKeys, getSeparatorColumnIndex } from '../utils/helpers.js';
+import { getSortedCreneauxKeys, getSeparatorColumnIndex, getBreakCreneau, getCreneauxInRange, getJoursOuvres, isCreneauOuvert, getCreneauRange, rangesOverlap } from '../utils/helpers.js';
 import { safeText } from '../utils/sanitizers.js';
 import StateManager from '../controllers/StateManager.js';
+import ExternalOccupationService from '../services/ExternalOccupationService.js';
+import { PERIODICITES } from '../config/constants.js';
 
 class TableRenderer {
     constructor() {
@@ -78,6 +79,36 @@ class TableRenderer {
         return ens2 || ens1 || null;
     }
 
+    /**
+     * Occupations externes à afficher : celles de l'enseignant filtré,
+     * ou des enseignants / salles correspondant à la recherche
+     * @returns {Array<Object>}
+     */
+    getVisibleExternalOccupations() {
+        const { enseignant, salle } = this.searchFilters;
+        const teacher = this.currentFilter === 'enseignant_selectionne' ? this.getSelectedTeacher() : null;
+
+        return ExternalOccupationService.getAll().filter(o => {
+            if (o.cible === 'enseignant') {
+                return o.nom === teacher || (!!enseignant && o.nom.toLowerCase().includes(enseignant.toLowerCase()));
+            }
+            return !!salle && o.nom.toLowerCase().includes(salle.toLowerCase());
+        });
+    }
+
+    /**
+     * Bloc grisé d'une occupation externe (non déplaçable)
+     * @param {Object} occupation - L'occupation
+     * @returns {string} HTML
+     */
+    generateExternalOccupationHTML(occupation) {
+        const label = ExternalOccupationService.formatOccupation(occupation);
+        return `<div class="occupation-externe" title="${safeText(`Occupation hors département (${occupation.source}) – ${label}`)}">
+                🔒 <strong>${safeText(occupation.nom)}</strong><br>
+                <small>${safeText(label)}</small>
+            </div>`;
+    }
+
     hasActiveSearch() {
         const { matiere, enseignant, salle, sectionGroupe } = this.searchFilters;
         return !!(matiere || enseignant || salle || sectionGroupe);
@@ -102,53 +133,148 @@ class TableRenderer {
         this.tableElement.innerHTML = this.generateTableHTML(seances, hasActiveSearch);
     }
 
+    /**
+     * Répartit les séances d'une journée en lignes. La ligne principale garde une cellule par
+     * créneau ; chaque séance à durée libre couvrant plusieurs créneaux est placée sur une ligne
+     * dédiée où ses colonnes sont fusionnées, sans masquer les séances des autres groupes.
+     * @param {Array<Session>} seancesJour - Les séances du jour
+     * @param {Array<string>} sortedCreneaux - Les créneaux triés
+     * @returns {Array<Array<Object>>} Lignes de cellules [{ creneaux, seances, vide }]
+     */
+    getDayRows(seancesJour, sortedCreneaux) {
+        const longues = seancesJour
+            .filter(s => s.hasCustomTimes() && sortedCreneaux.includes(s.creneau))
+            .map(s => {
+                const indexes = s.getCoveredCreneaux()
+                    .map(c => sortedCreneaux.indexOf(c))
+                    .filter(i => i !== -1);
+                return { seance: s, debut: Math.min(...indexes), fin: Math.max(...indexes) };
+            })
+            .filter(l => l.fin > l.debut)
+            .sort((a, b) => a.debut - b.debut || b.fin - a.fin);
+
+        // Une ligne par ensemble de séances longues qui ne se chevauchent pas (même plage = même cellule)
+        const lanes = [];
+        longues.forEach(l => {
+            const sameSpan = lanes.find(lane => lane.some(c => c.debut === l.debut && c.fin === l.fin));
+            if (sameSpan) {
+                sameSpan.find(c => c.debut === l.debut && c.fin === l.fin).seances.push(l.seance);
+                return;
+            }
+            const free = lanes.find(lane => lane[lane.length - 1].fin < l.debut);
+            const cell = { debut: l.debut, fin: l.fin, seances: [l.seance] };
+            if (free) free.push(cell);
+            else lanes.push([cell]);
+        });
+
+        const fusionnees = new Set(longues.map(l => l.seance));
+        const principale = sortedCreneaux.map(c => ({
+            creneaux: [c],
+            seances: seancesJour.filter(s => s.creneau === c && !fusionnees.has(s)),
+            vide: false
+        }));
+
+        const lignesLongues = lanes.map(lane => {
+            const cells = [];
+            let i = 0;
+            lane.forEach(({ debut, fin, seances }) => {
+                for (; i < debut; i++) cells.push({ creneaux: [sortedCreneaux[i]], seances: [], vide: true });
+                cells.push({ creneaux: sortedCreneaux.slice(debut, fin + 1), seances, vide: false });
+                i = fin + 1;
+            });
+            for (; i < sortedCreneaux.length; i++) cells.push({ creneaux: [sortedCreneaux[i]], seances: [], vide: true });
+            return cells;
+        });
+
+        return [principale, ...lignesLongues];
+    }
+
     generateTableHTML(seances, hasActiveSearch = false) {
         const sortedCreneaux = getSortedCreneauxKeys();
         const creneauxData = StateManager.state.creneaux;
+        const breakCreneau = getBreakCreneau();
+        const occupations = this.getVisibleExternalOccupations();
 
         let html = '<thead><tr><th>Jour/Heure</th>';
 
         sortedCreneaux.forEach(c => {
             html += `<th>${c} - ${creneauxData[c].fin}</th>`;
-            if (c === BREAK_CRENEAU) {
+            if (c === breakCreneau) {
                 html += '<th class="separator-column"></th>';
             }
         });
 
         html += '</tr></thead><tbody>';
 
-        LISTE_JOURS.forEach(jour => {
-            html += `<tr><td class="jour-header">${jour}</td>`;
-
-            sortedCreneaux.forEach(creneau => {
-                const seancesCell = seances.filter(s => s.jour === jour && s.creneau === creneau);
-
-                // === CHANGEMENT APPLIQUÉ ===
-                // Ne plus appliquer de fond coloré ou bordure colorée aux <td> des créneaux.
-                // Seules les séances individuelles conservent leur badge coloré.
-                const cellStyle = ''; // keep cell background white, no colored separation
+        getJoursOuvres().forEach(jour => {
+            const rows = this.getDayRows(seances.filter(s => s.jour === jour), sortedCreneaux);
 
-                html += `<td data-jour="${jour}" data-creneau="${creneau}" ${cellStyle}
-                    ondragover="EDTHandlers.handleDragOver(event)" 
-                    ondragleave="EDTHandlers.handleDragLeave(event)" 
-                    ondrop="EDTHandlers.handleDrop(event)">`;
-
-                html += `<button class="add-seance-in-cell-btn" 
-                    onclick="EDTHandlers.attribuerSeanceDirectement('${jour}', '${creneau}')" 
-                    title="Attribuer la séance configurée ici">+</button>`;
+            rows.forEach((cells, rowIndex) => {
+                html += '<tr>';
+                if (rowIndex === 0) {
+                    html += `<td class="jour-header"${rows.length > 1 ? ` rowspan="${rows.length}"` : ''}>${jour}</td>`;
+                }
 
-                seancesCell.forEach(seance => {
-                    html += this.generateSeanceHTML(seance, hasActiveSearch);
+                cells.forEach(({ creneaux, seances: seancesCell, vide }) => {
+                    const creneau = creneaux[0];
+                    const last = creneaux[creneaux.length - 1];
+                    // La colonne séparatrice est absorbée si la fusion traverse la pause
+                    const colspan = creneaux.length + (creneaux.slice(0, -1).includes(breakCreneau) ? 1 : 0);
+                    const spanAttr = colspan > 1 ? ` colspan="${colspan}" class="cellule-fusionnee"` : '';
+
+                    // Ligne d'une séance longue : les autres créneaux restent vides
+                    if (vide) {
+                        html += '<td class="cellule-ligne-longue"></td>';
+                        if (last === breakCreneau) {
+                            html += '<td class="separator-column"></td>';
+                        }
+                        return;
+                    }
+
+                    // Créneau non ouvert ce jour-là : cellule grisée, sans dépôt ni ajout
+                    // (les séances déjà placées restent affichées pour pouvoir être déplacées)
+                    if (seancesCell.length === 0 && !creneaux.some(c => isCreneauOuvert(jour, c))) {
+                        html += `<td class="creneau-ferme" title="Créneau non ouvert le ${jour}"></td>`;
+                        if (last === breakCreneau) {
+                            html += '<td class="separator-column"></td>';
+                        }
+                        return;
+                    }
+
+                    // === CHANGEMENT APPLIQUÉ ===
+                    // Ne plus appliquer de fond coloré ou bordure colorée aux <td> des créneaux.
+                    // Seules les séances individuelles conservent leur badge coloré.
+                    const cellStyle = ''; // keep cell background white, no colored separation
+
+                    html += `<td data-jour="${jour}" data-creneau="${creneau}"${spanAttr} ${cellStyle}
+                        ondragover="EDTHandlers.handleDragOver(event)" 
+                        ondragleave="EDTHandlers.handleDragLeave(event)" 
+                        ondrop="EDTHandlers.handleDrop(event)">`;
+
+                    html += `<button class="add-seance-in-cell-btn" 
+                        onclick="EDTHandlers.attribuerSeanceDirectement('${jour}', '${creneau}')" 
+                        title="Attribuer la séance configurée ici">+</button>`;
+
+                    // Occupations externes affichées une seule fois, dans la ligne principale
+                    occupations
+                        .filter(o => rowIndex === 0 && o.jour === jour && creneaux.some(c => rangesOverlap(o, getCreneauRange(c))))
+                        .forEach(o => {
+                            html += this.generateExternalOccupationHTML(o);
+                        });
+
+                    seancesCell.forEach(seance => {
+                        html += this.generateSeanceHTML(seance, hasActiveSearch);
+                    });
+
+                    html += '</td>';
+
+                    if (last === breakCreneau) {
+                        html += '<td class="separator-column"></td>';
+                    }
                 });
 
-                html += '</td>';
-
-                if (creneau === BREAK_CRENEAU) {
-                    html += '<td class="separator-column"></td>';
-                }
+                html += '</tr>';
             });
-
-            html += '</tr>';
         });
 
         html += '</tbody>';
@@ -192,17 +318,26 @@ class TableRenderer {
             ? `<small class="salle-missing">Sans salle</small>`
             : `<small>${safeText(seance.salle || '')}</small>`;
 
+        const horaireDisplay = seance.hasCustomTimes()
+            ? `<small class="seance-horaire">${safeText(seance.getHoraireLabel())}</small><br>`
+            : '';
+
         const typeBadge = `<span class="seance-type-badge" style="background:${color}; color:#fff; padding:2px 6px; border-radius:12px; font-size:.75em; margin-left:6px;">${safeText(seance.type || '')}</span>`;
 
+        const periodiciteBadge = seance.isHebdomadaire()
+            ? ''
+            : `<span class="seance-periodicite" title="${safeText(PERIODICITES[seance.periodicite])}">${safeText(seance.getPeriodiciteLabel())}</span>`;
+
         return `
-        <div class="seance ${typeKey} ${highlightClass} ${nonAttribueeClass} ${sansSalleClass}" data-id="${seance.id}"
+        <div class="seance ${typeKey} ${highlightClass} ${nonAttribueeClass} ${sansSalleClass} ${seance.hasCustomTimes() ? 'seance-longue' : ''}" data-id="${seance.id}"
              style="background:${bg}; border-left:4px solid ${color}; padding:6px 8px; margin:6px 0; border-radius:4px;">
             <button class="delete-btn" onclick="EDTHandlers.supprimerSeance(${seance.id})">x</button>
             <div class="seance-data" draggable="true" 
                 ondragstart="EDTHandlers.handleDragStart(event, ${seance.id})" 
                 ondragend="EDTHandlers.handleDragEnd(event)" 
                 onclick="EDTHandlers.ouvrirFormulairePourModifier(${seance.id})">
-                <strong style="display:inline-block; margin-right:6px;">${safeText(seance.matiere)} (${safeText(seance.type)})</strong>${typeBadge}<br>
+                <strong style="display:inline-block; margin-right:6px;">${safeText(seance.matiere)} (${safeText(seance.type)})</strong>${typeBadge}${periodiciteBadge}<br>
+                ${horaireDisplay}
                 ${filiereDisplay}
                 ${groupeDisplay}
                 ${enseignantsDisplay}
@@ -215,27 +350,41 @@ class TableRenderer {
     generatePDFData(seances) {
         const sortedCreneaux = getSortedCreneauxKeys();
         const creneauxData = StateManager.state.creneaux;
+        const breakCreneau = getBreakCreneau();
 
         const headContent = [];
         sortedCreneaux.forEach(c => {
             headContent.push(`${c}\n${creneauxData[c].fin}`);
-            if (c === BREAK_CRENEAU) {
+            if (c === breakCreneau) {
                 headContent.push('');
             }
         });
         const head = [['Jour/Heure', ...headContent]];
 
         const body = [];
-        LISTE_JOURS.forEach(jour => {
-            const rowContent = [];
-            sortedCreneaux.forEach(creneau => {
-                const seancesCell = seances.filter(s => s.jour === jour && s.creneau === creneau);
-                rowContent.push(seancesCell);
-                if (creneau === BREAK_CRENEAU) {
-                    rowContent.push('');
-                }
+        getJoursOuvres().forEach(jour => {
+            const rows = this.getDayRows(seances.filter(s => s.jour === jour), sortedCreneaux);
+
+            rows.forEach((cells, rowIndex) => {
+                const rowContent = rowIndex === 0 ? [rows.length > 1 ? { content: jour, rowSpan: rows.length } : jour] : [];
+                cells.forEach(({ creneaux, seances: seancesCell, vide }) => {
+                    const last = creneaux[creneaux.length - 1];
+                    const colSpan = creneaux.length + (creneaux.slice(0, -1).includes(breakCreneau) ? 1 : 0);
+
+                    if (vide) {
+                        rowContent.push('');
+                    } else if (colSpan > 1) {
+                        rowContent.push({ seances: seancesCell, colSpan });
+                    } else {
+                        // Créneau non ouvert ce jour-là : cellule barrée
+                        rowContent.push(seancesCell.length === 0 && !isCreneauOuvert(jour, last) ? '—' : seancesCell);
+                    }
+                    if (last === breakCreneau) {
+                        rowContent.push('');
+                    }
+                });
+                body.push(rowContent);
             });
-            body.push([jour, ...rowContent]);
         });
 
         return { head, body };
@@ -244,43 +393,57 @@ class TableRenderer {
     generateSimpleTableHTML(seances) {
         const sortedCreneaux = getSortedCreneauxKeys();
         const creneauxData = StateManager.state.creneaux;
+        const breakCreneau = getBreakCreneau();
 
         let html = '<table class="edt-print-table"><thead><tr><th>Jour/Heure</th>';
 
         sortedCreneaux.forEach(c => {
             html += `<th>${c} - ${creneauxData[c].fin}</th>`;
-            if (c === BREAK_CRENEAU) {
+            if (c === breakCreneau) {
                 html += '<th class="separator-column"></th>';
             }
         });
 
         html += '</tr></thead><tbody>';
 
-        LISTE_JOURS.forEach(jour => {
-            html += `<tr><td class="jour-header">${jour}</td>`;
+        getJoursOuvres().forEach(jour => {
+            const rows = this.getDayRows(seances.filter(s => s.jour === jour), sortedCreneaux);
 
-            sortedCreneaux.forEach(creneau => {
-                const seancesCell = seances.filter(s => s.jour === jour && s.creneau === creneau);
-
-                html += '<td>';
+            rows.forEach((cells, rowIndex) => {
+                html += '<tr>';
+                if (rowIndex === 0) {
+                    html += `<td class="jour-header"${rows.length > 1 ? ` rowspan="${rows.length}"` : ''}>${jour}</td>`;
+                }
 
-                seancesCell.forEach(seance => {
-                    html += `<div class="seance-simple ${seance.type}">`;
-                    html += `<strong>${safeText(seance.matiere)} (${safeText(seance.type)})</strong><br>`;
-                    html += `${safeText(seance.filiere)} - ${safeText(seance.groupe)}<br>`;
-                    html += `${safeText(seance.enseignant)}<br>`;
-                    html += `<small>Salle: ${safeText(seance.salle)}</small>`;
-                    html += '</div>';
+                cells.forEach(({ creneaux, seances: seancesCell, vide }) => {
+                    const last = creneaux[creneaux.length - 1];
+                    const colspan = creneaux.length + (creneaux.slice(0, -1).includes(breakCreneau) ? 1 : 0);
+
+                    const ferme = !vide && seancesCell.length === 0 && !creneaux.some(c => isCreneauOuvert(jour, c));
+                    html += colspan > 1 ? `<td colspan="${colspan}">` : (ferme ? '<td class="creneau-ferme">' : '<td>');
+
+                    seancesCell.forEach(seance => {
+                        html += `<div class="seance-simple ${seance.type}">`;
+                        html += `<strong>${safeText(seance.matiere)} (${safeText(seance.type)})</strong>`;
+                        html += seance.isHebdomadaire() ? '<br>' : ` <span class="seance-periodicite">${safeText(seance.getPeriodiciteLabel())}</span><br>`;
+                        if (seance.hasCustomTimes()) {
+                            html += `<small>${safeText(seance.getHoraireLabel())}</small><br>`;
+                        }
+                        html += `${safeText(seance.filiere)} - ${safeText(seance.groupe)}<br>`;
+                        html += `${safeText(seance.enseignant)}<br>`;
+                        html += `<small>Salle: ${safeText(seance.salle)}</small>`;
+                        html += '</div>';
+                    });
+
+                    html += '</td>';
+
+                    if (last === breakCreneau) {
+                        html += '<td class="separator-column"></td>';
+                    }
                 });
 
-                html += '</td>';
-
-                if (creneau === BREAK_CRENEAU) {
-                    html += '<td class="separator-column"></td>';
-                }
+                html += '</tr>';
             });
-
-            html += '</tr>';
         });
 
         html += '</tbody></table>';
@@ -0,0 +1,186 @@
+/**
+ * Renderer de la vue "Planning par enseignant" : enseignants en colonnes parallèles,
+ * jours × créneaux en lignes. Les séances peuvent être glissées d'un enseignant à un autre.
+ * @author Ibrahim Mrani - UCD
+ */
+
+import StateManager from '../controllers/StateManager.js';
+import { getJoursOuvres, getCreneauxForJour } from '../utils/helpers.js';
+import { safeText } from '../utils/sanitizers.js';
+import { renderTeacherVolumePreview, invalidateVolumePreviewCache } from './TeacherVolumePreview.js';
+
+const DEFAULT_PLANNER_TEACHERS = 4;
+
+class TeacherPlannerRenderer {
+    constructor() {
+        this.container = null;
+        this.pickerContainer = null;
+    }
+
+    /**
+     * Initialise le renderer
+     * @param {string} containerId - L'ID du conteneur de la grille
+     * @param {string} pickerId - L'ID du conteneur de sélection des enseignants
+     */
+    init(containerId = 'teacherPlannerContainer', pickerId = 'teacherPlannerPicker') {
+        this.container = document.getElementById(containerId);
+        this.pickerContainer = document.getElementById(pickerId);
+        if (!this.container) {
+            console.warn(`Container #${containerId} not found`);
+        }
+    }
+
+    /**
+     * Enseignants affichés (mémorisés dans l'état UI)
+     * Par défaut : les premiers enseignants ayant des séances dans la session.
+     * @returns {Array<string>}
+     */
+    getSelectedTeachers() {
+        const all = StateManager.state.enseignants || [];
+        const saved = StateManager.state.ui?.plannerTeachers;
+        if (Array.isArray(saved)) {
+            return saved.filter(t => all.includes(t));
+        }
+
+        const busy = new Set();
+        StateManager.getSeances().forEach(s => (s.enseignantsArray || []).forEach(t => busy.add(t)));
+        return all.filter(t => busy.has(t)).slice(0, DEFAULT_PLANNER_TEACHERS);
+    }
+
+    /**
+     * Mémorise les enseignants affichés
+     * @param {Array<string>} teachers - Les enseignants
+     */
+    setSelectedTeachers(teachers) {
+        if (!StateManager.state.ui) StateManager.state.ui = {};
+        StateManager.state.ui.plannerTeachers = teachers;
+    }
+
+    /**
+     * Rend la sélection et la grille
+     */
+    render() {
+        if (!this.container) return;
+
+        const selected = this.getSelectedTeachers();
+        this.renderPicker(selected);
+
+        if (selected.length === 0) {
+            this.container.innerHTML = '<p class="empty-message">Sélectionnez au moins un enseignant à afficher.</p>';
+            return;
+        }
+
+        const teachersByName = new Map(StateManager.getTeachers().map(t => [t.nom, t]));
+        const seances = StateManager.getSeances();
+
+        let html = '<table class="teacher-planner-table"><thead><tr><th>Jour</th><th>Créneau</th>';
+        selected.forEach(name => {
+            html += `
+                <th class="teacher-planner-head">
+                    <div class="teacher-planner-name">${safeText(name)}</div>
+                    <div class="teacher-planner-volume" data-teacher="${safeText(name)}"></div>
+                </th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        getJoursOuvres().forEach(jour => {
+            const creneaux = getCreneauxForJour(jour);
+            creneaux.forEach((creneau, index) => {
+                html += '<tr>';
+                if (index === 0) {
+                    html += `<th rowspan="${creneaux.length}" class="teacher-planner-day">${safeText(jour)}</th>`;
+                }
+                html += `<td class="teacher-planner-slot">${safeText(creneau)}</td>`;
+
+                selected.forEach(name => {
+                    const teacher = teachersByName.get(name);
+                    const statusClass = teacher?.isUnavailableAt(jour, creneau)
+                        ? 'slot-indisponible'
+                        : (teacher?.dislikesSlot(jour, creneau) ? 'slot-non-souhaite' : '');
+                    // Les séances à durée libre apparaissent sur chaque créneau qu'elles recouvrent
+                    const cellSeances = seances.filter(s =>
+                        s.jour === jour && s.getCoveredCreneaux().includes(creneau) && (s.enseignantsArray || []).includes(name)
+                    );
+
+                    html += `
+                        <td class="teacher-planner-cell ${statusClass}"
+                            data-teacher="${safeText(name)}" data-jour="${safeText(jour)}" data-creneau="${safeText(creneau)}"
+                            ondragover="EDTTeacherPlannerHandlers.handleDragOver(event)"
+                            ondragleave="EDTTeacherPlannerHandlers.handleDragLeave(event)"
+                            ondrop="EDTTeacherPlannerHandlers.handleDrop(event)">
+                            ${cellSeances.map(s => this.generateSeanceHTML(s, name, s.creneau !== creneau)).join('')}
+                        </td>`;
+                });
+
+                html += '</tr>';
+            });
+        });
+
+        html += '</tbody></table>';
+        this.container.innerHTML = html;
+
+        this.renderVolumes();
+    }
+
+    /**
+     * Rend la liste de cases à cocher des enseignants
+     * @param {Array<string>} selected - Les enseignants affichés
+     */
+    renderPicker(selected) {
+        if (!this.pickerContainer) return;
+
+        const all = StateManager.state.enseignants || [];
+        this.pickerContainer.innerHTML = all.map(name => `
+            <label class="teacher-planner-option">
+                <input type="checkbox" value="${safeText(name)}" ${selected.includes(name) ? 'checked' : ''}
+                    onchange="EDTTeacherPlannerHandlers.toggleTeacher(this.value, this.checked)">
+                ${safeText(name)}
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Génère la carte d'une séance dans la colonne d'un enseignant
+     * @param {Session} seance - La séance
+     * @param {string} teacher - L'enseignant de la colonne
+     * @param {boolean} [suite=false] - Créneau recouvert par la fin d'une séance à durée libre
+     * @returns {string} HTML
+     */
+    generateSeanceHTML(seance, teacher, suite = false) {
+        const typeClass = (seance.type || '').toLowerCase();
+        const coTeachers = seance.enseignantsArray.filter(t => t !== teacher);
+
+        if (suite) {
+            return `
+            <div class="teacher-planner-seance ${typeClass} seance-suite" title="${safeText(seance.getHoraireLabel())}">
+                <small>↳ suite ${safeText(seance.matiere)} (${safeText(seance.type)})</small>
+            </div>`;
+        }
+
+        return `
+            <div class="teacher-planner-seance ${typeClass}" draggable="true"
+                ondragstart="EDTTeacherPlannerHandlers.handleDragStart(event, ${seance.id})"
+                ondragend="EDTTeacherPlannerHandlers.handleDragEnd(event)">
+                <strong>${safeText(seance.matiere)}</strong> (${safeText(seance.type)})${seance.hasCustomTimes() ? ` <small>${safeText(seance.getHoraireLabel())}</small>` : ''}<br>
+                <small>${safeText(seance.groupe || seance.filiere)}${seance.salle ? ' · ' + safeText(seance.salle) : ''}</small>
+                ${coTeachers.length > 0 ? `<br><small>avec ${safeText(coTeachers.join(', '))}</small>` : ''}
+            </div>`;
+    }
+
+    /**
+     * Met à jour les jauges de volume en tête de colonne
+     */
+    renderVolumes() {
+        if (!this.container) return;
+
+        invalidateVolumePreviewCache();
+        this.container.querySelectorAll('.teacher-planner-volume').forEach(el => {
+            renderTeacherVolumePreview(el, el.dataset.teacher).catch(error => {
+                console.warn(`TeacherPlannerRenderer.renderVolumes: ${el.dataset.teacher}`, error);
+            });
+        });
+    }
+}
+
+// Export d'une instance singleton
+export default new TeacherPlannerRenderer();
@@ -7,8 +7,10 @@
  *  - orange : volume < (reference - tolerance)
  *  - vert   : (reference - 16) < volume < (reference + tolerance)
  *  - rouge  : sinon
+ * Un enseignant dont le profil individualise le service (service statutaire, décharges)
+ * est mesuré à son propre service dû (divisé par deux en automne) au lieu du VHM annuel.
  *
- * Export : initTeacherVolumePreviews()
+ * Export : initTeacherVolumePreviews(), renderTeacherVolumePreview(), invalidateVolumePreviewCache()
  *
  * Remarques :
  * - Le module est tolérant : il tente plusieurs sources (StateManager, StorageService) pour récupérer
@@ -182,6 +184,7 @@ function getSessionSeancesFallback() {
  */
 async function computeAnnualReferenceAndToleranceUncached() {
     let reference = 0;
+    let annualVHM = 0;
     let tolerance = 10;
     try {
         const enseignants = Array.isArray(StateManager.state && StateManager.state.enseignants) ? StateManager.state.enseignants : (typeof StateManager.getEnseignants === 'function' ? StateManager.getEnseignants() : []);
@@ -190,8 +193,8 @@ async function computeAnnualReferenceAndToleranceUncached() {
         const { autumnSeances, springSeances } = getSessionSeancesFallback();
 
         const allForfaits = Array.isArray(StateManager.state && StateManager.state.forfaits) ? StateManager.state.forfaits : [];
-        const forfaitsAutumn = allForfaits.filter(f => !f.session || String(f.session).toLowerCase().includes('automne') || String(f.session).toLowerCase().includes('autumn'));
-        const forfaitsSpring = allForfaits.filter(f => String(f.session).toLowerCase().includes('printemps') || String(f.session).toLowerCase().includes('spring'));
+        const forfaitsAutumn = VolumeService.filterForfaits(allForfaits, 'autumn');
+        const forfaitsSpring = VolumeService.filterForfaits(allForfaits, 'spring');
 
         if (VolumeService && typeof VolumeService.calculateAnnualGlobalMetrics === 'function') {
             const metrics = VolumeService.calculateAnnualGlobalMetrics(
@@ -206,6 +209,7 @@ async function computeAnnualReferenceAndToleranceUncached() {
             );
             if (metrics && typeof metrics.annualVHM === 'number') {
                 reference = Number(metrics.annualVHM || 0);
+                annualVHM = reference;
             }
         }
     } catch (e) {
@@ -242,7 +246,7 @@ async function computeAnnualReferenceAndToleranceUncached() {
 
     reference = Number(reference || 0);
     tolerance = Number(tolerance || 0);
-    return { reference, tolerance };
+    return { reference, tolerance, annualVHM };
 }
 
 // --- Cache / memoization ---
@@ -256,6 +260,14 @@ function isCacheFresh(entryTs) {
     return (Date.now() - entryTs) < CACHE_TTL;
 }
 
+/**
+ * Vide le cache des volumes (à appeler après une modification des séances)
+ */
+export function invalidateVolumePreviewCache() {
+    _cache.volumes.clear();
+    _cache.annualRef = { value: null, ts: 0 };
+}
+
 /**
  * Extract the "Total (hTP)" numeric value from a VolumeService entry which may be:
  * - a number
@@ -380,7 +392,7 @@ async function computeAnnualReferenceAndTolerance() {
  * For spring session: display spring_total (current) + autumn_total.
  * For autumn: display current (autumn) only.
  */
-function updatePreviewForTeacher(name, previewEl, volumesMapCurrent, volumesMapAutumn, reference, tolerance, currentSessionName) {
+function updatePreviewForTeacher(name, previewEl, volumesMapCurrent, volumesMapAutumn, reference, tolerance, currentSessionName, annualVHM = 0) {
     const displayValueEl = previewEl.querySelector('.tvp-value');
     const fillEl = previewEl.querySelector('.tvp-bar-fill');
     const percentEl = previewEl.querySelector('.tvp-percent');
@@ -394,6 +406,12 @@ function updatePreviewForTeacher(name, previewEl, volumesMapCurrent, volumesMapA
     const isSpring = typeof currentSessionName === 'string' && (currentSessionName.toLowerCase().includes('printemps') || currentSessionName.toLowerCase().includes('spring'));
     const volumeToDisplay = isSpring ? (volumeCurrent + volumeAutumn) : volumeCurrent;
 
+    // Service individualisé (profil enseignant) : référence propre à l'enseignant
+    const teacherName = (StateManager.state.enseignants || []).find(n => cleanTeacherLabel(n) === key);
+    if (teacherName && annualVHM > 0 && VolumeService.hasIndividualService(teacherName)) {
+        reference = VolumeService.getTeacherSessionReference(teacherName, annualVHM, currentSessionName);
+    }
+
     let percent = 0;
     if (reference > 0) percent = Math.round((volumeToDisplay / reference) * 100);
     else percent = volumeToDisplay > 0 ? 100 : 0;
@@ -437,6 +455,7 @@ export async function initTeacherVolumePreviews() {
     const refTol = await computeAnnualReferenceAndTolerance();
     let reference = refTol.reference;
     let tolerance = refTol.tolerance;
+    let annualVHM = refTol.annualVHM;
 
     function ensurePreviewAfter(selectEl, previewId) {
         if (!selectEl) return null;
@@ -470,10 +489,11 @@ export async function initTeacherVolumePreviews() {
             const rt = await computeAnnualReferenceAndTolerance();
             reference = rt.reference;
             tolerance = rt.tolerance;
+            annualVHM = rt.annualVHM;
 
             const selectedVal = (selectEl && selectEl.value) ? selectEl.value : '';
             const selectedName = selectedVal || ((selectEl && selectEl.selectedOptions && selectEl.selectedOptions[0]) ? selectEl.selectedOptions[0].textContent : '');
-            updatePreviewForTeacher(selectedName, previewEl, volumesMapCurrent, volumesMapAutumn, reference, tolerance, currentSessionName);
+            updatePreviewForTeacher(selectedName, previewEl, volumesMapCurrent, volumesMapAutumn, reference, tolerance, currentSessionName, annualVHM);
         });
     }
 
@@ -493,6 +513,13 @@ export async function initTeacherVolumePreviews() {
         obs2.observe(sel2, { childList: true });
     }
 
+    // Réattribution depuis une autre vue : rafraîchir immédiatement
+    StateManager.subscribe('seance:updated', () => {
+        invalidateVolumePreviewCache();
+        if (sel1 && preview1) refreshAndUpdate(sel1, preview1);
+        if (sel2 && preview2) refreshAndUpdate(sel2, preview2);
+    });
+
     return {
         refreshAll: async () => {
             volumesMapCurrent = await computeAllVolumesMap(null);
@@ -500,10 +527,33 @@ export async function initTeacherVolumePreviews() {
             const rt = await computeAnnualReferenceAndTolerance();
             reference = rt.reference;
             tolerance = rt.tolerance;
+            annualVHM = rt.annualVHM;
             if (sel1 && preview1) await refreshAndUpdate(sel1, preview1);
             if (sel2 && preview2) await refreshAndUpdate(sel2, preview2);
         }
     };
 }
 
-export default { initTeacherVolumePreviews };
\ No newline at end of file
+/**
+ * Affiche (ou met à jour) la jauge de volume d'un enseignant dans un conteneur quelconque
+ * @param {HTMLElement} containerEl - Le conteneur
+ * @param {string} teacherName - Le nom de l'enseignant
+ */
+export async function renderTeacherVolumePreview(containerEl, teacherName) {
+    if (!containerEl) return;
+
+    let previewEl = containerEl.querySelector('.teacher-volume-preview');
+    if (!previewEl) {
+        previewEl = createPreviewElement(`tvp-${cleanTeacherLabel(teacherName).replace(/[^a-z0-9]+/g, '-')}`);
+        containerEl.appendChild(previewEl);
+    }
+
+    const currentSessionName = (StateManager.state && StateManager.state.header && StateManager.state.header.session) ? StateManager.state.header.session : '';
+    const volumesMapCurrent = await computeAllVolumesMap(null);
+    const volumesMapAutumn = await computeAllVolumesMap(getStorageSessionKey('autumn'));
+    const { reference, tolerance, annualVHM } = await computeAnnualReferenceAndTolerance();
+
+    updatePreviewForTeacher(teacherName, previewEl, volumesMapCurrent, volumesMapAutumn, reference, tolerance, currentSessionName, annualVHM);
+}
+
+export default { initTeacherVolumePreviews, renderTeacherVolumePreview, invalidateVolumePreviewCache };
\ No newline at end of file
@@ -24,6 +24,7 @@ import StorageService from '../services/StorageService.js';
 import { safeText } from '../utils/sanitizers.js';
 import SchedulingService from '../services/SchedulingService.js';
 import { normalizeSessionLabel, getStorageSessionKey } from '../utils/session.js';
+import { GRADES_ENSEIGNANTS, STATUTS_ENSEIGNANTS } from '../config/constants.js';
 
 class VolumeRenderer {
     constructor() {
@@ -96,10 +97,10 @@ class VolumeRenderer {
             ? StorageService.loadSessionData(springSessionKey) || { seances: [], nextId: 1 }
             : { seances: [], nextId: 1 };
             
-        // Forfaits : tentative de répartition par session si champ session présent
+        // Forfaits de l'année répartis par session
         const allForfaits = StateManager.state.forfaits || [];
-        const forfaitsAutumn = allForfaits.filter(f => !f.session || String(f.session).toLowerCase().includes('automne') || String(f.session).toLowerCase().includes('autumn'));
-        const forfaitsSpring = allForfaits.filter(f => String(f.session).toLowerCase().includes('printemps') || String(f.session).toLowerCase().includes('spring'));
+        const forfaitsAutumn = VolumeService.filterForfaits(allForfaits, 'autumn');
+        const forfaitsSpring = VolumeService.filterForfaits(allForfaits, 'spring');
 
         const volumesSupplementaires = StateManager.state.enseignantVolumesSupplementaires || {};
 
@@ -219,6 +220,8 @@ class VolumeRenderer {
      * la part calculée pour l'automne (le forfait étant inclus dans autumnPerTeacher).
      * Ajout : dans la colonne "Total (hTP)" on affiche la barre de progression suivie du total chiffré.
      * En session d'automne, la référence utilisée pour la couleur est VHM_annuel / 2 (si disponible).
+     * Un enseignant dont le profil individualise le service (service statutaire, décharges)
+     * est mesuré à son propre service dû plutôt qu'au VHM annuel.
      * @returns {string} HTML du tableau
      */
     renderTeacherVolumes() {
@@ -284,6 +287,9 @@ class VolumeRenderer {
         const BAR_HEIGHT = 15;      // px
         const BAR_RADIUS = Math.round(BAR_HEIGHT / 2);
 
+        // Même unité pour l'enseignement, les forfaits et le service dû (voir équivalences horaires)
+        const unite = VolumeService.getVolumeUnit();
+
         let html = `
             <div class="teacher-volumes">
                 <h3>👨‍🏫 Volumes Horaires par Enseignant (session courante)</h3>
@@ -291,14 +297,15 @@ class VolumeRenderer {
                     <thead>
                         <tr>
                             <th>Enseignant</th>
+                            <th>Service dû (${unite})</th>
                             <th>Séances</th>
                             <th>Cours</th>
                             <th>TD</th>
                             <th>TP</th>
-                            <th>Vol. Enseignement (hTP)</th>
-                            <th>Vol. Forfait (hTP)</th>
-                            <th>Total (hTP)</th>
-                            <th>Écart vs VHM annuel</th>
+                            <th>Vol. Enseignement (${unite})</th>
+                            <th>Vol. Forfait (${unite})</th>
+                            <th>Total (${unite})</th>
+                            <th>Écart vs service dû</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -314,12 +321,29 @@ class VolumeRenderer {
                 totalVolume += autumnPerTeacher[teacher.nom] || 0;
             }
 
-            const ecartVHM = totalVolume - VHM_annual;
+            // Service dû : profil individuel (service statutaire, décharges), sinon VHM annuel
+            const profil = VolumeService.getTeacherProfile(teacher.nom).profil;
+            const individualService = VolumeService.hasIndividualService(teacher.nom);
+            const serviceDu = VolumeService.getTeacherServiceTarget(teacher.nom, VHM_annual);
+            const teacherReference = individualService
+                ? VolumeService.getTeacherSessionReference(teacher.nom, VHM_annual, sessionRaw)
+                : referenceForColors;
+
+            const ecartVHM = totalVolume - serviceDu;
             const ecartClass = ecartVHM > 0 ? 'positive' : ecartVHM < 0 ? 'negative' : 'neutral';
 
             // compute progress percent & color based on reference
-            const pct = this.computeProgressPercent(totalVolume, referenceForColors);
-            const color = this.getProgressColorByReference(totalVolume, referenceForColors, tolerance);
+            const pct = this.computeProgressPercent(totalVolume, teacherReference);
+            const color = this.getProgressColorByReference(totalVolume, teacherReference, tolerance);
+
+            const reductions = profil.reductions || [];
+            const statutService = VolumeService.getTeacherProfile(teacher.nom).getStatutDefaults().service;
+            const serviceTitle = [
+                Number.isFinite(profil.service) ? `Service statutaire : ${profil.service} h`
+                    : Number.isFinite(statutService) ? `Service par défaut du statut : ${statutService} h`
+                        : `VHM annuel : ${VHM_annual} h`,
+                ...reductions.map(r => `Décharge : ${r.heures} h (${r.motif || 'sans motif'})`)
+            ].join('\n');
 
             // progress HTML (minimal classes; add CSS in your stylesheets to match TeacherVolumePreview)
             const progressHTML = `
@@ -333,7 +357,11 @@ class VolumeRenderer {
 
             html += `
                 <tr>
-                    <td><strong>${safeText(teacher.nom)}</strong></td>
+                    <td>
+                        <strong>${safeText(teacher.nom)}</strong>
+                        ${profil.grade ? `<br><small title="${safeText(GRADES_ENSEIGNANTS[profil.grade] || profil.grade)}">${safeText(profil.grade)} · ${safeText(STATUTS_ENSEIGNANTS[profil.statut] || profil.statut)}</small>` : ''}
+                    </td>
+                    <td title="${safeText(serviceTitle)}">${safeText(String(Math.round(serviceDu * 100) / 100))}${individualService ? ' <small>(individuel)</small>' : ''}</td>
                     <td>${safeText(String(teacher.stats.totalSeances || 0))}</td>
                     <td>${safeText(String(teacher.stats.cours || 0))}</td>
                     <td>${safeText(String(teacher.stats.td || 0))}</td>
@@ -478,6 +506,7 @@ class VolumeRenderer {
         const stats = TeacherController.getTeacherStats(enseignant);
         const volume = TeacherController.getTeacherVolume(enseignant);
         const souhaits = StateManager.state.enseignantSouhaits[enseignant] || {};
+        const unite = VolumeService.getVolumeUnit();
 
         return `
             <div class="teacher-detail">
@@ -485,9 +514,9 @@ class VolumeRenderer {
                 
                 <div class="detail-section">
                     <h4>Volumes Horaires</h4>
-                    <p>Enseignement : <strong>${safeText(String(volume.enseignement || 0))} hTP</strong></p>
-                    <p>Forfait : <strong>${safeText(String(volume.forfait || 0))} hTP</strong></p>
-                    <p>Total : <strong>${safeText(String(volume.total || 0))} hTP</strong></p>
+                    <p>Enseignement : <strong>${safeText(String(volume.enseignement || 0))} ${unite}</strong></p>
+                    <p>Forfait : <strong>${safeText(String(volume.forfait || 0))} ${unite}</strong></p>
+                    <p>Total : <strong>${safeText(String(volume.total || 0))} ${unite}</strong></p>
                 </div>
 
                 <div class="detail-section">
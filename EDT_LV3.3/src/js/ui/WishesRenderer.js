@@ -4,6 +4,8 @@
  */
 
 import StateManager from '../controllers/StateManager.js';
+import { DISPONIBILITE_STATUTS } from '../config/constants.js';
+import { getSortedCreneauxKeys, getJoursOuvres, isCreneauOuvert } from '../utils/helpers.js';
 import { safeText } from '../utils/sanitizers.js';
 // import { escapeHTML } from '../utils/sanitizers.js';
 
@@ -70,6 +72,7 @@ class WishesRenderer {
                     ${this.renderWishChoice(1, wish)}
                     ${this.renderWishChoice(2, wish)}
                     ${this.renderWishChoice(3, wish)}
+                    ${this.renderAvailabilitySummary(wish.indisponibilites)}
                     ${wish.contraintes ? `
                         <div class="wish-constraints">
                             <strong>Contraintes :</strong> ${safeText(wish.contraintes)}
@@ -107,6 +110,131 @@ class WishesRenderer {
         `;
     }
 
+    /**
+     * Rend le résumé des créneaux indisponibles / non souhaités d'un enseignant
+     * @param {Object} indisponibilites - { jour: { creneau: statut } }
+     * @returns {string} HTML
+     */
+    renderAvailabilitySummary(indisponibilites) {
+        if (!indisponibilites) return '';
+
+        const indispo = [];
+        const nonSouhaites = [];
+
+        Object.keys(indisponibilites).forEach(jour => {
+            Object.keys(indisponibilites[jour] || {}).forEach(creneau => {
+                const label = `${jour} ${creneau}`;
+                const statut = indisponibilites[jour][creneau];
+                if (statut === DISPONIBILITE_STATUTS.INDISPONIBLE) indispo.push(label);
+                else if (statut === DISPONIBILITE_STATUTS.NON_SOUHAITE) nonSouhaites.push(label);
+            });
+        });
+
+        if (indispo.length === 0 && nonSouhaites.length === 0) return '';
+
+        return `
+            <div class="wish-availability">
+                ${indispo.length ? `<div><strong>⛔ Indisponible :</strong> ${safeText(indispo.join(', '))}</div>` : ''}
+                ${nonSouhaites.length ? `<div><strong>⚠️ Non souhaité :</strong> ${safeText(nonSouhaites.join(', '))}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Rend la grille éditable jour × créneau des disponibilités
+     * Chaque clic sur une cellule fait tourner le statut : disponible → non souhaité → indisponible
+     * @param {string} containerId - L'ID du conteneur
+     * @param {Object} indisponibilites - { jour: { creneau: statut } }
+     */
+    renderAvailabilityGrid(containerId = 'teacherAvailabilityGrid', indisponibilites = {}) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const creneaux = getSortedCreneauxKeys();
+
+        let html = '<table class="availability-grid"><thead><tr><th></th>';
+        creneaux.forEach(c => {
+            html += `<th>${safeText(c)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+
+        getJoursOuvres().forEach(jour => {
+            html += `<tr><th>${safeText(jour)}</th>`;
+            creneaux.forEach(creneau => {
+                if (!isCreneauOuvert(jour, creneau)) {
+                    html += '<td class="availability-closed" title="Créneau non ouvert">—</td>';
+                    return;
+                }
+                const statut = indisponibilites?.[jour]?.[creneau] || '';
+                html += `<td class="availability-cell ${statut}" data-jour="${safeText(jour)}" data-creneau="${safeText(creneau)}" data-statut="${statut}" title="${this.getStatusLabel(statut)}">${this.getStatusIcon(statut)}</td>`;
+            });
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Fait tourner le statut d'une cellule de la grille
+     * @param {HTMLElement} cell - La cellule cliquée
+     */
+    cycleAvailabilityCell(cell) {
+        if (!cell || !cell.classList.contains('availability-cell')) return;
+
+        const ordre = ['', DISPONIBILITE_STATUTS.NON_SOUHAITE, DISPONIBILITE_STATUTS.INDISPONIBLE];
+        const current = cell.dataset.statut || '';
+        const next = ordre[(ordre.indexOf(current) + 1) % ordre.length];
+
+        cell.dataset.statut = next;
+        cell.className = `availability-cell ${next}`;
+        cell.title = this.getStatusLabel(next);
+        cell.textContent = this.getStatusIcon(next);
+    }
+
+    /**
+     * Lit la grille de disponibilités depuis le DOM
+     * @param {string} containerId - L'ID du conteneur
+     * @returns {Object} { jour: { creneau: statut } } (seules les cellules non disponibles sont conservées)
+     */
+    readAvailabilityGrid(containerId = 'teacherAvailabilityGrid') {
+        const container = document.getElementById(containerId);
+        const indisponibilites = {};
+        if (!container) return indisponibilites;
+
+        container.querySelectorAll('.availability-cell').forEach(cell => {
+            const statut = cell.dataset.statut;
+            if (!statut) return;
+            const { jour, creneau } = cell.dataset;
+            if (!indisponibilites[jour]) indisponibilites[jour] = {};
+            indisponibilites[jour][creneau] = statut;
+        });
+
+        return indisponibilites;
+    }
+
+    /**
+     * Obtient le libellé d'un statut de disponibilité
+     * @param {string} statut - Le statut
+     * @returns {string} Le libellé
+     */
+    getStatusLabel(statut) {
+        if (statut === DISPONIBILITE_STATUTS.INDISPONIBLE) return 'Indisponible';
+        if (statut === DISPONIBILITE_STATUTS.NON_SOUHAITE) return 'Non souhaité';
+        return 'Disponible';
+    }
+
+    /**
+     * Obtient l'icône d'un statut de disponibilité
+     * @param {string} statut - Le statut
+     * @returns {string} L'icône
+     */
+    getStatusIcon(statut) {
+        if (statut === DISPONIBILITE_STATUTS.INDISPONIBLE) return '⛔';
+        if (statut === DISPONIBILITE_STATUTS.NON_SOUHAITE) return '⚠️';
+        return '✓';
+    }
+
     /**
      * Obtient les souhaits par défaut
      * @returns {Object} Souhaits vides
@@ -125,7 +253,8 @@ class WishesRenderer {
             c3: 0,
             td3: 0,
             tp3: 0,
-            contraintes: 'Aucune remarque.'
+            contraintes: 'Aucune remarque.',
+            indisponibilites: {}
         };
     }
 }
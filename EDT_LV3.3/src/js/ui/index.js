@@ -2,13 +2,18 @@ export { default as ConfigListRenderer } from './ConfigListRenderer.js';
 export { default as DashboardRenderer } from './DashboardRenderer.js';
 export { default as DialogManager } from './DialogManager.js';
 export { default as FormManager } from './FormManager.js';
+export { default as HistoryRenderer } from './HistoryRenderer.js';
 export { default as ListRenderer } from './ListRenderer.js';
 export { default as NotificationManager } from './NotificationManager.js';
+export { default as ProjectRenderer } from './ProjectRenderer.js';
 export { default as RoomManagementRenderer } from './RoomManagementRenderer.js';
+export { default as SnapshotRenderer } from './SnapshotRenderer.js';
 export { default as SpinnerManager } from './SpinnerManager.js';
 export { default as StatsRenderer } from './StatsRenderer.js';
+export { default as StorageUsageRenderer } from './StorageUsageRenderer.js';
 export { default as TableRenderer } from './TableRenderer.js';
+export { default as TeacherPlannerRenderer } from './TeacherPlannerRenderer.js';
 export { default as VolumeRenderer } from './VolumeRenderer.js';
 export { default as WishesRenderer } from './WishesRenderer.js';
-export { initTeacherVolumePreviews } from './TeacherVolumePreview.js';
+export { initTeacherVolumePreviews, renderTeacherVolumePreview, invalidateVolumePreviewCache } from './TeacherVolumePreview.js';
 export { default as TeacherVolumePreview } from './TeacherVolumePreview.js';
\ No newline at end of file
@@ -2,7 +2,7 @@ import StateManager from '../controllers/StateManager.js';
 
 /**
  * Module léger pour persister l'onglet actif et le sous-onglet (configuration).
- * - Sauvegarde StateManager.state.header.activeTab / activeSubtab à chaque changement d'onglet.
+ * - Sauvegarde StateManager.state.ui.activeTab / activeSubtab à chaque changement d'onglet.
  * - Restaure l'onglet / sous-onglet au démarrage en "clickant" sur le bouton correspondant.
  *
  * Intégration : importer et appeler TabPersistence.init() depuis src/js/main.js
@@ -21,9 +21,9 @@ const TabPersistence = {
   _setup() {
     try {
       // Récupérer valeurs sauvegardées (StateManager.loadState() devrait déjà avoir été appelé)
-      const header = (StateManager && StateManager.state && StateManager.state.header) ? StateManager.state.header : {};
-      const activeTab = header.activeTab || null;
-      const activeSubtab = header.activeSubtab || null;
+      const ui = (StateManager && StateManager.state && StateManager.state.ui) ? StateManager.state.ui : {};
+      const activeTab = ui.activeTab || null;
+      const activeSubtab = ui.activeSubtab || null;
 
       // Si un onglet sauvegardé existe, simuler un click pour l'activer (réutilise votre logique existante d'activation)
       if (activeTab) {
@@ -39,8 +39,8 @@ const TabPersistence = {
         btn.addEventListener('click', () => {
           try {
             const tab = btn.dataset.tab;
-            if (!StateManager.state.header) StateManager.state.header = {};
-            StateManager.state.header.activeTab = tab;
+            if (!StateManager.state.ui) StateManager.state.ui = {};
+            StateManager.state.ui.activeTab = tab;
             // Sauvegarde immédiate (écriture persistante)
             StateManager.saveState();
           } catch (err) {
@@ -54,8 +54,8 @@ const TabPersistence = {
         btn.addEventListener('click', () => {
           try {
             const sub = btn.dataset.subtab;
-            if (!StateManager.state.header) StateManager.state.header = {};
-            StateManager.state.header.activeSubtab = sub;
+            if (!StateManager.state.ui) StateManager.state.ui = {};
+            StateManager.state.ui.activeSubtab = sub;
             StateManager.saveState();
           } catch (err) {
             console.warn('TabPersistence: erreur lors de saveState (subtab)', err);
@@ -3,11 +3,14 @@
  * @author Ibrahim Mrani - UCD
  */
 
-import { BREAK_CRENEAU } from '../config/constants.js';
+import { BREAK_CRENEAU, CRENEAUX_COUPLES_SUIVANT, JOURS_SEMAINE, DEFAULT_JOURS_CONFIG } from '../config/constants.js';
 
 // Variable globale pour stocker les créneaux (sera initialisée par l'app)
 let LISTE_CRENEAUX = {};
 
+// Jours travaillés et créneaux ouverts par jour (sera initialisé par l'app)
+let JOURS_CONFIG = DEFAULT_JOURS_CONFIG;
+
 /**
  * Initialise les créneaux
  * @param {Object} creneaux - L'objet des créneaux
@@ -16,6 +19,80 @@ export function initCreneaux(creneaux) {
     LISTE_CRENEAUX = creneaux;
 }
 
+/**
+ * Initialise les jours travaillés
+ * @param {Object} config - { jours: Array<string>, creneauxParJour: { jour: Array<string> }, joursSansTP: Array<string> }
+ */
+export function initJours(config) {
+    JOURS_CONFIG = config && Array.isArray(config.jours) ? config : DEFAULT_JOURS_CONFIG;
+}
+
+/**
+ * Jours travaillés, dans l'ordre de la semaine
+ * @returns {Array<string>} Les jours
+ */
+export function getJoursOuvres() {
+    return JOURS_SEMAINE.filter(jour => JOURS_CONFIG.jours.includes(jour));
+}
+
+/**
+ * Créneaux ouverts un jour donné (triés ; aucun si le jour n'est pas travaillé)
+ * @param {string} jour - Le jour
+ * @returns {Array<string>} Les clés des créneaux
+ */
+export function getCreneauxForJour(jour) {
+    if (!JOURS_CONFIG.jours.includes(jour)) return [];
+
+    const sorted = getSortedCreneauxKeys();
+    const ouverts = JOURS_CONFIG.creneauxParJour?.[jour];
+    return Array.isArray(ouverts) ? sorted.filter(c => ouverts.includes(c)) : sorted;
+}
+
+/**
+ * Nombre total de créneaux ouverts sur la semaine
+ * @returns {number} Le nombre de couples (jour, créneau) ouverts
+ */
+export function countCreneauxOuverts() {
+    return getJoursOuvres().reduce((total, jour) => total + getCreneauxForJour(jour).length, 0);
+}
+
+/**
+ * Jours où aucun TP n'est placé (configuration antérieure sans ce champ : valeur par défaut)
+ * @returns {Array<string>} Les jours
+ */
+export function getJoursSansTP() {
+    return Array.isArray(JOURS_CONFIG.joursSansTP) ? JOURS_CONFIG.joursSansTP : DEFAULT_JOURS_CONFIG.joursSansTP;
+}
+
+/**
+ * Indique si des TP peuvent être placés un jour donné
+ * @param {string} jour - Le jour
+ * @returns {boolean} True si autorisé
+ */
+export function isTPAutorise(jour) {
+    return !getJoursSansTP().includes(jour);
+}
+
+/**
+ * Indique si un jour travaillé n'ouvre qu'une partie des créneaux (ex: samedi matin)
+ * @param {string} jour - Le jour
+ * @returns {boolean} True si la journée est réduite
+ */
+export function isJourReduit(jour) {
+    return Array.isArray(JOURS_CONFIG.creneauxParJour?.[jour]) &&
+        getCreneauxForJour(jour).length < getSortedCreneauxKeys().length;
+}
+
+/**
+ * Indique si un créneau est ouvert un jour donné
+ * @param {string} jour - Le jour
+ * @param {string} creneau - Le créneau
+ * @returns {boolean} True si ouvert
+ */
+export function isCreneauOuvert(jour, creneau) {
+    return getCreneauxForJour(jour).includes(creneau);
+}
+
 /**
  * Trie les créneaux par ordre chronologique
  * @returns {Array<string>} Les clés des créneaux triées
@@ -44,24 +121,199 @@ export function getPrioritizedCreneauxKeys() {
 }
 
 /**
- * Retourne les jours de la semaine avec rotation pour répartir uniformément
+ * Retourne les jours travaillés avec rotation pour répartir uniformément
  * Commence par un jour différent à chaque appel pour assurer une distribution équitable
- * @param {number} startIndex - Index de départ pour la rotation (0-5)
- * @returns {Array<string>} Les jours avec rotation (Lundi à Samedi)
+ * @param {number} startIndex - Index de départ pour la rotation
+ * @returns {Array<string>} Les jours travaillés avec rotation
  */
 export function getRotatedJours(startIndex = 0) {
-    const jours = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'];
+    const jours = getJoursOuvres();
+    if (jours.length === 0) return [];
     const index = startIndex % jours.length;
     return [...jours.slice(index), ...jours.slice(0, index)];
 }
 
+/**
+ * Convertit une heure ("8h30", "08:30", "14h") en minutes depuis minuit
+ * @param {string} time - L'heure
+ * @returns {number} Les minutes, ou NaN si le format est invalide
+ */
+export function timeToMinutes(time) {
+    const match = /^\s*(\d{1,2})\s*[h:]\s*(\d{0,2})\s*$/i.exec(String(time || ''));
+    if (!match) return NaN;
+    return parseInt(match[1], 10) * 60 + (parseInt(match[2], 10) || 0);
+}
+
+/**
+ * Convertit des minutes depuis minuit en heure au format des créneaux ("8h30", "10h00")
+ * @param {number} minutes - Les minutes
+ * @returns {string} L'heure formatée
+ */
+export function minutesToTime(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = Math.round(minutes % 60);
+    return `${h}h${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Plage horaire d'un créneau standard
+ * @param {string} creneau - La clé du créneau (ex: "8h30")
+ * @returns {Object} { debut, fin } en minutes
+ */
+export function getCreneauRange(creneau) {
+    const debut = timeToMinutes(creneau);
+    const fin = timeToMinutes(LISTE_CRENEAUX[creneau]?.fin);
+    return { debut, fin: Number.isNaN(fin) ? debut + 90 : fin };
+}
+
+/**
+ * Plage horaire réellement occupée par une séance
+ * - horaires explicites (heureDebut/heureFin) s'ils sont renseignés ;
+ * - sinon le créneau, étendu au créneau couplé pour la première partie d'un TP.
+ * @param {Session|Object} session - La séance (jour, creneau, type, heureDebut, heureFin)
+ * @returns {Object} { debut, fin } en minutes
+ */
+export function getSessionTimeRange(session) {
+    const slot = getCreneauRange(session.creneau);
+
+    if (session.heureFin) {
+        const debut = session.heureDebut ? timeToMinutes(session.heureDebut) : slot.debut;
+        const fin = timeToMinutes(session.heureFin);
+        if (!Number.isNaN(debut) && !Number.isNaN(fin) && fin > debut) {
+            return { debut, fin };
+        }
+    }
+
+    const coupled = session.type === 'TP' ? CRENEAUX_COUPLES_SUIVANT[session.creneau] : null;
+    if (coupled && LISTE_CRENEAUX[coupled]) {
+        return { debut: slot.debut, fin: getCreneauRange(coupled).fin };
+    }
+
+    return slot;
+}
+
+/**
+ * Rapport entre la durée réelle d'une séance et la durée nominale de son créneau
+ * (créneaux couplés pour un TP) : 2 pour un Cours de 3h sur un créneau de 1h30
+ * @param {Session|Object} session - La séance (creneau, type, heureDebut, heureFin)
+ * @returns {number} Le rapport (1 sans horaires explicites)
+ */
+export function getSessionDurationRatio(session) {
+    if (!session.heureFin) return 1;
+
+    const nominal = getSessionTimeRange({ creneau: session.creneau, type: session.type });
+    const range = getSessionTimeRange(session);
+    const nominalDuration = nominal.fin - nominal.debut;
+
+    return nominalDuration > 0 ? (range.fin - range.debut) / nominalDuration : 1;
+}
+
+/**
+ * Analyse une liste de semaines ("1,3,5-8") en numéros triés et uniques
+ * @param {string|Array<number>} value - La liste saisie
+ * @returns {Array<number>} Les numéros de semaine (>= 1)
+ */
+export function parseWeekList(value) {
+    if (Array.isArray(value)) {
+        return [...new Set(value.map(Number).filter(n => Number.isInteger(n) && n > 0))].sort((a, b) => a - b);
+    }
+
+    const weeks = [];
+    String(value || '').split(/[,;\s]+/).filter(Boolean).forEach(part => {
+        const [from, to] = part.split('-').map(n => parseInt(n, 10));
+        if (!Number.isInteger(from)) return;
+        // Au plus 53 semaines dans une année
+        const last = Math.min(Number.isInteger(to) ? to : from, 53);
+        for (let n = from; n <= last; n++) weeks.push(n);
+    });
+    return parseWeekList(weeks);
+}
+
+/**
+ * Formate une liste de semaines en plages compactes ("1,3,5-8")
+ * @param {Array<number>} weeks - Les numéros de semaine
+ * @returns {string} La liste formatée
+ */
+export function formatWeekList(weeks) {
+    const sorted = parseWeekList(weeks);
+    const parts = [];
+    for (let i = 0; i < sorted.length; i++) {
+        let j = i;
+        while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+        parts.push(j > i + 1 ? `${sorted[i]}-${sorted[j]}` : (j === i + 1 ? `${sorted[i]},${sorted[j]}` : `${sorted[i]}`));
+        i = j;
+    }
+    return parts.join(',');
+}
+
+/**
+ * Indique si deux plages horaires se chevauchent (bornes exclues)
+ * @param {Object} a - { debut, fin }
+ * @param {Object} b - { debut, fin }
+ * @returns {boolean} True si chevauchement
+ */
+export function rangesOverlap(a, b) {
+    return a.debut < b.fin && b.debut < a.fin;
+}
+
+/**
+ * Créneaux standards chevauchés par une plage horaire
+ * @param {Object} range - { debut, fin }
+ * @returns {Array<string>} Les clés triées
+ */
+export function getCreneauxInRange(range) {
+    return getSortedCreneauxKeys().filter(c => rangesOverlap(getCreneauRange(c), range));
+}
+
+/**
+ * Créneau de rattachement d'une heure de début : celui qui la contient,
+ * sinon le dernier créneau commençant avant elle (ou le premier)
+ * @param {string} time - L'heure
+ * @returns {string} La clé du créneau ('' si aucun créneau)
+ */
+export function getCreneauForTime(time) {
+    const minutes = timeToMinutes(time);
+    const sorted = getSortedCreneauxKeys();
+    if (sorted.length === 0 || Number.isNaN(minutes)) return '';
+
+    const containing = sorted.find(c => {
+        const range = getCreneauRange(c);
+        return minutes >= range.debut && minutes < range.fin;
+    });
+    if (containing) return containing;
+
+    const before = sorted.filter(c => getCreneauRange(c).debut <= minutes);
+    return before.length > 0 ? before[before.length - 1] : sorted[0];
+}
+
+/**
+ * Créneau après lequel se situe la pause principale (le plus long intervalle
+ * entre deux créneaux consécutifs, d'au moins 30 minutes)
+ * @returns {string} La clé du créneau, ou BREAK_CRENEAU si aucune pause n'est détectée
+ */
+export function getBreakCreneau() {
+    const sorted = getSortedCreneauxKeys();
+    let best = null;
+    let bestGap = 30;
+
+    for (let i = 0; i < sorted.length - 1; i++) {
+        const gap = getCreneauRange(sorted[i + 1]).debut - getCreneauRange(sorted[i]).fin;
+        if (gap >= bestGap) {
+            best = sorted[i];
+            bestGap = gap;
+        }
+    }
+
+    return best || BREAK_CRENEAU;
+}
+
 /**
  * Trouve l'index de la colonne séparatrice dans le tableau EDT
  * @returns {number} L'index de la colonne séparatrice, ou -1 si non trouvée
  */
 export function getSeparatorColumnIndex() {
     const sortedCreneaux = getSortedCreneauxKeys();
-    const index = sortedCreneaux.indexOf(BREAK_CRENEAU);
+    const index = sortedCreneaux.indexOf(getBreakCreneau());
     // +1 car les créneaux commencent à la colonne 1 (colonne 0 = Jour)
     // +1 pour la colonne séparatrice elle-même
     return index !== -1 ? index + 2 : -1;
@@ -160,7 +412,7 @@ export function downloadFile(content, filename, contentType) {
  * @returns {boolean} True si c'est l'après-midi
  */
 export function isAfternoonCreneau(creneau, creneauxList) {
-    const separator = BREAK_CRENEAU;
+    const separator = getBreakCreneau();
     const idxSeparator = creneauxList.indexOf(separator);
     
     if (idxSeparator === -1) {
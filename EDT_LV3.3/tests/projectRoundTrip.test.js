@@ -0,0 +1,118 @@
+/**
+ * Test d'aller-retour du bundle projet : export → JSON → migration → validation → import
+ * doit restituer tout l'état persistant (forfaits, tolérance, état UI, salles auto, en-tête...)
+ * Exécution : node --test EDT_LV3.3/tests/
+ * @author Ibrahim Mrani - UCD
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Environnement navigateur minimal (localStorage en mémoire, pas d'IndexedDB)
+const store = new Map();
+globalThis.localStorage = {
+    getItem: k => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => { store.set(k, String(v)); },
+    removeItem: k => { store.delete(k); },
+    clear: () => { store.clear(); },
+    key: i => [...store.keys()][i] ?? null,
+    get length() { return store.size; }
+};
+globalThis.window = globalThis;
+globalThis.document = {
+    getElementById: () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    createElement: () => ({ style: {}, appendChild() {}, setAttribute() {} })
+};
+globalThis.dispatchEvent = () => true;
+
+const { default: StorageService } = await import('../src/js/services/StorageService.js');
+const { default: StateManager } = await import('../src/js/controllers/StateManager.js');
+const { default: SchemaMigrationService } = await import('../src/js/services/SchemaMigrationService.js');
+const { default: ValidationService } = await import('../src/js/services/ValidationService.js');
+const { default: Session } = await import('../src/js/models/Session.js');
+const { PROJECT_SCHEMA_VERSION } = await import('../src/js/config/constants.js');
+
+// Champs de StateManager.state enregistrés dans le bundle projet
+const PERSISTED_FIELDS = [
+    'enseignants', 'sallesInfo', 'matiereGroupes', 'filieres', 'creneaux', 'joursConfig', 'calendrier',
+    'occupationsExternes', 'forfaits', 'toleranceMaxWorkload', 'enseignantSouhaits', 'enseignantVolumesSupplementaires',
+    'enseignantProfils', 'equivalencesHoraires', 'forfaitCatalogue', 'volumesAutomne', 'autoSallesParFiliere',
+    'sallesCapacite', 'effectifs', 'sallesEquipements', 'ui', 'header'
+];
+
+const snapshotState = () => ({
+    ...Object.fromEntries(PERSISTED_FIELDS.map(field => [field, structuredClone(StateManager.state[field])])),
+    seances: StateManager.state.seances.map(s => s.toJSON()),
+    nextSessionId: StateManager.state.nextSessionId
+});
+
+test('le bundle projet restitue tout l\'état après export puis import', async () => {
+    await StorageService.init();
+    StateManager.loadState();
+
+    const { state } = StateManager;
+    state.header = { annee: '2025/2026', session: "Session d'automne", departement: 'Physique' };
+    state.enseignants = ['Amal', 'Badr'];
+    state.sallesInfo = { 'Amphi A': 'Amphi', 'STP 1': 'STP' };
+    state.filieres = [{ nom: 'S3 PC', session: 'Automne' }];
+    state.matiereGroupes = {
+        Optique: {
+            filiere: 'S3 PC', sections_cours: 1, td_groups: 2, tp_groups: 2, nbEnseignantsTP: 1,
+            volumeHTP: { Cours: 48, TD: 32, TP: 36 }, equipementsRequis: {}
+        }
+    };
+    state.enseignantSouhaits = { Amal: { choix1: 'Optique', c1: 1, td1: 2, tp1: 1 } };
+    state.enseignantVolumesSupplementaires = { Badr: [{ id: 'v1', description: 'Jury', volume: 4 }] };
+    state.enseignantProfils = { Amal: { grade: 'PH', statut: 'permanent', service: 150, reductions: [] } };
+    state.forfaits = [{
+        id: 'f1', enseignant: 'Amal', nature: 'Encadrement PFE', volumeHoraire: 10,
+        session: "Session d'automne", annee: '2025/2026', description: ''
+    }];
+    state.forfaitCatalogue.push({ nature: 'Tutorat', heures: 6 });
+    state.toleranceMaxWorkload = 24;
+    state.ui = { activeTab: 'tab-planning' };
+    state.autoSallesParFiliere = { 'S3 PC': { Cours: 'Amphi A' } };
+    state.sallesCapacite = { 'Amphi A': 300 };
+    state.effectifs = { 'S3 PC': { sections: { 'Section A': 250 } } };
+    state.sallesEquipements = { 'STP 1': ['optique'] };
+    state.volumesAutomne = { Amal: 12 };
+    state.joursConfig.creneauxParJour.Samedi = ['8h30'];
+    state.calendrier.semestres["Session d'automne"] = { debut: '2025-09-15', fin: '2026-01-10' };
+    state.occupationsExternes = {
+        "Session d'automne": [{
+            id: 'o1', cible: 'salle', nom: 'Amphi A', jour: 'Mardi', debut: 600, fin: 690,
+            libelle: 'Soutenance', source: 'amphi.ics', evenements: 1
+        }]
+    };
+    state.equivalencesHoraires.vacataire.TD = 1.5;
+    state.seances = [new Session({
+        id: 1, jour: 'Lundi', creneau: '8h30', filiere: 'S3 PC', matiere: 'Optique', type: 'Cours',
+        section: 'Section A', groupe: 'Section A', uniqueStudentEntity: 'S3 PC_Section A',
+        enseignant: 'Amal', enseignantsArray: ['Amal'], salle: 'Amphi A', hTP_Affecte: 1.5,
+        heureDebut: '8h30', heureFin: '10h30', periodicite: 'A'
+    })];
+    state.nextSessionId = 2;
+    StateManager.saveState(true);
+
+    const expected = snapshotState();
+    const bundle = JSON.parse(JSON.stringify(StorageService.exportProject()));
+    assert.equal(bundle.schemaVersion, PROJECT_SCHEMA_VERSION);
+
+    // Repartir d'un stockage vide avant de réimporter
+    StorageService.clearProject();
+    StateManager.loadState();
+    assert.deepEqual(StateManager.state.forfaits, []);
+
+    const migration = SchemaMigrationService.migrate(bundle);
+    assert.equal(migration.report.length, 0);
+
+    const validation = ValidationService.validateProjectSchema(migration.data);
+    assert.ok(validation.ok, validation.errors.join('; '));
+
+    assert.ok(StorageService.importProject(migration.data));
+    StateManager.loadState();
+
+    assert.deepEqual(snapshotState(), expected);
+});